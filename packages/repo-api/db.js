@@ -9,6 +9,10 @@ export const COLLECTIONS = [
   "deploys",
   "jobs",
   "gitEvents", // GitHub webhook events
+  "previews", // Pull request preview deployments
+  "gitWebhookSecrets", // Per-project push webhook secrets (GitLab, Gitea, Forgejo)
+  "projectApiSecrets", // Per-project API secrets of the public API (hashed)
+  "auditLogs", // Who did what (rollbacks, agent actions)
   
   // Project webhook collections
   "projectWebhooks", // Incoming webhook configurations
@@ -103,6 +107,19 @@ async function createIndexes() {
     await db.gitEvents.createIndex({ timestamp: -1 }, { background: true });
     await db.gitEvents.createIndex({ event: 1, timestamp: -1 }, { background: true });
     
+    // Previews collection - one preview per pull request
+    await db.previews.createIndex({ projectId: 1, prNumber: 1 }, { unique: true, background: true });
+    await db.previews.createIndex({ projectId: 1, status: 1 }, { background: true });
+    
+    // Git webhook secrets - one per project
+    await db.gitWebhookSecrets.createIndex({ projectId: 1 }, { unique: true, background: true });
+    
+    // Project API secrets - one per project
+    await db.projectApiSecrets.createIndex({ projectId: 1 }, { unique: true, background: true });
+    
+    // Audit logs - per project history of an action
+    await db.auditLogs.createIndex({ projectId: 1, action: 1, timestamp: -1 }, { background: true });
+    
     // Project webhooks collections
     // Incoming webhooks
     await db.projectWebhooks.createIndex({ projectId: 1, isActive: 1 }, { background: true });
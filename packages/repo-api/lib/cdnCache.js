@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+/**
+ * cdnCache.js - Cache tags and purging for public API responses served through Cloudflare
+ * Responses that expose a project's active revision are tagged with the project tag,
+ * so a rollback can drop them from the CDN instead of waiting for them to expire.
+ *
+ * Optional environment variables (purging is skipped without them):
+ * - CLOUDFLARE_ZONE_ID
+ * - CLOUDFLARE_API_TOKEN (with the Cache Purge permission)
+ */
+
+import axios from "axios";
+
+const CLOUDFLARE_API_URL = "https://api.cloudflare.com/client/v4";
+
+/**
+ * Get the cache tag of a project
+ * @param {string} projectId - Project ID
+ * @returns {string} - Cache tag
+ */
+export function getProjectCacheTag(projectId) {
+  return `project-${projectId}`;
+}
+
+/**
+ * Purge the CDN responses tagged for a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} - { purged, tags, reason? }
+ */
+export async function purgeProjectCache(projectId) {
+  const tags = [getProjectCacheTag(projectId)];
+  const zoneId = process.env.CLOUDFLARE_ZONE_ID;
+  const apiToken = process.env.CLOUDFLARE_API_TOKEN;
+
+  if (!zoneId || !apiToken) {
+    return { purged: false, tags, reason: "CDN purging is not configured" };
+  }
+
+  await axios.post(
+    `${CLOUDFLARE_API_URL}/zones/${zoneId}/purge_cache`,
+    { tags },
+    {
+      headers: { Authorization: `Bearer ${apiToken}` },
+      timeout: 10000,
+    }
+  );
+  console.log(`🧽 Purged CDN cache for project ${projectId} (${tags.join(", ")})`);
+
+  return { purged: true, tags };
+}
@@ -5,12 +5,13 @@
 
 import { JobsClient } from "@google-cloud/run";
 import { v4 as uuidv4 } from "uuid";
-import { createJob as createJobRecord, JobType } from "./cloudrun/jobModel.js";
+import { createJob as createJobRecord, JobType, JobStatus } from "./cloudrun/jobModel.js";
 import { db } from "../db.js";
 import axios from "axios";
 import { ObjectId } from "mongodb";
 import outgoingWebhookDispatcher from "./webhooks/OutgoingWebhookDispatcher.js";
 import deploymentNotifier from "./slack/deploymentNotifier.js";
+import { getProjectGitProvider, getUserGitToken } from "./gitProviders.js";
 
 // Debug flag for detailed worker interaction logging
 const DEBUG = process.env.DEBUG_CLOUDRUN === "true" || true;
@@ -120,11 +121,25 @@ async function createJob(task, data) {
         console.log(`🔄 Skipping cache due to forceReprocess flag`);
       }
 
+      // Latest wins: a new deploy supersedes in-flight deploys of the same branch
+      // (previews only supersede builds of the same pull request; scheduled
+      // publish rebuilds set supersede: false and never cancel a newer push deploy)
+      if (task === "deploy-repo" && data.projectId && data.supersede !== false) {
+        await supersedePreviousDeploys(
+          data.projectId,
+          data.branch || "main",
+          jobRecord._id.toString(),
+          data.preview?.prNumber
+        );
+      }
+
       // Create worker request payload based on API documentation
       const workerPayload = {
         jobId: jobRecord._id.toString(),
         task: mapTaskToWorkerTask(task, data),
         callbackUrl,
+        // Queue priority on the worker: user-triggered builds run before automated ones
+        priority: data.priority || "normal",
         data: processDataForWorker(task, data, cacheUrls),
       };
 
@@ -145,18 +160,14 @@ async function createJob(task, data) {
 
       if (DEBUG) console.log(`🔗 Sending request to: ${apiUrl}/process`);
 
-      // Build request headers with authentication
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-
-      // Add WORKER_SECRET authentication if configured
-      const workerSecret = process.env.WORKER_SECRET;
-      if (workerSecret) {
-        headers['Authorization'] = `Bearer ${workerSecret}`;
-        if (DEBUG) console.log(`🔐 Using WORKER_SECRET authentication`);
-      } else if (DEBUG) {
-        console.log(`⚠️ WORKER_SECRET not configured - request may be rejected`);
+      // Build request headers with authentication (WORKER_SECRET if configured)
+      const headers = getWorkerHeaders();
+      if (DEBUG) {
+        console.log(
+          process.env.WORKER_SECRET
+            ? `🔐 Using WORKER_SECRET authentication`
+            : `⚠️ WORKER_SECRET not configured - request may be rejected`
+        );
       }
 
       // Call the worker API
@@ -190,7 +201,8 @@ async function createJob(task, data) {
       if (DEBUG) console.log(`🔄 Job status updated to running`);
 
       // Dispatch deployment started webhook for deploy jobs
-      if (data.projectId && task === "deploy-repo") {
+      // Preview builds are reported on the pull request instead, release builds never go live
+      if (data.projectId && task === "deploy-repo" && !data.preview && !data.release) {
         await outgoingWebhookDispatcher.dispatch(
           data.projectId,
           "deployment.started",
@@ -261,6 +273,84 @@ async function createJob(task, data) {
   }
 }
 
+/**
+ * Build the headers used to call the worker API
+ * @returns {Object} Request headers
+ */
+function getWorkerHeaders() {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+  if (process.env.WORKER_SECRET) {
+    headers['Authorization'] = `Bearer ${process.env.WORKER_SECRET}`;
+  }
+  return headers;
+}
+
+/**
+ * Cancel in-flight deploys of a branch that a newer deploy supersedes
+ * @param {string} projectId - The project ID
+ * @param {string} branch - The branch being deployed
+ * @param {string} newJobId - The job that supersedes the others
+ * @param {number} [prNumber] - Pull request number when the new deploy is a preview
+ * @returns {Promise<Array<string>>} - IDs of the cancelled jobs
+ */
+async function supersedePreviousDeploys(projectId, branch, newJobId, prNumber = null) {
+  const inFlightJobs = await db.jobs
+    .find({
+      projectId: projectId,
+      type: JobType.REPO_DEPLOY,
+      status: { $in: [JobStatus.PENDING, JobStatus.RUNNING] },
+      "input.branch": branch,
+      "input.preview.prNumber": prNumber ? prNumber : { $exists: false },
+      _id: { $ne: new ObjectId(newJobId) },
+    })
+    .toArray();
+
+  const cancelledJobIds = [];
+  for (const job of inFlightJobs) {
+    const jobId = job._id.toString();
+    const reason = `Superseded by newer deploy ${newJobId}`;
+
+    await db.jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: JobStatus.CANCELLED,
+          supersededBy: newJobId,
+          error: reason,
+          updatedAt: new Date(),
+          completedAt: new Date(),
+        },
+        $push: { logs: `${reason} at ${new Date().toISOString()}` },
+      }
+    );
+    cancelledJobIds.push(jobId);
+
+    // Ask the worker to stop; a late completion is ignored by the callback handler anyway
+    try {
+      await axios.post(
+        `${workerApiUrl || "http://localhost:3001"}/jobs/${jobId}/cancel`,
+        { reason },
+        { headers: getWorkerHeaders() }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not cancel job ${jobId} on the worker:`, error.message);
+    }
+
+    const deployment = await db.deploys.findOne({ jobId });
+    if (deployment) {
+      await deploymentNotifier.updateDeploymentNotification(deployment._id, "cancelled");
+    }
+  }
+
+  if (cancelledJobIds.length > 0) {
+    console.log(`⏭️ Deploy ${newJobId} superseded ${cancelledJobIds.length} in-flight deploy(s) on ${branch}:`, cancelledJobIds);
+  }
+
+  return cancelledJobIds;
+}
+
 /**
  * Map task type to worker task format
  * @param {string} task - Internal task type
@@ -286,15 +376,31 @@ async function getLatestDeploymentCache(projectId) {
   if (!projectId) return null;
 
   try {
-    const latestJob = await db.jobs.findOne(
-      {
-        projectId: projectId,
-        type: "repo_deploy",
+    // Prefer the revision currently live, falling back to the latest completed deploy
+    let latestJob = null;
+    const project = ObjectId.isValid(projectId)
+      ? await db.projects.findOne({ _id: new ObjectId(projectId) })
+      : null;
+    if (project?.activeRev && ObjectId.isValid(project.activeRev)) {
+      latestJob = await db.jobs.findOne({
+        _id: new ObjectId(project.activeRev),
         status: "completed",
         "output.publishInfo.publicContentUrl": { $exists: true }
-      },
-      { sort: { completedAt: -1 } }
-    );
+      });
+    }
+
+    if (!latestJob) {
+      latestJob = await db.jobs.findOne(
+        {
+          projectId: projectId,
+          type: "repo_deploy",
+          status: "completed",
+          "input.preview": { $exists: false },
+          "output.publishInfo.publicContentUrl": { $exists: true }
+        },
+        { sort: { completedAt: -1 } }
+      );
+    }
 
     if (latestJob?.output?.publishInfo?.publicContentUrl) {
       const baseUrl = latestJob.output.publishInfo.publicContentUrl;
@@ -303,6 +409,8 @@ async function getLatestDeploymentCache(projectId) {
         postEmbeddings: `${baseUrl}/posts-embedding-hash-map.json`,
         mediaEmbeddings: `${baseUrl}/media-embedding-hash-map.json`,
         previousJobId: latestJob._id.toString(),
+        // Commit of the previous revision, used by the worker to diff changed files
+        previousCommit: latestJob.output.repoInfo?.commitSha || null,
       };
     }
     return null;
@@ -340,6 +448,15 @@ function processDataForWorker(task, data, cacheUrls = null) {
     workerData.commit = data.commit || "latest";
     workerData.branch = data.branch || "main";
     workerData.gitToken = data.gitToken;
+    // Pull requests from forks: cloned anonymously, the worker never uses its own token
+    if (data.untrustedSource) {
+      workerData.untrustedSource = true;
+    }
+    // Provider of repoUrl (GitHub when unset), used by the worker to authenticate the clone
+    if (data.gitProvider) {
+      workerData.gitProvider = data.gitProvider;
+      workerData.gitBaseUrl = data.gitBaseUrl;
+    }
 
     // Formatting settings for media/link paths (from project.formatting)
     workerData.notePrefix = data.notePrefix || "";
@@ -364,6 +481,13 @@ function processDataForWorker(task, data, cacheUrls = null) {
     if (data.ignoreFiles) {
       workerData.ignoreFiles = data.ignoreFiles;
     }
+    if (data.i18n) {
+      workerData.i18n = data.i18n;
+    }
+    // Posts whose publishAt/unpublishAt boundary passed: re-rendered even when the commit is unchanged
+    if (data.publishPaths?.length) {
+      workerData.publishPaths = data.publishPaths;
+    }
 
     // Pass all project settings to the worker
     if (data.projectSettings) {
@@ -383,6 +507,11 @@ function processDataForWorker(task, data, cacheUrls = null) {
     // Add cache URLs for incremental builds (from previous deployment)
     if (cacheUrls) {
       workerData.cacheUrls = cacheUrls;
+      // Previous revision + commit enable incremental rendering (git diff between revisions)
+      workerData.previousRev = cacheUrls.previousJobId;
+      if (cacheUrls.previousCommit) {
+        workerData.previousCommit = cacheUrls.previousCommit;
+      }
       if (DEBUG) {
         console.log(`📦 Including cache URLs from previous deployment:`, {
           previousJobId: cacheUrls.previousJobId,
@@ -919,11 +1048,15 @@ async function createRepoDeployJob(projectId, ctx, commit, branch) {
       throw new Error("Project not found or access denied");
     }
 
-    // Get GitHub token for the user
-    const gitToken = ctx.user.githubToken || (await getUserGithubToken(userId));
+    // Get the user's token for the project's git provider (GitHub unless set in settings.git)
+    const gitInfo = getProjectGitProvider(project);
+    const isGitHub = !gitInfo || gitInfo.provider === "github";
+    const gitToken = isGitHub
+      ? ctx.user.githubToken || (await getUserGithubToken(userId))
+      : await getUserGitToken(userId, gitInfo);
 
     if (!gitToken) {
-      throw new Error("GitHub token not found for user");
+      throw new Error(isGitHub ? "GitHub token not found for user" : `${gitInfo.provider} token not found for user`);
     }
 
     // Ensure we have a repo URL
@@ -949,6 +1082,8 @@ async function createRepoDeployJob(projectId, ctx, commit, branch) {
       formatting: project.formatting || {},
       build: project.settings?.build || {},
       frontmatter: project.frontmatter || {},
+      // Embedding provider, model, dimensions and chunking
+      ai: project.settings?.ai || {},
     };
 
     // Create a job to deploy the repository
@@ -959,12 +1094,15 @@ async function createRepoDeployJob(projectId, ctx, commit, branch) {
       branch: branch || "main",
       repoUrl: repoUrl,
       gitToken: gitToken,
+      gitProvider: gitInfo?.provider,
+      gitBaseUrl: gitInfo?.baseUrl,
       projectSlug: projectSlugValue,
       orgSlug: orgSlugValue,
       orgId: project.orgId,
       // Build settings from project settings
       repositoryFolder: project.settings?.build?.repositoryFolder || "",
       ignoreFiles: project.settings?.build?.ignoreFiles || "",
+      i18n: project.settings?.build?.i18n || null,
       // Formatting settings for media/link paths
       notePrefix: project.formatting?.pageLinkPrefix || "",
       mediaPrefix: project.formatting?.mediaPrefix || "/_repo/medias",
@@ -973,6 +1111,7 @@ async function createRepoDeployJob(projectId, ctx, commit, branch) {
       triggeredBy: ctx.user.email || ctx.user.id,
       // Pass all project settings for the worker to use
       projectSettings,
+      priority: "high", // User-triggered deploy
     });
 
     console.log("Deploy job created successfully:", {
@@ -0,0 +1,247 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Outcome of worker jobs: applied from the worker callback, or from the payload
+// recovered when a stuck job is reconciled (see jobReconciliation.js)
+import { ObjectId } from "mongodb";
+import { db } from "../../db.js";
+import { updateJob, addJobLog, completeJob, failJob, JobStatus } from "./jobModel.js";
+import outgoingWebhookDispatcher from "../webhooks/OutgoingWebhookDispatcher.js";
+import deploymentNotifier from "../slack/deploymentNotifier.js";
+import { isNewerRevision } from "./revisionOrder.js";
+import previewDeployments from "./previewDeployments.js";
+import releaseDeployments from "./releaseDeployments.js";
+import { schedulePublishBoundary } from "../schedule/publishSchedule.js";
+
+/**
+ * Apply a worker callback (or a payload recovered during reconciliation) to a job
+ * @param {Object} job - The job document
+ * @param {Object} payload - Callback body ({ status, logs, output, error, result, processedAt, duration })
+ */
+export async function applyJobCallback(job, payload) {
+  const { status, logs, output, error, result, processedAt, duration } = payload;
+  const jobId = job._id.toString();
+
+  // Add logs if provided
+  if (logs && Array.isArray(logs) && logs.length > 0) {
+    for (const log of logs) {
+      await addJobLog(jobId, log);
+    }
+  }
+
+  // A superseded deploy that finished anyway must not be published as a revision
+  if (job.status === JobStatus.CANCELLED && status !== JobStatus.CANCELLED) {
+    console.log(`⏭️ Ignoring ${status} callback for cancelled job ${jobId}`);
+    await addJobLog(jobId, `Ignored late "${status}" callback: job was cancelled`);
+    return;
+  }
+
+  // Handle worker API format (status: "completed" or "failed" with result/error)
+  if (status === "completed" || status === JobStatus.COMPLETED) {
+    // Worker API sends result instead of output
+    const outputData = result || output || {};
+
+    // Add processing metadata if available
+    if (processedAt || duration) {
+      outputData.workerMetadata = {
+        processedAt: processedAt || new Date().toISOString(),
+        duration: duration || 0,
+      };
+    }
+
+    await completeJob(jobId, outputData);
+
+    // Pull request previews move their alias and never touch the live revision
+    if (job.projectId && job.type === "repo_deploy" && job.input?.preview) {
+      await previewDeployments.completeBuild(job, outputData);
+      return;
+    }
+
+    // Release builds are pinned under the release alias and never touch the live revision either
+    if (job.projectId && job.type === "repo_deploy" && job.input?.release) {
+      await releaseDeployments.completeBuild(job, outputData);
+      return;
+    }
+
+    // Update project with activeRev=jobId for completed jobs
+    if (job.projectId && job.type === "repo_deploy") {
+      // Get project details for notifications
+      const project = await db.projects.findOne({ _id: new ObjectId(job.projectId) });
+      
+      // Dispatch deployment completed webhook
+      await outgoingWebhookDispatcher.dispatch(
+        job.projectId,
+        'deployment.completed',
+        {
+          projectId: job.projectId,
+          jobId: jobId,
+          status: 'success',
+          duration: duration || null,
+          completedAt: new Date(),
+          metadata: job.data || {}
+        }
+      );
+      
+      // Find existing deployment by jobId
+      const existingDeployment = await db.deploys.findOne({ jobId });
+      
+      if (existingDeployment) {
+        // Update existing deployment with completion
+        const stats = {
+          pageCount: outputData?.stats?.pageCount,
+          fileCount: outputData?.stats?.fileCount,
+          totalSize: outputData?.stats?.totalSize,
+          buildTime: duration ? Math.round(duration / 1000) : undefined
+        };
+        
+        // Update Slack notification with completion status
+        if (project && project.orgId) {
+          await deploymentNotifier.notifyDeploymentCompleted(existingDeployment._id, stats);
+        }
+      } else {
+        // Fallback: create new deployment record if not found
+        const deploymentData = {
+          projectId: new ObjectId(job.projectId),
+          jobId: jobId,
+          status: 'completed',
+          startedAt: job.createdAt,
+          completedAt: new Date(),
+          branch: job.data?.branch || 'main',
+          commitId: job.data?.commitId,
+          triggeredBy: job.createdBy,
+          stats: {
+            pageCount: outputData?.stats?.pageCount,
+            fileCount: outputData?.stats?.fileCount,
+            totalSize: outputData?.stats?.totalSize,
+            buildTime: duration ? Math.round(duration / 1000) : undefined
+          }
+        };
+        
+        const deploymentResult = await db.deploys.insertOne({
+          ...deploymentData,
+          createdAt: new Date()
+        });
+        
+        // Send new notification (fallback)
+        if (project && project.orgId) {
+          await deploymentNotifier.updateDeploymentNotification(deploymentResult.insertedId, 'completed');
+        }
+      }
+      // Only update activeRev if this revision is newer in commit order than the current one
+      // (prevents a slower build of an older commit from regressing the activeRev)
+      const currentRevision = project?.activeRev
+        ? await db.jobs.findOne({ _id: new ObjectId(project.activeRev) })
+        : null;
+      const shouldUpdateActiveRev = !currentRevision ||
+        isNewerRevision({ ...job, output: outputData }, currentRevision);
+
+      if (shouldUpdateActiveRev) {
+        console.log(
+          `✅ Setting completed job ${jobId} as activeRev for project ${job.projectId}`
+        );
+        try {
+          await db.projects.updateOne(
+            { _id: new ObjectId(job.projectId) },
+            {
+              $set: {
+                activeRev: jobId,
+                updatedAt: new Date(),
+              },
+            }
+          );
+          console.log(
+            `✅ Project ${job.projectId} updated with activeRev=${jobId}`
+          );
+        } catch (err) {
+          console.error(
+            `❌ Error updating project ${job.projectId} with activeRev:`,
+            err
+          );
+          // Re-throw to let asyncHandler catch and log it properly
+          throw err;
+        }
+
+        // Rebuild when the next embargoed post is due (or a post expires)
+        try {
+          await schedulePublishBoundary(job.projectId, jobId, outputData?.assets?.publishSchedule);
+        } catch (err) {
+          console.error(`❌ Error scheduling publish boundary for project ${job.projectId}:`, err);
+        }
+      } else {
+        console.log(
+          `⏭️ Skipping activeRev update for project ${job.projectId} - job ${jobId} is older in commit order than current activeRev ${project.activeRev}`
+        );
+      }
+    }
+  } else if (status === "failed" || status === JobStatus.FAILED) {
+    // Extract error message from either format
+    const errorMessage =
+      typeof error === "string" ? error : error?.message || "Unknown error";
+
+    await failJob(jobId, errorMessage);
+
+    if (job.projectId && job.type === "repo_deploy" && job.input?.preview) {
+      await previewDeployments.failBuild(job, errorMessage);
+      return;
+    }
+
+    if (job.projectId && job.type === "repo_deploy" && job.input?.release) {
+      await releaseDeployments.failBuild(job, errorMessage);
+      return;
+    }
+    
+    // Dispatch deployment failed webhook for deploy jobs
+    if (job.projectId && job.type === "repo_deploy") {
+      // Get project details for notifications
+      const project = await db.projects.findOne({ _id: new ObjectId(job.projectId) });
+      
+      await outgoingWebhookDispatcher.dispatch(
+        job.projectId,
+        'deployment.failed',
+        {
+          projectId: job.projectId,
+          jobId: jobId,
+          status: 'failed',
+          error: errorMessage,
+          failedAt: new Date(),
+          metadata: job.data || {}
+        }
+      );
+      
+      // Find existing deployment by jobId
+      const existingDeployment = await db.deploys.findOne({ jobId });
+      
+      if (existingDeployment) {
+        // Update existing deployment with failure
+        await deploymentNotifier.notifyDeploymentFailed(existingDeployment._id, errorMessage);
+      } else {
+        // Fallback: create new deployment record if not found
+        const deploymentData = {
+          projectId: new ObjectId(job.projectId),
+          jobId: jobId,
+          status: 'failed',
+          startedAt: job.createdAt,
+          completedAt: new Date(),
+          branch: job.data?.branch || 'main',
+          commitId: job.data?.commitId,
+          triggeredBy: job.createdBy,
+          error: errorMessage
+        };
+        
+        const deploymentResult = await db.deploys.insertOne({
+          ...deploymentData,
+          createdAt: new Date()
+        });
+        
+        // Send notification
+        if (project && project.orgId) {
+          await deploymentNotifier.notifyDeploymentFailed(deploymentResult.insertedId, errorMessage);
+        }
+      }
+    }
+  } else {
+    await updateJob(jobId, { status });
+  }
+}
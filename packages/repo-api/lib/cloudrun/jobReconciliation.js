@@ -0,0 +1,130 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Reconciliation of jobs stuck in "running" (the worker restarted, or could not reach the callback URL)
+// The worker is asked for the job (GET /jobs/:id) and its stored outcome is applied.
+// Worker instances each keep their own queue, so a 404 only means the instance that answered
+// doesn't know the job: a job is considered lost only after repeated misses, once it is older
+// than any attempt sequence could last.
+import axios from "axios";
+import { db } from "../../db.js";
+import { JobStatus } from "./jobModel.js";
+import { applyJobCallback } from "./jobCallbacks.js";
+import { getWorkerUrl } from "../cloudRun.js";
+
+// Jobs not updated for this long are checked
+export const DEFAULT_STALE_MINUTES = 30;
+
+// Consecutive "not found" answers before a job is considered lost
+const LOST_JOB_MISSES = 3;
+
+// Minimum age of a lost job: longer than the worker's attempts and retry delays together
+const LOST_JOB_MIN_AGE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Ask the worker about a job and apply its outcome if the callback never arrived
+ * @param {Object} job - The job document (status "running")
+ * @returns {Promise<Object>} - Reconciliation result for this job
+ */
+export async function reconcileJob(job) {
+  const jobId = job._id.toString();
+  const headers = {};
+  if (process.env.WORKER_SECRET) {
+    headers["Authorization"] = `Bearer ${process.env.WORKER_SECRET}`;
+  }
+
+  let workerJob;
+  try {
+    const response = await axios.get(`${getWorkerUrl()}/jobs/${jobId}`, { headers, timeout: 10000 });
+    workerJob = response.data.job;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      return { jobId, action: "unreachable", error: error.message };
+    }
+
+    // Another worker instance may still hold the job
+    const misses = (job.reconcileMisses || 0) + 1;
+    const age = Date.now() - new Date(job.createdAt).getTime();
+    if (misses < LOST_JOB_MISSES || age < LOST_JOB_MIN_AGE_MS) {
+      await db.jobs.updateOne(
+        { _id: job._id },
+        {
+          $set: { reconcileMisses: misses },
+          $push: { logs: `Worker instance has no record of the job (check ${misses}) at ${new Date().toISOString()}` },
+        }
+      );
+      return { jobId, action: "none", reason: "not_found", misses };
+    }
+
+    await applyJobCallback(job, {
+      status: JobStatus.FAILED,
+      error: `Job lost by the worker (not found in the worker queue after ${misses} checks)`,
+    });
+    return { jobId, action: "failed", reason: "lost" };
+  }
+
+  if (workerJob.callbackPayload) {
+    await applyJobCallback(job, workerJob.callbackPayload);
+    return { jobId, action: workerJob.callbackPayload.status, reason: "callback_recovered" };
+  }
+
+  if (workerJob.status === "completed" || workerJob.status === "failed") {
+    // Finished and the callback was delivered, but the job is still running here
+    return { jobId, action: "none", reason: "callback_delivered", workerStatus: workerJob.status };
+  }
+
+  await db.jobs.updateOne(
+    { _id: job._id },
+    {
+      $set: { reconcileMisses: 0 },
+      $push: {
+        logs: `Worker reports status "${workerJob.status}" (attempt ${workerJob.attempts}/${workerJob.maxAttempts}) at ${new Date().toISOString()}`,
+      },
+    }
+  );
+  return { jobId, action: "none", reason: "in_progress", workerStatus: workerJob.status };
+}
+
+/**
+ * Reconcile the jobs stuck in "running"
+ * Each job is claimed by bumping updatedAt, so concurrent runs (several API instances,
+ * scheduler and manual calls) never reconcile the same job twice.
+ * @param {Object} options
+ * @param {number} [options.staleMinutes] - Check jobs not updated for this long
+ * @param {number} [options.limit] - Maximum number of jobs checked
+ * @returns {Promise<Object>} - { checked, results }
+ */
+export async function reconcileStuckJobs({ staleMinutes = DEFAULT_STALE_MINUTES, limit = 50 } = {}) {
+  const stuckJobs = await db.jobs
+    .find({
+      status: JobStatus.RUNNING,
+      updatedAt: { $lt: new Date(Date.now() - staleMinutes * 60 * 1000) },
+    })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  if (stuckJobs.length > 0) {
+    console.log(`🩺 Reconciling ${stuckJobs.length} stuck job(s) older than ${staleMinutes} min`);
+  }
+
+  const results = [];
+  for (const job of stuckJobs) {
+    const { matchedCount } = await db.jobs.updateOne(
+      { _id: job._id, status: JobStatus.RUNNING, updatedAt: job.updatedAt },
+      { $set: { updatedAt: new Date() } }
+    );
+    if (matchedCount === 0) continue; // Updated or claimed meanwhile
+
+    try {
+      results.push(await reconcileJob(job));
+    } catch (error) {
+      console.error(`❌ Error reconciling job ${job._id}:`, error);
+      results.push({ jobId: job._id.toString(), action: "error", error: error.message });
+    }
+  }
+
+  return { checked: results.length, results };
+}
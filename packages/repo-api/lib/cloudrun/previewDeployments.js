@@ -0,0 +1,451 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Pull request preview deployments
+// Each PR is built as a regular (non-active) revision and exposed through a stable alias:
+//   content: https://static.repo.md/projects/{projectId}/_preview/pr-{n}/...  (resolved by repo-static)
+//   site:    https://pr-{n}--{projectId}.preview.repo.md                      (resolved by repo-cname)
+// The alias points to the latest revision built for the PR through a small JSON pointer in R2.
+// Pull requests from forks by untrusted authors wait for a maintainer to approve each commit,
+// and are built anonymously (no token, no API keys).
+import { ObjectId } from "mongodb";
+import { db } from "../../db.js";
+import GitHubService from "../githubService.js";
+import { upload, deleteObject } from "../r2.js";
+import { getProtectedRevisions, deleteRevisionObjects } from "./revisionCleanup.js";
+import { buildUntrustedDeploymentData, getProjectOwnerGitToken } from "./webhookDeployment.js";
+import cloudRunService from "../cloudRun.js";
+
+const STATIC_DOMAIN = "https://static.repo.md";
+const PREVIEW_DOMAIN = "preview.repo.md";
+const COMMENT_MARKER = "<!-- repo-md-preview -->";
+
+export const PreviewStatus = {
+  AWAITING_APPROVAL: "awaiting_approval",
+  BUILDING: "building",
+  READY: "ready",
+  FAILED: "failed",
+  CLOSED: "closed",
+};
+
+/**
+ * Preview failure, with a tRPC error code
+ */
+export class PreviewError extends Error {
+  constructor(message, code = "BAD_REQUEST") {
+    super(message);
+    this.name = "PreviewError";
+    this.code = code;
+  }
+}
+
+/**
+ * Get the alias used for a pull request preview
+ * @param {number} prNumber - Pull request number
+ * @returns {string} - Alias (e.g. "pr-12")
+ */
+export function getPreviewAlias(prNumber) {
+  return `pr-${prNumber}`;
+}
+
+/**
+ * Get the stable URLs of a pull request preview
+ * @param {string} projectId - Project ID
+ * @param {number} prNumber - Pull request number
+ * @returns {{siteUrl: string, contentUrl: string}} - Preview URLs
+ */
+export function getPreviewUrls(projectId, prNumber) {
+  return getAliasUrls(projectId, getPreviewAlias(prNumber));
+}
+
+/**
+ * Get the stable URLs of an alias (pull request previews, pinned release)
+ * @param {string} projectId - Project ID
+ * @param {string} alias - Alias (e.g. "pr-12", "release")
+ * @returns {{siteUrl: string, contentUrl: string}} - Alias URLs
+ */
+export function getAliasUrls(projectId, alias) {
+  return {
+    siteUrl: `https://${alias}--${projectId}.${PREVIEW_DOMAIN}`,
+    contentUrl: `${STATIC_DOMAIN}/projects/${projectId}/_preview/${alias}`,
+  };
+}
+
+/**
+ * R2 key of the pointer mapping a preview alias to a revision
+ * @param {string} projectId - Project ID
+ * @param {string} alias - Preview alias
+ * @returns {string} - Object key
+ */
+export function getPointerKey(projectId, alias) {
+  return `projects/${projectId}/_previews/${alias}.json`;
+}
+
+/**
+ * Check whether a build is older than the latest build recorded for its preview
+ * (the callback of a build can arrive before its job ID is recorded, so missing IDs are not stale)
+ * @param {Object} preview - Preview record
+ * @param {string} jobId - Job ID of the build
+ * @returns {boolean} - True if a newer build was started for the preview
+ */
+function isStaleBuild(preview, jobId) {
+  if (!preview.jobId || preview.jobId === jobId) return false;
+  return new ObjectId(preview.jobId).getTimestamp() > new ObjectId(jobId).getTimestamp();
+}
+
+/**
+ * Deploys and tears down pull request previews, and keeps the PR comment up to date
+ */
+class PreviewDeploymentService {
+  /**
+   * Record a preview build that was just started for a pull request
+   * @param {Object} project - Project document
+   * @param {Object} pullRequest - GitHub pull_request payload
+   * @param {Object} repository - GitHub repository payload
+   * @param {string} jobId - The repo_deploy job building the preview
+   * @returns {Promise<Object>} - The preview record
+   */
+  async recordBuild(project, pullRequest, repository, jobId) {
+    const projectId = project._id.toString();
+    const prNumber = pullRequest.number;
+    const now = new Date();
+
+    await db.previews.updateOne(
+      { projectId, prNumber },
+      {
+        $set: {
+          alias: getPreviewAlias(prNumber),
+          ...getPreviewUrls(projectId, prNumber),
+          branch: pullRequest.head.ref,
+          headSha: pullRequest.head.sha,
+          title: pullRequest.title,
+          repository: {
+            owner: repository.owner.login,
+            name: repository.name,
+            fullName: repository.full_name,
+          },
+          status: PreviewStatus.BUILDING,
+          jobId,
+          updatedAt: now,
+        },
+        $setOnInsert: { projectId, prNumber, createdAt: now },
+      },
+      { upsert: true }
+    );
+
+    const preview = await db.previews.findOne({ projectId, prNumber });
+    await this.updateComment(preview, project);
+    return preview;
+  }
+
+  /**
+   * Record a pull request from a fork waiting for a maintainer to approve its build
+   * Approval is per commit: commits pushed after an approval wait for a new one.
+   * @param {Object} project - Project document
+   * @param {Object} pullRequest - GitHub pull_request payload
+   * @param {Object} repository - GitHub repository payload
+   * @param {string} gitToken - GitHub token used to comment on the PR
+   * @returns {Promise<Object>} - The preview record
+   */
+  async recordPendingApproval(project, pullRequest, repository, gitToken) {
+    const projectId = project._id.toString();
+    const prNumber = pullRequest.number;
+    const now = new Date();
+
+    await db.previews.updateOne(
+      { projectId, prNumber },
+      {
+        $set: {
+          alias: getPreviewAlias(prNumber),
+          ...getPreviewUrls(projectId, prNumber),
+          branch: pullRequest.head.ref,
+          headSha: pullRequest.head.sha,
+          title: pullRequest.title,
+          repository: {
+            owner: repository.owner.login,
+            name: repository.name,
+            fullName: repository.full_name,
+          },
+          fork: {
+            fullName: pullRequest.head.repo?.full_name || null,
+            cloneUrl: pullRequest.head.repo?.clone_url || null,
+            author: pullRequest.user?.login || null,
+          },
+          status: PreviewStatus.AWAITING_APPROVAL,
+          updatedAt: now,
+        },
+        $setOnInsert: { projectId, prNumber, createdAt: now },
+      },
+      { upsert: true }
+    );
+
+    const preview = await db.previews.findOne({ projectId, prNumber });
+    await this.updateComment(preview, project, gitToken);
+    return preview;
+  }
+
+  /**
+   * Build the pending commit of a pull request from a fork, approved by a maintainer
+   * @param {Object} project - Project document
+   * @param {number} prNumber - Pull request number
+   * @param {Object} user - Approving user ({ id, email })
+   * @returns {Promise<Object>} - The preview record
+   * @throws {PreviewError} - When no build is waiting for approval
+   */
+  async approve(project, prNumber, user) {
+    const projectId = project._id.toString();
+    const preview = await db.previews.findOne({ projectId, prNumber, status: PreviewStatus.AWAITING_APPROVAL });
+    if (!preview) {
+      throw new PreviewError(`Pull request #${prNumber} has no build waiting for approval`, "NOT_FOUND");
+    }
+    if (!preview.fork?.cloneUrl) {
+      throw new PreviewError("The fork of this pull request no longer exists", "PRECONDITION_FAILED");
+    }
+
+    const job = await cloudRunService.createJob("deploy-repo", {
+      ...buildUntrustedDeploymentData(project, {
+        commit: preview.headSha,
+        branch: preview.branch,
+        repoUrl: preview.fork.cloneUrl,
+      }),
+      preview: {
+        prNumber,
+        alias: preview.alias,
+      },
+      triggeredBy: user.email || user.id,
+    });
+    const jobId = job._id.toString();
+
+    // A commit pushed meanwhile keeps the preview waiting for its own approval
+    await db.previews.updateOne(
+      { _id: preview._id, headSha: preview.headSha, status: PreviewStatus.AWAITING_APPROVAL },
+      {
+        $set: {
+          status: PreviewStatus.BUILDING,
+          jobId,
+          approval: { userId: user.id, headSha: preview.headSha, approvedAt: new Date() },
+          updatedAt: new Date(),
+        },
+      }
+    );
+    console.log(`✅ Preview build of fork PR #${prNumber} (${preview.headSha}) approved by ${user.id}: ${jobId}`);
+
+    const updated = await db.previews.findOne({ _id: preview._id });
+    await this.updateComment(updated, project);
+    return updated;
+  }
+
+  /**
+   * Point the preview alias to a freshly built revision
+   * @param {Object} job - The completed repo_deploy job (with input.preview)
+   * @param {Object} outputData - Worker output for the job
+   * @returns {Promise<Object|null>} - The updated preview record, or null if the build is stale
+   */
+  async completeBuild(job, outputData) {
+    const jobId = job._id.toString();
+    const prNumber = job.input.preview.prNumber;
+    const preview = await db.previews.findOne({ projectId: job.projectId, prNumber });
+
+    // Only the latest build of an open PR may move the alias
+    if (!preview || isStaleBuild(preview, jobId) || preview.status === PreviewStatus.CLOSED) {
+      console.log(`⏭️ Ignoring stale preview build ${jobId} for PR #${prNumber}`);
+      return null;
+    }
+
+    await upload(
+      JSON.stringify({
+        rev: jobId,
+        commitSha: outputData?.repoInfo?.commitSha || preview.headSha,
+        updatedAt: new Date().toISOString(),
+      }),
+      getPointerKey(job.projectId, preview.alias),
+      { contentType: "application/json" }
+    );
+
+    await db.previews.updateOne(
+      { _id: preview._id },
+      {
+        $set: {
+          status: PreviewStatus.READY,
+          jobId,
+          rev: jobId,
+          error: null,
+          readyAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+    console.log(`🔍 Preview ${preview.alias} of project ${job.projectId} now serves revision ${jobId}`);
+
+    const updated = await db.previews.findOne({ _id: preview._id });
+    await this.updateComment(updated, null, job.input.gitToken);
+    return updated;
+  }
+
+  /**
+   * Mark the preview build as failed (the alias keeps serving the previous revision, if any)
+   * @param {Object} job - The failed repo_deploy job (with input.preview)
+   * @param {string} errorMessage - Failure reason
+   * @returns {Promise<void>}
+   */
+  async failBuild(job, errorMessage) {
+    const prNumber = job.input.preview.prNumber;
+    const preview = await db.previews.findOne({ projectId: job.projectId, prNumber });
+    if (!preview || isStaleBuild(preview, job._id.toString()) || preview.status === PreviewStatus.CLOSED) {
+      return;
+    }
+
+    await db.previews.updateOne(
+      { _id: preview._id },
+      { $set: { status: PreviewStatus.FAILED, error: errorMessage, updatedAt: new Date() } }
+    );
+
+    const updated = await db.previews.findOne({ _id: preview._id });
+    await this.updateComment(updated, null, job.input.gitToken);
+  }
+
+  /**
+   * Remove a preview when its pull request is closed or merged
+   * @param {Object} project - Project document
+   * @param {number} prNumber - Pull request number
+   * @param {boolean} merged - Whether the PR was merged
+   * @param {string} gitToken - GitHub token used to update the PR comment
+   * @returns {Promise<Object>} - Teardown result
+   */
+  async teardown(project, prNumber, merged, gitToken) {
+    const projectId = project._id.toString();
+    const preview = await db.previews.findOne({ projectId, prNumber });
+    if (!preview || preview.status === PreviewStatus.CLOSED) {
+      return { removed: false, reason: "No active preview for this pull request" };
+    }
+
+    // Stop serving the alias first, then clean up the revisions built for the PR
+    try {
+      await deleteObject(getPointerKey(projectId, preview.alias));
+    } catch (error) {
+      console.warn(`⚠️ Could not delete preview pointer for ${preview.alias}:`, error.message);
+    }
+
+    const previewJobs = await db.jobs
+      .find({ projectId, "input.preview.prNumber": prNumber }, { projection: { _id: 1 } })
+      .toArray();
+    const protectedRevisions = getProtectedRevisions(project);
+    let deletedObjects = 0;
+    for (const job of previewJobs) {
+      const jobId = job._id.toString();
+      // Never delete what is live, even if it was promoted by hand
+      if (protectedRevisions.has(jobId)) continue;
+      try {
+        deletedObjects += await deleteRevisionObjects(projectId, jobId);
+      } catch (error) {
+        console.warn(`⚠️ Could not delete preview revision ${jobId}:`, error.message);
+      }
+    }
+
+    await db.previews.updateOne(
+      { _id: preview._id },
+      {
+        $set: {
+          status: PreviewStatus.CLOSED,
+          merged: !!merged,
+          closedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+    console.log(`🧹 Tore down preview ${preview.alias} of project ${projectId} (${deletedObjects} objects deleted)`);
+
+    const updated = await db.previews.findOne({ _id: preview._id });
+    await this.updateComment(updated, project, gitToken);
+
+    return { removed: true, alias: preview.alias, revisions: previewJobs.length, deletedObjects };
+  }
+
+  /**
+   * Create or update the preview comment on the pull request
+   * Failures are logged and never fail the deployment
+   * @param {Object} preview - Preview record
+   * @param {Object} [project] - Project document (loaded when omitted)
+   * @param {string} [gitToken] - GitHub token (read from the preview job when omitted)
+   * @returns {Promise<void>}
+   */
+  async updateComment(preview, project = null, gitToken = null) {
+    try {
+      const projectDoc = project || await db.projects.findOne({ _id: new ObjectId(preview.projectId) });
+
+      let token = gitToken;
+      if (!token && preview.jobId) {
+        const job = await db.jobs.findOne({ _id: new ObjectId(preview.jobId) });
+        token = job?.input?.gitToken;
+      }
+      // Builds from forks carry no token: the API comments with the owner's
+      if (!token && projectDoc) {
+        token = await getProjectOwnerGitToken(projectDoc.ownerId);
+      }
+      if (!token) {
+        console.warn(`⚠️ No GitHub token to comment on PR #${preview.prNumber}`);
+        return;
+      }
+
+      const body = this.formatComment(preview, projectDoc);
+      const github = new GitHubService(token);
+      const { owner, name } = preview.repository;
+
+      if (preview.commentId) {
+        await github.updateIssueComment(owner, name, preview.commentId, body);
+      } else {
+        const comment = await github.createIssueComment(owner, name, preview.prNumber, body);
+        await db.previews.updateOne(
+          { _id: preview._id },
+          { $set: { commentId: comment.id, commentUrl: comment.html_url } }
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Failed to update preview comment on PR #${preview.prNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Build the markdown body of the PR comment
+   * @param {Object} preview - Preview record
+   * @param {Object} [project] - Project document
+   * @returns {string} - Comment body
+   */
+  formatComment(preview, project) {
+    const projectName = project?.name || preview.projectId;
+    const commit = (preview.headSha || "").slice(0, 7);
+    const statusLines = {
+      [PreviewStatus.AWAITING_APPROVAL]: "🔒 Awaiting approval – a maintainer must approve builds of pull requests from forks",
+      [PreviewStatus.BUILDING]: "⏳ Building",
+      [PreviewStatus.READY]: "✅ Ready",
+      [PreviewStatus.FAILED]: "❌ Failed",
+      [PreviewStatus.CLOSED]: preview.merged ? "🔀 Merged – preview removed" : "🗑️ Closed – preview removed",
+    };
+
+    const rows = [
+      `| **Status** | ${statusLines[preview.status] || preview.status} |`,
+      `| **Commit** | \`${commit}\` |`,
+    ];
+    // Nothing is served before the first approved build
+    if (preview.status !== PreviewStatus.CLOSED && (preview.status !== PreviewStatus.AWAITING_APPROVAL || preview.rev)) {
+      rows.push(`| **Preview** | ${preview.siteUrl} |`);
+      rows.push(`| **Content** | ${preview.contentUrl} |`);
+    }
+    if (preview.status === PreviewStatus.FAILED && preview.error) {
+      rows.push(`| **Error** | ${String(preview.error).split("\n")[0]} |`);
+    }
+
+    return [
+      COMMENT_MARKER,
+      `### 🔍 Repo.md preview for ${projectName}`,
+      "",
+      "| | |",
+      "|---|---|",
+      ...rows,
+    ].join("\n");
+  }
+}
+
+export default new PreviewDeploymentService();
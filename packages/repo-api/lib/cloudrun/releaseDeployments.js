@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Pinned release revisions
+// Projects can opt in (settings.build.releases) to build published GitHub releases ("releases")
+// or any pushed tag ("tags") as a non-active revision, exposed through the "release" alias:
+//   content: https://static.repo.md/projects/{projectId}/_preview/release/...  (resolved by repo-static)
+//   site:    https://release--{projectId}.preview.repo.md                     (resolved by repo-cname)
+// The pinned revision is stored on the project (project.release) and kept by revision cleanup.
+import { ObjectId } from "mongodb";
+import { db } from "../../db.js";
+import { upload } from "../r2.js";
+import { getAliasUrls, getPointerKey } from "./previewDeployments.js";
+
+export const RELEASE_ALIAS = "release";
+
+// Values of settings.build.releases
+export const ReleaseMode = {
+  OFF: "off",
+  RELEASES: "releases",
+  TAGS: "tags",
+};
+
+/**
+ * Get the stable URLs of the pinned release
+ * @param {string} projectId - Project ID
+ * @returns {{siteUrl: string, contentUrl: string}} - Release URLs
+ */
+export function getReleaseUrls(projectId) {
+  return getAliasUrls(projectId, RELEASE_ALIAS);
+}
+
+/**
+ * Builds and pins release revisions
+ */
+class ReleaseDeploymentService {
+  /**
+   * Record a release build that was just started
+   * The previously pinned revision keeps being served until the build completes.
+   * @param {Object} project - Project document
+   * @param {Object} release - { tag, name, url }
+   * @param {string} jobId - The repo_deploy job building the release
+   * @returns {Promise<void>}
+   */
+  async recordBuild(project, release, jobId) {
+    await db.projects.updateOne(
+      { _id: project._id },
+      {
+        $set: {
+          "release.pending": {
+            tag: release.tag,
+            name: release.name || release.tag,
+            url: release.url || null,
+            jobId,
+            startedAt: new Date(),
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Pin a freshly built release revision
+   * @param {Object} job - The completed repo_deploy job (with input.release)
+   * @param {Object} outputData - Worker output for the job
+   * @returns {Promise<Object|null>} - The pinned release, or null if the build is stale
+   */
+  async completeBuild(job, outputData) {
+    const jobId = job._id.toString();
+    const project = await db.projects.findOne({ _id: new ObjectId(job.projectId) });
+    const pending = project?.release?.pending;
+
+    // Only the latest release build may move the alias
+    if (!pending || pending.jobId !== jobId) {
+      console.log(`⏭️ Ignoring stale release build ${jobId} for project ${job.projectId}`);
+      return null;
+    }
+
+    const commitSha = outputData?.repoInfo?.commitSha || job.input.commit || null;
+    await upload(
+      JSON.stringify({ rev: jobId, commitSha, updatedAt: new Date().toISOString() }),
+      getPointerKey(job.projectId, RELEASE_ALIAS),
+      { contentType: "application/json" }
+    );
+
+    const release = {
+      tag: pending.tag,
+      name: pending.name,
+      url: pending.url,
+      rev: jobId,
+      commitSha,
+      ...getReleaseUrls(job.projectId),
+      pinnedAt: new Date(),
+      pending: null,
+      error: null,
+    };
+    await db.projects.updateOne({ _id: project._id }, { $set: { release } });
+    console.log(`📌 Release ${release.tag} of project ${job.projectId} pinned to revision ${jobId}`);
+
+    return release;
+  }
+
+  /**
+   * Record a failed release build (the previously pinned revision stays pinned)
+   * @param {Object} job - The failed repo_deploy job (with input.release)
+   * @param {string} errorMessage - Failure reason
+   * @returns {Promise<void>}
+   */
+  async failBuild(job, errorMessage) {
+    const jobId = job._id.toString();
+    await db.projects.updateOne(
+      { _id: new ObjectId(job.projectId), "release.pending.jobId": jobId },
+      {
+        $set: {
+          "release.pending": null,
+          "release.error": { tag: job.input.release.tag, message: errorMessage, failedAt: new Date() },
+        },
+      }
+    );
+  }
+}
+
+export default new ReleaseDeploymentService();
@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Garbage collection of deploy revisions (R2 objects under projects/{projectId}/{jobId}/)
+import { db } from "../../db.js";
+import { deleteObject, listObjects } from "../r2.js";
+
+/**
+ * Get the revisions of a project that must never be deleted
+ * @param {Object} project - Project document
+ * @returns {Set<string>} - Job IDs of the live and pinned release revisions
+ */
+export function getProtectedRevisions(project) {
+  return new Set([project.activeRev, project.release?.rev].filter(Boolean));
+}
+
+/**
+ * Delete the stored objects of a revision
+ * @param {string} projectId - Project ID
+ * @param {string} jobId - Job ID of the revision
+ * @returns {Promise<number>} - Number of deleted objects
+ */
+export async function deleteRevisionObjects(projectId, jobId) {
+  const objects = await listObjects({ prefix: `projects/${projectId}/${jobId}/` });
+  for (const object of objects) {
+    await deleteObject(object.key);
+  }
+  return objects.length;
+}
+
+/**
+ * Delete the revisions built from a branch once the branch is deleted
+ * Previews are torn down with their pull request; the live and pinned release
+ * revisions are kept even if they were built from the branch.
+ * @param {Object} project - Project document
+ * @param {string} branch - Deleted branch
+ * @returns {Promise<Object>} - { revisions, deletedObjects, kept }
+ */
+export async function deleteBranchRevisions(project, branch) {
+  const projectId = project._id.toString();
+  const protectedRevisions = getProtectedRevisions(project);
+
+  const jobs = await db.jobs
+    .find(
+      {
+        projectId,
+        type: "repo_deploy",
+        "input.branch": branch,
+        "input.preview": { $exists: false },
+        revisionDeleted: { $ne: true },
+      },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+
+  const deletedRevisions = [];
+  const kept = [];
+  let deletedObjects = 0;
+  for (const job of jobs) {
+    const jobId = job._id.toString();
+    if (protectedRevisions.has(jobId)) {
+      kept.push(jobId);
+      continue;
+    }
+    try {
+      deletedObjects += await deleteRevisionObjects(projectId, jobId);
+      deletedRevisions.push(job._id);
+    } catch (error) {
+      console.warn(`⚠️ Could not delete revision ${jobId} of branch ${branch}:`, error.message);
+    }
+  }
+
+  if (deletedRevisions.length > 0) {
+    await db.jobs.updateMany(
+      { _id: { $in: deletedRevisions } },
+      { $set: { revisionDeleted: true, revisionDeletedAt: new Date() } }
+    );
+  }
+  console.log(`🧹 Deleted ${deletedRevisions.length} revision(s) of branch ${branch} for project ${projectId} (${deletedObjects} objects deleted)`);
+
+  return { revisions: deletedRevisions.map((id) => id.toString()), deletedObjects, kept };
+}
@@ -0,0 +1,281 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Diff between two published revisions (completed repo_deploy jobs)
+// Computed from the index files every build writes next to its content in R2:
+//   posts-path-map.json       originalFilePath -> post hash
+//   posts-slug-map.json       slug (locale-qualified outside the default locale) -> post hash
+//   _posts/hash/{hash}.json   individual post (frontmatter, title...)
+//   media-path-hash-map.json  original media path -> media hash
+//   processor-issues.json     processing issues, including broken links
+import { ObjectId } from "mongodb";
+import fetch from "node-fetch";
+import { db } from "../../db.js";
+
+// Modified posts whose frontmatter is compared (each one costs two fetches)
+const MAX_FRONTMATTER_DIFFS = 200;
+const FETCH_CONCURRENCY = 10;
+
+/**
+ * Find a completed revision of a project
+ * @param {string} projectId - Project ID
+ * @param {string} revisionId - Job ID of the revision
+ * @returns {Promise<Object|null>} - The repo_deploy job, or null if not found
+ */
+export async function getRevision(projectId, revisionId) {
+  if (!revisionId || !ObjectId.isValid(revisionId)) return null;
+  return db.jobs.findOne({
+    _id: new ObjectId(revisionId),
+    projectId: projectId,
+    type: "repo_deploy",
+    status: "completed",
+  });
+}
+
+/**
+ * Fetch a JSON file of a revision
+ * @param {Object} revision - The repo_deploy job
+ * @param {string} filePath - Path relative to the revision root
+ * @returns {Promise<any|null>} - Parsed JSON, or null if missing
+ */
+async function fetchRevisionJson(revision, filePath) {
+  const baseUrl = revision.output?.publishInfo?.publicContentUrl;
+  if (!baseUrl) return null;
+
+  const response = await fetch(`${baseUrl}/${filePath}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${filePath} of revision ${revision._id}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Run an async mapper over items with limited concurrency
+ * @param {Array} items - Items to map
+ * @param {Function} mapper - Async mapper
+ * @returns {Promise<Array>} - Mapped results, in order
+ */
+async function mapWithConcurrency(items, mapper) {
+  const results = [];
+  for (let i = 0; i < items.length; i += FETCH_CONCURRENCY) {
+    const chunk = items.slice(i, i + FETCH_CONCURRENCY);
+    results.push(...(await Promise.all(chunk.map((item, j) => mapper(item, i + j)))));
+  }
+  return results;
+}
+
+/**
+ * Invert a key -> hash map into hash -> key
+ * @param {Object} map - Map to invert
+ * @returns {Map<string, string>} - Inverted map
+ */
+function invertMap(map) {
+  const inverted = new Map();
+  for (const [key, hash] of Object.entries(map || {})) {
+    inverted.set(hash, key);
+  }
+  return inverted;
+}
+
+/**
+ * Compare two key -> hash maps
+ * @param {Object} fromMap - Map of the base revision
+ * @param {Object} toMap - Map of the target revision
+ * @returns {{added: Array<string>, removed: Array<string>, modified: Array<string>, unchanged: number}} - Keys per change type
+ */
+function diffHashMaps(fromMap = {}, toMap = {}) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const [key, hash] of Object.entries(toMap)) {
+    if (!(key in fromMap)) added.push(key);
+    else if (fromMap[key] !== hash) modified.push(key);
+    else unchanged++;
+  }
+  for (const key of Object.keys(fromMap)) {
+    if (!(key in toMap)) removed.push(key);
+  }
+
+  return { added, removed, modified, unchanged };
+}
+
+/**
+ * Compare the frontmatter of two versions of a post
+ * @param {Object} fromFrontmatter - Frontmatter in the base revision
+ * @param {Object} toFrontmatter - Frontmatter in the target revision
+ * @returns {{added: Object, removed: Object, changed: Object}} - Field changes
+ */
+export function diffFrontmatter(fromFrontmatter = {}, toFrontmatter = {}) {
+  const added = {};
+  const removed = {};
+  const changed = {};
+
+  for (const [field, value] of Object.entries(toFrontmatter)) {
+    if (!(field in fromFrontmatter)) {
+      added[field] = value;
+    } else if (JSON.stringify(fromFrontmatter[field]) !== JSON.stringify(value)) {
+      changed[field] = { from: fromFrontmatter[field], to: value };
+    }
+  }
+  for (const [field, value] of Object.entries(fromFrontmatter)) {
+    if (!(field in toFrontmatter)) removed[field] = value;
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Extract broken links from a processor issues report, keyed by file and target
+ * @param {Object} issuesReport - Content of processor-issues.json
+ * @returns {Map<string, Object>} - Broken links
+ */
+function getBrokenLinks(issuesReport) {
+  const links = new Map();
+  for (const issue of issuesReport?.issues || []) {
+    if (issue.category !== "broken-link") continue;
+    const link = {
+      filePath: issue.filePath || null,
+      linkTarget: issue.context?.linkTarget || null,
+      linkType: issue.context?.linkType || null,
+      message: issue.message,
+    };
+    links.set(`${link.filePath}::${link.linkTarget}`, link);
+  }
+  return links;
+}
+
+/**
+ * Summarize a revision for the diff response
+ * @param {Object} revision - The repo_deploy job
+ * @returns {Object} - Revision summary
+ */
+function describeRevision(revision) {
+  return {
+    jobId: revision._id.toString(),
+    deployedAt: revision.completedAt,
+    commit: revision.output?.repoInfo?.commitSha || revision.input?.commit || "latest",
+    branch: revision.input?.branch || "main",
+    preview: revision.input?.preview || null,
+  };
+}
+
+/**
+ * Compute what changes between two revisions
+ * @param {Object} fromRevision - Base revision (typically the active one)
+ * @param {Object} toRevision - Target revision
+ * @returns {Promise<Object>} - Posts, media and broken link changes
+ */
+export async function diffRevisions(fromRevision, toRevision) {
+  const files = [
+    "posts-path-map.json",
+    "posts-slug-map.json",
+    "media-path-hash-map.json",
+    "processor-issues.json",
+  ];
+  const [fromFiles, toFiles] = await Promise.all(
+    [fromRevision, toRevision].map((revision) =>
+      Promise.all(files.map((file) => fetchRevisionJson(revision, file)))
+    )
+  );
+  const [fromPaths, fromSlugs, fromMedias, fromIssues] = fromFiles;
+  const [toPaths, toSlugs, toMedias, toIssues] = toFiles;
+
+  // Older builds may miss some index files: report it instead of pretending nothing changed
+  const missingFiles = [];
+  files.forEach((file, i) => {
+    if (fromFiles[i] === null) missingFiles.push({ revision: "from", file });
+    if (toFiles[i] === null) missingFiles.push({ revision: "to", file });
+  });
+
+  // Posts are identified by their source path; hashes change with content
+  const fromSlugByHash = invertMap(fromSlugs);
+  const toSlugByHash = invertMap(toSlugs);
+  const postChanges = diffHashMaps(fromPaths || {}, toPaths || {});
+
+  const added = postChanges.added.map((path) => ({
+    path,
+    hash: toPaths[path],
+    slug: toSlugByHash.get(toPaths[path]) || null,
+  }));
+  const removed = postChanges.removed.map((path) => ({
+    path,
+    hash: fromPaths[path],
+    slug: fromSlugByHash.get(fromPaths[path]) || null,
+  }));
+
+  const modified = await mapWithConcurrency(postChanges.modified, async (path, index) => {
+    const fromHash = fromPaths[path];
+    const toHash = toPaths[path];
+    const change = {
+      path,
+      fromHash,
+      toHash,
+      slug: toSlugByHash.get(toHash) || null,
+      previousSlug: fromSlugByHash.get(fromHash) || null,
+      frontmatter: null,
+    };
+
+    if (index < MAX_FRONTMATTER_DIFFS) {
+      const [fromPost, toPost] = await Promise.all([
+        fetchRevisionJson(fromRevision, `_posts/hash/${fromHash}.json`).catch(() => null),
+        fetchRevisionJson(toRevision, `_posts/hash/${toHash}.json`).catch(() => null),
+      ]);
+      if (fromPost && toPost) {
+        change.title = toPost.title;
+        change.frontmatter = diffFrontmatter(fromPost.frontmatter, toPost.frontmatter);
+      }
+    }
+
+    return change;
+  });
+
+  const mediaChanges = diffHashMaps(fromMedias || {}, toMedias || {});
+
+  const fromBrokenLinks = getBrokenLinks(fromIssues);
+  const toBrokenLinks = getBrokenLinks(toIssues);
+  const newBrokenLinks = [...toBrokenLinks].filter(([key]) => !fromBrokenLinks.has(key)).map(([, link]) => link);
+  const fixedBrokenLinks = [...fromBrokenLinks].filter(([key]) => !toBrokenLinks.has(key)).map(([, link]) => link);
+
+  return {
+    from: describeRevision(fromRevision),
+    to: describeRevision(toRevision),
+    posts: {
+      added,
+      removed,
+      modified,
+      unchanged: postChanges.unchanged,
+      frontmatterTruncated: postChanges.modified.length > MAX_FRONTMATTER_DIFFS,
+    },
+    medias: {
+      added: mediaChanges.added.map((path) => ({ path, hash: toMedias[path] })),
+      removed: mediaChanges.removed.map((path) => ({ path, hash: fromMedias[path] })),
+      modified: mediaChanges.modified.map((path) => ({
+        path,
+        fromHash: fromMedias[path],
+        toHash: toMedias[path],
+      })),
+      unchanged: mediaChanges.unchanged,
+    },
+    brokenLinks: {
+      added: newBrokenLinks,
+      resolved: fixedBrokenLinks,
+      fromCount: fromBrokenLinks.size,
+      toCount: toBrokenLinks.size,
+    },
+    summary: {
+      postsAdded: added.length,
+      postsRemoved: removed.length,
+      postsModified: modified.length,
+      mediasAdded: mediaChanges.added.length,
+      mediasRemoved: mediaChanges.removed.length,
+      mediasModified: mediaChanges.modified.length,
+      brokenLinksDelta: toBrokenLinks.size - fromBrokenLinks.size,
+    },
+    missingFiles,
+  };
+}
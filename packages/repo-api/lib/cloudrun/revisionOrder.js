@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Ordering of deploy revisions (repo_deploy jobs) by commit
+import { ObjectId } from "mongodb";
+
+/**
+ * Get the point in time a revision represents.
+ * Uses the commit date recorded by the worker, falling back to the job creation time
+ * for revisions built before commit dates were recorded.
+ * @param {Object} job - A repo_deploy job document
+ * @returns {number} - Timestamp in ms
+ */
+export function getRevisionTimestamp(job) {
+  const commitDate = job?.output?.repoInfo?.commitDate;
+  if (commitDate) {
+    const time = new Date(commitDate).getTime();
+    if (!Number.isNaN(time)) return time;
+  }
+  return new ObjectId(job._id.toString()).getTimestamp().getTime();
+}
+
+/**
+ * Check whether a revision comes after another one in commit order
+ * @param {Object} candidate - The revision that may become active
+ * @param {Object} current - The currently active revision
+ * @returns {boolean} - True if candidate is strictly newer than current
+ */
+export function isNewerRevision(candidate, current) {
+  if (!current) return true;
+
+  const candidateSha = candidate.output?.repoInfo?.commitSha;
+  const currentSha = current.output?.repoInfo?.commitSha;
+  if (candidateSha && candidateSha === currentSha) {
+    // Same commit rebuilt: the most recent build wins
+    return new ObjectId(candidate._id.toString()).getTimestamp() > new ObjectId(current._id.toString()).getTimestamp();
+  }
+
+  return getRevisionTimestamp(candidate) > getRevisionTimestamp(current);
+}
@@ -0,0 +1,231 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Rollback of the live revision (project.activeRev) to a previous deploy revision
+// A rollback checks that the target revision's artifacts are still in R2, switches activeRev,
+// purges the CDN responses exposing the active revision, writes an audit entry (auditLogs),
+// dispatches the deployment.rolled_back webhook and notifies Slack.
+// The next completed deploy of a newer commit goes live again as usual.
+import { ObjectId } from "mongodb";
+import { db } from "../../db.js";
+import { objectExists } from "../r2.js";
+import { purgeProjectCache } from "../cdnCache.js";
+import outgoingWebhookDispatcher from "../webhooks/OutgoingWebhookDispatcher.js";
+import deploymentNotifier from "../slack/deploymentNotifier.js";
+
+export const ROLLBACK_AUDIT_ACTION = "deployment.rollback";
+
+// Files every revision must still have to be served (relative to projects/{projectId}/{jobId}/)
+export const REQUIRED_REVISION_ARTIFACTS = ["posts.json"];
+
+/**
+ * Rollback failure, with a tRPC error code
+ */
+export class RollbackError extends Error {
+  constructor(message, code = "BAD_REQUEST") {
+    super(message);
+    this.name = "RollbackError";
+    this.code = code;
+  }
+}
+
+/**
+ * Summarize a revision for webhooks, notifications and the audit trail
+ * @param {Object|null} job - repo_deploy job
+ * @returns {Object|null} - { jobId, commit, branch, deployedAt }
+ */
+function describeRevision(job) {
+  if (!job) return null;
+  return {
+    jobId: job._id.toString(),
+    commit: job.input?.commit || null,
+    branch: job.input?.branch || null,
+    deployedAt: job.completedAt || null,
+  };
+}
+
+/**
+ * Switches the live revision back to an earlier one
+ */
+class RevisionRollbackService {
+  /**
+   * Filter matching the revisions a project can go live with
+   * @param {string} projectId - Project ID
+   * @returns {Object} - Jobs filter
+   */
+  getRevisionFilter(projectId) {
+    return {
+      projectId,
+      type: "repo_deploy",
+      status: "completed",
+      "input.preview": { $exists: false }, // Preview builds never go live
+      revisionDeleted: { $ne: true },
+    };
+  }
+
+  /**
+   * Find the revision that went live before the active one
+   * @param {Object} project - Project document
+   * @returns {Promise<Object|null>} - The previous revision job
+   */
+  async findPreviousRevision(project) {
+    if (!project.activeRev) return null;
+
+    const active = await db.jobs.findOne({ _id: new ObjectId(project.activeRev) });
+    if (!active) return null;
+
+    return db.jobs.findOne(
+      {
+        ...this.getRevisionFilter(project._id.toString()),
+        _id: { $ne: active._id },
+        completedAt: { $lt: active.completedAt },
+      },
+      { sort: { completedAt: -1 } }
+    );
+  }
+
+  /**
+   * List the required artifacts a revision no longer has in R2
+   * @param {string} projectId - Project ID
+   * @param {string} jobId - Job ID of the revision
+   * @returns {Promise<string[]>} - Missing artifacts (empty when the revision can be served)
+   */
+  async findMissingArtifacts(projectId, jobId) {
+    const missing = [];
+    for (const artifact of REQUIRED_REVISION_ARTIFACTS) {
+      if (!(await objectExists(`projects/${projectId}/${jobId}/${artifact}`))) {
+        missing.push(artifact);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Roll a project back to a previous revision
+   * @param {Object} project - Project document
+   * @param {string|null} revisionId - Target revision (defaults to the revision before the active one)
+   * @param {Object} options
+   * @param {Object} [options.user] - User rolling back ({ id, email })
+   * @param {string} [options.source] - Where the rollback comes from (dashboard, webhook, agent)
+   * @param {string} [options.reason] - Free-form reason, kept in the audit trail
+   * @returns {Promise<Object>} - { fromRevision, toRevision, auditId, cache }
+   */
+  async rollback(project, revisionId, { user = null, source = "dashboard", reason = null } = {}) {
+    const projectId = project._id.toString();
+
+    let target;
+    if (revisionId) {
+      target = ObjectId.isValid(revisionId)
+        ? await db.jobs.findOne({ ...this.getRevisionFilter(projectId), _id: new ObjectId(revisionId) })
+        : null;
+      if (!target) {
+        throw new RollbackError("Revision not found or is not a completed deployment for this project", "NOT_FOUND");
+      }
+    } else {
+      target = await this.findPreviousRevision(project);
+      if (!target) {
+        throw new RollbackError("No previous revision to roll back to", "NOT_FOUND");
+      }
+    }
+
+    const targetId = target._id.toString();
+    if (targetId === project.activeRev) {
+      throw new RollbackError("Revision is already active", "PRECONDITION_FAILED");
+    }
+
+    const missing = await this.findMissingArtifacts(projectId, targetId);
+    if (missing.length > 0) {
+      throw new RollbackError(
+        `Revision ${targetId} can no longer be served, missing: ${missing.join(", ")}`,
+        "PRECONDITION_FAILED"
+      );
+    }
+
+    const current = project.activeRev
+      ? await db.jobs.findOne({ _id: new ObjectId(project.activeRev) })
+      : null;
+
+    // Only switch if nothing else moved activeRev since the project was read
+    const { matchedCount } = await db.projects.updateOne(
+      { _id: project._id, activeRev: project.activeRev ?? null },
+      { $set: { activeRev: targetId, updatedAt: new Date() } }
+    );
+    if (matchedCount === 0) {
+      throw new RollbackError("The active revision changed during the rollback, please retry", "CONFLICT");
+    }
+
+    const fromRevision = describeRevision(current) || (project.activeRev ? { jobId: project.activeRev } : null);
+    const toRevision = describeRevision(target);
+    console.log(`⏪ Project ${projectId} rolled back from ${fromRevision?.jobId} to ${targetId}`);
+
+    // Record the switch first, so it is audited even if a side effect below fails
+    const rolledBackAt = new Date();
+    const { insertedId: auditId } = await db.auditLogs.insertOne({
+      action: ROLLBACK_AUDIT_ACTION,
+      userId: user?.id || null,
+      projectId,
+      jobId: targetId,
+      source,
+      metadata: {
+        fromRevision,
+        toRevision,
+        reason,
+        cache: null,
+      },
+      timestamp: rolledBackAt,
+    });
+
+    let cache;
+    try {
+      cache = await purgeProjectCache(projectId);
+    } catch (error) {
+      console.warn(`⚠️ Could not purge CDN cache for project ${projectId}:`, error.message);
+      cache = { purged: false, error: error.message };
+    }
+
+    try {
+      await db.auditLogs.updateOne({ _id: auditId }, { $set: { "metadata.cache": cache } });
+    } catch (error) {
+      console.warn(`⚠️ Could not record the cache purge of rollback ${auditId}:`, error.message);
+    }
+
+    try {
+      await outgoingWebhookDispatcher.dispatch(projectId, "deployment.rolled_back", {
+        projectId,
+        jobId: targetId,
+        fromRevision,
+        toRevision,
+        rolledBackBy: user?.id || null,
+        source,
+        reason,
+        rolledBackAt,
+      });
+    } catch (error) {
+      console.error(`❌ Could not dispatch deployment.rolled_back for project ${projectId}:`, error.message);
+    }
+
+    try {
+      await deploymentNotifier.notifyRollback({
+        auditId,
+        project,
+        fromRevision,
+        toRevision,
+        user,
+        reason,
+      });
+    } catch (error) {
+      console.error(`❌ Could not send the rollback notification for project ${projectId}:`, error.message);
+    }
+
+    return {
+      fromRevision,
+      toRevision,
+      auditId: auditId.toString(),
+      cache,
+    };
+  }
+}
+
+export default new RevisionRollbackService();
@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+// Deploy job data for deployments triggered by git provider webhooks
+import { db } from "../../db.js";
+
+// GitHub author associations whose pull requests from forks are built without approval
+export const TRUSTED_AUTHOR_ASSOCIATIONS = ["OWNER", "MEMBER", "COLLABORATOR"];
+
+/**
+ * Get GitHub token for project owner
+ * @param {string} ownerId - Project owner user ID
+ * @returns {Promise<string|null>} - GitHub token or null
+ */
+export async function getProjectOwnerGitToken(ownerId) {
+  try {
+    const user = await db.users.findOne({ id: ownerId });
+    
+    if (user && user.githubSupaToken) {
+      return user.githubSupaToken;
+    }
+    
+    // Fallback to environment token
+    return process.env.TEMP_GH_TOKEN_FELIX;
+  } catch (error) {
+    console.error(`Error getting GitHub token for user ${ownerId}:`, error);
+    return process.env.TEMP_GH_TOKEN_FELIX;
+  }
+}
+
+/**
+ * Check whether a pull request comes from another repository (a fork)
+ * @param {Object} pullRequest - GitHub pull_request payload
+ * @param {Object} repository - GitHub repository payload (the base repository)
+ * @returns {boolean} - True unless the head branch lives in the base repository
+ */
+export function isForkPullRequest(pullRequest, repository) {
+  return pullRequest.head.repo?.full_name !== repository.full_name;
+}
+
+/**
+ * Build the deploy-repo job data shared by webhook-triggered deployments
+ * @param {Object} project - Project document
+ * @param {Object} source - What to build ({ commit, branch, gitToken, repoUrl, gitProvider, gitBaseUrl })
+ * @returns {Object} - Deployment job data
+ */
+export function buildDeploymentData(project, { commit, branch, gitToken, repoUrl, gitProvider, gitBaseUrl }) {
+  // Build the static domain URL for absolute paths
+  const projectSlugValue = project.slug || project.name;
+  const orgSlugValue = project.orgId || "_unknown-org-slug";
+  const staticDomain = `https://static.repo.md/${orgSlugValue}/${projectSlugValue}`;
+
+  return {
+    projectId: project._id.toString(),
+    userId: project.ownerId,
+    commit: commit,
+    branch: branch,
+    gitToken: gitToken,
+    repoUrl: repoUrl,
+    // Provider of repoUrl for non-GitHub repositories, used to authenticate the clone
+    ...(gitProvider && { gitProvider, gitBaseUrl }),
+    projectSlug: projectSlugValue,
+    orgSlug: orgSlugValue,
+    orgId: project.orgId,
+    // Build settings from project settings
+    repositoryFolder: project.settings?.build?.repositoryFolder || "",
+    ignoreFiles: project.settings?.build?.ignoreFiles || "",
+    i18n: project.settings?.build?.i18n || null,
+    // Formatting settings for media/link paths
+    notePrefix: project.formatting?.pageLinkPrefix || "",
+    mediaPrefix: project.formatting?.mediaPrefix || "/_repo/medias",
+    domain: staticDomain, // Always use absolute paths with static.repo.md
+    // Media settings (image quality) and embedding settings for the worker
+    projectSettings: { media: project.media || {}, ai: project.settings?.ai || {} },
+  };
+}
+
+/**
+ * Build the deploy-repo job data for untrusted sources (pull requests from forks)
+ * The repository is cloned anonymously, and no token or API key is sent to the worker.
+ * @param {Object} project - Project document
+ * @param {Object} source - What to build ({ commit, branch, repoUrl })
+ * @returns {Object} - Deployment job data
+ */
+export function buildUntrustedDeploymentData(project, { commit, branch, repoUrl }) {
+  const data = buildDeploymentData(project, { commit, branch, gitToken: null, repoUrl });
+  const { apiKey, ...ai } = data.projectSettings.ai;
+
+  return {
+    ...data,
+    untrustedSource: true,
+    projectSettings: { ...data.projectSettings, ai },
+  };
+}
@@ -1,14 +1,24 @@
 /**
  * Git File Service - Provider-agnostic interface for git file operations
- * Supports GitHub now, can be extended for GitLab, Bitbucket, etc.
+ * Supports GitHub, GitLab (gitlab.com or self-managed) and Gitea/Forgejo
  */
 
 import GitHubService from "./githubService.js";
+import GitLabService from "./gitlabService.js";
+import GiteaService from "./giteaService.js";
+import { getProviderBaseUrl } from "./gitProviders.js";
 
 class GitFileService {
-  constructor(provider, token) {
+  /**
+   * @param {string} provider - Git provider (github, gitlab, gitea, forgejo)
+   * @param {string} token - Provider access token
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Instance URL for self-hosted providers
+   */
+  constructor(provider, token, options = {}) {
     this.provider = provider;
     this.token = token;
+    this.baseUrl = getProviderBaseUrl(provider, options.baseUrl);
     
     // Initialize the appropriate service based on provider
     switch (provider) {
@@ -16,8 +26,14 @@ class GitFileService {
         this.service = new GitHubService(token);
         break;
       case 'gitlab':
-        // this.service = new GitLabService(token);
-        throw new Error('GitLab provider not yet implemented');
+        this.service = new GitLabService(token, { baseUrl: this.baseUrl });
+        break;
+      case 'gitea':
+        this.service = new GiteaService(token, { baseUrl: this.baseUrl });
+        break;
+      case 'forgejo':
+        this.service = new GiteaService(token, { baseUrl: this.baseUrl, name: 'Forgejo' });
+        break;
       default:
         throw new Error(`Unsupported provider: ${provider}`);
     }
@@ -0,0 +1,166 @@
+/**
+ * Git provider helpers - resolve a project's provider, repository and access token
+ * Projects hosted on GitHub are linked through `githubRepo`; other providers are set
+ * in `settings.git` ({ provider, baseUrl }) next to the project's `repoUrl`.
+ */
+
+import { db } from "../db.js";
+
+// Supported git providers (Forgejo uses the Gitea API)
+export const GIT_PROVIDERS = ["github", "gitlab", "gitea", "forgejo"];
+
+// Public instance of each provider, used when no base URL is configured
+const DEFAULT_BASE_URLS = {
+  github: "https://github.com",
+  gitlab: "https://gitlab.com",
+  gitea: "https://gitea.com",
+  forgejo: "https://codeberg.org",
+};
+
+// Well-known hosts, used to detect the provider of a repository URL
+const KNOWN_HOSTS = {
+  "github.com": "github",
+  "gitlab.com": "gitlab",
+  "gitea.com": "gitea",
+  "codeberg.org": "forgejo",
+};
+
+/**
+ * Get the instance URL of a provider
+ * @param {string} provider - Git provider
+ * @param {string} baseUrl - Configured instance URL (optional)
+ * @returns {string} - Instance URL without trailing slash
+ */
+export function getProviderBaseUrl(provider, baseUrl) {
+  return (baseUrl || DEFAULT_BASE_URLS[provider] || "").replace(/\/+$/, "");
+}
+
+/**
+ * Parse a repository URL (https or ssh)
+ * Owners may contain slashes (GitLab subgroups). When the instance is served under a
+ * sub-path (https://example.com/git), pass its base URL so the path is stripped.
+ * @param {string} repoUrl - Repository URL
+ * @param {string} baseUrl - Instance URL (optional)
+ * @returns {Object|null} - { host, owner, repo, fullName } or null
+ */
+export function parseRepoUrl(repoUrl, baseUrl = null) {
+  if (!repoUrl) return null;
+
+  let host;
+  let repoPath;
+  const sshMatch = repoUrl.match(/^(?:ssh:\/\/)?[^@/]+@([^:/]+)(?::\d+)?[:/](.+)$/);
+  if (sshMatch) {
+    [, host, repoPath] = sshMatch;
+  } else {
+    try {
+      const url = new URL(repoUrl);
+      host = url.host;
+      repoPath = url.pathname;
+      const basePath = baseUrl ? new URL(baseUrl).pathname.replace(/\/+$/, "") : "";
+      if (basePath && repoPath.startsWith(`${basePath}/`)) {
+        repoPath = repoPath.slice(basePath.length);
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  const segments = repoPath
+    .replace(/\.git\/?$/, "")
+    .split("/")
+    .filter(Boolean);
+  if (segments.length < 2) return null;
+
+  const repo = segments.pop();
+  const owner = segments.join("/");
+  return { host, owner, repo, fullName: `${owner}/${repo}` };
+}
+
+/**
+ * Get the git provider and repository of a project
+ * @param {Object} project - Project document
+ * @returns {Object|null} - { provider, baseUrl, owner, repo, fullName } or null if not linked
+ */
+export function getProjectGitProvider(project) {
+  const gitSettings = project.settings?.git || {};
+  const githubInfo = project.githubRepo || project.github;
+
+  if ((!gitSettings.provider || gitSettings.provider === "github") && githubInfo?.owner && githubInfo?.repoName) {
+    return {
+      provider: "github",
+      baseUrl: DEFAULT_BASE_URLS.github,
+      owner: githubInfo.owner,
+      repo: githubInfo.repoName,
+      fullName: githubInfo.fullName || `${githubInfo.owner}/${githubInfo.repoName}`,
+    };
+  }
+
+  const parsed = parseRepoUrl(project.repoUrl, gitSettings.baseUrl);
+  if (!parsed) return null;
+
+  const provider = gitSettings.provider || KNOWN_HOSTS[parsed.host];
+  if (!provider) return null;
+
+  return {
+    provider,
+    baseUrl: getProviderBaseUrl(provider, gitSettings.baseUrl || (KNOWN_HOSTS[parsed.host] ? null : `https://${parsed.host}`)),
+    owner: parsed.owner,
+    repo: parsed.repo,
+    fullName: parsed.fullName,
+  };
+}
+
+/**
+ * Get the push webhook URL of a project for a provider
+ * GitLab, Gitea and Forgejo webhooks are set per project, with the project's own secret.
+ * @param {string} provider - Git provider (gitlab, gitea, forgejo)
+ * @param {string} projectId - Project ID
+ * @returns {string} - Webhook URL
+ */
+export function getGitWebhookUrl(provider, projectId) {
+  const baseUrl = process.env.API_BASE_URL || "https://api.repo.md";
+  return `${baseUrl}/api/git/${provider}/webhook/${projectId}`;
+}
+
+/**
+ * Get the host of an instance URL, used to match saved tokens
+ * @param {string} baseUrl - Instance URL
+ * @returns {string|null}
+ */
+function getHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a user's access token for a git provider instance
+ * GitHub uses the token saved at sign-in; other providers use the tokens saved per
+ * instance in `gitProviderTokens` ([{ provider, baseUrl, token, updatedAt }]).
+ * The instance URL must come from stored settings (getProjectGitProvider), never from a request:
+ * without one, no token is returned.
+ * @param {string} userId - User ID
+ * @param {Object} gitInfo - Provider info ({ provider, baseUrl })
+ * @returns {Promise<string|null>} - Access token or null
+ */
+export async function getUserGitToken(userId, { provider, baseUrl } = {}) {
+  try {
+    const user = await db.users.findOne({ id: userId });
+    if (!user) return null;
+
+    if (!provider || provider === "github") {
+      return user.githubSupaToken || null;
+    }
+
+    if (!baseUrl) return null;
+
+    const host = getHost(getProviderBaseUrl(provider, baseUrl));
+    const entry = (user.gitProviderTokens || []).find((item) => getHost(item.baseUrl) === host);
+    return entry?.token || null;
+  } catch (error) {
+    console.log(`Failed to get ${provider} token from user record for user ${userId}:`, error.message);
+    return null;
+  }
+}
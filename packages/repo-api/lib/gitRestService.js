@@ -0,0 +1,98 @@
+// git-rest-service.js
+import { assertPublicUrl } from "./publicUrl.js";
+
+/**
+ * Base class for the git providers reached through plain REST calls (GitLab, Gitea, Forgejo)
+ * Handles authentication headers, query strings, JSON bodies and errors shaped like Octokit's
+ */
+class GitRestService {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name, used in logs
+   * @param {string} options.apiUrl - API root (e.g. https://gitlab.com/api/v4)
+   * @param {Object} options.headers - Authentication headers
+   */
+  constructor({ name, apiUrl, headers }) {
+    this.name = name;
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    this.headers = headers;
+  }
+
+  /**
+   * Send a request to the provider API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the API root, already encoded
+   * @param {Object} options - Query parameters and JSON body
+   * @returns {Promise<Object>} - Parsed response data and headers
+   */
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(`${this.apiUrl}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    // Instance URLs come from users: never call the API's own network
+    await assertPublicUrl(url, `${this.name} API URL`);
+
+    const response = await fetch(url, {
+      method,
+      redirect: "error", // A redirect could point back to a private address
+      headers: {
+        Accept: "application/json",
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...this.headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const message = data?.message || data?.error || response.statusText;
+      const error = new Error(typeof message === "string" ? message : JSON.stringify(message));
+      error.status = response.status;
+      error.response = {
+        status: response.status,
+        data: { ...data, message: error.message },
+        headers: Object.fromEntries(response.headers),
+      };
+      throw error;
+    }
+
+    return { data, headers: response.headers };
+  }
+
+  /**
+   * Check whether a request fails with a 404
+   * @param {Error} error - Error thrown by request()
+   * @returns {boolean}
+   */
+  isNotFound(error) {
+    return error.status === 404;
+  }
+
+  /**
+   * Handle API errors
+   * @param {Error} error - Error object
+   */
+  handleError(error) {
+    if (error.response) {
+      console.error(
+        `${this.name} API Error: Status ${error.response.status} - ${error.response.data.message}`
+      );
+    } else {
+      console.error(`Error with ${this.name} service:`, error);
+    }
+    throw error;
+  }
+}
+
+export default GitRestService;
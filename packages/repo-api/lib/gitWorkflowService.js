@@ -6,8 +6,13 @@
 import GitFileService from "./gitFileService.js";
 
 class GitWorkflowService {
-  constructor(provider, token) {
-    this.gitService = new GitFileService(provider, token);
+  /**
+   * @param {string} provider - Git provider (github, gitlab, gitea, forgejo)
+   * @param {string} token - Provider access token
+   * @param {Object} options - Provider options ({ baseUrl } for self-hosted providers)
+   */
+  constructor(provider, token, options = {}) {
+    this.gitService = new GitFileService(provider, token, options);
     this.provider = provider;
   }
 
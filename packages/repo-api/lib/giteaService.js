@@ -0,0 +1,856 @@
+// gitea-service.js
+import GitRestService from "./gitRestService.js";
+
+const DEFAULT_BASE_URL = "https://gitea.com";
+
+// Page size used for list endpoints (Gitea caps it at the instance's MAX_RESPONSE_ITEMS, 50 by default)
+const PAGE_SIZE = 50;
+
+/**
+ * Gitea Service for repository file operations, branches and pull requests
+ * Also used for Forgejo (e.g. Codeberg), which keeps the Gitea REST API (v1).
+ * Gitea's API is modeled on GitHub's, so most responses map one to one.
+ */
+class GiteaService extends GitRestService {
+  /**
+   * Initialize the Gitea service with an authentication token
+   * @param {string} token - Access token
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - Instance URL (defaults to https://gitea.com)
+   * @param {string} options.name - Provider name used in logs (e.g. "Forgejo")
+   */
+  constructor(token, { baseUrl = DEFAULT_BASE_URL, name = "Gitea" } = {}) {
+    const webUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    super({
+      name,
+      apiUrl: `${webUrl}/api/v1`,
+      headers: token ? { Authorization: `token ${token}` } : {},
+    });
+    this.webUrl = webUrl;
+  }
+
+  /**
+   * API path of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {string}
+   */
+  repoPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Encode a file path, keeping its slashes
+   * @param {string} path - File path
+   * @returns {string}
+   */
+  encodePath(path) {
+    return path.split("/").map(encodeURIComponent).join("/");
+  }
+
+  /**
+   * Fetch all pages of a list endpoint
+   * @param {string} path - API path
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Array>} - All items
+   */
+  async paginate(path, query = {}) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const { data, headers } = await this.request("GET", path, {
+        query: { limit: PAGE_SIZE, ...query, page },
+      });
+      if (!data?.length) break;
+      items.push(...data);
+
+      const total = parseInt(headers.get("x-total-count"), 10);
+      if (Number.isNaN(total) ? data.length < PAGE_SIZE : items.length >= total) break;
+    }
+    return items;
+  }
+
+  /**
+   * Get the SHA of a file, or null if it does not exist
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<string|null>}
+   */
+  async getFileSha(owner, repo, path, ref) {
+    try {
+      const { data } = await this.request("GET", `${this.repoPath(owner, repo)}/contents/${this.encodePath(path)}`, {
+        query: { ref },
+      });
+      return Array.isArray(data) ? null : data.sha;
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Map a Gitea commit to the GitHub commit shape
+   * @param {Object} commit - Gitea commit
+   * @returns {Object}
+   */
+  formatCommit(commit) {
+    return {
+      sha: commit.sha,
+      message: commit.commit.message,
+      author: {
+        name: commit.commit.author.name,
+        email: commit.commit.author.email,
+        date: commit.commit.author.date,
+      },
+      committer: {
+        name: commit.commit.committer.name,
+        email: commit.commit.committer.email,
+        date: commit.commit.committer.date,
+      },
+      html_url: commit.html_url,
+    };
+  }
+
+  /**
+   * Get file content from a Gitea repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} ref - Git reference (branch, tag, or commit SHA)
+   * @returns {Promise<Object>} - File content and metadata
+   */
+  async getFileContent(owner, repo, path, ref = 'main') {
+    try {
+      const { data: file } = await this.request(
+        "GET",
+        `${this.repoPath(owner, repo)}/contents/${this.encodePath(path)}`,
+        { query: { ref } }
+      );
+
+      // Decode base64 content if it's a file
+      if (file.type === 'file' && file.content) {
+        return {
+          type: file.type,
+          name: file.name,
+          path: file.path,
+          sha: file.sha,
+          size: file.size,
+          content: Buffer.from(file.content, 'base64').toString('utf-8'),
+          download_url: file.download_url,
+          html_url: file.html_url,
+          encoding: file.encoding,
+        };
+      }
+
+      // Return directory listing if it's a directory
+      if (Array.isArray(file)) {
+        return {
+          type: 'dir',
+          path,
+          contents: file.map(item => ({
+            type: item.type,
+            name: item.name,
+            path: item.path,
+            sha: item.sha,
+            size: item.size,
+            html_url: item.html_url,
+          })),
+        };
+      }
+
+      return file;
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * List files and directories in a Gitea repository path
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - Directory path (empty string for root)
+   * @param {string} ref - Git reference (branch, tag, or commit SHA)
+   * @returns {Promise<Object>} - Directory contents
+   */
+  async listDirectory(owner, repo, path = '', ref = 'main') {
+    try {
+      const { data } = await this.request(
+        "GET",
+        `${this.repoPath(owner, repo)}/contents${path ? `/${this.encodePath(path)}` : ''}`,
+        { query: { ref } }
+      );
+
+      const items = Array.isArray(data) ? data : [data];
+
+      return {
+        type: 'dir',
+        path: path || '/',
+        ref,
+        items: items.map(item => ({
+          type: item.type,
+          name: item.name,
+          path: item.path,
+          sha: item.sha,
+          size: item.size || 0,
+          download_url: item.download_url || null,
+          html_url: item.html_url,
+          // For directories, include whether they have contents
+          ...(item.type === 'dir' && { has_contents: true })
+        })).sort((a, b) => {
+          // Sort directories first, then files
+          if (a.type === 'dir' && b.type !== 'dir') return -1;
+          if (a.type !== 'dir' && b.type === 'dir') return 1;
+          // Then sort alphabetically
+          return a.name.localeCompare(b.name);
+        })
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update or create a file in a Gitea repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @param {string} sha - SHA of the file being replaced (required for updates)
+   * @returns {Promise<Object>} - Commit information
+   */
+  async updateFile(owner, repo, path, content, message, branch = 'main', sha = null) {
+    try {
+      const { data } = await this.request(
+        sha ? "PUT" : "POST",
+        `${this.repoPath(owner, repo)}/contents/${this.encodePath(path)}`,
+        {
+          body: {
+            content: Buffer.from(content).toString('base64'),
+            message,
+            branch,
+            ...(sha && { sha }),
+          },
+        }
+      );
+
+      return {
+        content: data.content,
+        commit: data.commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Upload an image to a Gitea repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} imagePath - Path where the image should be stored
+   * @param {Buffer} imageBuffer - Image data as buffer
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @returns {Promise<Object>} - Upload result with download URL
+   */
+  async uploadImage(owner, repo, imagePath, imageBuffer, message, branch = 'main') {
+    try {
+      const sha = await this.getFileSha(owner, repo, imagePath, branch);
+      const { data } = await this.request(
+        sha ? "PUT" : "POST",
+        `${this.repoPath(owner, repo)}/contents/${this.encodePath(imagePath)}`,
+        {
+          body: {
+            content: imageBuffer.toString('base64'),
+            message,
+            branch,
+            ...(sha && { sha }),
+          },
+        }
+      );
+
+      return {
+        path: data.content.path,
+        sha: data.content.sha,
+        size: data.content.size,
+        download_url: data.content.download_url,
+        html_url: data.content.html_url,
+        commit: data.commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a new branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - New branch name
+   * @param {string} fromBranch - Source branch (defaults to default branch)
+   * @returns {Promise<Object>} - Branch information
+   */
+  async createBranch(owner, repo, branch, fromBranch = null) {
+    try {
+      const { data } = await this.request("POST", `${this.repoPath(owner, repo)}/branches`, {
+        body: {
+          new_branch_name: branch,
+          ...(fromBranch && { old_branch_name: fromBranch }),
+        },
+      });
+
+      return {
+        ref: `refs/heads/${data.name}`,
+        sha: data.commit.id,
+        branch: branch,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} title - PR title
+   * @param {string} body - PR description
+   * @param {string} head - Branch containing changes
+   * @param {string} base - Branch to merge into
+   * @param {boolean} draft - Create as draft PR ("WIP:" title prefix)
+   * @returns {Promise<Object>} - Pull request information
+   */
+  async createPullRequest(owner, repo, title, body, head, base, draft = false) {
+    try {
+      const { data } = await this.request("POST", `${this.repoPath(owner, repo)}/pulls`, {
+        body: {
+          title: draft ? `WIP: ${title}` : title,
+          body,
+          head,
+          base,
+        },
+      });
+
+      return {
+        number: data.number,
+        html_url: data.html_url,
+        state: data.state,
+        title: data.title,
+        body: data.body,
+        head: {
+          ref: data.head.ref,
+          sha: data.head.sha,
+        },
+        base: {
+          ref: data.base.ref,
+          sha: data.base.sha,
+        },
+        mergeable: data.mergeable,
+        created_at: data.created_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @param {Object} updates - Updates to apply (title, body, state, base)
+   * @returns {Promise<Object>} - Updated pull request information
+   */
+  async updatePullRequest(owner, repo, pullNumber, updates) {
+    try {
+      const { data } = await this.request("PATCH", `${this.repoPath(owner, repo)}/pulls/${pullNumber}`, {
+        body: updates,
+      });
+
+      return {
+        number: data.number,
+        html_url: data.html_url,
+        state: data.state,
+        title: data.title,
+        body: data.body,
+        updated_at: data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a comment on an issue or pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string} body - Comment body (markdown)
+   * @returns {Promise<Object>} - Created comment information
+   */
+  async createIssueComment(owner, repo, issueNumber, body) {
+    try {
+      const { data } = await this.request("POST", `${this.repoPath(owner, repo)}/issues/${issueNumber}/comments`, {
+        body: { body },
+      });
+
+      return {
+        id: data.id,
+        html_url: data.html_url,
+        created_at: data.created_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update an existing issue or pull request comment
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} commentId - Comment ID
+   * @param {string} body - New comment body (markdown)
+   * @returns {Promise<Object>} - Updated comment information
+   */
+  async updateIssueComment(owner, repo, commentId, body) {
+    try {
+      const { data } = await this.request("PATCH", `${this.repoPath(owner, repo)}/issues/comments/${commentId}`, {
+        body: { body },
+      });
+
+      return {
+        id: data.id,
+        html_url: data.html_url,
+        updated_at: data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * List branches in repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Options (protected)
+   * @returns {Promise<Array>} - List of branches
+   */
+  async listBranches(owner, repo, options = {}) {
+    try {
+      const branches = await this.paginate(`${this.repoPath(owner, repo)}/branches`);
+
+      return branches
+        .filter(branch => options.protected === undefined || branch.protected === options.protected)
+        .map(branch => ({
+          name: branch.name,
+          protected: branch.protected,
+          commit: {
+            sha: branch.commit.id,
+            url: branch.commit.url,
+          },
+        }));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Get pull requests for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Filter options (state, head, base, sort, direction)
+   * @returns {Promise<Array>} - List of pull requests
+   */
+  async listPullRequests(owner, repo, options = {}) {
+    try {
+      let sort = options.direction === 'asc' ? 'oldest' : undefined;
+      if (options.sort === 'updated') {
+        sort = options.direction === 'asc' ? 'leastupdate' : 'recentupdate';
+      }
+      const pulls = await this.paginate(`${this.repoPath(owner, repo)}/pulls`, {
+        state: options.state || 'open',
+        sort,
+      });
+
+      // GitHub-style "owner:branch" heads
+      const head = options.head ? options.head.split(":").pop() : null;
+
+      return pulls
+        .filter(pr => (!head || pr.head.ref === head) && (!options.base || pr.base.ref === options.base))
+        .map(pr => ({
+          number: pr.number,
+          title: pr.title,
+          state: pr.state,
+          html_url: pr.html_url,
+          created_at: pr.created_at,
+          updated_at: pr.updated_at,
+          head: {
+            ref: pr.head.ref,
+            sha: pr.head.sha,
+          },
+          base: {
+            ref: pr.base.ref,
+            sha: pr.base.sha,
+          },
+          user: {
+            login: pr.user.login,
+            avatar_url: pr.user.avatar_url,
+          },
+        }));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a file from repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} message - Commit message
+   * @param {string} sha - Current file SHA (required)
+   * @param {string} branch - Branch to commit to
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteFile(owner, repo, path, message, sha, branch = 'main') {
+    try {
+      const { data } = await this.request("DELETE", `${this.repoPath(owner, repo)}/contents/${this.encodePath(path)}`, {
+        body: { message, sha, branch },
+      });
+
+      return {
+        commit: data.commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get file history (commits)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} sha - Starting SHA or branch
+   * @param {number} perPage - Number of commits to return
+   * @returns {Promise<Array>} - List of commits
+   */
+  async getFileHistory(owner, repo, path, sha = 'main', perPage = 10) {
+    try {
+      const { data } = await this.request("GET", `${this.repoPath(owner, repo)}/commits`, {
+        query: { path, sha, limit: perPage, stat: false, files: false },
+      });
+
+      return data.map(commit => this.formatCommit(commit));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteBranch(owner, repo, branch) {
+    try {
+      await this.request("DELETE", `${this.repoPath(owner, repo)}/branches/${this.encodePath(branch)}`);
+      return true;
+    } catch (error) {
+      this.handleError(error);
+      return false;
+    }
+  }
+
+  /**
+   * Compare two branches
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} base - Base branch
+   * @param {string} head - Head branch to compare
+   * @returns {Promise<Object>} - Comparison result with files and commits
+   */
+  async compareBranches(owner, repo, base, head) {
+    try {
+      const path = `${this.repoPath(owner, repo)}/compare`;
+      const [{ data: ahead }, { data: behind }] = await Promise.all([
+        this.request("GET", `${path}/${this.encodePath(base)}...${this.encodePath(head)}`),
+        this.request("GET", `${path}/${this.encodePath(head)}...${this.encodePath(base)}`),
+      ]);
+
+      const aheadBy = ahead.total_commits;
+      const behindBy = behind.total_commits;
+      let status = 'identical';
+      if (aheadBy > 0 && behindBy > 0) status = 'diverged';
+      else if (aheadBy > 0) status = 'ahead';
+      else if (behindBy > 0) status = 'behind';
+
+      return {
+        status,
+        ahead_by: aheadBy,
+        behind_by: behindBy,
+        commits: aheadBy,
+        files: ahead.files || [],
+        url: `${this.webUrl}/${owner}/${repo}/compare/${base}...${head}`,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get repository tree
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} tree_sha - Tree SHA or branch name
+   * @param {boolean} recursive - Get tree recursively
+   * @returns {Promise<Array>} - Repository tree
+   */
+  async getRepositoryTree(owner, repo, tree_sha, recursive = true) {
+    try {
+      const tree = [];
+      for (let page = 1; ; page++) {
+        const { data } = await this.request(
+          "GET",
+          `${this.repoPath(owner, repo)}/git/trees/${this.encodePath(tree_sha)}`,
+          { query: { recursive: recursive || undefined, page, per_page: 1000 } }
+        );
+        tree.push(...(data.tree || []));
+        // Large trees are split into pages, flagged as truncated
+        if (!data.truncated || !data.tree?.length) break;
+      }
+
+      return tree;
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Merge a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @param {string} commitTitle - Merge commit title
+   * @param {string} commitMessage - Merge commit message
+   * @param {string} mergeMethod - Merge method (merge, squash, rebase)
+   * @returns {Promise<Object>} - Merge result
+   */
+  async mergePullRequest(owner, repo, pullNumber, commitTitle = '', commitMessage = '', mergeMethod = 'merge') {
+    try {
+      await this.request("POST", `${this.repoPath(owner, repo)}/pulls/${pullNumber}/merge`, {
+        body: {
+          Do: mergeMethod,
+          MergeTitleField: commitTitle || undefined,
+          MergeMessageField: commitMessage || undefined,
+        },
+      });
+
+      // The merge endpoint returns no content
+      const { data } = await this.request("GET", `${this.repoPath(owner, repo)}/pulls/${pullNumber}`);
+
+      return {
+        merged: data.merged,
+        message: data.merged ? 'Pull request merged' : 'Pull request not merged',
+        sha: data.merge_commit_sha,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a specific pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @returns {Promise<Object>} - Pull request details
+   */
+  async getPullRequest(owner, repo, pullNumber) {
+    try {
+      const { data } = await this.request("GET", `${this.repoPath(owner, repo)}/pulls/${pullNumber}`);
+
+      let mergeableState = data.mergeable ? 'clean' : 'dirty';
+      if (data.merged) mergeableState = 'merged';
+
+      return {
+        number: data.number,
+        state: data.state,
+        title: data.title,
+        body: data.body,
+        html_url: data.html_url,
+        created_at: data.created_at,
+        updated_at: data.updated_at,
+        merged_at: data.merged_at || null,
+        mergeable: data.mergeable,
+        mergeable_state: mergeableState,
+        head: {
+          ref: data.head.ref,
+          sha: data.head.sha,
+          repo: data.head.repo ? {
+            full_name: data.head.repo.full_name
+          } : null
+        },
+        base: {
+          ref: data.base.ref,
+          sha: data.base.sha,
+        },
+        user: {
+          login: data.user.login,
+          avatar_url: data.user.avatar_url,
+        },
+        commits: null,
+        additions: data.additions ?? null,
+        deletions: data.deletions ?? null,
+        changed_files: data.changed_files ?? null,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get commits for a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @returns {Promise<Array>} - List of commits
+   */
+  async getPullRequestCommits(owner, repo, pullNumber) {
+    try {
+      const commits = await this.paginate(`${this.repoPath(owner, repo)}/pulls/${pullNumber}/commits`, {
+        stat: false,
+        files: false,
+      });
+
+      return commits.map(commit => this.formatCommit(commit));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a pull request is mergeable
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - PR number
+   * @returns {Promise<Object>} - Mergeable status
+   */
+  async checkPullRequestMergeability(owner, repo, pullNumber) {
+    try {
+      const pr = await this.getPullRequest(owner, repo, pullNumber);
+      if (!pr) return null;
+
+      return {
+        mergeable: pr.mergeable,
+        mergeable_state: pr.mergeable_state,
+        state: pr.state,
+        merged: pr.merged_at !== null,
+        commits: pr.commits,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get repository information including default branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} - Repository info
+   */
+  async getRepository(owner, repo) {
+    try {
+      const { data } = await this.request("GET", this.repoPath(owner, repo));
+
+      let visibility = data.private ? 'private' : 'public';
+      if (data.internal) visibility = 'internal';
+
+      return {
+        id: data.id,
+        name: data.name,
+        full_name: data.full_name,
+        default_branch: data.default_branch,
+        visibility,
+        private: data.private,
+        description: data.description,
+        topics: data.topics || [],
+        created_at: data.created_at,
+        updated_at: data.updated_at,
+        pushed_at: data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a commit with multiple files using the change files API (Gitea 1.20+, Forgejo)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} files - Array of file objects with path, content, and encoding
+   * @param {string} message - Commit message
+   * @param {string} branch - Target branch
+   * @returns {Promise<Object>} - Commit information
+   */
+  async createCommitWithFiles(owner, repo, files, message, branch = 'main') {
+    try {
+      const changes = await Promise.all(
+        files.map(async (file) => {
+          const sha = await this.getFileSha(owner, repo, file.path, branch);
+          return {
+            operation: sha ? "update" : "create",
+            path: file.path,
+            content: (file.encoding || "base64") === "base64"
+              ? file.content
+              : Buffer.from(file.content).toString("base64"),
+            ...(sha && { sha }),
+          };
+        })
+      );
+
+      const { data } = await this.request("POST", `${this.repoPath(owner, repo)}/contents`, {
+        body: { branch, message, files: changes },
+      });
+
+      return {
+        sha: data.commit.sha,
+        html_url: data.commit.html_url,
+        files: files.map(f => f.path),
+        message: message,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+}
+
+export default GiteaService;
@@ -634,6 +634,68 @@ class GitHubService {
     }
   }
 
+  /**
+   * Create a comment on an issue or pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string} body - Comment body (markdown)
+   * @returns {Promise<Object>} - Created comment information
+   */
+  async createIssueComment(owner, repo, issueNumber, body) {
+    try {
+      const response = await this.octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/comments", {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body,
+        headers: {
+          "x-github-api-version": "2022-11-28",
+        },
+      });
+
+      return {
+        id: response.data.id,
+        html_url: response.data.html_url,
+        created_at: response.data.created_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update an existing issue or pull request comment
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} commentId - Comment ID
+   * @param {string} body - New comment body (markdown)
+   * @returns {Promise<Object>} - Updated comment information
+   */
+  async updateIssueComment(owner, repo, commentId, body) {
+    try {
+      const response = await this.octokit.request("PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}", {
+        owner,
+        repo,
+        comment_id: commentId,
+        body,
+        headers: {
+          "x-github-api-version": "2022-11-28",
+        },
+      });
+
+      return {
+        id: response.data.id,
+        html_url: response.data.html_url,
+        updated_at: response.data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
   /**
    * List branches in repository
    * @param {string} owner - Repository owner
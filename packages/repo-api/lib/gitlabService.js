@@ -0,0 +1,864 @@
+// gitlab-service.js
+import GitRestService from "./gitRestService.js";
+
+const DEFAULT_BASE_URL = "https://gitlab.com";
+
+// GitLab merge request states -> GitHub pull request states
+const MERGE_REQUEST_STATES = {
+  opened: "open",
+  locked: "open",
+  closed: "closed",
+  merged: "closed",
+};
+
+/**
+ * GitLab Service for repository file operations, branches and merge requests
+ * Works with gitlab.com and self-managed instances (REST API v4). Return values
+ * follow the GitHubService shapes so GitFileService callers stay provider-agnostic;
+ * merge requests are exposed as pull requests numbered by their iid.
+ */
+class GitLabService extends GitRestService {
+  /**
+   * Initialize the GitLab service with an authentication token
+   * @param {string} token - Personal, project or group access token (or OAuth token)
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - Instance URL (defaults to https://gitlab.com)
+   */
+  constructor(token, { baseUrl = DEFAULT_BASE_URL } = {}) {
+    const webUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    super({
+      name: "GitLab",
+      apiUrl: `${webUrl}/api/v4`,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    this.webUrl = webUrl;
+  }
+
+  /**
+   * URL-encoded project path, used as project ID ("group/subgroup/repo")
+   * @param {string} owner - Namespace (group, subgroups or user)
+   * @param {string} repo - Project path
+   * @returns {string}
+   */
+  projectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+  }
+
+  /**
+   * Fetch all pages of a list endpoint
+   * @param {string} path - API path
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Array>} - All items
+   */
+  async paginate(path, query = {}) {
+    const items = [];
+    let page = 1;
+    while (page) {
+      const { data, headers } = await this.request("GET", path, {
+        query: { per_page: 100, ...query, page },
+      });
+      items.push(...data);
+      page = parseInt(headers.get("x-next-page"), 10) || null;
+    }
+    return items;
+  }
+
+  /**
+   * Check whether a file exists on a branch
+   * @param {string} projectId - Encoded project ID
+   * @param {string} path - File path
+   * @param {string} ref - Branch, tag or commit SHA
+   * @returns {Promise<boolean>}
+   */
+  async fileExists(projectId, path, ref) {
+    try {
+      await this.request("HEAD", `/projects/${projectId}/repository/files/${encodeURIComponent(path)}`, {
+        query: { ref },
+      });
+      return true;
+    } catch (error) {
+      if (this.isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a commit from file actions (create, update, delete)
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {string} message - Commit message
+   * @param {Array} actions - Commit actions
+   * @returns {Promise<Object>} - GitHub-shaped commit
+   */
+  async commitActions(owner, repo, branch, message, actions) {
+    const { data } = await this.request("POST", `/projects/${this.projectId(owner, repo)}/repository/commits`, {
+      body: { branch, commit_message: message, actions },
+    });
+    return this.formatCommit(data);
+  }
+
+  /**
+   * Map a GitLab commit to the GitHub commit shape
+   * @param {Object} commit - GitLab commit
+   * @returns {Object}
+   */
+  formatCommit(commit) {
+    return {
+      sha: commit.id,
+      message: commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email,
+        date: commit.authored_date,
+      },
+      committer: {
+        name: commit.committer_name,
+        email: commit.committer_email,
+        date: commit.committed_date,
+      },
+      html_url: commit.web_url,
+    };
+  }
+
+  /**
+   * Map a GitLab merge request to the GitHub pull request shape
+   * @param {Object} mr - GitLab merge request
+   * @returns {Object}
+   */
+  formatMergeRequest(mr) {
+    return {
+      number: mr.iid,
+      title: mr.title,
+      body: mr.description,
+      state: MERGE_REQUEST_STATES[mr.state] || mr.state,
+      html_url: mr.web_url,
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      merged_at: mr.merged_at || null,
+      draft: mr.draft,
+      mergeable: mr.detailed_merge_status ? mr.detailed_merge_status === "mergeable" : null,
+      mergeable_state: mr.detailed_merge_status || mr.merge_status,
+      head: {
+        ref: mr.source_branch,
+        sha: mr.sha,
+      },
+      base: {
+        ref: mr.target_branch,
+        sha: mr.diff_refs?.base_sha || null,
+      },
+      user: {
+        login: mr.author?.username,
+        avatar_url: mr.author?.avatar_url,
+      },
+    };
+  }
+
+  /**
+   * Get file content from a GitLab repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} ref - Git reference (branch, tag, or commit SHA)
+   * @returns {Promise<Object>} - File content and metadata
+   */
+  async getFileContent(owner, repo, path, ref = 'main') {
+    try {
+      const projectId = this.projectId(owner, repo);
+      const { data: file } = await this.request(
+        "GET",
+        `/projects/${projectId}/repository/files/${encodeURIComponent(path)}`,
+        { query: { ref } }
+      );
+
+      return {
+        type: "file",
+        name: file.file_name,
+        path: file.file_path,
+        sha: file.blob_id,
+        size: file.size,
+        content: Buffer.from(file.content, "base64").toString("utf-8"),
+        download_url: `${this.apiUrl}/projects/${projectId}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`,
+        html_url: `${this.webUrl}/${owner}/${repo}/-/blob/${ref}/${path}`,
+        encoding: file.encoding,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * List files and directories in a GitLab repository path
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} path - Directory path (empty string for root)
+   * @param {string} ref - Git reference (branch, tag, or commit SHA)
+   * @returns {Promise<Object>} - Directory contents
+   */
+  async listDirectory(owner, repo, path = '', ref = 'main') {
+    try {
+      const projectId = this.projectId(owner, repo);
+      const entries = await this.paginate(`/projects/${projectId}/repository/tree`, {
+        path: path || undefined,
+        ref,
+      });
+
+      return {
+        type: 'dir',
+        path: path || '/',
+        ref,
+        items: entries.map(entry => {
+          const isDir = entry.type === 'tree';
+          return {
+            type: isDir ? 'dir' : 'file',
+            name: entry.name,
+            path: entry.path,
+            sha: entry.id,
+            size: 0, // Not returned by the tree API
+            download_url: isDir
+              ? null
+              : `${this.apiUrl}/projects/${projectId}/repository/files/${encodeURIComponent(entry.path)}/raw?ref=${encodeURIComponent(ref)}`,
+            html_url: `${this.webUrl}/${owner}/${repo}/-/${isDir ? 'tree' : 'blob'}/${ref}/${entry.path}`,
+            ...(isDir && { has_contents: true })
+          };
+        }).sort((a, b) => {
+          // Sort directories first, then files
+          if (a.type === 'dir' && b.type !== 'dir') return -1;
+          if (a.type !== 'dir' && b.type === 'dir') return 1;
+          // Then sort alphabetically
+          return a.name.localeCompare(b.name);
+        })
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update or create a file in a GitLab repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @param {string} sha - SHA of the file being replaced (marks the file as existing)
+   * @returns {Promise<Object>} - Commit information
+   */
+  async updateFile(owner, repo, path, content, message, branch = 'main', sha = null) {
+    try {
+      const exists = sha ? true : await this.fileExists(this.projectId(owner, repo), path, branch);
+      const commit = await this.commitActions(owner, repo, branch, message, [
+        {
+          action: exists ? "update" : "create",
+          file_path: path,
+          content: Buffer.from(content).toString("base64"),
+          encoding: "base64",
+        },
+      ]);
+
+      return {
+        content: {
+          name: path.split("/").pop(),
+          path,
+          html_url: `${this.webUrl}/${owner}/${repo}/-/blob/${branch}/${path}`,
+        },
+        commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Upload an image to a GitLab repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} imagePath - Path where the image should be stored
+   * @param {Buffer} imageBuffer - Image data as buffer
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @returns {Promise<Object>} - Upload result with download URL
+   */
+  async uploadImage(owner, repo, imagePath, imageBuffer, message, branch = 'main') {
+    try {
+      const projectId = this.projectId(owner, repo);
+      const exists = await this.fileExists(projectId, imagePath, branch);
+      const commit = await this.commitActions(owner, repo, branch, message, [
+        {
+          action: exists ? "update" : "create",
+          file_path: imagePath,
+          content: imageBuffer.toString("base64"),
+          encoding: "base64",
+        },
+      ]);
+
+      return {
+        path: imagePath,
+        sha: null, // Not returned by the commits API
+        size: imageBuffer.length,
+        download_url: `${this.apiUrl}/projects/${projectId}/repository/files/${encodeURIComponent(imagePath)}/raw?ref=${encodeURIComponent(branch)}`,
+        html_url: `${this.webUrl}/${owner}/${repo}/-/blob/${branch}/${imagePath}`,
+        commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a new branch
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} branch - New branch name
+   * @param {string} fromBranch - Source branch (defaults to default branch)
+   * @returns {Promise<Object>} - Branch information
+   */
+  async createBranch(owner, repo, branch, fromBranch = null) {
+    try {
+      const ref = fromBranch || (await this.getRepository(owner, repo)).default_branch;
+      const { data } = await this.request("POST", `/projects/${this.projectId(owner, repo)}/repository/branches`, {
+        query: { branch, ref },
+      });
+
+      return {
+        ref: `refs/heads/${data.name}`,
+        sha: data.commit.id,
+        branch: branch,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a merge request
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} title - MR title
+   * @param {string} body - MR description
+   * @param {string} head - Branch containing changes
+   * @param {string} base - Branch to merge into
+   * @param {boolean} draft - Create as draft MR
+   * @returns {Promise<Object>} - Pull request information
+   */
+  async createPullRequest(owner, repo, title, body, head, base, draft = false) {
+    try {
+      const { data } = await this.request("POST", `/projects/${this.projectId(owner, repo)}/merge_requests`, {
+        body: {
+          title: draft ? `Draft: ${title}` : title,
+          description: body,
+          source_branch: head,
+          target_branch: base,
+        },
+      });
+
+      const pr = this.formatMergeRequest(data);
+      return {
+        number: pr.number,
+        html_url: pr.html_url,
+        state: pr.state,
+        title: pr.title,
+        body: pr.body,
+        head: pr.head,
+        base: pr.base,
+        mergeable: pr.mergeable,
+        created_at: pr.created_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a merge request
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - MR iid
+   * @param {Object} updates - Updates to apply (title, body, state, base)
+   * @returns {Promise<Object>} - Updated pull request information
+   */
+  async updatePullRequest(owner, repo, pullNumber, updates) {
+    try {
+      const stateEvents = { open: "reopen", closed: "close" };
+      const { data } = await this.request(
+        "PUT",
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${pullNumber}`,
+        {
+          body: {
+            title: updates.title,
+            description: updates.body,
+            target_branch: updates.base,
+            state_event: stateEvents[updates.state],
+          },
+        }
+      );
+
+      return {
+        number: data.iid,
+        html_url: data.web_url,
+        state: MERGE_REQUEST_STATES[data.state] || data.state,
+        title: data.title,
+        body: data.description,
+        updated_at: data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a comment (note) on a merge request
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - MR iid
+   * @param {string} body - Comment body (markdown)
+   * @returns {Promise<Object>} - Created comment information
+   */
+  async createIssueComment(owner, repo, issueNumber, body) {
+    try {
+      const { data } = await this.request(
+        "POST",
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${issueNumber}/notes`,
+        { body: { body } }
+      );
+
+      return {
+        id: data.id,
+        html_url: `${this.webUrl}/${owner}/${repo}/-/merge_requests/${issueNumber}#note_${data.id}`,
+        created_at: data.created_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Update an existing merge request comment
+   * GitLab addresses notes through their merge request, so its iid is required.
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} commentId - Note ID
+   * @param {string} body - New comment body (markdown)
+   * @param {number} issueNumber - MR iid
+   * @returns {Promise<Object>} - Updated comment information
+   */
+  async updateIssueComment(owner, repo, commentId, body, issueNumber) {
+    try {
+      if (!issueNumber) {
+        throw new Error("GitLab requires the merge request iid to update a comment");
+      }
+      const { data } = await this.request(
+        "PUT",
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${issueNumber}/notes/${commentId}`,
+        { body: { body } }
+      );
+
+      return {
+        id: data.id,
+        html_url: `${this.webUrl}/${owner}/${repo}/-/merge_requests/${issueNumber}#note_${data.id}`,
+        updated_at: data.updated_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * List branches in repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {Object} options - Options (protected, per_page)
+   * @returns {Promise<Array>} - List of branches
+   */
+  async listBranches(owner, repo, options = {}) {
+    try {
+      const branches = await this.paginate(`/projects/${this.projectId(owner, repo)}/repository/branches`, {
+        per_page: options.per_page || 100,
+      });
+
+      return branches
+        .filter(branch => options.protected === undefined || branch.protected === options.protected)
+        .map(branch => ({
+          name: branch.name,
+          protected: branch.protected,
+          commit: {
+            sha: branch.commit.id,
+            url: branch.commit.web_url,
+          },
+        }));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Get merge requests for a repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {Object} options - Filter options (state, head, base, sort, direction)
+   * @returns {Promise<Array>} - List of pull requests
+   */
+  async listPullRequests(owner, repo, options = {}) {
+    try {
+      const states = { open: "opened", closed: "closed", all: "all" };
+      const mergeRequests = await this.paginate(`/projects/${this.projectId(owner, repo)}/merge_requests`, {
+        state: states[options.state || 'open'] || options.state,
+        // GitHub-style "owner:branch" heads
+        source_branch: options.head ? options.head.split(":").pop() : undefined,
+        target_branch: options.base,
+        order_by: options.sort === 'updated' ? 'updated_at' : 'created_at',
+        sort: options.direction || 'desc',
+        per_page: options.per_page || 100,
+      });
+
+      return mergeRequests.map(mr => {
+        const pr = this.formatMergeRequest(mr);
+        return {
+          number: pr.number,
+          title: pr.title,
+          state: pr.state,
+          html_url: pr.html_url,
+          created_at: pr.created_at,
+          updated_at: pr.updated_at,
+          head: pr.head,
+          base: pr.base,
+          user: pr.user,
+        };
+      });
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a file from repository
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} message - Commit message
+   * @param {string} sha - Current file SHA (unused by GitLab)
+   * @param {string} branch - Branch to commit to
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteFile(owner, repo, path, message, sha, branch = 'main') {
+    try {
+      const commit = await this.commitActions(owner, repo, branch, message, [
+        { action: "delete", file_path: path },
+      ]);
+
+      return {
+        commit,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get file history (commits)
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} sha - Starting SHA or branch
+   * @param {number} perPage - Number of commits to return
+   * @returns {Promise<Array>} - List of commits
+   */
+  async getFileHistory(owner, repo, path, sha = 'main', perPage = 10) {
+    try {
+      const { data } = await this.request("GET", `/projects/${this.projectId(owner, repo)}/repository/commits`, {
+        query: { path, ref_name: sha, per_page: perPage },
+      });
+
+      return data.map(commit => this.formatCommit(commit));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a branch
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteBranch(owner, repo, branch) {
+    try {
+      await this.request(
+        "DELETE",
+        `/projects/${this.projectId(owner, repo)}/repository/branches/${encodeURIComponent(branch)}`
+      );
+      return true;
+    } catch (error) {
+      this.handleError(error);
+      return false;
+    }
+  }
+
+  /**
+   * Compare two branches
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} base - Base branch
+   * @param {string} head - Head branch to compare
+   * @returns {Promise<Object>} - Comparison result with files and commits
+   */
+  async compareBranches(owner, repo, base, head) {
+    try {
+      const path = `/projects/${this.projectId(owner, repo)}/repository/compare`;
+      const [{ data: ahead }, { data: behind }] = await Promise.all([
+        this.request("GET", path, { query: { from: base, to: head } }),
+        this.request("GET", path, { query: { from: head, to: base } }),
+      ]);
+
+      const aheadBy = ahead.commits.length;
+      const behindBy = behind.commits.length;
+      let status = 'identical';
+      if (aheadBy > 0 && behindBy > 0) status = 'diverged';
+      else if (aheadBy > 0) status = 'ahead';
+      else if (behindBy > 0) status = 'behind';
+
+      return {
+        status,
+        ahead_by: aheadBy,
+        behind_by: behindBy,
+        commits: aheadBy,
+        files: ahead.diffs.map(diff => ({
+          filename: diff.new_path,
+          previous_filename: diff.renamed_file ? diff.old_path : undefined,
+          status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified',
+          patch: diff.diff,
+        })),
+        url: ahead.web_url || `${this.webUrl}/${owner}/${repo}/-/compare/${base}...${head}`,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get repository tree
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {string} tree_sha - Tree SHA or branch name
+   * @param {boolean} recursive - Get tree recursively
+   * @returns {Promise<Array>} - Repository tree (GitHub tree entries)
+   */
+  async getRepositoryTree(owner, repo, tree_sha, recursive = true) {
+    try {
+      const entries = await this.paginate(`/projects/${this.projectId(owner, repo)}/repository/tree`, {
+        ref: tree_sha,
+        recursive: recursive || undefined,
+      });
+
+      return entries.map(entry => ({
+        path: entry.path,
+        mode: entry.mode,
+        type: entry.type,
+        sha: entry.id,
+      }));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Merge a merge request
+   * Rebase merges follow the project's merge method setting.
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - MR iid
+   * @param {string} commitTitle - Merge commit title
+   * @param {string} commitMessage - Merge commit message
+   * @param {string} mergeMethod - Merge method (merge, squash, rebase)
+   * @returns {Promise<Object>} - Merge result
+   */
+  async mergePullRequest(owner, repo, pullNumber, commitTitle = '', commitMessage = '', mergeMethod = 'merge') {
+    try {
+      const message = [commitTitle, commitMessage].filter(Boolean).join("\n\n") || undefined;
+      const squash = mergeMethod === 'squash';
+      const { data } = await this.request(
+        "PUT",
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${pullNumber}/merge`,
+        {
+          body: {
+            squash,
+            ...(squash ? { squash_commit_message: message } : { merge_commit_message: message }),
+          },
+        }
+      );
+
+      return {
+        merged: data.state === 'merged',
+        message: data.state === 'merged' ? 'Merge request merged' : `Merge request is ${data.state}`,
+        sha: data.merge_commit_sha || data.squash_commit_sha || data.sha,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a specific merge request
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - MR iid
+   * @returns {Promise<Object>} - Pull request details
+   */
+  async getPullRequest(owner, repo, pullNumber) {
+    try {
+      const { data } = await this.request(
+        "GET",
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${pullNumber}`
+      );
+
+      const pr = this.formatMergeRequest(data);
+      return {
+        ...pr,
+        head: {
+          ...pr.head,
+          // Merge requests from forks come from another project
+          repo: data.source_project_id === data.target_project_id ? { full_name: `${owner}/${repo}` } : null,
+        },
+        commits: null,
+        additions: null,
+        deletions: null,
+        changed_files: data.changes_count ? parseInt(data.changes_count, 10) : null,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get commits for a merge request
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - MR iid
+   * @returns {Promise<Array>} - List of commits
+   */
+  async getPullRequestCommits(owner, repo, pullNumber) {
+    try {
+      const commits = await this.paginate(
+        `/projects/${this.projectId(owner, repo)}/merge_requests/${pullNumber}/commits`
+      );
+
+      return commits.map(commit => this.formatCommit(commit));
+    } catch (error) {
+      this.handleError(error);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a merge request is mergeable
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - MR iid
+   * @returns {Promise<Object>} - Mergeable status
+   */
+  async checkPullRequestMergeability(owner, repo, pullNumber) {
+    try {
+      const pr = await this.getPullRequest(owner, repo, pullNumber);
+      if (!pr) return null;
+
+      return {
+        mergeable: pr.mergeable,
+        mergeable_state: pr.mergeable_state,
+        state: pr.state,
+        merged: pr.merged_at !== null,
+        commits: pr.commits,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Get repository information including default branch
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} - Repository info
+   */
+  async getRepository(owner, repo) {
+    try {
+      const { data } = await this.request("GET", `/projects/${this.projectId(owner, repo)}`);
+
+      return {
+        id: data.id,
+        name: data.path,
+        full_name: data.path_with_namespace,
+        default_branch: data.default_branch,
+        visibility: data.visibility,
+        private: data.visibility !== 'public',
+        description: data.description,
+        topics: data.topics || [],
+        created_at: data.created_at,
+        updated_at: data.last_activity_at,
+        pushed_at: data.last_activity_at,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a commit with multiple files using the GitLab Commits API
+   * @param {string} owner - Repository namespace
+   * @param {string} repo - Repository name
+   * @param {Array} files - Array of file objects with path, content, and encoding
+   * @param {string} message - Commit message
+   * @param {string} branch - Target branch
+   * @returns {Promise<Object>} - Commit information
+   */
+  async createCommitWithFiles(owner, repo, files, message, branch = 'main') {
+    try {
+      const projectId = this.projectId(owner, repo);
+      const actions = await Promise.all(
+        files.map(async (file) => ({
+          action: (await this.fileExists(projectId, file.path, branch)) ? "update" : "create",
+          file_path: file.path,
+          content: file.content,
+          encoding: (file.encoding || "base64") === "base64" ? "base64" : "text",
+        }))
+      );
+
+      const commit = await this.commitActions(owner, repo, branch, message, actions);
+
+      return {
+        sha: commit.sha,
+        html_url: commit.html_url,
+        files: files.map(f => f.path),
+        message: message,
+      };
+    } catch (error) {
+      this.handleError(error);
+      return null;
+    }
+  }
+}
+
+export default GitLabService;
@@ -4,7 +4,9 @@
  * @module deploymentTools
  */
 
+import { ObjectId } from 'mongodb';
 import { createTool, validators, responses, dbHelpers } from './baseTool.js';
+import revisionRollback, { RollbackError } from '../../cloudrun/revisionRollback.js';
 
 const deployProject = createTool({
   definition: {
@@ -147,7 +149,7 @@ const checkDeploymentStatus = createTool({
 const rollbackDeployment = createTool({
   definition: {
     name: 'rollbackDeployment',
-    description: 'Rollback to a previous deployment',
+    description: 'Roll the live site back to a previous deployment revision',
     parameters: {
       type: 'object',
       properties: {
@@ -155,24 +157,33 @@ const rollbackDeployment = createTool({
           type: 'string',
           description: 'The project ID'
         },
-        targetVersion: {
+        revisionId: {
           type: 'string',
-          description: 'The version to rollback to'
+          description: 'The revision (deploy job ID) to roll back to; defaults to the revision live before the current one'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the rollback is needed (kept in the audit trail)'
         }
       },
       required: ['projectId']
     }
   },
   implementation: async (args, context) => {
-    const { projectId, targetVersion } = args;
+    const { projectId, revisionId, reason } = args;
     const { db, user } = context;
     
+    if (!ObjectId.isValid(projectId)) {
+      return responses.error('Invalid project ID', 'INVALID_PARAMETER');
+    }
+    
     // Check project access with admin permissions
+    const userId = user.id || user._id?.toString();
     const project = await db.collection('projects').findOne({
-      _id: projectId,
+      _id: new ObjectId(projectId),
       $or: [
-        { userId: user._id },
-        { 'members.userId': user._id, 'members.role': { $in: ['admin', 'owner'] } }
+        { ownerId: userId },
+        { collaborators: { $elemMatch: { userId, role: { $in: ['admin', 'owner'] } } } }
       ]
     });
     
@@ -180,58 +191,24 @@ const rollbackDeployment = createTool({
       return responses.error('Project not found or insufficient permissions', 'ACCESS_DENIED');
     }
     
-    // Find the target deployment
-    const targetDeploy = await db.collection('deploys').findOne({
-      projectId,
-      version: targetVersion || { $exists: true }
-    });
-    
-    if (!targetDeploy) {
-      return responses.error('Target deployment version not found', 'VERSION_NOT_FOUND');
+    try {
+      // Validates artifacts, switches activeRev, purges caches, audits and notifies
+      const result = await revisionRollback.rollback(project, revisionId || null, {
+        user: { ...user, id: userId },
+        source: context.agentId ? `agent:${context.agentId}` : 'agent',
+        reason: reason || null
+      });
+      
+      return responses.success(result, `Rolled back to revision ${result.toRevision.jobId}`);
+    } catch (error) {
+      return responses.error(error.message, error instanceof RollbackError ? error.code : 'ROLLBACK_FAILED');
     }
-    
-    // Create rollback job
-    const rollbackJob = {
-      type: 'deploy-repo',
-      status: 'pending',
-      projectId,
-      userId: user._id,
-      isRollback: true,
-      targetVersion: targetDeploy.version,
-      createdAt: new Date(),
-      metadata: {
-        triggeredBy: 'ai-agent',
-        agentId: context.agentId,
-        rollbackFrom: project.currentVersion
-      }
-    };
-    
-    const result = await db.collection('jobs').insertOne(rollbackJob);
-    
-    // Create audit log
-    await dbHelpers.createAuditLog(db, {
-      action: 'deployment.rollback',
-      userId: user._id,
-      projectId,
-      jobId: result.insertedId,
-      metadata: {
-        fromVersion: project.currentVersion,
-        toVersion: targetDeploy.version
-      }
-    });
-    
-    return responses.success({
-      jobId: result.insertedId,
-      fromVersion: project.currentVersion,
-      toVersion: targetDeploy.version
-    }, `Rollback initiated to version ${targetDeploy.version}`);
   },
   category: 'deployment',
   requiredPermissions: ['deploy', 'admin'],
   requiredContext: ['db', 'user'],
   rateLimit: { requests: 5, window: '1h' },
-  costEstimate: 'high',
-  asyncExecution: true
+  costEstimate: 'high'
 });
 
 const updateEnvironment = createTool({
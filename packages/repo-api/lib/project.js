@@ -14,6 +14,7 @@ const UPDATABLE_PROPS = [
   "visibility",
   "settings",
   "githubRepo",
+  "repoUrl",
 ];
 
 /**
@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+/**
+ * projectApiSecrets.js - Project-scoped secrets of the public API
+ * Public API calls that spend the project owner's resources (e.g. text embeddings with
+ * the project's provider API key) must send the project's API secret
+ * (Authorization: Bearer <secret>, the `secret` option of repo-client). The Origin
+ * header is never accepted instead, as any non-browser client can set it.
+ * Secrets are stored hashed in `projectApiSecrets` and shown once when generated.
+ */
+
+import crypto from "crypto";
+import { db } from "../db.js";
+import WebhookTokenGenerator from "./webhooks/WebhookTokenGenerator.js";
+
+/**
+ * Hash an API secret for storage
+ * @param {string} secret - API secret
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Generate (or replace) the API secret of a project
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User generating the secret
+ * @returns {Promise<Object>} - { secret, createdAt } (the only time the secret is returned)
+ */
+export async function rotateProjectApiSecret(projectId, userId) {
+  const secret = WebhookTokenGenerator.generate();
+  const createdAt = new Date();
+
+  await db.projectApiSecrets.updateOne(
+    { projectId },
+    { $set: { secretHash: hashApiSecret(secret), createdBy: userId, createdAt } },
+    { upsert: true }
+  );
+
+  return { secret, createdAt };
+}
+
+/**
+ * Check a request's API secret against the project's
+ * @param {string} projectId - Project ID
+ * @param {string|null} secret - Secret sent with the request
+ * @returns {Promise<boolean>}
+ */
+export async function verifyProjectApiSecret(projectId, secret) {
+  if (!secret) return false;
+
+  const stored = await db.projectApiSecrets.findOne({ projectId });
+  if (!stored?.secretHash) return false;
+
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiSecret(secret), "hex"),
+    Buffer.from(stored.secretHash, "hex")
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) 2025 FÉLIX MÉNARD
+ * All rights reserved.
+ */
+
+/**
+ * publicUrl.js - Check that user-provided URLs only reach public servers
+ * Instance URLs of self-hosted git providers come from users and are called with their
+ * tokens, so they must not reach the API's network (private ranges, link-local metadata
+ * services, localhost). Same check as the build worker's (src/lib/publicAddress.js).
+ */
+
+import dns from "node:dns/promises";
+import net from "node:net";
+
+// Addresses a user-provided URL may not resolve to (loopback, private, link-local, metadata...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * URL rejected by assertPublicUrl, with a tRPC error code
+ */
+export class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsafeUrlError";
+    this.code = "BAD_REQUEST";
+  }
+}
+
+/**
+ * Check that an address is publicly routable (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const type = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  return !!type && !BLOCKED_ADDRESSES.check(address, type);
+}
+
+/**
+ * Check that a URL uses https and resolves only to public addresses
+ * @param {string|URL} value - URL to check
+ * @param {string} [label] - What the URL is, used in error messages
+ * @returns {Promise<URL>} - The parsed URL
+ * @throws {UnsafeUrlError}
+ */
+export async function assertPublicUrl(value, label = "URL") {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new UnsafeUrlError(`Invalid ${label}: ${value}`);
+  }
+  if (url.protocol !== "https:") {
+    throw new UnsafeUrlError(`${label} must use https`);
+  }
+  if (url.username || url.password) {
+    throw new UnsafeUrlError(`${label} must not contain credentials`);
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true }).catch(() => {
+        throw new UnsafeUrlError(`Could not resolve ${label} host: ${host}`);
+      });
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new UnsafeUrlError(`${label} ${host} resolves to a non-public address`);
+  }
+
+  return url;
+}
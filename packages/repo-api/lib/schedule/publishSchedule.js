@@ -0,0 +1,176 @@
+/**
+ * Scheduled publishing
+ *
+ * Posts can be embargoed with `publishAt` and expired with `unpublishAt` frontmatter.
+ * The processor leaves them out of the build and reports the upcoming boundaries
+ * (publish-schedule.json, returned as `assets.publishSchedule` by the worker).
+ * After each production deploy, a task is scheduled at the next boundary to rebuild
+ * the active revision, so timed posts appear and disappear without a manual deploy.
+ * The rebuild passes the posts whose boundary passed (publishPaths) so the worker
+ * re-renders them and the posts linking to them, and it never supersedes other deploys:
+ * while a deploy of the branch is in flight, the rebuild is retried later (the deploy
+ * replaces the retry with its own boundary when it completes).
+ */
+import { ObjectId } from "mongodb";
+import { db } from "../../db.js";
+import cloudRun from "../cloudRun.js";
+import { JobStatus, JobType } from "../cloudrun/jobModel.js";
+import { scheduleTask, cancelTask, TaskStatus } from "./scheduler.js";
+import { registerTaskExecutor } from "./queue.js";
+
+export const PUBLISH_AGENT_ID = "publish-scheduler";
+
+// Boundaries already in the past (clock skew, slow builds) are rebuilt shortly after
+const MIN_DELAY_MS = 60 * 1000;
+
+// Rebuilds waiting for an in-flight deploy of the branch are retried after this delay
+const IN_FLIGHT_RETRY_MS = 5 * 60 * 1000;
+
+// Job input fields that belong to the original deploy and must not be replayed
+const NON_REPLAYABLE_INPUT = ["preview", "supersededBy", "forceReprocess", "publishPaths"];
+
+/**
+ * Cancel the pending publish tasks of a project
+ * @param {string} projectId - Project ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<number>} - Number of cancelled tasks
+ */
+export async function cancelPublishTasks(projectId, reason) {
+  const tasks = await db.scheduledTasks
+    .find(
+      {
+        agentId: PUBLISH_AGENT_ID,
+        projectId: new ObjectId(projectId),
+        status: TaskStatus.SCHEDULED,
+      },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+
+  for (const task of tasks) {
+    await cancelTask(task._id.toString(), reason, PUBLISH_AGENT_ID);
+  }
+  return tasks.length;
+}
+
+/**
+ * Schedule the rebuild of a project at the next publish boundary of its active revision
+ * Replaces any publish task scheduled by a previous deploy
+ * @param {string} projectId - Project ID
+ * @param {string} jobId - The revision that just became active
+ * @param {Object|null} publishSchedule - Schedule reported by the processor
+ * @returns {Promise<Object|null>} - The scheduled task, or null if nothing is scheduled
+ */
+export async function schedulePublishBoundary(projectId, jobId, publishSchedule) {
+  await cancelPublishTasks(projectId, `Superseded by revision ${jobId}`);
+
+  const nextBoundary = publishSchedule?.nextBoundary ? new Date(publishSchedule.nextBoundary) : null;
+  if (!nextBoundary || Number.isNaN(nextBoundary.getTime())) {
+    return null;
+  }
+
+  const entries = (publishSchedule.entries || []).filter(
+    (entry) => entry.at === publishSchedule.nextBoundary
+  );
+  const date = new Date(Math.max(nextBoundary.getTime(), Date.now() + MIN_DELAY_MS));
+
+  const task = await scheduleTask({
+    date,
+    title: `Publish boundary: ${entries.length} post${entries.length === 1 ? "" : "s"}`,
+    message: entries.map((entry) => `${entry.action} ${entry.originalFilePath}`).join("\n"),
+    agentId: PUBLISH_AGENT_ID,
+    projectId,
+    payload: {
+      revisionId: jobId,
+      boundary: publishSchedule.nextBoundary,
+      entries,
+      // All upcoming boundaries: the rebuild may run after several of them
+      upcomingEntries: publishSchedule.entries || [],
+    },
+    createdBy: PUBLISH_AGENT_ID,
+  });
+
+  console.log(`⏰ Scheduled publish rebuild of project ${projectId} at ${date.toISOString()}`);
+  return task;
+}
+
+/**
+ * Rebuild the active revision of a project when a publish boundary is reached
+ * @param {Object} task - The scheduled task
+ * @returns {Promise<Object>} - Task result
+ */
+export async function executePublishTask(task) {
+  const projectId = task.projectId.toString();
+  const project = await db.projects.findOne({ _id: new ObjectId(projectId) });
+  if (!project?.activeRev) {
+    return { skipped: true, reason: "Project has no active revision" };
+  }
+
+  const activeJob = await db.jobs.findOne({ _id: new ObjectId(project.activeRev) });
+  if (!activeJob?.input) {
+    return { skipped: true, reason: `Active revision ${project.activeRev} not found` };
+  }
+
+  // The rebuild must be the live commit exactly, never the newer tip of its branch
+  const commitSha = activeJob.output?.repoInfo?.commitSha || activeJob.input.commit;
+  if (!commitSha || commitSha === "latest") {
+    return { skipped: true, reason: `Commit of active revision ${project.activeRev} is unknown` };
+  }
+
+  // Never cancel a deploy of the branch in flight: retry once it had time to finish
+  const branch = activeJob.input.branch || "main";
+  const inFlightDeploy = await db.jobs.findOne({
+    projectId,
+    type: JobType.REPO_DEPLOY,
+    status: { $in: [JobStatus.PENDING, JobStatus.RUNNING] },
+    "input.branch": branch,
+    "input.preview": { $exists: false },
+  });
+  if (inFlightDeploy) {
+    const retry = await scheduleTask({
+      date: new Date(Date.now() + IN_FLIGHT_RETRY_MS),
+      title: task.title,
+      message: task.description,
+      agentId: PUBLISH_AGENT_ID,
+      projectId,
+      payload: task.payload,
+      createdBy: PUBLISH_AGENT_ID,
+    });
+    console.log(`⏰ Deploy ${inFlightDeploy._id} of ${branch} in progress, publish rebuild of project ${projectId} retried later`);
+    return {
+      skipped: true,
+      reason: `Deploy ${inFlightDeploy._id} of ${branch} is in progress`,
+      retryTaskId: retry?._id?.toString() || null,
+    };
+  }
+
+  // Posts whose boundary passed since the active revision was built
+  const now = new Date();
+  const publishPaths = [
+    ...new Set(
+      (task.payload?.upcomingEntries || task.payload?.entries || [])
+        .filter((entry) => new Date(entry.at) <= now)
+        .map((entry) => entry.originalFilePath)
+    ),
+  ];
+
+  // Rebuild the live commit: only the publish state of timed posts changes
+  const input = { ...activeJob.input };
+  for (const field of NON_REPLAYABLE_INPUT) delete input[field];
+
+  const job = await cloudRun.createJob("deploy-repo", {
+    ...input,
+    commit: commitSha,
+    commitMessage: `Scheduled publish (${task.payload?.boundary || task.scheduledAt.toISOString()})`,
+    triggeredBy: PUBLISH_AGENT_ID,
+    priority: "low",
+    publishPaths,
+    supersede: false,
+  });
+
+  const jobId = job._id?.toString() || job.jobId;
+  console.log(`⏰ Started scheduled publish rebuild ${jobId} for project ${projectId} (${publishPaths.length} timed posts)`);
+  return { jobId, rebuiltRevision: project.activeRev, publishPaths };
+}
+
+registerTaskExecutor(PUBLISH_AGENT_ID, executePublishTask);
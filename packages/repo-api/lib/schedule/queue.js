@@ -18,9 +18,11 @@ const taskExecutors = new Map();
 const POLL_INTERVAL = process.env.SCHEDULER_POLL_INTERVAL || 60000; // 1 minute
 const BATCH_SIZE = process.env.SCHEDULER_BATCH_SIZE || 10;
 const TASK_TIMEOUT = process.env.SCHEDULER_TASK_TIMEOUT || 300000; // 5 minutes
+const RECONCILE_INTERVAL = process.env.JOB_RECONCILE_INTERVAL || 600000; // 10 minutes
 
 let isRunning = false;
 let pollInterval = null;
+let reconcileInterval = null;
 
 /**
  * Register a task executor function
@@ -71,6 +73,16 @@ export function startTaskQueue() {
       });
     }
   }, POLL_INTERVAL);
+
+  // Worker jobs whose callback never arrived
+  reconcileInterval = setInterval(() => {
+    if (isRunning) {
+      reconcileWorkerJobs().catch(error => {
+        console.error("Error reconciling worker jobs:", error);
+        Sentry.captureException(error);
+      });
+    }
+  }, RECONCILE_INTERVAL);
 }
 
 /**
@@ -88,6 +100,11 @@ export function stopTaskQueue() {
     clearInterval(pollInterval);
     pollInterval = null;
   }
+
+  if (reconcileInterval) {
+    clearInterval(reconcileInterval);
+    reconcileInterval = null;
+  }
   
   console.log("Stopped task queue processor");
 }
@@ -128,6 +145,19 @@ async function processTaskBatch() {
   }
 }
 
+/**
+ * Reconcile worker jobs stuck in "running" with the worker queue
+ */
+async function reconcileWorkerJobs() {
+  // Imported lazily: job callbacks schedule publish tasks, which import this module
+  const { reconcileStuckJobs } = await import("../cloudrun/jobReconciliation.js");
+  const { checked } = await reconcileStuckJobs();
+
+  if (checked > 0) {
+    console.log(`Reconciled ${checked} stuck worker job(s)`);
+  }
+}
+
 /**
  * Process a single task
  */
@@ -399,6 +429,7 @@ export async function getQueueStatus() {
     pollInterval: POLL_INTERVAL,
     batchSize: BATCH_SIZE,
     taskTimeout: TASK_TIMEOUT,
+    reconcileInterval: RECONCILE_INTERVAL,
     registeredExecutors: Array.from(taskExecutors.keys()),
     queue: {
       ready: 0,
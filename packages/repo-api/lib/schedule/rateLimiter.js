@@ -1,9 +1,9 @@
 import { ValidationError } from "./errors.js";
 
 /**
- * Rate limiter for scheduling operations
+ * Rate limiter for scheduling operations (also used by the public API)
  */
-class RateLimiter {
+export class RateLimiter {
   constructor(options = {}) {
     this.maxPerMinute = options.maxPerMinute || 60;
     this.maxPerHour = options.maxPerHour || 1000;
@@ -228,7 +228,8 @@ export class SlackMessageUpdater {
 		const collections = {
 			deployment: 'deploys',
 			task: 'jobs',
-			project: 'projects'
+			project: 'projects',
+			rollback: 'auditLogs'
 		};
 
 		const collectionName = collections[entityType];
@@ -254,7 +255,8 @@ export class SlackMessageUpdater {
 		const collections = {
 			deployment: 'deploys',
 			task: 'jobs',
-			project: 'projects'
+			project: 'projects',
+			rollback: 'auditLogs'
 		};
 
 		const collectionName = collections[entityType];
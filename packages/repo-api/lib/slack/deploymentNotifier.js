@@ -141,6 +141,40 @@ export class SlackDeploymentNotifier {
 		}
 	}
 	
+	/**
+	 * Send a rollback notification to the deployment channels
+	 */
+	async notifyRollback(rollbackData) {
+		try {
+			const { auditId, project, fromRevision, toRevision, user, reason } = rollbackData;
+			if (!project?.orgId) return [];
+			
+			// Get organization for template
+			const org = await db.orgs.findOne({ handle: project.orgId });
+			
+			const message = getTemplate('rollbackNotification', {
+				project,
+				org,
+				fromRevision,
+				toRevision,
+				user,
+				reason
+			});
+			
+			return await slackMessageUpdater.sendInitialMessage({
+				orgId: project.orgId, // This is the org handle
+				entityType: 'rollback',
+				entityId: auditId.toString(), // Message timestamps are stored on the audit entry
+				notificationTypes: ['deployments'],
+				message
+			});
+			
+		} catch (error) {
+			console.error('Error sending rollback notification:', error);
+			return [];
+		}
+	}
+	
 	/**
 	 * Get deployment statistics
 	 */
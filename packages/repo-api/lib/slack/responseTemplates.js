@@ -846,10 +846,11 @@ export const templates = {
   deploymentNotification: (context) => {
     const { deployment, project, org, duration, stats } = context;
     const status = deployment.status || 'completed';
-    const statusEmoji = status === 'completed' ? '✅' : status === 'failed' ? '❌' : status === 'started' ? '🚀' : '⏳';
+    const statusEmoji = status === 'completed' ? '✅' : status === 'failed' ? '❌' : status === 'started' ? '🚀' : status === 'cancelled' ? '⏭️' : '⏳';
     const statusText = status === 'completed' ? 'Deployment Successful' : 
                        status === 'failed' ? 'Deployment Failed' : 
                        status === 'started' ? 'Deployment Started' : 
+                       status === 'cancelled' ? 'Deployment Superseded' :
                        'Deployment In Progress';
     
     const blocks = [
@@ -971,6 +972,54 @@ export const templates = {
     };
   },
 
+  rollbackNotification: (context) => {
+    const { project, org, fromRevision, toRevision, user, reason } = context;
+    const describeRevision = (revision) =>
+      revision
+        ? `\`${revision.jobId.slice(-7)}\`${revision.commit ? ` (${revision.commit.slice(0, 7)})` : ''}`
+        : '_none_';
+
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `⏪ *Deployment Rolled Back*`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Project:* ${project.name}\n*From:* ${describeRevision(fromRevision)}\n*To:* ${describeRevision(toRevision)}${toRevision?.branch ? `\n*Branch:* \`${toRevision.branch}\`` : ''}${reason ? `\n*Reason:* ${reason}` : ''}`
+        },
+        accessory: {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "View Deployments"
+          },
+          url: `https://repo.md/${org?.handle || project.orgId}/${project.name}/deployments`,
+          action_id: "view_deployments"
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Rolled back by ${user?.name || user?.email || user?.id || 'unknown'} • ${new Date().toLocaleString()}`
+          }
+        ]
+      }
+    ];
+
+    return {
+      text: `⏪ ${project.name} rolled back to revision ${toRevision?.jobId}`,
+      blocks
+    };
+  },
+
   // Debug/status response with JSON
   debug: (context) => {
     const blocks = [
@@ -1,13 +1,238 @@
+import crypto from "crypto";
 import { db } from "../../db.js";
 import { ObjectId } from "mongodb";
 import WebhookSigner from "./WebhookSigner.js";
 
+// Retry policy used for the fields a webhook does not configure
+const DEFAULT_RETRY_POLICY = {
+  enabled: true,
+  maxAttempts: 5,
+  backoffRate: 2,
+  initialDelayMs: 30000, // 30s, 1m, 2m, 4m...
+  maxDelayMs: 60 * 60 * 1000, // Never wait more than 1 hour between attempts
+  timeoutMs: 30000
+};
+
+// Circuit breaker: stop calling an endpoint after repeated failures, probe it again after a cooldown
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 5 * 60 * 1000;
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Due deliveries are picked up by a poller, so retries survive restarts
+const RETRY_POLL_INTERVAL = Number(process.env.WEBHOOK_RETRY_POLL_INTERVAL) || 10000;
+const RETRY_BATCH_SIZE = Number(process.env.WEBHOOK_RETRY_BATCH_SIZE) || 20;
+// A claimed delivery is reclaimed after this lease if the process died while sending it
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Compute the delay before the next attempt (exponential backoff with jitter)
+ * Half of the delay is fixed and half is random, so endpoints recovering from an
+ * outage are not hit by every pending delivery at once.
+ * @param {Object} retryPolicy - Effective retry policy
+ * @param {number} attemptNumber - Number of the attempt that just failed (1-based)
+ * @returns {number} - Delay in ms
+ */
+export function getRetryDelay(retryPolicy, attemptNumber) {
+  const backoff = Math.min(
+    retryPolicy.maxDelayMs,
+    retryPolicy.initialDelayMs * Math.pow(retryPolicy.backoffRate, attemptNumber - 1)
+  );
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
 /**
  * Dispatches outgoing webhooks for project events
+ * Executions are stored in projectOutgoingWebhookEvents and go through:
+ *   pending → success
+ *   pending → retrying → ... → success | failed (dead-lettered, replayable)
  */
 class OutgoingWebhookDispatcher {
   constructor() {
-    this.timeout = 30000; // 30 second timeout
+    this.retryInterval = null;
+  }
+  
+  /**
+   * Get the retry policy of a webhook, completed with the defaults
+   * @param {Object} webhook - Webhook configuration
+   * @returns {Object} - Effective retry policy
+   */
+  getRetryPolicy(webhook) {
+    return { ...DEFAULT_RETRY_POLICY, ...webhook.retryPolicy };
+  }
+  
+  /**
+   * Start polling for due retries
+   */
+  startRetryProcessor() {
+    if (this.retryInterval) {
+      return;
+    }
+    
+    console.log(`🔁 Starting outgoing webhook retry processor (interval: ${RETRY_POLL_INTERVAL}ms)`);
+    this.retryInterval = setInterval(() => {
+      this.processDueRetries().catch(error => {
+        console.error('Error processing webhook retries:', error);
+      });
+    }, RETRY_POLL_INTERVAL);
+  }
+  
+  /**
+   * Stop polling for due retries
+   */
+  stopRetryProcessor() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+    }
+  }
+  
+  /**
+   * Deliver the executions whose retry is due
+   * @returns {Promise<number>} - Number of deliveries attempted
+   */
+  async processDueRetries() {
+    const due = await db.projectOutgoingWebhookEvents
+      .find({
+        status: { $in: ['pending', 'retrying'] },
+        nextRetryAt: { $lte: new Date() }
+      })
+      .project({ _id: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .toArray();
+    
+    for (const execution of due) {
+      await this.deliverWebhook(execution._id.toString());
+    }
+    
+    return due.length;
+  }
+  
+  /**
+   * Claim an execution for delivery
+   * The lease moves nextRetryAt forward, so no other poller picks the execution up and
+   * it is delivered again if this process dies mid-delivery.
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<Object|null>} - The execution, or null if it is not due (or claimed elsewhere)
+   */
+  async claimExecution(executionId) {
+    return db.projectOutgoingWebhookEvents.findOneAndUpdate(
+      {
+        _id: new ObjectId(executionId),
+        status: { $in: ['pending', 'retrying'] },
+        nextRetryAt: { $lte: new Date() }
+      },
+      { $set: { nextRetryAt: new Date(Date.now() + DELIVERY_LEASE_MS) } },
+      { returnDocument: 'after' }
+    );
+  }
+  
+  /**
+   * Check whether the circuit of a webhook lets a delivery through
+   * An open circuit lets a single probe through once its cooldown is over.
+   * @param {Object} webhook - Webhook configuration
+   * @returns {Promise<{allowed: boolean, retryAt?: Date}>}
+   */
+  async checkCircuit(webhook) {
+    const circuit = webhook.circuit;
+    if (!circuit?.state || circuit.state === CircuitState.CLOSED) {
+      return { allowed: true };
+    }
+    
+    // Open: cooling down. Half-open: a probe is in flight
+    const now = new Date();
+    const retryAt = new Date(circuit.retryAt);
+    if (retryAt > now) {
+      return { allowed: false, retryAt };
+    }
+    
+    // Cooldown over (or a previous probe never finished): claim the probe
+    const probe = await db.projectOutgoingWebhooks.findOneAndUpdate(
+      {
+        _id: webhook._id,
+        'circuit.state': circuit.state,
+        'circuit.retryAt': circuit.retryAt
+      },
+      {
+        $set: {
+          'circuit.state': CircuitState.HALF_OPEN,
+          'circuit.retryAt': new Date(now.getTime() + DELIVERY_LEASE_MS)
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    
+    if (!probe) {
+      return { allowed: false, retryAt: new Date(now.getTime() + DELIVERY_LEASE_MS) };
+    }
+    
+    console.log(`🔌 Probing webhook ${webhook._id} (circuit half-open)`);
+    return { allowed: true };
+  }
+  
+  /**
+   * Close the circuit of a webhook after a successful delivery
+   * @param {Object} webhook - Webhook configuration
+   */
+  async recordDeliverySuccess(webhook) {
+    if (!webhook.circuit || (webhook.circuit.state === CircuitState.CLOSED && !webhook.circuit.consecutiveFailures)) {
+      return;
+    }
+    
+    await db.projectOutgoingWebhooks.updateOne(
+      { _id: webhook._id },
+      {
+        $set: {
+          circuit: {
+            state: CircuitState.CLOSED,
+            consecutiveFailures: 0,
+            closedAt: new Date()
+          }
+        }
+      }
+    );
+    
+    if (webhook.circuit.state !== CircuitState.CLOSED) {
+      console.log(`🔌 Circuit closed for webhook ${webhook._id}`);
+    }
+  }
+  
+  /**
+   * Count a failed delivery, opening the circuit after repeated failures (or a failed probe)
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} errorMessage - Failure reason
+   */
+  async recordDeliveryFailure(webhook, errorMessage) {
+    const updated = await db.projectOutgoingWebhooks.findOneAndUpdate(
+      { _id: webhook._id },
+      {
+        $inc: { 'circuit.consecutiveFailures': 1 },
+        $set: { 'circuit.lastError': errorMessage, 'circuit.lastFailureAt': new Date() }
+      },
+      { returnDocument: 'after' }
+    );
+    const circuit = updated?.circuit;
+    if (!circuit) {
+      return;
+    }
+    
+    if (circuit.state === CircuitState.HALF_OPEN || circuit.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      const retryAt = new Date(Date.now() + CIRCUIT_COOLDOWN_MS);
+      await db.projectOutgoingWebhooks.updateOne(
+        { _id: webhook._id },
+        {
+          $set: {
+            'circuit.state': CircuitState.OPEN,
+            'circuit.openedAt': new Date(),
+            'circuit.retryAt': retryAt
+          }
+        }
+      );
+      console.log(`⚡ Circuit opened for webhook ${webhook._id} after ${circuit.consecutiveFailures} failures, next probe at ${retryAt.toISOString()}`);
+    }
   }
   
   /**
@@ -59,14 +284,18 @@ class OutgoingWebhookDispatcher {
         projectId: webhook.projectId,
         triggerEvent: eventType,
         triggerData: eventData,
+        // Same key for every attempt and replay, so receivers can drop duplicates
+        idempotencyKey: crypto.randomUUID(),
         status: 'pending',
         attempts: [],
+        runAttempts: 0,
+        nextRetryAt: new Date(),
         createdAt: new Date()
       };
       
       await db.projectOutgoingWebhookEvents.insertOne(execution);
       
-      // Deliver immediately (in production, this could be queued)
+      // Deliver immediately; the retry processor picks it up if this process dies first
       await this.deliverWebhook(execution._id.toString());
       
     } catch (error) {
@@ -79,12 +308,10 @@ class OutgoingWebhookDispatcher {
    * @param {string} executionId - Execution ID
    */
   async deliverWebhook(executionId) {
-    const execution = await db.projectOutgoingWebhookEvents.findOne({
-      _id: new ObjectId(executionId)
-    });
+    const execution = await this.claimExecution(executionId);
     
     if (!execution) {
-      console.error(`Webhook execution ${executionId} not found`);
+      console.log(`Webhook execution ${executionId} is not due for delivery`);
       return;
     }
     
@@ -98,12 +325,38 @@ class OutgoingWebhookDispatcher {
       return;
     }
     
-    // Prepare payload
+    if (!webhook.isActive) {
+      await this.markExecutionFailed(executionId, 'Webhook is inactive');
+      return;
+    }
+    
+    // Endpoints with an open circuit are not called: the delivery waits for the next probe
+    const circuit = await this.checkCircuit(webhook);
+    if (!circuit.allowed) {
+      await db.projectOutgoingWebhookEvents.updateOne(
+        { _id: execution._id },
+        { $set: { status: 'retrying', nextRetryAt: circuit.retryAt, circuitOpen: true } }
+      );
+      console.log(`⏸️ Webhook ${webhook._id} circuit is open, delivery ${executionId} deferred to ${circuit.retryAt.toISOString()}`);
+      return;
+    }
+    
+    const retryPolicy = this.getRetryPolicy(webhook);
+    const idempotencyKey = execution.idempotencyKey || executionId;
+    
+    // Prepare payload (identical for every attempt, so it can be deduplicated downstream)
     const payload = {
+      id: idempotencyKey,
       event: execution.triggerEvent,
-      timestamp: new Date().toISOString(),
+      timestamp: execution.createdAt.toISOString(),
       data: execution.triggerData
     };
+    const body = JSON.stringify(payload);
+    
+    // Record attempt
+    const attemptNumber = (execution.attempts?.length || 0) + 1;
+    const runAttempt = (execution.runAttempts || 0) + 1;
+    const attemptStart = Date.now();
     
     // Prepare headers
     const headers = {
@@ -111,31 +364,36 @@ class OutgoingWebhookDispatcher {
       'User-Agent': 'Repo.md-Webhook/1.0',
       'X-Webhook-Event': execution.triggerEvent,
       'X-Webhook-Delivery': executionId,
+      'X-Webhook-Idempotency-Key': idempotencyKey,
+      'X-Webhook-Timestamp': payload.timestamp,
+      'X-Webhook-Attempt': String(attemptNumber),
       ...webhook.headers
     };
     
-    // Add signature if secret is configured
+    // Add signatures if secret is configured
     if (webhook.secret) {
-      const signature = WebhookSigner.sign(payload, webhook.secret);
+      const signature = WebhookSigner.sign(body, webhook.secret);
       headers['X-Webhook-Signature'] = `sha256=${signature}`;
+      // Also covers the idempotency key and timestamp headers
+      headers['X-Webhook-Delivery-Signature'] = WebhookSigner.createDeliverySignatureHeader(
+        body,
+        { idempotencyKey, timestamp: payload.timestamp },
+        webhook.secret
+      );
     }
     
-    // Record attempt
-    const attemptNumber = (execution.attempts?.length || 0) + 1;
-    const attemptStart = Date.now();
-    
     try {
-      console.log(`🚀 Delivering webhook to ${webhook.targetUrl}`);
+      console.log(`🚀 Delivering webhook to ${webhook.targetUrl} (attempt ${attemptNumber})`);
       
       // Create AbortController for timeout
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      const timeoutId = setTimeout(() => controller.abort(), retryPolicy.timeoutMs);
       
       // Make the request
       const response = await fetch(webhook.targetUrl, {
         method: 'POST',
         headers: headers,
-        body: JSON.stringify(payload),
+        body: body,
         signal: controller.signal
       });
       
@@ -174,6 +432,9 @@ class OutgoingWebhookDispatcher {
             status: 'success',
             finalStatus: 'delivered',
             completedAt: new Date(),
+            nextRetryAt: null,
+            circuitOpen: false,
+            runAttempts: runAttempt,
             request: {
               url: webhook.targetUrl,
               method: 'POST',
@@ -201,6 +462,8 @@ class OutgoingWebhookDispatcher {
         }
       );
       
+      await this.recordDeliverySuccess(webhook);
+      
       console.log(`✅ Webhook delivered successfully (${response.status})`);
       
     } catch (error) {
@@ -215,6 +478,7 @@ class OutgoingWebhookDispatcher {
       await db.projectOutgoingWebhookEvents.updateOne(
         { _id: execution._id },
         {
+          $set: { runAttempts: runAttempt, lastError: errorMessage },
           $push: {
             attempts: {
               attemptNumber,
@@ -226,18 +490,14 @@ class OutgoingWebhookDispatcher {
         }
       );
       
-      // Check if we should retry
-      const retryPolicy = webhook.retryPolicy || { 
-        enabled: true, 
-        maxAttempts: 3, 
-        backoffRate: 2 
-      };
+      await this.recordDeliveryFailure(webhook, errorMessage);
       
-      if (retryPolicy.enabled && attemptNumber < retryPolicy.maxAttempts) {
-        // Calculate next retry time with exponential backoff
-        const backoffMs = Math.pow(retryPolicy.backoffRate, attemptNumber - 1) * 1000;
-        const nextRetryAt = new Date(Date.now() + backoffMs);
+      // Check if we should retry
+      if (retryPolicy.enabled && runAttempt < retryPolicy.maxAttempts) {
+        const delayMs = getRetryDelay(retryPolicy, runAttempt);
+        const nextRetryAt = new Date(Date.now() + delayMs);
         
+        // Picked up by the retry processor once due
         await db.projectOutgoingWebhookEvents.updateOne(
           { _id: execution._id },
           {
@@ -248,15 +508,10 @@ class OutgoingWebhookDispatcher {
           }
         );
         
-        console.log(`🔄 Will retry in ${backoffMs}ms (attempt ${attemptNumber + 1}/${retryPolicy.maxAttempts})`);
-        
-        // Schedule retry (in production, use a proper job queue)
-        setTimeout(() => {
-          this.deliverWebhook(executionId);
-        }, backoffMs);
+        console.log(`🔄 Will retry in ${delayMs}ms (attempt ${runAttempt + 1}/${retryPolicy.maxAttempts})`);
         
       } else {
-        // Mark as permanently failed
+        // Out of attempts: keep it in the dead-letter state until replayed
         await this.markExecutionFailed(executionId, errorMessage);
       }
     }
@@ -269,31 +524,74 @@ class OutgoingWebhookDispatcher {
   async retryFailedWebhook(executionId) {
     const execution = await db.projectOutgoingWebhookEvents.findOne({
       _id: new ObjectId(executionId),
-      finalStatus: { $in: ['failed', null] }
+      status: 'failed'
     });
     
     if (!execution) {
-      throw new Error('Webhook execution not found or already succeeded');
+      throw new Error('Webhook execution not found or not failed');
     }
     
-    // Reset status for retry
-    await db.projectOutgoingWebhookEvents.updateOne(
-      { _id: execution._id },
+    await this.requeueExecutions({ _id: execution._id });
+    
+    // Deliver webhook
+    await this.deliverWebhook(executionId);
+  }
+  
+  /**
+   * Replay every dead-lettered execution created since a date
+   * Executions keep their idempotency key and get a fresh set of attempts.
+   * @param {Object} options
+   * @param {Date} options.since - Replay executions created at or after this date
+   * @param {string} [options.projectId] - Limit to a project
+   * @param {string} [options.webhookId] - Limit to a webhook
+   * @param {string} [options.eventType] - Limit to an event type
+   * @returns {Promise<{replayed: number}>}
+   */
+  async replayFailed({ since, projectId, webhookId, eventType }) {
+    const filter = {
+      status: 'failed',
+      createdAt: { $gte: since }
+    };
+    if (projectId) filter.projectId = new ObjectId(projectId);
+    if (webhookId) filter.webhookId = new ObjectId(webhookId);
+    if (eventType) filter.triggerEvent = eventType;
+    
+    const replayed = await this.requeueExecutions(filter);
+    console.log(`🔁 Replaying ${replayed} failed webhook execution(s) since ${since.toISOString()}`);
+    
+    // Deliver now rather than on the next poll
+    this.processDueRetries().catch(error => {
+      console.error('Error delivering replayed webhooks:', error);
+    });
+    
+    return { replayed };
+  }
+  
+  /**
+   * Put failed executions back in the delivery queue
+   * @param {Object} filter - Executions to requeue
+   * @returns {Promise<number>} - Number of requeued executions
+   */
+  async requeueExecutions(filter) {
+    const result = await db.projectOutgoingWebhookEvents.updateMany(
+      filter,
       {
         $set: {
-          status: 'pending',
+          status: 'retrying',
           finalStatus: null,
-          nextRetryAt: null
-        }
+          nextRetryAt: new Date(),
+          runAttempts: 0,
+          replayedAt: new Date()
+        },
+        $unset: { deadLettered: '' },
+        $inc: { replayCount: 1 }
       }
     );
-    
-    // Deliver webhook
-    await this.deliverWebhook(executionId);
+    return result.modifiedCount;
   }
   
   /**
-   * Mark execution as permanently failed
+   * Move an execution to the dead-letter state (failed permanently until replayed)
    * @param {string} executionId - Execution ID
    * @param {string} error - Error message
    */
@@ -304,13 +602,16 @@ class OutgoingWebhookDispatcher {
         $set: {
           status: 'failed',
           finalStatus: 'failed_permanently',
+          deadLettered: true,
           error: error,
+          nextRetryAt: null,
+          deadLetteredAt: new Date(),
           completedAt: new Date()
         }
       }
     );
     
-    console.log(`💀 Webhook execution ${executionId} failed permanently`);
+    console.log(`💀 Webhook execution ${executionId} failed permanently (dead-lettered)`);
   }
   
   /**
@@ -6,6 +6,24 @@ import { VercelAIProvider } from "@voltagent/vercel-ai";
 import { openai } from "@ai-sdk/openai";
 import { z } from "zod";
 import { createHeliconeProvider } from "../volt/voltAgentConfig.js";
+import WebhookRuleMatcher from "./WebhookRuleMatcher.js";
+import revisionRollback from "../cloudrun/revisionRollback.js";
+
+// Actions handled by processWebhookAction
+const HANDLED_ACTIONS = [
+  "deploy",
+  "deployment",
+  "trigger_build",
+  "import",
+  "refresh",
+  "update",
+  "rollback",
+  "create_content",
+  "read_analytics",
+];
+
+// Actions that must be granted explicitly, even to webhooks without a permissions object
+const EXPLICIT_GRANT_ACTIONS = ["rollback"];
 
 /**
  * Processes incoming webhook requests
@@ -90,7 +108,8 @@ Available actions: create_content, update_content, delete_content, trigger_build
       const result = await this.processWebhookAction(
         webhook,
         request.body,
-        event._id
+        event._id,
+        request
       );
 
       // Update event with success
@@ -216,14 +235,70 @@ Available actions: create_content, update_content, delete_content, trigger_build
     );
   }
 
+  /**
+   * Resolve how a request would be handled, without side effects
+   * Rules are tried first; the agent is only used when no rule matches.
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} request - Request data ({ body, headers, query, method })
+   * @param {Array<Object>} rules - Rules to evaluate (defaults to the webhook rules)
+   * @returns {Object} - { interpreter, command, evaluations, permitted }
+   */
+  dryRun(webhook, request, rules = webhook.rules) {
+    const { match, evaluations } = WebhookRuleMatcher.findMatchingRule(rules || [], request);
+
+    let interpreter = "default";
+    if (match) {
+      interpreter = "rule";
+    } else if (webhook.agentInstructions && webhook.provider) {
+      interpreter = "agent";
+    }
+
+    return {
+      interpreter,
+      command: match ? match.command : null,
+      evaluations,
+      permitted: match ? this.isActionPermitted(webhook, match.command.action) : null,
+    };
+  }
+
+  /**
+   * Check whether a webhook may run an action
+   * Webhooks without permissions may run any action except rollback, which always
+   * needs an explicit deployment.rollback grant.
+   * @param {Object} webhook - Webhook configuration
+   * @param {string|null} action - Action to check (null when nothing will run)
+   * @returns {boolean}
+   */
+  isActionPermitted(webhook, action) {
+    if (!action) return true;
+    if (EXPLICIT_GRANT_ACTIONS.includes(action)) {
+      return this.hasPermission(webhook.permissions, action);
+    }
+    return !webhook.permissions || this.hasPermission(webhook.permissions, action);
+  }
+
+  /**
+   * Get the action a request will actually run
+   * Unknown actions fall through to a deployment when the payload names a branch or commit.
+   * @param {string} action - Action from a rule, the agent or the payload
+   * @param {Object} payload - Request body
+   * @returns {string|null} - The action, or null when nothing will run
+   */
+  getEffectiveAction(action, payload) {
+    if (action && HANDLED_ACTIONS.includes(action)) return action;
+    if (payload?.branch || payload?.commit || payload?.ref) return "trigger_build";
+    return null;
+  }
+
   /**
    * Process webhook action based on payload
    * @param {Object} webhook - Webhook configuration
    * @param {Object} payload - Request body
    * @param {ObjectId} eventId - Event ID for logging
+   * @param {Object} request - Request data, used by the rules (defaults to the payload alone)
    * @returns {Object} - Action result
    */
-  async processWebhookAction(webhook, payload, eventId) {
+  async processWebhookAction(webhook, payload, eventId, request = { body: payload }) {
     let { action } = payload;
     let command = null;
 
@@ -235,8 +310,22 @@ Available actions: create_content, update_content, delete_content, trigger_build
       throw new Error("Project not found");
     }
 
-    // If webhook has AI instructions, use AI to extract command
-    if (webhook.agentInstructions && webhook.provider) {
+    // Deterministic rules first, then the AI interpreter if the webhook has instructions
+    const { match } = WebhookRuleMatcher.findMatchingRule(webhook.rules || [], request);
+    if (match) {
+      command = match.command;
+      action = command.action;
+
+      await this.logEvent(
+        eventId,
+        "info",
+        `Rule ${match.index} (${match.rule.name || "unnamed"}) matched: ${action}`
+      );
+      await db.projectWebhookEvents.updateOne(
+        { _id: eventId },
+        { $set: { interpreter: "rule", matchedRule: command.rule } }
+      );
+    } else if (webhook.agentInstructions && webhook.provider) {
       command = await this.extractCommandWithAI(webhook, payload);
       action = command.action;
 
@@ -244,18 +333,21 @@ Available actions: create_content, update_content, delete_content, trigger_build
         console.log("🤖 AI extracted command:", command);
       }
 
-      // Check permissions if available
-      if (
-        webhook.permissions &&
-        !this.hasPermission(webhook.permissions, action)
-      ) {
-        await this.logEvent(
-          eventId,
-          "error",
-          `Permission denied for action: ${action}`
-        );
-        throw new Error(`Permission denied for action: ${action}`);
-      }
+      await db.projectWebhookEvents.updateOne(
+        { _id: eventId },
+        { $set: { interpreter: "agent" } }
+      );
+    }
+
+    // Every action is checked, including one read straight from the payload
+    const effectiveAction = this.getEffectiveAction(action, payload);
+    if (!this.isActionPermitted(webhook, effectiveAction)) {
+      await this.logEvent(
+        eventId,
+        "error",
+        `Permission denied for action: ${effectiveAction}`
+      );
+      throw new Error(`Permission denied for action: ${effectiveAction}`);
     }
 
     // Log the action
@@ -283,6 +375,9 @@ Available actions: create_content, update_content, delete_content, trigger_build
       case "update":
         return await this.updateProject(project, command || payload, eventId);
 
+      case "rollback":
+        return await this.rollbackDeployment(project, command || payload, eventId, webhook);
+
       case "create_content":
         // TODO: Implement content creation
         await this.logEvent(
@@ -415,10 +510,13 @@ Available actions: create_content, update_content, delete_content, trigger_build
       // Build settings from project settings
       repositoryFolder: project.settings?.build?.repositoryFolder || "",
       ignoreFiles: project.settings?.build?.ignoreFiles || "",
+      i18n: project.settings?.build?.i18n || null,
       // Formatting settings for media/link paths
       notePrefix: project.formatting?.pageLinkPrefix || "",
       mediaPrefix: project.formatting?.mediaPrefix || "/_repo/medias",
       domain: staticDomain, // Always use absolute paths with static.repo.md
+      // Media settings (image quality) and embedding settings for the worker
+      projectSettings: { media: project.media || {}, ai: project.settings?.ai || {} },
       triggeredBy: "webhook",
       webhook: {
         eventId: eventId.toString(),
@@ -526,6 +624,39 @@ Available actions: create_content, update_content, delete_content, trigger_build
     };
   }
 
+  /**
+   * Roll the project back to a previous revision
+   * Uses parameters.revisionId, or the revision live before the active one.
+   * @param {Object} project - Project document
+   * @param {Object} payload - Webhook payload or command
+   * @param {ObjectId} eventId - Event ID
+   * @param {Object} webhook - Webhook configuration
+   * @returns {Object} - Rollback result
+   */
+  async rollbackDeployment(project, payload, eventId, webhook) {
+    const revisionId = payload.revisionId || payload.parameters?.revisionId || null;
+    await this.logEvent(
+      eventId,
+      "info",
+      `Rolling back to ${revisionId ? `revision ${revisionId}` : "the previous revision"}`
+    );
+
+    const result = await revisionRollback.rollback(project, revisionId, {
+      user: webhook.createdBy ? { id: webhook.createdBy } : null,
+      source: `webhook:${webhook._id}`,
+      reason: payload.reason || payload.parameters?.reason || `Incoming webhook "${webhook.name}"`,
+    });
+
+    await this.logEvent(eventId, "info", `Active revision is now ${result.toRevision.jobId}`);
+
+    return {
+      action: "rollback",
+      revisionId: result.toRevision.jobId,
+      previousRevisionId: result.fromRevision?.jobId || null,
+      auditId: result.auditId,
+    };
+  }
+
   /**
    * Extract command from payload using AI
    * @param {Object} webhook - Webhook configuration with AI instructions
@@ -575,6 +706,11 @@ Available actions: create_content, update_content, delete_content, trigger_build
       update_content: "content_management.update_content",
       delete_content: "content_management.delete_content",
       trigger_build: "deployment.trigger_build",
+      deploy: "deployment.trigger_build",
+      deployment: "deployment.trigger_build",
+      import: "deployment.trigger_build",
+      refresh: "deployment.trigger_build",
+      update: "content_management.update_content",
       deploy_preview: "deployment.deploy_preview",
       rollback: "deployment.rollback",
       read_analytics: "data_access.read_analytics",
@@ -0,0 +1,274 @@
+/**
+ * Deterministic rules for incoming webhooks
+ *
+ * A rule maps a request to an action without the LLM interpreter:
+ *   {
+ *     name: "CI build",
+ *     enabled: true,
+ *     match: [{ path: "$.headers['x-github-event']", op: "equals", value: "workflow_run" },
+ *             { path: "$.body.workflow_run.conclusion", op: "equals", value: "success" }],
+ *     action: "trigger_build",
+ *     parameters: { branch: "{{ $.body.workflow_run.head_branch }}", message: "CI: {{ $.body.workflow_run.name }}" }
+ *   }
+ *
+ * Paths are evaluated against { body, headers, query, method } and support a JSONPath subset:
+ * $.a.b, $['a'], $.a[0], $.a[*] and $.a.* (a condition matches if any value matches).
+ * Rules are tried in order; the first enabled rule whose conditions all match fires.
+ */
+
+// Actions a rule can fire (handled by WebhookProcessor.processWebhookAction)
+export const RULE_ACTIONS = [
+  "trigger_build",
+  "rollback",
+  "create_content",
+  "import",
+  "refresh",
+  "update",
+  "read_analytics",
+];
+
+// Condition operators
+export const RULE_OPERATORS = ["equals", "notEquals", "in", "exists", "notExists", "matches", "contains"];
+
+// Template filters ({{ $.body.ref | branch }})
+const TEMPLATE_FILTERS = {
+  branch: (value) => String(value ?? "").replace(/^refs\/(heads|tags)\//, ""),
+  lower: (value) => String(value ?? "").toLowerCase(),
+  upper: (value) => String(value ?? "").toUpperCase(),
+  default: (value, fallback) => (value === undefined || value === null || value === "" ? fallback : value),
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Evaluates webhook rules against incoming requests
+ */
+class WebhookRuleMatcher {
+  /**
+   * Split a JSONPath expression into segments
+   * @param {string} path - Path such as "$.body.items[0].name" or "$.headers['x-event']"
+   * @returns {Array<string|number>} - Segments ("*" for wildcards)
+   */
+  static parsePath(path) {
+    if (typeof path !== "string" || !path.startsWith("$")) {
+      throw new Error(`Invalid path "${path}": paths start with $`);
+    }
+
+    const segments = [];
+    const pattern = /\.([^.[\]]+)|\[\s*(?:'([^']*)'|"([^"]*)"|(-?\d+)|(\*))\s*\]/g;
+    let position = 1;
+    let match;
+    while ((match = pattern.exec(path)) !== null) {
+      if (match.index !== position) break;
+      const [, dotKey, singleQuoted, doubleQuoted, index, wildcard] = match;
+      if (dotKey !== undefined) segments.push(dotKey);
+      else if (singleQuoted !== undefined) segments.push(singleQuoted);
+      else if (doubleQuoted !== undefined) segments.push(doubleQuoted);
+      else if (index !== undefined) segments.push(Number(index));
+      else if (wildcard !== undefined) segments.push("*");
+      position = pattern.lastIndex;
+    }
+
+    if (position !== path.length) {
+      throw new Error(`Invalid path "${path}" at position ${position}`);
+    }
+    return segments;
+  }
+
+  /**
+   * Get the values at a path
+   * @param {Object} document - Document to query
+   * @param {string} path - JSONPath expression
+   * @returns {Array} - Matched values (empty if the path does not exist)
+   */
+  static query(document, path) {
+    let values = [document];
+    for (const segment of this.parsePath(path)) {
+      const next = [];
+      for (const value of values) {
+        if (value === null || typeof value !== "object") continue;
+        if (segment === "*") {
+          next.push(...Object.values(value));
+        } else if (typeof segment === "number" && Array.isArray(value)) {
+          const item = value[segment < 0 ? value.length + segment : segment];
+          if (item !== undefined) next.push(item);
+        } else if (Object.prototype.hasOwnProperty.call(value, segment)) {
+          next.push(value[segment]);
+        }
+      }
+      values = next;
+    }
+    return values;
+  }
+
+  /**
+   * Check a single value against a condition
+   * @param {*} actual - Value found at the condition path
+   * @param {Object} condition - { op, value }
+   * @returns {boolean}
+   */
+  static compare(actual, { op = "equals", value }) {
+    switch (op) {
+      case "equals":
+        return actual === value || (typeof actual !== "object" && String(actual) === String(value));
+      case "notEquals":
+        return !this.compare(actual, { op: "equals", value });
+      case "in":
+        return Array.isArray(value) && value.some((item) => this.compare(actual, { op: "equals", value: item }));
+      case "matches":
+        return typeof actual === "string" && new RegExp(value).test(actual);
+      case "contains":
+        return Array.isArray(actual)
+          ? actual.some((item) => this.compare(item, { op: "equals", value }))
+          : typeof actual === "string" && actual.includes(String(value));
+      default:
+        throw new Error(`Unknown operator "${op}"`);
+    }
+  }
+
+  /**
+   * Evaluate a condition against the request context
+   * @param {Object} context - { body, headers, query, method }
+   * @param {Object} condition - { path, op, value }
+   * @returns {Object} - { path, op, value, actual, matched }
+   */
+  static evaluateCondition(context, condition) {
+    const op = condition.op || "equals";
+    const values = this.query(context, condition.path);
+    const present = values.filter((item) => item !== undefined && item !== null);
+
+    let matched;
+    if (op === "exists") matched = present.length > 0;
+    else if (op === "notExists") matched = present.length === 0;
+    else if (op === "notEquals") matched = values.every((item) => this.compare(item, { ...condition, op }));
+    else matched = values.some((item) => this.compare(item, { ...condition, op }));
+
+    return {
+      path: condition.path,
+      op,
+      value: condition.value,
+      actual: values.length > 1 ? values : values[0],
+      matched,
+    };
+  }
+
+  /**
+   * Evaluate a rule (all conditions must match, a rule without conditions always matches)
+   * @param {Object} context - { body, headers, query, method }
+   * @param {Object} rule - Rule configuration
+   * @returns {Object} - { matched, conditions, error }
+   */
+  static evaluateRule(context, rule) {
+    if (rule.enabled === false) {
+      return { matched: false, disabled: true, conditions: [] };
+    }
+
+    try {
+      const conditions = (rule.match || []).map((condition) => this.evaluateCondition(context, condition));
+      return { matched: conditions.every((condition) => condition.matched), conditions };
+    } catch (error) {
+      // An invalid rule never fires, but does not prevent the next rules from matching
+      return { matched: false, conditions: [], error: error.message };
+    }
+  }
+
+  /**
+   * Render a template expression ("path | filter:arg | filter")
+   * @param {Object} context - { body, headers, query, method }
+   * @param {string} expression - Placeholder content
+   * @returns {*} - Rendered value
+   */
+  static renderExpression(context, expression) {
+    const [path, ...filters] = expression.split("|").map((part) => part.trim());
+    let value = this.query(context, path)[0];
+
+    for (const filter of filters) {
+      const separator = filter.indexOf(":");
+      const name = separator === -1 ? filter : filter.slice(0, separator).trim();
+      const argument = separator === -1 ? undefined : filter.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, "$2");
+      if (!TEMPLATE_FILTERS[name]) {
+        throw new Error(`Unknown template filter "${name}"`);
+      }
+      value = TEMPLATE_FILTERS[name](value, argument);
+    }
+    return value;
+  }
+
+  /**
+   * Render templated parameters
+   * A string made of a single placeholder keeps the type of the value; other strings are interpolated.
+   * @param {*} template - Parameter value, object or array of values
+   * @param {Object} context - { body, headers, query, method }
+   * @returns {*} - Rendered parameters
+   */
+  static render(template, context) {
+    if (Array.isArray(template)) {
+      return template.map((item) => this.render(item, context));
+    }
+    if (template && typeof template === "object") {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.render(value, context)])
+      );
+    }
+    if (typeof template !== "string") {
+      return template;
+    }
+
+    const single = template.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (single) {
+      return this.renderExpression(context, single[1]);
+    }
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, expression) => {
+      const value = this.renderExpression(context, expression);
+      if (value === undefined || value === null) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  /**
+   * Build the context rules are evaluated against
+   * @param {Object} request - { body, headers, query, method }
+   * @returns {Object} - Context
+   */
+  static buildContext(request) {
+    return {
+      body: request.body ?? {},
+      headers: request.headers || {},
+      query: request.query || {},
+      method: request.method,
+    };
+  }
+
+  /**
+   * Find the first rule matching a request
+   * @param {Array<Object>} rules - Rules, in order
+   * @param {Object} request - { body, headers, query, method }
+   * @returns {Object} - { match: { index, rule, command } | null, evaluations }
+   */
+  static findMatchingRule(rules = [], request) {
+    const context = this.buildContext(request);
+    const evaluations = [];
+
+    for (const [index, rule] of rules.entries()) {
+      const evaluation = this.evaluateRule(context, rule);
+      evaluations.push({ index, name: rule.name, action: rule.action, ...evaluation });
+      if (!evaluation.matched) continue;
+
+      try {
+        const command = {
+          action: rule.action,
+          parameters: this.render(rule.parameters || {}, context),
+          rule: { index, name: rule.name },
+        };
+        return { match: { index, rule, command }, evaluations };
+      } catch (error) {
+        // Parameters that cannot be rendered (unknown filter...) make the rule not fire
+        Object.assign(evaluations[evaluations.length - 1], { matched: false, error: error.message });
+      }
+    }
+
+    return { match: null, evaluations };
+  }
+}
+
+export default WebhookRuleMatcher;
@@ -60,6 +60,39 @@ class WebhookSigner {
     return `sha256=${signature}`;
   }
   
+  /**
+   * Create the delivery signature header of an outgoing webhook
+   * Signs "{idempotencyKey}.{timestamp}.{body}", so the idempotency key and timestamp
+   * headers cannot be altered or replayed with another body.
+   * @param {string} body - Raw request body
+   * @param {Object} delivery - { idempotencyKey, timestamp }
+   * @param {string} secret - Secret key
+   * @returns {string} - Formatted signature header value
+   */
+  static createDeliverySignatureHeader(body, { idempotencyKey, timestamp }, secret) {
+    return this.createSignatureHeader(`${idempotencyKey}.${timestamp}.${body}`, secret);
+  }
+  
+  /**
+   * Verify the delivery signature header of an outgoing webhook
+   * @param {string} body - Raw request body
+   * @param {Object} delivery - { idempotencyKey, timestamp } from the request headers
+   * @param {string} signatureHeader - X-Webhook-Delivery-Signature header value
+   * @param {string} secret - Secret key
+   * @returns {boolean} - True if signature is valid
+   */
+  static verifyDelivery(body, { idempotencyKey, timestamp }, signatureHeader, secret) {
+    if (!signatureHeader || !secret) {
+      return false;
+    }
+    
+    try {
+      return this.verify(`${idempotencyKey}.${timestamp}.${body}`, signatureHeader, secret);
+    } catch (error) {
+      return false; // Malformed signature
+    }
+  }
+  
   /**
    * Verify webhook with multiple signature formats
    * @param {Object|string} payload - Payload to verify
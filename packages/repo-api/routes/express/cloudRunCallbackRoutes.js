@@ -1,18 +1,8 @@
 import express from "express";
-import {
-  updateJob,
-  getJob,
-  addJobLog,
-  completeJob,
-  failJob,
-  JobStatus,
-} from "../../lib/cloudrun/jobModel.js";
-import { db } from "../../db.js";
-import { ObjectId } from "mongodb";
+import { getJob, JobStatus } from "../../lib/cloudrun/jobModel.js";
 import asyncHandler from "../../utils/asyncHandler.js";
-import outgoingWebhookDispatcher from "../../lib/webhooks/OutgoingWebhookDispatcher.js";
-import { sendSlackNotification } from "../slackRoutes.js";
-import deploymentNotifier from "../../lib/slack/deploymentNotifier.js";
+import { applyJobCallback } from "../../lib/cloudrun/jobCallbacks.js";
+import { reconcileStuckJobs, DEFAULT_STALE_MINUTES } from "../../lib/cloudrun/jobReconciliation.js";
 
 const router = express.Router();
 
@@ -94,192 +84,34 @@ router.post("/callback", validateCallback, asyncHandler(async (req, res) => {
     });
   }
 
-  // Add logs if provided
-  if (logs && Array.isArray(logs) && logs.length > 0) {
-    for (const log of logs) {
-      await addJobLog(jobId, log);
-    }
-  }
-
-  // Handle worker API format (status: "completed" or "failed" with result/error)
-  if (status === "completed" || status === JobStatus.COMPLETED) {
-    // Worker API sends result instead of output
-    const outputData = result || output || {};
-
-    // Add processing metadata if available
-    if (processedAt || duration) {
-      outputData.workerMetadata = {
-        processedAt: processedAt || new Date().toISOString(),
-        duration: duration || 0,
-      };
-    }
-
-    await completeJob(jobId, outputData);
-
-    // Update project with activeRev=jobId for completed jobs
-    if (job.projectId && job.type === "repo_deploy") {
-      // Get project details for notifications
-      const project = await db.projects.findOne({ _id: new ObjectId(job.projectId) });
-      
-      // Dispatch deployment completed webhook
-      await outgoingWebhookDispatcher.dispatch(
-        job.projectId,
-        'deployment.completed',
-        {
-          projectId: job.projectId,
-          jobId: jobId,
-          status: 'success',
-          duration: duration || null,
-          completedAt: new Date(),
-          metadata: job.data || {}
-        }
-      );
-      
-      // Find existing deployment by jobId
-      const existingDeployment = await db.deploys.findOne({ jobId });
-      
-      if (existingDeployment) {
-        // Update existing deployment with completion
-        const stats = {
-          pageCount: outputData?.stats?.pageCount,
-          fileCount: outputData?.stats?.fileCount,
-          totalSize: outputData?.stats?.totalSize,
-          buildTime: duration ? Math.round(duration / 1000) : undefined
-        };
-        
-        // Update Slack notification with completion status
-        if (project && project.orgId) {
-          await deploymentNotifier.notifyDeploymentCompleted(existingDeployment._id, stats);
-        }
-      } else {
-        // Fallback: create new deployment record if not found
-        const deploymentData = {
-          projectId: new ObjectId(job.projectId),
-          jobId: jobId,
-          status: 'completed',
-          startedAt: job.createdAt,
-          completedAt: new Date(),
-          branch: job.data?.branch || 'main',
-          commitId: job.data?.commitId,
-          triggeredBy: job.createdBy,
-          stats: {
-            pageCount: outputData?.stats?.pageCount,
-            fileCount: outputData?.stats?.fileCount,
-            totalSize: outputData?.stats?.totalSize,
-            buildTime: duration ? Math.round(duration / 1000) : undefined
-          }
-        };
-        
-        const deploymentResult = await db.deploys.insertOne({
-          ...deploymentData,
-          createdAt: new Date()
-        });
-        
-        // Send new notification (fallback)
-        if (project && project.orgId) {
-          await deploymentNotifier.updateDeploymentNotification(deploymentResult.insertedId, 'completed');
-        }
-      }
-      // Only update activeRev if this job is newer than the current one (prevents race condition
-      // where an older job completing after a newer one would regress the activeRev)
-      const shouldUpdateActiveRev = !project?.activeRev ||
-        new ObjectId(jobId).getTimestamp() > new ObjectId(project.activeRev).getTimestamp();
+  await applyJobCallback(job, req.body);
 
-      if (shouldUpdateActiveRev) {
-        console.log(
-          `✅ Setting completed job ${jobId} as activeRev for project ${job.projectId}`
-        );
-        try {
-          await db.projects.updateOne(
-            { _id: new ObjectId(job.projectId) },
-            {
-              $set: {
-                activeRev: jobId,
-                updatedAt: new Date(),
-              },
-            }
-          );
-          console.log(
-            `✅ Project ${job.projectId} updated with activeRev=${jobId}`
-          );
-        } catch (err) {
-          console.error(
-            `❌ Error updating project ${job.projectId} with activeRev:`,
-            err
-          );
-          // Re-throw to let asyncHandler catch and log it properly
-          throw err;
-        }
-      } else {
-        console.log(
-          `⏭️ Skipping activeRev update for project ${job.projectId} - job ${jobId} is older than current activeRev ${project.activeRev}`
-        );
-      }
-    }
-  } else if (status === "failed" || status === JobStatus.FAILED) {
-    // Extract error message from either format
-    const errorMessage =
-      typeof error === "string" ? error : error?.message || "Unknown error";
+  // Return success response
+  return res.json({
+    success: true,
+    message: `Job ${jobId} updated with status: ${status}`,
+  });
+}));
 
-    await failJob(jobId, errorMessage);
-    
-    // Dispatch deployment failed webhook for deploy jobs
-    if (job.projectId && job.type === "repo_deploy") {
-      // Get project details for notifications
-      const project = await db.projects.findOne({ _id: new ObjectId(job.projectId) });
-      
-      await outgoingWebhookDispatcher.dispatch(
-        job.projectId,
-        'deployment.failed',
-        {
-          projectId: job.projectId,
-          jobId: jobId,
-          status: 'failed',
-          error: errorMessage,
-          failedAt: new Date(),
-          metadata: job.data || {}
-        }
-      );
-      
-      // Find existing deployment by jobId
-      const existingDeployment = await db.deploys.findOne({ jobId });
-      
-      if (existingDeployment) {
-        // Update existing deployment with failure
-        await deploymentNotifier.notifyDeploymentFailed(existingDeployment._id, errorMessage);
-      } else {
-        // Fallback: create new deployment record if not found
-        const deploymentData = {
-          projectId: new ObjectId(job.projectId),
-          jobId: jobId,
-          status: 'failed',
-          startedAt: job.createdAt,
-          completedAt: new Date(),
-          branch: job.data?.branch || 'main',
-          commitId: job.data?.commitId,
-          triggeredBy: job.createdBy,
-          error: errorMessage
-        };
-        
-        const deploymentResult = await db.deploys.insertOne({
-          ...deploymentData,
-          createdAt: new Date()
-        });
-        
-        // Send notification
-        if (project && project.orgId) {
-          await deploymentNotifier.notifyDeploymentFailed(deploymentResult.insertedId, errorMessage);
-        }
-      }
-    }
-  } else {
-    await updateJob(jobId, { status });
+// Reconcile jobs stuck in "running" (also run periodically by the task queue, see lib/schedule/queue.js)
+router.post("/reconcile", asyncHandler(async (req, res) => {
+  const workerSecret = process.env.WORKER_SECRET;
+  if (workerSecret && req.headers.authorization !== `Bearer ${workerSecret}`) {
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorized",
+    });
   }
 
-  // Return success response
+  const { checked, results } = await reconcileStuckJobs({
+    staleMinutes: Number(req.body?.staleMinutes) || DEFAULT_STALE_MINUTES,
+    limit: Math.min(Number(req.body?.limit) || 50, 200),
+  });
+
   return res.json({
     success: true,
-    message: `Job ${jobId} updated with status: ${status}`,
+    checked,
+    results,
   });
 }));
 
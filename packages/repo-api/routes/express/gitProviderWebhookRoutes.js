@@ -0,0 +1,506 @@
+import express from "express";
+import crypto from "crypto";
+import { db } from "../../db.js";
+import { ObjectId } from "mongodb";
+import asyncHandler from "../../utils/asyncHandler.js";
+import cloudRunService from "../../lib/cloudRun.js";
+import { buildDeploymentData } from "../../lib/cloudrun/webhookDeployment.js";
+import { getProjectGitProvider, getUserGitToken, parseRepoUrl } from "../../lib/gitProviders.js";
+
+const router = express.Router();
+
+// Debug flag for webhook testing
+const DEBUG_WEBHOOKS = process.env.DEBUG_WEBHOOKS === 'true' || process.env.NODE_ENV === 'development';
+
+// Only deploy pushes to these branches (same as GitHub webhooks)
+const DEPLOYMENT_BRANCHES = ['main', 'master'];
+
+// Commit SHAs accepted from push payloads (SHA-1 or SHA-256)
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{40}([0-9a-f]{24})?$/i;
+
+// Push webhooks of the self-hostable providers (GitHub has its own routes)
+// Each project has its own webhook URL (/{provider}/webhook/{projectId}) and secret (gitWebhookSecrets).
+const PROVIDERS = {
+  gitlab: {
+    label: 'GitLab',
+    eventHeaders: ['X-Gitlab-Event'],
+    deliveryHeaders: ['X-Gitlab-Event-UUID'],
+    signatureHeaders: ['X-Gitlab-Token'],
+    pushEvents: ['Push Hook'],
+  },
+  gitea: {
+    label: 'Gitea',
+    eventHeaders: ['X-Gitea-Event'],
+    deliveryHeaders: ['X-Gitea-Delivery'],
+    signatureHeaders: ['X-Gitea-Signature'],
+    pushEvents: ['push'],
+  },
+  forgejo: {
+    label: 'Forgejo',
+    // Forgejo also sends the Gitea headers
+    eventHeaders: ['X-Forgejo-Event', 'X-Gitea-Event'],
+    deliveryHeaders: ['X-Forgejo-Delivery', 'X-Gitea-Delivery'],
+    signatureHeaders: ['X-Forgejo-Signature', 'X-Gitea-Signature'],
+    pushEvents: ['push'],
+  },
+};
+
+/**
+ * Read the first header set among alternatives
+ * @param {Object} req - Express request
+ * @param {Array<string>} names - Header names
+ * @returns {string|undefined}
+ */
+function getHeader(req, names) {
+  return names.map((name) => req.get(name)).find(Boolean);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a webhook request against the project's secret
+ * GitLab sends the secret token as is (X-Gitlab-Token); Gitea and Forgejo sign the
+ * payload with HMAC-SHA256 (hex digest, no prefix).
+ * @param {string} provider - Provider key
+ * @param {string} secret - The project's webhook secret
+ * @param {Buffer|string} payload - Raw request payload
+ * @param {string} signature - Token or signature header
+ * @returns {boolean} - True if the request is authentic
+ */
+function verifyWebhookSignature(provider, secret, payload, signature) {
+  if (!secret || !signature) {
+    return false;
+  }
+
+  if (provider === 'gitlab') {
+    return safeEqual(signature, secret);
+  }
+
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(payload);
+  return safeEqual(signature, hmac.digest('hex'));
+}
+
+/**
+ * Normalize the repository of a webhook payload
+ * @param {string} provider - Provider key
+ * @param {Object} payload - Webhook payload
+ * @returns {Object|null} - { id, name, fullName, owner, private, htmlUrl, cloneUrl, sshUrl }
+ */
+function getRepository(provider, payload) {
+  if (provider === 'gitlab') {
+    const project = payload.project;
+    if (!project) return null;
+    return {
+      id: project.id,
+      name: project.name,
+      fullName: project.path_with_namespace,
+      owner: project.path_with_namespace.split('/').slice(0, -1).join('/'),
+      private: project.visibility_level !== 20, // 20 = public
+      htmlUrl: project.web_url,
+      cloneUrl: project.git_http_url,
+      sshUrl: project.git_ssh_url,
+    };
+  }
+
+  const repository = payload.repository;
+  if (!repository) return null;
+  return {
+    id: repository.id,
+    name: repository.name,
+    fullName: repository.full_name,
+    owner: repository.owner?.login || repository.owner?.username,
+    private: repository.private,
+    htmlUrl: repository.html_url,
+    cloneUrl: repository.clone_url,
+    sshUrl: repository.ssh_url,
+  };
+}
+
+/**
+ * Normalize a push payload
+ * @param {string} provider - Provider key
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} - { ref, branch, commit, commitMessage, deleted, pusher }
+ */
+function getPush(provider, payload) {
+  const { ref = '', after = '' } = payload;
+  const deleted = /^0+$/.test(after);
+
+  if (provider === 'gitlab') {
+    const commit = payload.checkout_sha || after;
+    const commits = payload.commits || [];
+    const headCommit = commits.find((item) => item.id === commit) || commits[commits.length - 1];
+    return {
+      ref,
+      branch: ref.replace('refs/heads/', ''),
+      commit,
+      commitMessage: headCommit?.message,
+      deleted,
+      pusher: { name: payload.user_name || payload.user_username, email: payload.user_email },
+    };
+  }
+
+  const pusher = payload.pusher || {};
+  return {
+    ref,
+    branch: ref.replace('refs/heads/', ''),
+    commit: payload.head_commit?.id || after,
+    commitMessage: payload.head_commit?.message,
+    deleted,
+    pusher: { name: pusher.full_name || pusher.login || pusher.username, email: pusher.email },
+  };
+}
+
+/**
+ * Find the project of a webhook URL with its webhook secret
+ * @param {string} projectId - Project ID from the webhook URL
+ * @returns {Promise<Object>} - { project, secret } (null values when not found)
+ */
+async function findProjectWithSecret(projectId) {
+  if (!ObjectId.isValid(projectId)) {
+    return { project: null, secret: null };
+  }
+
+  const [project, webhookSecret] = await Promise.all([
+    db.projects.findOne({ _id: new ObjectId(projectId) }),
+    db.gitWebhookSecrets.findOne({ projectId }),
+  ]);
+  return { project, secret: webhookSecret?.secret || null };
+}
+
+/**
+ * Check that a push comes from the repository linked to the project
+ * @param {Object} gitInfo - Stored provider info of the project (getProjectGitProvider)
+ * @param {Object} repository - Normalized repository of the payload
+ * @returns {boolean}
+ */
+function isProjectRepository(gitInfo, repository) {
+  const pushed = parseRepoUrl(repository.htmlUrl, gitInfo.baseUrl);
+  return !!pushed && pushed.fullName.toLowerCase() === gitInfo.fullName.toLowerCase();
+}
+
+/**
+ * Process push event and trigger deployment
+ * The repository, instance and token come from the stored project; the payload only
+ * selects the branch and commit.
+ * @param {string} provider - Provider key
+ * @param {Object} payload - Webhook payload
+ * @param {Object} project - Project document
+ * @param {Object} gitInfo - Stored provider info of the project
+ * @returns {Object} - Processing result
+ */
+async function processPushEvent(provider, payload, project, gitInfo) {
+  const repository = getRepository(provider, payload);
+  const push = getPush(provider, payload);
+  const { branch, commit } = push;
+
+  console.log(`📝 Processing ${PROVIDERS[provider].label} push to ${repository.fullName}:${branch}`);
+
+  // Tag pushes and branch deletions have nothing to deploy
+  if (!push.ref.startsWith('refs/heads/') || push.deleted) {
+    console.log(`⏭️ Skipping ${push.deleted ? 'branch deletion' : 'non-branch push'} for ${push.ref}`);
+    return {
+      success: true,
+      skipped: true,
+      reason: push.deleted ? 'Branch deletion event - no deployment needed' : `Ref '${push.ref}' is not a branch`,
+      branch: branch
+    };
+  }
+
+  console.log(`🔄 Commit: ${commit} by ${push.pusher.name}`);
+
+  // Only deploy on main or master branches
+  if (!DEPLOYMENT_BRANCHES.includes(branch)) {
+    console.log(`⏭️ Skipping deployment for branch '${branch}' - only deploying on: ${DEPLOYMENT_BRANCHES.join(', ')}`);
+    return {
+      success: true,
+      skipped: true,
+      reason: `Branch '${branch}' not in deployment branches: ${DEPLOYMENT_BRANCHES.join(', ')}`,
+      branch: branch
+    };
+  }
+
+  if (!COMMIT_SHA_PATTERN.test(commit)) {
+    throw new Error(`Invalid commit SHA in push payload: ${commit}`);
+  }
+
+  // Get project owner's token for the project's instance
+  const gitToken = await getUserGitToken(project.ownerId, gitInfo);
+
+  if (!gitToken) {
+    throw new Error(`No ${PROVIDERS[provider].label} token found for project owner`);
+  }
+
+  // Create deployment job using the same flow as manual deployments
+  const deploymentData = {
+    ...buildDeploymentData(project, {
+      commit: commit,
+      branch: branch,
+      gitToken: gitToken,
+      repoUrl: project.repoUrl,
+      gitProvider: provider,
+      gitBaseUrl: gitInfo.baseUrl,
+    }),
+    // Add webhook metadata
+    triggeredBy: 'webhook',
+    webhook: {
+      event: 'push',
+      provider: provider,
+      pusher: push.pusher.name,
+      pusherEmail: push.pusher.email,
+      commitMessage: push.commitMessage,
+      timestamp: new Date()
+    }
+  };
+
+  // Create the deployment job
+  const job = await cloudRunService.createJob("deploy-repo", deploymentData);
+
+  console.log(`🚀 ${PROVIDERS[provider].label} webhook triggered deployment job: ${job._id}`);
+
+  return {
+    success: true,
+    jobId: job._id.toString(),
+    projectId: project._id.toString(),
+    branch: branch,
+    commit: commit
+  };
+}
+
+/**
+ * Create the webhook handler of a provider
+ * Stores every delivery in gitEvents (with its provider) and deploys pushes.
+ * @param {string} provider - Provider key
+ * @returns {Function} - Express handler
+ */
+function handleWebhook(provider) {
+  const { label, eventHeaders, deliveryHeaders, signatureHeaders, pushEvents } = PROVIDERS[provider];
+
+  return async (req, res) => {
+    const { projectId } = req.params;
+    const signature = getHeader(req, signatureHeaders);
+    const event = getHeader(req, eventHeaders);
+    const delivery = getHeader(req, deliveryHeaders);
+
+    console.log(`\n🎣 ====== ${label.toUpperCase()} WEBHOOK RECEIVED ======`);
+    console.log(`📨 Event: ${event}`);
+    console.log(`📦 Delivery ID: ${delivery}`);
+    console.log(`🔐 Has Signature: ${!!signature}`);
+
+    const { project, secret } = await findProjectWithSecret(projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Verify signature with the project's secret (requests are rejected until one is generated)
+    if (!secret) {
+      console.error(`❌ No ${label} webhook secret configured for project ${projectId}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Webhook secret not configured for this project'
+      });
+    }
+    if (!verifyWebhookSignature(provider, secret, req.rawBody || req.body, signature)) {
+      console.error(`❌ Invalid ${label} webhook signature for project ${projectId}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    // Parse JSON payload
+    let payload;
+    try {
+      payload = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : req.body;
+    } catch (error) {
+      console.error('❌ Invalid JSON payload:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid JSON payload'
+      });
+    }
+
+    if (DEBUG_WEBHOOKS) {
+      console.log('🐛 DEBUG MODE: Full payload:', JSON.stringify(payload, null, 2));
+    }
+
+    const repository = getRepository(provider, payload);
+
+    // Store webhook event in gitEvents collection (the secret token of GitLab is not kept)
+    const gitEvent = {
+      _id: new ObjectId(),
+      provider: provider,
+      event: event,
+      delivery: delivery,
+      repository: repository ? {
+        id: repository.id,
+        name: repository.name,
+        fullName: repository.fullName,
+        owner: repository.owner,
+        private: repository.private
+      } : null,
+      payload: payload,
+      signature: provider === 'gitlab' ? null : signature,
+      timestamp: new Date(),
+      processed: false,
+      projectId: project._id.toString(),
+      orgSlug: project.orgId
+    };
+
+    await db.gitEvents.insertOne(gitEvent);
+    console.log(`📝 Stored webhook event: ${gitEvent._id}`);
+
+    // Only process push events
+    if (!pushEvents.includes(event) || !repository) {
+      console.log(`ℹ️ Ignoring unsupported event: ${event}`);
+
+      await db.gitEvents.updateOne(
+        { _id: gitEvent._id },
+        {
+          $set: {
+            processed: true,
+            ignored: true,
+            ignoredReason: `Event type '${event}' not supported`
+          }
+        }
+      );
+
+      return res.json({
+        success: true,
+        message: `Event '${event}' received but not processed`,
+        eventId: gitEvent._id.toString()
+      });
+    }
+
+    try {
+      // The project must be linked to this provider and the push must come from its repository
+      const gitInfo = getProjectGitProvider(project);
+      const ignoredReason = gitInfo?.provider !== provider
+        ? `Project is not linked to a ${label} repository`
+        : !isProjectRepository(gitInfo, repository)
+          ? `Repository ${repository.fullName} is not the project repository ${gitInfo.fullName}`
+          : null;
+
+      if (ignoredReason) {
+        console.log(`⚠️ ${ignoredReason}`);
+
+        await db.gitEvents.updateOne(
+          { _id: gitEvent._id },
+          {
+            $set: {
+              processed: true,
+              ignored: true,
+              ignoredReason
+            }
+          }
+        );
+
+        return res.status(400).json({
+          success: false,
+          message: ignoredReason,
+          eventId: gitEvent._id.toString()
+        });
+      }
+
+      console.log(`✅ Found project: ${project.name} (${project._id})`);
+
+      const result = await processPushEvent(provider, payload, project, gitInfo);
+
+      if (result.skipped) {
+        console.log(`⏭️ Webhook event skipped: ${result.reason}`);
+
+        await db.gitEvents.updateOne(
+          { _id: gitEvent._id },
+          {
+            $set: {
+              processed: true,
+              skipped: true,
+              skipReason: result.reason,
+              processingResult: result,
+              processedAt: new Date()
+            }
+          }
+        );
+
+        return res.json({
+          success: true,
+          message: `Webhook received but skipped: ${result.reason}`,
+          eventId: gitEvent._id.toString(),
+          ...result
+        });
+      }
+
+      await db.gitEvents.updateOne(
+        { _id: gitEvent._id },
+        {
+          $set: {
+            processed: true,
+            processingResult: result,
+            processedAt: new Date()
+          }
+        }
+      );
+
+      console.log(`✅ Webhook processed successfully`);
+
+      return res.json({
+        success: true,
+        message: 'Webhook processed successfully',
+        eventId: gitEvent._id.toString(),
+        ...result
+      });
+    } catch (error) {
+      console.error('❌ Error processing webhook:', error);
+
+      await db.gitEvents.updateOne(
+        { _id: gitEvent._id },
+        {
+          $set: {
+            processed: true,
+            failed: true,
+            error: error.message,
+            processedAt: new Date()
+          }
+        }
+      );
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error processing webhook',
+        error: error.message,
+        eventId: gitEvent._id.toString()
+      });
+    }
+  };
+}
+
+for (const [provider, { label }] of Object.entries(PROVIDERS)) {
+  // Raw body for signature verification
+  router.use(`/${provider}/webhook`, express.raw({ type: 'application/json' }));
+
+  router.post(`/${provider}/webhook/:projectId`, asyncHandler(handleWebhook(provider)));
+
+  router.get(`/${provider}/webhook/health`, (req, res) => {
+    res.json({
+      success: true,
+      message: `${label} webhook endpoint is healthy`,
+      timestamp: new Date()
+    });
+  });
+}
+
+export default router;
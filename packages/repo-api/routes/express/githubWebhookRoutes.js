@@ -4,6 +4,16 @@ import { db } from "../../db.js";
 import { ObjectId } from "mongodb";
 import asyncHandler from "../../utils/asyncHandler.js";
 import cloudRunService from "../../lib/cloudRun.js";
+import previewDeployments, { getPreviewAlias } from "../../lib/cloudrun/previewDeployments.js";
+import releaseDeployments, { RELEASE_ALIAS, ReleaseMode } from "../../lib/cloudrun/releaseDeployments.js";
+import { deleteBranchRevisions } from "../../lib/cloudrun/revisionCleanup.js";
+import {
+  buildDeploymentData,
+  buildUntrustedDeploymentData,
+  getProjectOwnerGitToken,
+  isForkPullRequest,
+  TRUSTED_AUTHOR_ASSOCIATIONS,
+} from "../../lib/cloudrun/webhookDeployment.js";
 
 const router = express.Router();
 
@@ -13,6 +23,30 @@ const DEBUG_WEBHOOKS = process.env.DEBUG_WEBHOOKS === 'true' || process.env.NODE
 // GitHub webhook secret for validating webhook payloads
 const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
 
+// Webhook events that trigger processing (others are stored and ignored)
+const SUPPORTED_EVENTS = [
+  'push',
+  'pull_request',
+  'create',
+  'delete',
+  'release',
+  'repository',
+  'installation',
+  'installation_repositories'
+];
+
+// GitHub App installation events concern every repository of the installation, not a single project
+const INSTALLATION_EVENTS = ['installation', 'installation_repositories'];
+
+// Only deploy pushes to these branches (their revisions are never garbage-collected either)
+const DEPLOYMENT_BRANCHES = ['main', 'master'];
+
+// Pull request actions that (re)build the PR preview
+const PREVIEW_BUILD_ACTIONS = ['opened', 'reopened', 'synchronize'];
+
+// Repository actions that change the owner or name linked in githubRepo
+const REPOSITORY_LINK_ACTIONS = ['renamed', 'transferred'];
+
 /**
  * Verify GitHub webhook signature
  * @param {string} payload - Raw request payload
@@ -42,48 +76,52 @@ function verifyGitHubSignature(payload, signature) {
 /**
  * Find project by repository information
  * @param {Object} repository - GitHub repository object
+ * @param {string} previousFullName - Full name before a rename or transfer (optional)
  * @returns {Object|null} - Project document or null
  */
-async function findProjectByRepo(repository) {
+async function findProjectByRepo(repository, previousFullName = null) {
   // Try multiple ways to match the repository
   const repoFullName = repository.full_name;
   const repoUrl = repository.html_url;
   const repoCloneUrl = repository.clone_url;
   
   // Search by multiple possible fields
-  const project = await db.projects.findOne({
-    $or: [
-      { "githubRepo.fullName": repoFullName },
-      { "github.fullName": repoFullName },
-      { repoUrl: repoUrl },
-      { repoUrl: repoCloneUrl },
-      { repoUrl: repository.ssh_url },
-      { "github.repoName": repository.name, "github.owner": repository.owner.login }
-    ]
-  });
+  const criteria = [
+    { "githubRepo.repoId": repository.id },
+    { "githubRepo.fullName": repoFullName },
+    { "github.fullName": repoFullName },
+    { repoUrl: repoUrl },
+    { repoUrl: repoCloneUrl },
+    { repoUrl: repository.ssh_url },
+    { "github.repoName": repository.name, "github.owner": repository.owner.login }
+  ];
+  if (previousFullName) {
+    criteria.push(
+      { "githubRepo.fullName": previousFullName },
+      { "github.fullName": previousFullName }
+    );
+  }
+
+  const project = await db.projects.findOne({ $or: criteria });
 
   return project;
 }
 
 /**
- * Get GitHub token for project owner
- * @param {string} ownerId - Project owner user ID
- * @returns {string|null} - GitHub token or null
+ * Get the full name a repository had before a rename or transfer
+ * @param {Object} payload - GitHub repository event payload
+ * @returns {string|null} - Previous "owner/name" or null
  */
-async function getProjectOwnerGitToken(ownerId) {
-  try {
-    const user = await db.users.findOne({ id: ownerId });
-    
-    if (user && user.githubSupaToken) {
-      return user.githubSupaToken;
-    }
-    
-    // Fallback to environment token
-    return process.env.TEMP_GH_TOKEN_FELIX;
-  } catch (error) {
-    console.error(`Error getting GitHub token for user ${ownerId}:`, error);
-    return process.env.TEMP_GH_TOKEN_FELIX;
+function getPreviousFullName(payload) {
+  const { action, changes, repository } = payload;
+  if (action === 'renamed' && changes?.repository?.name?.from) {
+    return `${repository.owner.login}/${changes.repository.name.from}`;
   }
+  if (action === 'transferred') {
+    const previousOwner = changes?.owner?.from?.user?.login || changes?.owner?.from?.organization?.login;
+    return previousOwner ? `${previousOwner}/${repository.name}` : null;
+  }
+  return null;
 }
 
 /**
@@ -99,27 +137,27 @@ async function processPushEvent(payload, project) {
   const branch = ref.replace('refs/heads/', '');
   
   console.log(`📝 Processing push to ${repository.full_name}:${branch}`);
-  console.log(`🔄 Commit: ${head_commit.id} by ${pusher.name}`);
   
-  // Check if this is a branch creation event (no head_commit for new branches)
-  if (!head_commit) {
-    console.log(`⏭️ Skipping branch creation event for ${branch}`);
+  // Branch deletions have no head_commit (revisions are cleaned up by the delete event)
+  if (!head_commit || payload.deleted) {
+    console.log(`⏭️ Skipping push without head commit for ${branch}`);
     return {
       success: true,
       skipped: true,
-      reason: 'Branch creation event - no deployment needed',
+      reason: 'Branch creation or deletion event - no deployment needed',
       branch: branch
     };
   }
   
+  console.log(`🔄 Commit: ${head_commit.id} by ${pusher.name}`);
+  
   // Only deploy on main or master branches
-  const deploymentBranches = ['main', 'master'];
-  if (!deploymentBranches.includes(branch)) {
-    console.log(`⏭️ Skipping deployment for branch '${branch}' - only deploying on: ${deploymentBranches.join(', ')}`);
+  if (!DEPLOYMENT_BRANCHES.includes(branch)) {
+    console.log(`⏭️ Skipping deployment for branch '${branch}' - only deploying on: ${DEPLOYMENT_BRANCHES.join(', ')}`);
     return {
       success: true,
       skipped: true,
-      reason: `Branch '${branch}' not in deployment branches: ${deploymentBranches.join(', ')}`,
+      reason: `Branch '${branch}' not in deployment branches: ${DEPLOYMENT_BRANCHES.join(', ')}`,
       branch: branch
     };
   }
@@ -131,29 +169,14 @@ async function processPushEvent(payload, project) {
     throw new Error("No GitHub token found for project owner");
   }
   
-  // Build the static domain URL for absolute paths
-  const projectSlugValue = project.slug || project.name;
-  const orgSlugValue = project.orgId || "_unknown-org-slug";
-  const staticDomain = `https://static.repo.md/${orgSlugValue}/${projectSlugValue}`;
-
   // Create deployment job using the same flow as manual deployments
   const deploymentData = {
-    projectId: project._id.toString(),
-    userId: project.ownerId,
-    commit: head_commit.id,
-    branch: branch,
-    gitToken: gitToken,
-    repoUrl: repository.clone_url,
-    projectSlug: projectSlugValue,
-    orgSlug: orgSlugValue,
-    orgId: project.orgId,
-    // Build settings from project settings
-    repositoryFolder: project.settings?.build?.repositoryFolder || "",
-    ignoreFiles: project.settings?.build?.ignoreFiles || "",
-    // Formatting settings for media/link paths
-    notePrefix: project.formatting?.pageLinkPrefix || "",
-    mediaPrefix: project.formatting?.mediaPrefix || "/_repo/medias",
-    domain: staticDomain, // Always use absolute paths with static.repo.md
+    ...buildDeploymentData(project, {
+      commit: head_commit.id,
+      branch: branch,
+      gitToken: gitToken,
+      repoUrl: repository.clone_url,
+    }),
     // Add webhook metadata
     triggeredBy: 'webhook',
     webhook: {
@@ -182,6 +205,426 @@ async function processPushEvent(payload, project) {
   };
 }
 
+/**
+ * Process pull_request event: build a preview revision, or tear it down when the PR is closed
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} project - Project document
+ * @returns {Object} - Processing result
+ */
+async function processPullRequestEvent(payload, project) {
+  const { action, repository, pull_request } = payload;
+  const prNumber = pull_request.number;
+
+  console.log(`📝 Processing pull_request.${action} for ${repository.full_name}#${prNumber}`);
+
+  if (project.settings?.build?.previews === false) {
+    return {
+      success: true,
+      skipped: true,
+      reason: 'Preview deployments are disabled for this project',
+      prNumber: prNumber
+    };
+  }
+
+  const gitToken = await getProjectOwnerGitToken(project.ownerId);
+
+  if (!gitToken) {
+    throw new Error("No GitHub token found for project owner");
+  }
+
+  if (action === 'closed') {
+    const teardown = await previewDeployments.teardown(project, prNumber, pull_request.merged, gitToken);
+    return {
+      success: true,
+      projectId: project._id.toString(),
+      prNumber: prNumber,
+      merged: !!pull_request.merged,
+      teardown
+    };
+  }
+
+  if (!PREVIEW_BUILD_ACTIONS.includes(action)) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Pull request action '${action}' does not affect previews`,
+      prNumber: prNumber
+    };
+  }
+
+  // Pull requests from forks run untrusted content: only trusted authors are built right away,
+  // other authors wait for a maintainer to approve each commit (see previewDeployments.approve)
+  const fromFork = isForkPullRequest(pull_request, repository);
+  if (fromFork && !TRUSTED_AUTHOR_ASSOCIATIONS.includes(pull_request.author_association)) {
+    const preview = await previewDeployments.recordPendingApproval(project, pull_request, repository, gitToken);
+    return {
+      success: true,
+      skipped: true,
+      reason: 'Pull request from a fork: waiting for a maintainer to approve the build',
+      prNumber: prNumber,
+      previewStatus: preview.status
+    };
+  }
+  if (fromFork && !pull_request.head.repo) {
+    return {
+      success: true,
+      skipped: true,
+      reason: 'The fork of this pull request no longer exists',
+      prNumber: prNumber
+    };
+  }
+
+  const source = {
+    commit: pull_request.head.sha,
+    branch: pull_request.head.ref,
+    // PRs from forks are built from the fork, anonymously
+    repoUrl: fromFork ? pull_request.head.repo.clone_url : repository.clone_url,
+  };
+  const deploymentData = {
+    ...(fromFork
+      ? buildUntrustedDeploymentData(project, source)
+      : buildDeploymentData(project, { ...source, gitToken: gitToken })),
+    // Built as a non-active revision exposed under the PR preview alias
+    preview: {
+      prNumber: prNumber,
+      alias: getPreviewAlias(prNumber),
+    },
+    triggeredBy: 'webhook',
+    webhook: {
+      event: 'pull_request',
+      action: action,
+      sender: payload.sender?.login,
+      prTitle: pull_request.title,
+      timestamp: new Date()
+    }
+  };
+
+  const job = await cloudRunService.createJob("deploy-repo", deploymentData);
+  const preview = await previewDeployments.recordBuild(project, pull_request, repository, job._id.toString());
+
+  console.log(`🔍 Pull request #${prNumber} preview job: ${job._id}`);
+
+  return {
+    success: true,
+    jobId: job._id.toString(),
+    projectId: project._id.toString(),
+    prNumber: prNumber,
+    branch: pull_request.head.ref,
+    commit: pull_request.head.sha,
+    previewUrl: preview.siteUrl
+  };
+}
+
+/**
+ * Build a tag as the pinned release revision
+ * @param {Object} payload - GitHub webhook payload (release or create)
+ * @param {Object} project - Project document
+ * @param {Object} release - { tag, name, url }
+ * @param {Object} webhook - Webhook metadata stored with the job
+ * @returns {Object} - Processing result
+ */
+async function pinRelease(payload, project, release, webhook) {
+  const gitToken = await getProjectOwnerGitToken(project.ownerId);
+
+  if (!gitToken) {
+    throw new Error("No GitHub token found for project owner");
+  }
+
+  const deploymentData = {
+    ...buildDeploymentData(project, {
+      branch: release.tag, // Tags are cloned like branches
+      gitToken: gitToken,
+      repoUrl: payload.repository.clone_url,
+    }),
+    // Built as a non-active revision exposed under the release alias
+    release: {
+      tag: release.tag,
+      alias: RELEASE_ALIAS,
+    },
+    triggeredBy: 'webhook',
+    webhook: {
+      ...webhook,
+      sender: payload.sender?.login,
+      timestamp: new Date()
+    }
+  };
+
+  const job = await cloudRunService.createJob("deploy-repo", deploymentData);
+  await releaseDeployments.recordBuild(project, release, job._id.toString());
+
+  console.log(`📌 Release ${release.tag} build job: ${job._id}`);
+
+  return {
+    success: true,
+    jobId: job._id.toString(),
+    projectId: project._id.toString(),
+    tag: release.tag
+  };
+}
+
+/**
+ * Process release event: pin published releases when the project builds releases
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} project - Project document
+ * @returns {Object} - Processing result
+ */
+async function processReleaseEvent(payload, project) {
+  const { action, release } = payload;
+  const mode = project.settings?.build?.releases || ReleaseMode.OFF;
+
+  console.log(`📝 Processing release.${action} for ${payload.repository.full_name}@${release.tag_name}`);
+
+  if (mode !== ReleaseMode.RELEASES) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Release builds are not enabled for this project (releases: ${mode})`,
+      tag: release.tag_name
+    };
+  }
+
+  if (action !== 'published' || release.draft || release.prerelease) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Release action '${action}' does not pin a release`,
+      tag: release.tag_name
+    };
+  }
+
+  return pinRelease(
+    payload,
+    project,
+    { tag: release.tag_name, name: release.name, url: release.html_url },
+    { event: 'release', action: action }
+  );
+}
+
+/**
+ * Process create event: pin pushed tags when the project builds every tag
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} project - Project document
+ * @returns {Object} - Processing result
+ */
+async function processCreateEvent(payload, project) {
+  const { ref, ref_type } = payload;
+  const mode = project.settings?.build?.releases || ReleaseMode.OFF;
+
+  console.log(`📝 Processing create ${ref_type} ${ref} for ${payload.repository.full_name}`);
+
+  if (ref_type !== 'tag') {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Creating a ${ref_type} needs no deployment`,
+      ref: ref
+    };
+  }
+
+  if (mode !== ReleaseMode.TAGS) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Tag builds are not enabled for this project (releases: ${mode})`,
+      ref: ref
+    };
+  }
+
+  return pinRelease(payload, project, { tag: ref, name: ref }, { event: 'create', refType: ref_type });
+}
+
+/**
+ * Process delete event: garbage-collect the revisions built from a deleted branch
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} project - Project document
+ * @returns {Object} - Processing result
+ */
+async function processDeleteEvent(payload, project) {
+  const { ref, ref_type, repository } = payload;
+
+  console.log(`📝 Processing delete ${ref_type} ${ref} for ${repository.full_name}`);
+
+  if (ref_type !== 'branch') {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Deleting a ${ref_type} does not remove revisions`,
+      ref: ref
+    };
+  }
+
+  if (DEPLOYMENT_BRANCHES.includes(ref) || ref === repository.default_branch) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Revisions of deployment branch '${ref}' are kept`,
+      ref: ref
+    };
+  }
+
+  const cleanup = await deleteBranchRevisions(project, ref);
+
+  return {
+    success: true,
+    projectId: project._id.toString(),
+    branch: ref,
+    cleanup
+  };
+}
+
+/**
+ * Get a repository URL in the same format (web, clone or ssh) as the linked one
+ * @param {string} currentUrl - URL currently linked to the project
+ * @param {Object} repository - GitHub repository object
+ * @returns {string} - URL of the repository
+ */
+function getMatchingRepoUrl(currentUrl, repository) {
+  if (currentUrl.startsWith('git@') || currentUrl.startsWith('ssh://')) return repository.ssh_url;
+  if (currentUrl.endsWith('.git')) return repository.clone_url;
+  return repository.html_url;
+}
+
+/**
+ * Process repository event: follow renames and transfers in the project's githubRepo linkage
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} project - Project document
+ * @returns {Object} - Processing result
+ */
+async function processRepositoryEvent(payload, project) {
+  const { action, repository } = payload;
+
+  console.log(`📝 Processing repository.${action} for ${repository.full_name}`);
+
+  if (!REPOSITORY_LINK_ACTIONS.includes(action)) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Repository action '${action}' does not change the linkage`,
+      repository: repository.full_name
+    };
+  }
+
+  const link = {
+    owner: repository.owner.login,
+    repoName: repository.name,
+    fullName: repository.full_name
+  };
+  const update = {};
+  // Legacy projects are linked through `github`, others through `githubRepo`
+  if (project.github) {
+    for (const [key, value] of Object.entries(link)) update[`github.${key}`] = value;
+  }
+  if (project.githubRepo || !project.github) {
+    for (const [key, value] of Object.entries(link)) update[`githubRepo.${key}`] = value;
+    update['githubRepo.repoId'] = repository.id;
+  }
+  if (project.repoUrl && project.repoUrl.includes('github.com')) {
+    update.repoUrl = getMatchingRepoUrl(project.repoUrl, repository);
+  }
+
+  await db.projects.updateOne(
+    { _id: project._id },
+    { $set: { ...update, updatedAt: new Date() } }
+  );
+
+  const previousFullName = getPreviousFullName(payload);
+  console.log(`🔗 Project ${project._id} now linked to ${repository.full_name} (was ${previousFullName || 'unknown'})`);
+
+  return {
+    success: true,
+    projectId: project._id.toString(),
+    action: action,
+    previousFullName: previousFullName,
+    fullName: repository.full_name
+  };
+}
+
+/**
+ * Process installation events: keep the GitHub App installation of linked projects in sync
+ * @param {string} event - installation or installation_repositories
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Object} - Processing result
+ */
+async function processInstallationEvent(event, payload) {
+  const { action, installation } = payload;
+
+  console.log(`📝 Processing ${event}.${action} for installation ${installation.id}`);
+
+  let repositories = [];
+  let update = null;
+  if (event === 'installation_repositories') {
+    repositories = action === 'added' ? payload.repositories_added : payload.repositories_removed;
+    update = action === 'added'
+      ? { $set: { 'githubRepo.installationId': installation.id } }
+      : { $unset: { 'githubRepo.installationId': '' } };
+  } else if (action === 'created' || action === 'deleted') {
+    repositories = payload.repositories || [];
+    update = action === 'created'
+      ? { $set: { 'githubRepo.installationId': installation.id } }
+      : { $unset: { 'githubRepo.installationId': '', 'githubRepo.installationSuspended': '' } };
+  } else if (action === 'suspend' || action === 'unsuspend') {
+    // Suspension applies to every repository of the installation
+    const result = await db.projects.updateMany(
+      { 'githubRepo.installationId': installation.id },
+      action === 'suspend'
+        ? { $set: { 'githubRepo.installationSuspended': true } }
+        : { $unset: { 'githubRepo.installationSuspended': '' } }
+    );
+    return {
+      success: true,
+      action: action,
+      installationId: installation.id,
+      updatedProjects: result.modifiedCount
+    };
+  }
+
+  if (!update || !repositories?.length) {
+    return {
+      success: true,
+      skipped: true,
+      reason: `Installation action '${action}' does not change project linkage`,
+      installationId: installation.id
+    };
+  }
+
+  let updatedProjects = 0;
+  for (const repository of repositories) {
+    const result = await db.projects.updateMany(
+      {
+        $or: [
+          { 'githubRepo.repoId': repository.id },
+          { 'githubRepo.fullName': repository.full_name }
+        ]
+      },
+      {
+        ...update,
+        $set: { ...update.$set, 'githubRepo.repoId': repository.id, updatedAt: new Date() }
+      }
+    );
+    updatedProjects += result.modifiedCount;
+  }
+
+  console.log(`🔗 Installation ${installation.id} ${action}: ${updatedProjects} project(s) updated`);
+
+  return {
+    success: true,
+    action: action,
+    installationId: installation.id,
+    repositories: repositories.map((repository) => repository.full_name),
+    updatedProjects: updatedProjects
+  };
+}
+
+// Processors of the events that concern a single project
+const EVENT_PROCESSORS = {
+  push: processPushEvent,
+  pull_request: processPullRequestEvent,
+  create: processCreateEvent,
+  delete: processDeleteEvent,
+  release: processReleaseEvent,
+  repository: processRepositoryEvent
+};
+
 // Middleware to parse raw body for signature verification
 router.use('/webhook', express.raw({ type: 'application/json' }));
 
@@ -197,7 +640,8 @@ router.post('/webhook', asyncHandler(async (req, res) => {
   console.log(`🔐 Has Signature: ${!!signature}`);
   
   // Verify signature
-  if (!verifyGitHubSignature(req.body, signature)) {
+  // The JSON body parser keeps the raw payload in req.rawBody
+  if (!verifyGitHubSignature(req.rawBody || req.body, signature)) {
     console.error('❌ Invalid GitHub webhook signature');
     return res.status(401).json({
       success: false,
@@ -250,9 +694,9 @@ router.post('/webhook', asyncHandler(async (req, res) => {
   await db.gitEvents.insertOne(gitEvent);
   console.log(`📝 Stored webhook event: ${gitEvent._id}`);
   
-  // Only process push events for now
-  if (event !== 'push') {
-    console.log(`ℹ️ Ignoring non-push event: ${event}`);
+  // Only process supported events
+  if (!SUPPORTED_EVENTS.includes(event)) {
+    console.log(`ℹ️ Ignoring unsupported event: ${event}`);
     
     // Update event as processed but ignored
     await db.gitEvents.updateOne(
@@ -274,46 +718,54 @@ router.post('/webhook', asyncHandler(async (req, res) => {
   }
   
   try {
-    // Find project for this repository
-    const project = await findProjectByRepo(payload.repository);
+    let result;
+    if (INSTALLATION_EVENTS.includes(event)) {
+      result = await processInstallationEvent(event, payload);
+    } else {
+      // Find project for this repository (renames and transfers also match the previous name)
+      const project = await findProjectByRepo(
+        payload.repository,
+        event === 'repository' ? getPreviousFullName(payload) : null
+      );
     
-    if (!project) {
-      console.log(`⚠️ No project found for repository: ${payload.repository.full_name}`);
+      if (!project) {
+        console.log(`⚠️ No project found for repository: ${payload.repository.full_name}`);
       
-      // Update event as processed but no project found
+        // Update event as processed but no project found
+        await db.gitEvents.updateOne(
+          { _id: gitEvent._id },
+          { 
+            $set: { 
+              processed: true, 
+              ignored: true,
+              ignoredReason: `No project found for repository ${payload.repository.full_name}`
+            }
+          }
+        );
+      
+        return res.json({
+          success: true,
+          message: `No project found for repository: ${payload.repository.full_name}`,
+          eventId: gitEvent._id.toString()
+        });
+      }
+    
+      console.log(`✅ Found project: ${project.name} (${project._id})`);
+    
+      // Update git event with project info
       await db.gitEvents.updateOne(
         { _id: gitEvent._id },
         { 
           $set: { 
-            processed: true, 
-            ignored: true,
-            ignoredReason: `No project found for repository ${payload.repository.full_name}`
+            projectId: project._id.toString(),
+            orgSlug: project.orgId
           }
         }
       );
-      
-      return res.json({
-        success: true,
-        message: `No project found for repository: ${payload.repository.full_name}`,
-        eventId: gitEvent._id.toString()
-      });
-    }
     
-    console.log(`✅ Found project: ${project.name} (${project._id})`);
-    
-    // Update git event with project info
-    await db.gitEvents.updateOne(
-      { _id: gitEvent._id },
-      { 
-        $set: { 
-          projectId: project._id.toString(),
-          orgSlug: project.orgId
-        }
-      }
-    );
-    
-    // Process the push event
-    const result = await processPushEvent(payload, project);
+      // Process the event
+      result = await EVENT_PROCESSORS[event](payload, project);
+    }
     
     // Check if the event was skipped due to filtering
     if (result.skipped) {
@@ -29,6 +29,45 @@ router.all('/project/:token', asyncHandler(async (req, res) => {
   res.status(result.statusCode).json(result.body);
 }));
 
+// Dry run: show which rule would handle this request, without running any action
+router.post('/project/:token/dry-run', asyncHandler(async (req, res) => {
+  const webhook = await db.projectWebhooks.findOne({
+    token: req.params.token,
+    isActive: true
+  });
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const request = {
+    method: req.method,
+    headers: req.headers,
+    body: req.body,
+    query: req.query,
+    ip: req.ip || req.connection.remoteAddress
+  };
+
+  // Same IP and method checks as the live endpoint
+  const validationResult = await webhookProcessor.validateRequest(webhook, request);
+  if (!validationResult.valid) {
+    return res.status(validationResult.statusCode || 403).json({
+      success: false,
+      message: validationResult.message
+    });
+  }
+
+  const result = webhookProcessor.dryRun(webhook, request);
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
 // Health check endpoint
 router.get('/project/:token/health', asyncHandler(async (req, res) => {
   const { token } = req.params;
@@ -5,6 +5,11 @@ import _ from "lodash";
 import asyncHandler from "../../utils/asyncHandler.js";
 import fetch from "node-fetch";
 import { getWorkerUrl } from "../../lib/cloudRun.js";
+import { getRevision, diffRevisions } from "../../lib/cloudrun/revisionDiff.js";
+import * as r2 from "../../lib/r2.js";
+import { getProjectCacheTag } from "../../lib/cdnCache.js";
+import { verifyProjectApiSecret } from "../../lib/projectApiSecrets.js";
+import { RateLimiter } from "../../lib/schedule/rateLimiter.js";
 
 const router = express.Router();
 
@@ -154,6 +159,10 @@ const sanitizeProject = (project, includeGithubInfo = false) => {
     "activeRev",
   ];
   let publicData = _.pick(plainProject, whiteList);
+  // API keys of the embedding provider stay private
+  if (publicData.settings?.ai?.apiKey) {
+    publicData.settings = { ...publicData.settings, ai: _.omit(publicData.settings.ai, "apiKey") };
+  }
   publicData.id = project._id;
   return publicData;
 };
@@ -203,6 +212,7 @@ const getActiveRevision = async (projectId) => {
         projectId: projectId.toString(),
         type: "repo_deploy",
         status: "completed",
+        "input.preview": { $exists: false },
       },
       { sort: { completedAt: -1 } }
     );
@@ -254,7 +264,9 @@ router.get(
       return errorResponse(res, { status: 404, message: error });
     }
 
-    return respond(res, sanitizeProject(project));
+    return respond(res, sanitizeProject(project), {
+      cacheTags: [getProjectCacheTag(project._id)], // Purged on rollback
+    });
   })
 );
 
@@ -271,7 +283,9 @@ router.get(
       });
     }
 
-    return respond(res, sanitizeProject(project));
+    return respond(res, sanitizeProject(project), {
+      cacheTags: [getProjectCacheTag(project._id)], // Purged on rollback
+    });
   })
 );
 
@@ -311,6 +325,7 @@ router.get(
       return respond(res, project.activeRev, {
         maxAge: 0, // Cache for 5 minutes
         staleWhileRevalidate: 0, // Allow stale content for 20 minutes while fetching fresh
+        cacheTags: [getProjectCacheTag(id)], // Purged on rollback
       });
     } catch (error) {
       console.error("Error fetching project revision:", error);
@@ -322,6 +337,67 @@ router.get(
   })
 );
 
+/// Diff between two revisions: ?to=<revisionId>[&from=<revisionId>] (from defaults to the active revision)
+router.get(
+  "/project-id/:id/revisions/diff",
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!to) {
+      return errorResponse(res, {
+        status: 400,
+        message: "Missing required query parameter: to",
+      });
+    }
+
+    const { project, error } = await getProjectById(id);
+    if (error) {
+      return errorResponse(res, {
+        status: error.includes("Invalid") ? 400 : 404,
+        message: error,
+      });
+    }
+
+    const fromRevisionId = from || project.activeRev;
+    if (!fromRevisionId) {
+      return errorResponse(res, {
+        status: 404,
+        message: "No active revision found for this project",
+      });
+    }
+
+    const projectId = project._id.toString();
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevision(projectId, fromRevisionId),
+      getRevision(projectId, to),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return errorResponse(res, {
+        status: 404,
+        message: `Revision ${!fromRevision ? fromRevisionId : to} not found for this project`,
+      });
+    }
+
+    try {
+      const diff = await diffRevisions(fromRevision, toRevision);
+
+      // Revisions never change: a diff between two explicit revisions can be cached for good
+      return respond(res, diff, from
+        ? { maxAge: 31536000, immutable: true }
+        : { maxAge: 0 });
+    } catch (error) {
+      console.error("Error diffing revisions:", error);
+      return errorResponse(res, {
+        status: 500,
+        message: "Failed to diff revisions",
+        error,
+      });
+    }
+  })
+);
+
 // AI Inference Routes
 
 /// Helper function to relay request to worker
@@ -403,10 +479,49 @@ router.post(
   })
 );
 
+/// Text embeddings per client and project (each one may call a paid provider)
+const textEmbeddingRateLimiter = new RateLimiter({
+  maxPerMinute: 30,
+  maxPerHour: 300,
+  maxPerDay: 2000,
+});
+
+/// Get the embedding settings used to build a project revision (settings.ai)
+/// Settings recorded with the revision win over the current project settings,
+/// which may have changed since it was built.
+const getProjectEmbeddingSettings = async (project, revisionId) => {
+  const projectId = project._id.toString();
+  const ai = project.settings?.ai || {};
+  const revision = revisionId || project.activeRev;
+  if (!revision) return ai;
+
+  try {
+    const buffer = await r2.download(`projects/${projectId}/${revision}/embeddings-config.json`);
+    const recorded = JSON.parse(buffer.toString());
+    // The API key is never recorded; reuse the project's when it targets the same provider
+    return recorded.provider === ai.provider && recorded.endpoint === ai.endpoint
+      ? { ...recorded, apiKey: ai.apiKey }
+      : recorded;
+  } catch {
+    // Revisions built before settings.ai existed
+    return ai;
+  }
+};
+
+/// Check that a request may use the project's embedding provider API key
+/// Requires the project's API secret (Authorization: Bearer); the Origin header can be forged.
+const canUseProjectApiKey = async (req, project) => {
+  const authorization = req.get("Authorization") || "";
+  const secret = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null;
+  return await verifyProjectApiSecret(project._id.toString(), secret);
+};
+
 /// Helper function for text embeddings
 const handleTextEmbedding = asyncHandler(async (req, res) => {
   const text = req.body?.text || req.query.text;
   const instruction = req.body?.instruction || req.query.instruction;
+  const projectId = req.body?.projectId || req.query.projectId;
+  const revisionId = req.body?.revisionId || req.query.revisionId;
 
   if (!text) {
     return errorResponse(res, {
@@ -415,11 +530,44 @@ const handleTextEmbedding = asyncHandler(async (req, res) => {
     });
   }
 
+  try {
+    await textEmbeddingRateLimiter.checkLimit(`${req.ip}:${projectId || "default"}`, "text-embedding");
+  } catch (error) {
+    return errorResponse(res, {
+      status: 429,
+      message: error.message,
+    });
+  }
+
+  let project = null;
+  if (projectId) {
+    const result = await getProjectById(projectId);
+    if (result.error) {
+      return errorResponse(res, {
+        status: 404,
+        message: result.error,
+      });
+    }
+    project = result.project;
+  }
+
   try {
     const body = { text };
     if (instruction) {
       body.instruction = instruction;
     }
+    // Embed with the model the project's posts were embedded with
+    if (project) {
+      const ai = await getProjectEmbeddingSettings(project, revisionId);
+      // The owner's provider API key is only used for authorized callers
+      if (ai?.apiKey && !(await canUseProjectApiKey(req, project))) {
+        return errorResponse(res, {
+          status: 403,
+          message: "This project's embeddings require its API secret",
+        });
+      }
+      if (ai) body.ai = ai;
+    }
 
     const result = await relayToWorker("text-embedding", body);
     return respond(res, result);
@@ -0,0 +1,188 @@
+import { TRPCError } from "@trpc/server";
+import { z } from "zod";
+import { router } from "../lib/trpc/trpc.js";
+import { protectedProcedure, projectAdminProcedure } from "../lib/trpc/procedures.js";
+import { db } from "../db.js";
+import WebhookTokenGenerator from "../lib/webhooks/WebhookTokenGenerator.js";
+import {
+  GIT_PROVIDERS,
+  getProviderBaseUrl,
+  getProjectGitProvider,
+  getGitWebhookUrl,
+} from "../lib/gitProviders.js";
+import { assertPublicUrl } from "../lib/publicUrl.js";
+
+// Providers using tokens saved here (GitHub tokens come from the GitHub sign-in)
+const TOKEN_PROVIDERS = GIT_PROVIDERS.filter((provider) => provider !== "github");
+
+/**
+ * Access tokens for GitLab, Gitea and Forgejo instances, saved per user and instance
+ * Tokens are used for file operations, webhook deployments and build worker clones;
+ * they are never returned to the client.
+ * Push webhooks of these providers are set per project, with a secret kept in `gitWebhookSecrets`.
+ */
+export const gitProviderRouter = router({
+  // List the instances the current user saved a token for
+  listTokens: protectedProcedure.query(async ({ ctx }) => {
+    try {
+      const user = await db.users.findOne({ id: ctx.user.id });
+
+      return {
+        success: true,
+        tokens: (user?.gitProviderTokens || []).map(({ provider, baseUrl, updatedAt }) => ({
+          provider,
+          baseUrl,
+          updatedAt,
+        })),
+      };
+    } catch (error) {
+      console.error("❌ Error listing git provider tokens:", error);
+      throw new TRPCError({
+        code: "INTERNAL_SERVER_ERROR",
+        message: error.message || "Failed to list git provider tokens",
+      });
+    }
+  }),
+
+  // Save (or replace) the current user's token for an instance
+  saveToken: protectedProcedure
+    .input(
+      z.object({
+        provider: z.enum(TOKEN_PROVIDERS),
+        baseUrl: z.string().url().optional(), // Defaults to the provider's public instance
+        token: z.string().min(1, "Token is required"),
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const baseUrl = getProviderBaseUrl(input.provider, input.baseUrl);
+        // The token is sent to this instance, which must be a public server
+        await assertPublicUrl(baseUrl, "Instance URL");
+        console.log(`🔑 Saving ${input.provider} token for ${baseUrl} for user ID: ${ctx.user.id}`);
+
+        const find = { id: ctx.user.id };
+        const user = await db.users.findOne(find);
+        if (!user) {
+          throw new TRPCError({
+            code: "NOT_FOUND",
+            message: "User not found",
+          });
+        }
+
+        const updatedAt = new Date().toISOString();
+        const tokens = (user.gitProviderTokens || []).filter((entry) => entry.baseUrl !== baseUrl);
+        tokens.push({ provider: input.provider, baseUrl, token: input.token, updatedAt });
+
+        await db.users.updateOne(find, { $set: { gitProviderTokens: tokens } });
+
+        return {
+          success: true,
+          message: `${input.provider} token saved successfully`,
+          token: { provider: input.provider, baseUrl, updatedAt },
+        };
+      } catch (error) {
+        console.error("❌ Error saving git provider token:", error);
+        throw new TRPCError({
+          code: error.code || "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to save git provider token",
+        });
+      }
+    }),
+
+  // Remove the current user's token for an instance
+  removeToken: protectedProcedure
+    .input(
+      z.object({
+        baseUrl: z.string().url(),
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const baseUrl = input.baseUrl.replace(/\/+$/, "");
+        const result = await db.users.updateOne(
+          { id: ctx.user.id },
+          { $pull: { gitProviderTokens: { baseUrl } } }
+        );
+
+        return {
+          success: true,
+          removed: result.modifiedCount > 0,
+        };
+      } catch (error) {
+        console.error("❌ Error removing git provider token:", error);
+        throw new TRPCError({
+          code: "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to remove git provider token",
+        });
+      }
+    }),
+
+  // Get the push webhook of a project linked to GitLab, Gitea or Forgejo
+  getWebhook: projectAdminProcedure.query(async ({ ctx }) => {
+    const gitInfo = getProjectGitProvider(ctx.project);
+    if (!gitInfo || !TOKEN_PROVIDERS.includes(gitInfo.provider)) {
+      throw new TRPCError({
+        code: "PRECONDITION_FAILED",
+        message: "Project is not linked to a GitLab, Gitea or Forgejo repository",
+      });
+    }
+
+    try {
+      const webhookSecret = await db.gitWebhookSecrets.findOne({ projectId: ctx.projectId });
+
+      return {
+        success: true,
+        provider: gitInfo.provider,
+        url: getGitWebhookUrl(gitInfo.provider, ctx.projectId),
+        configured: !!webhookSecret,
+        createdAt: webhookSecret?.createdAt || null,
+      };
+    } catch (error) {
+      console.error("❌ Error getting git webhook:", error);
+      throw new TRPCError({
+        code: "INTERNAL_SERVER_ERROR",
+        message: error.message || "Failed to get git webhook",
+      });
+    }
+  }),
+
+  // Generate (or replace) the push webhook secret of a project
+  // The secret is only returned here, to be pasted in the provider's webhook settings.
+  rotateWebhookSecret: projectAdminProcedure.mutation(async ({ ctx }) => {
+    const gitInfo = getProjectGitProvider(ctx.project);
+    if (!gitInfo || !TOKEN_PROVIDERS.includes(gitInfo.provider)) {
+      throw new TRPCError({
+        code: "PRECONDITION_FAILED",
+        message: "Project is not linked to a GitLab, Gitea or Forgejo repository",
+      });
+    }
+
+    try {
+      const secret = WebhookTokenGenerator.generate();
+      const now = new Date();
+      console.log(`🔑 Rotating ${gitInfo.provider} webhook secret for project ${ctx.projectId}`);
+
+      await db.gitWebhookSecrets.updateOne(
+        { projectId: ctx.projectId },
+        {
+          $set: { secret, provider: gitInfo.provider, createdBy: ctx.user.id, createdAt: now },
+        },
+        { upsert: true }
+      );
+
+      return {
+        success: true,
+        provider: gitInfo.provider,
+        url: getGitWebhookUrl(gitInfo.provider, ctx.projectId),
+        secret,
+        createdAt: now,
+      };
+    } catch (error) {
+      console.error("❌ Error rotating git webhook secret:", error);
+      throw new TRPCError({
+        code: "INTERNAL_SERVER_ERROR",
+        message: error.message || "Failed to rotate git webhook secret",
+      });
+    }
+  }),
+});
@@ -15,11 +15,19 @@ import { db } from "../db.js";
 import namor from "namor";
 import GitFileService from "../lib/gitFileService.js";
 import GitWorkflowService from "../lib/gitWorkflowService.js";
+import { GIT_PROVIDERS, getProjectGitProvider, getUserGitToken, parseRepoUrl } from "../lib/gitProviders.js";
 import { createRepoFromTemplate, listTemplateRepos } from "../lib/github-template.js";
 import { TEMPLATES, getTemplateMetadata, getTemplatesByOwner } from "../lib/templates-config.js";
 import { GitHubBulkOps } from "../lib/github-bulk-ops.js";
 import { generateProjectFromBrief } from "../lib/ai-scaffold-generator.js";
 import { triggerRepoDeploy } from "../lib/deploy-helpers.js";
+import { isNewerRevision } from "../lib/cloudrun/revisionOrder.js";
+import { getRevision, diffRevisions } from "../lib/cloudrun/revisionDiff.js";
+import { ReleaseMode } from "../lib/cloudrun/releaseDeployments.js";
+import revisionRollback, { RollbackError } from "../lib/cloudrun/revisionRollback.js";
+import previewDeployments, { PreviewError } from "../lib/cloudrun/previewDeployments.js";
+import { rotateProjectApiSecret } from "../lib/projectApiSecrets.js";
+import { assertPublicUrl } from "../lib/publicUrl.js";
 import { Octokit } from "@octokit/rest";
 import { RepoGeneratorAgent } from "../lib/repo-generator-agentVolt.js";
 
@@ -42,22 +50,9 @@ async function getUserGithubToken(userId) {
   return null;
 }
 
-// Helper to get git provider info from project
+// Helper to get git provider info from project (see lib/gitProviders.js)
 function getGitProviderInfo(project) {
-  const githubInfo = project.githubRepo || project.github;
-  
-  if (githubInfo && githubInfo.owner && githubInfo.repoName) {
-    return {
-      provider: 'github',
-      owner: githubInfo.owner,
-      repo: githubInfo.repoName,
-      fullName: githubInfo.fullName || `${githubInfo.owner}/${githubInfo.repoName}`
-    };
-  }
-  
-  // Future: Add GitLab, Bitbucket detection here
-  
-  return null;
+  return getProjectGitProvider(project);
 }
 
 // Import project utility functions
@@ -166,6 +161,22 @@ const projectRoutes = {
                 repositoryFolder: z.string().optional(),
                 ignoreFiles: z.string().optional(),
                 enableAutoDeployment: z.boolean().optional(),
+                // Pin GitHub releases (or any tag) as the "release" revision, see releaseDeployments
+                releases: z.enum(Object.values(ReleaseMode)).optional(),
+                // Multi-locale content: locale of untagged posts and locale folders (e.g. ["fr"] for /fr/)
+                i18n: z
+                  .object({
+                    defaultLocale: z.string().optional(),
+                    locales: z.array(z.string()).optional(),
+                  })
+                  .optional(),
+              })
+              .optional(),
+            // Git provider of repoUrl when not on GitHub (tokens are saved per user, see gitProviders routes)
+            git: z
+              .object({
+                provider: z.enum(GIT_PROVIDERS).optional(),
+                baseUrl: z.string().url().optional(), // Self-hosted instance (e.g. https://git.example.com)
               })
               .optional(),
             // Theme settings
@@ -184,6 +195,12 @@ const projectRoutes = {
                 autoResize: z.boolean().optional(),
                 imageQuality: z.number().optional(),
                 enableVision: z.boolean().optional(),
+                // Speech-to-text transcripts of video and audio files
+                transcripts: z.boolean().optional(),
+                transcriptionModel: z.string().optional(),
+                transcriptionLanguage: z.string().optional(),
+                // EXIF metadata removed from published images
+                stripMetadata: z.enum(["gps", "all", "none"]).optional(),
               })
               .optional(),
             // Frontmatter settings
@@ -203,6 +220,28 @@ const projectRoutes = {
                 enableTableOfContents: z.boolean().optional(),
               })
               .optional(),
+            // Embedding provider used for semantic search (build and query embeddings)
+            ai: z
+              .object({
+                provider: z.enum(["transformers", "local", "cloudflare-ai", "openai-compatible"]).optional(),
+                model: z.string().optional(),
+                dimensions: z.number().int().positive().optional(),
+                instruction: z.string().optional(),
+                queryInstruction: z.string().optional(),
+                endpoint: z
+                  .string()
+                  .url()
+                  .refine((url) => url.startsWith("https://"), "Endpoint must use https")
+                  .optional(), // openai-compatible base URL (e.g. https://api.openai.com/v1)
+                apiKey: z.string().optional(), // Never published
+                chunking: z
+                  .object({
+                    size: z.number().int().min(0).optional(), // Characters, 0 to disable
+                    overlap: z.number().int().min(0).optional(),
+                  })
+                  .optional(),
+              })
+              .optional(),
             // AI agent settings
             agent: z
               .object({
@@ -220,6 +259,10 @@ const projectRoutes = {
         const { settings } = input;
         const { project, projectId } = ctx;
 
+        if (settings?.git?.baseUrl) {
+          await assertPublicUrl(settings.git.baseUrl, "Instance URL");
+        }
+
         // Update project settings
         await updateProject(projectId, { settings });
 
@@ -324,6 +367,7 @@ const projectRoutes = {
             projectId: projectId,
             type: "repo_deploy",
             status: "completed",
+            "input.preview": { $exists: false },
           },
           { sort: { completedAt: -1 } }
         );
@@ -373,6 +417,8 @@ const projectRoutes = {
             projectId: projectId,
             type: "repo_deploy",
             status: "completed",
+            "input.preview": { $exists: false },
+            revisionDeleted: { $ne: true }, // Garbage-collected with their branch
           })
           .sort({ completedAt: -1 })
           .limit(limit)
@@ -384,6 +430,8 @@ const projectRoutes = {
           projectId: projectId,
           type: "repo_deploy",
           status: "completed",
+          "input.preview": { $exists: false },
+          revisionDeleted: { $ne: true },
         });
 
         // Format the revisions
@@ -418,16 +466,85 @@ const projectRoutes = {
       }
     }),
 
+  // Compare two revisions (defaults to comparing the active revision with the given one)
+  diffRevisions: projectViewerProcedure
+    .input(
+      z.object({
+        fromRevisionId: z.string().optional(), // Defaults to the active revision
+        toRevisionId: z.string(),
+      })
+    )
+    .query(async ({ input, ctx }) => {
+      try {
+        const { project, projectId } = ctx;
+        const fromRevisionId = input.fromRevisionId || project.activeRev;
+
+        if (!fromRevisionId) {
+          throw new TRPCError({
+            code: "PRECONDITION_FAILED",
+            message: "Project has no active revision to compare with",
+          });
+        }
+
+        const [fromRevision, toRevision] = await Promise.all([
+          getRevision(projectId, fromRevisionId),
+          getRevision(projectId, input.toRevisionId),
+        ]);
+
+        if (!fromRevision || !toRevision) {
+          throw new TRPCError({
+            code: "NOT_FOUND",
+            message: `Revision ${!fromRevision ? fromRevisionId : input.toRevisionId} not found or is not a completed deployment for this project`,
+          });
+        }
+
+        const diff = await diffRevisions(fromRevision, toRevision);
+
+        return {
+          success: true,
+          diff,
+        };
+      } catch (error) {
+        console.error("Error diffing revisions:", error);
+        throw new TRPCError({
+          code: error.code || "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to diff revisions",
+        });
+      }
+    }),
+
+  // Generate (or replace) the project API secret of the public API
+  // Sent as "Authorization: Bearer <secret>" (repo-client's `secret` option); returned only here.
+  rotateApiSecret: projectAdminProcedure.mutation(async ({ ctx }) => {
+    try {
+      console.log(`🔑 Rotating API secret for project ${ctx.projectId}`);
+      const { secret, createdAt } = await rotateProjectApiSecret(ctx.projectId, ctx.user.id);
+
+      return {
+        success: true,
+        secret,
+        createdAt,
+      };
+    } catch (error) {
+      console.error("❌ Error rotating project API secret:", error);
+      throw new TRPCError({
+        code: "INTERNAL_SERVER_ERROR",
+        message: error.message || "Failed to rotate project API secret",
+      });
+    }
+  }),
+
   // Set active revision for a project
   setActiveRevision: projectAdminProcedure
     .input(
       z.object({
         revisionId: z.string(), // This should be a valid job ID
+        force: z.boolean().default(false), // Allow moving back to an older commit (rollback)
       })
     )
     .mutation(async ({ input, ctx }) => {
       try {
-        const { revisionId } = input;
+        const { revisionId, force } = input;
         const { project, projectId } = ctx;
 
         // Validate that the revision (job) exists and belongs to this project
@@ -436,6 +553,8 @@ const projectRoutes = {
           projectId: projectId,
           type: "repo_deploy",
           status: "completed",
+          "input.preview": { $exists: false }, // Preview builds never go live
+          revisionDeleted: { $ne: true },
         });
 
         if (!job) {
@@ -445,6 +564,19 @@ const projectRoutes = {
           });
         }
 
+        // Refuse to move backwards in commit order unless explicitly forced
+        if (!force && project.activeRev && project.activeRev !== revisionId) {
+          const currentRevision = await db.jobs.findOne({
+            _id: new ObjectId(project.activeRev),
+          });
+          if (currentRevision && isNewerRevision(currentRevision, job)) {
+            throw new TRPCError({
+              code: "PRECONDITION_FAILED",
+              message: "Revision is older than the active revision; set force to roll back",
+            });
+          }
+        }
+
         // Update the project's activeRev field
         const updateResult = await db.projects.updateOne(
           { _id: new ObjectId(projectId) },
@@ -484,6 +616,64 @@ const projectRoutes = {
       }
     }),
 
+  // Roll the live site back to a previous revision (audited, purges caches, notifies)
+  rollbackRevision: projectAdminProcedure
+    .input(
+      z.object({
+        revisionId: z.string().optional(), // Defaults to the revision live before the active one
+        reason: z.string().max(500).optional(),
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const result = await revisionRollback.rollback(ctx.project, input.revisionId, {
+          user: ctx.user,
+          source: "dashboard",
+          reason: input.reason || null,
+        });
+
+        return {
+          success: true,
+          message: "Rolled back successfully",
+          ...result,
+        };
+      } catch (error) {
+        console.error("Error rolling back revision:", error);
+        throw new TRPCError({
+          code: error instanceof RollbackError ? error.code : "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to roll back",
+        });
+      }
+    }),
+
+  // Build the pending commit of a pull request from a fork (builds from forks need a maintainer's approval)
+  approvePreview: projectAdminProcedure
+    .input(
+      z.object({
+        prNumber: z.number().int().positive(),
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const preview = await previewDeployments.approve(ctx.project, input.prNumber, ctx.user);
+
+        return {
+          success: true,
+          message: "Preview build approved",
+          prNumber: preview.prNumber,
+          status: preview.status,
+          jobId: preview.jobId,
+          headSha: preview.headSha,
+        };
+      } catch (error) {
+        console.error("Error approving preview build:", error);
+        throw new TRPCError({
+          code: error instanceof PreviewError ? error.code : "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to approve preview build",
+        });
+      }
+    }),
+
   // Get all projects for a user
   listProjects: protectedProcedure
     .input(
@@ -817,6 +1007,49 @@ const projectRoutes = {
       }
     }),
 
+  // Link a GitLab, Gitea or Forgejo repository to a project - Using projectOwnerProcedure for ownership verification
+  linkGitRepo: projectOwnerProcedure
+    .input(
+      z.object({
+        provider: z.enum(GIT_PROVIDERS.filter((provider) => provider !== "github")),
+        repoUrl: z.string().url(),
+        baseUrl: z.string().url().optional(), // Defaults to the host of repoUrl
+      })
+    )
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const { provider, repoUrl, baseUrl } = input;
+        const { projectId } = ctx;
+
+        if (!parseRepoUrl(repoUrl, baseUrl)) {
+          throw new TRPCError({
+            code: "BAD_REQUEST",
+            message: `Invalid repository URL: ${repoUrl}`,
+          });
+        }
+
+        // The API and the build worker call this instance with the user's token
+        await assertPublicUrl(baseUrl || repoUrl, baseUrl ? "Instance URL" : "Repository URL");
+
+        // Update the project with the repository URL and its provider
+        await updateProject(projectId, {
+          repoUrl,
+          settings: { git: { provider, ...(baseUrl && { baseUrl }) } },
+        });
+
+        return {
+          success: true,
+          message: `${provider} repository linked successfully`,
+        };
+      } catch (error) {
+        console.error("Error linking git repository:", error);
+        throw new TRPCError({
+          code: error.code || "INTERNAL_SERVER_ERROR",
+          message: error.message || "Failed to link git repository",
+        });
+      }
+    }),
+
   // Delete a project - Using projectOwnerProcedure for ownership verification
   deleteProject: projectOwnerProcedure
     .mutation(async ({ ctx }) => {
@@ -862,18 +1095,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token (will be generalized later)
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // Get file content
         const fileContent = await gitFileService.getFileContent(
@@ -951,18 +1184,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token (will be generalized later)
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // Update the file
         const result = await gitFileService.updateFile(
@@ -1036,13 +1269,13 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token (will be generalized later)
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
@@ -1064,7 +1297,7 @@ const projectRoutes = {
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // Construct the full path
         const imagePath = `${folder}/${fileName}`;
@@ -1131,18 +1364,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // List directory contents
         const result = await gitFileService.listDirectory(
@@ -1215,18 +1448,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // List branches
         const branches = await gitFileService.listBranches(gitInfo.owner, gitInfo.repo, {
@@ -1274,18 +1507,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // Create branch
         const branch = await gitFileService.createBranch(
@@ -1340,18 +1573,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // List PRs
         const pullRequests = await gitFileService.listPullRequests(
@@ -1404,18 +1637,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize git file service
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
 
         // Create PR
         const pr = await gitFileService.createPullRequest(
@@ -1474,18 +1707,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize workflow service
-        const workflowService = new GitWorkflowService(gitInfo.provider, githubToken);
+        const workflowService = new GitWorkflowService(gitInfo.provider, gitToken, gitInfo);
 
         // Execute workflow
         const result = await workflowService.createBranchWithPR({
@@ -1533,18 +1766,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize workflow service
-        const workflowService = new GitWorkflowService(gitInfo.provider, githubToken);
+        const workflowService = new GitWorkflowService(gitInfo.provider, gitToken, gitInfo);
 
         // Execute workflow
         const result = await workflowService.updateFileWithPR({
@@ -1595,18 +1828,18 @@ const projectRoutes = {
           });
         }
 
-        // Get the user's GitHub token
-        const githubToken = await getUserGithubToken(user.id);
+        // Get the user's access token for the project's git provider
+        const gitToken = await getUserGitToken(user.id, gitInfo);
         
-        if (!githubToken) {
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
         // Initialize workflow service
-        const workflowService = new GitWorkflowService(gitInfo.provider, githubToken);
+        const workflowService = new GitWorkflowService(gitInfo.provider, gitToken, gitInfo);
 
         // Execute workflow
         const result = await workflowService.featureBranchWorkflow({
@@ -1645,15 +1878,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const pr = await gitFileService.getPullRequest(gitInfo.owner, gitInfo.repo, pullNumber);
 
         if (!pr) {
@@ -1696,15 +1929,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const commits = await gitFileService.getPullRequestCommits(gitInfo.owner, gitInfo.repo, pullNumber);
 
         return {
@@ -1740,15 +1973,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const status = await gitFileService.checkPullRequestMergeability(gitInfo.owner, gitInfo.repo, pullNumber);
 
         if (!status) {
@@ -1794,15 +2027,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const result = await gitFileService.mergePullRequest(
           gitInfo.owner,
           gitInfo.repo,
@@ -1855,15 +2088,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const result = await gitFileService.deleteFile(
           gitInfo.owner,
           gitInfo.repo,
@@ -1915,15 +2148,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const commits = await gitFileService.getFileHistory(
           gitInfo.owner,
           gitInfo.repo,
@@ -1965,15 +2198,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const success = await gitFileService.deleteBranch(gitInfo.owner, gitInfo.repo, branchName);
 
         if (!success) {
@@ -2010,15 +2243,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const repo = await gitFileService.getRepository(gitInfo.owner, gitInfo.repo);
 
         if (!repo) {
@@ -2065,15 +2298,15 @@ const projectRoutes = {
           });
         }
 
-        const githubToken = await getUserGithubToken(user.id);
-        if (!githubToken) {
+        const gitToken = await getUserGitToken(user.id, gitInfo);
+        if (!gitToken) {
           throw new TRPCError({
             code: "UNAUTHORIZED",
-            message: "No GitHub access token found for user",
+            message: `No ${gitInfo.provider} access token found for user`,
           });
         }
 
-        const gitFileService = new GitFileService(gitInfo.provider, githubToken);
+        const gitFileService = new GitFileService(gitInfo.provider, gitToken, gitInfo);
         const pr = await gitFileService.updatePullRequest(
           gitInfo.owner,
           gitInfo.repo,
@@ -2794,7 +3027,10 @@ export const projectRouter = router({
   getPublicDetails: projectRoutes.getPublicProjectDetails,
   getActiveRev: projectRoutes.getActiveRev,
   listRevisions: projectRoutes.listRevisions,
+  diffRevisions: projectRoutes.diffRevisions,
   setActiveRevision: projectRoutes.setActiveRevision,
+  rollbackRevision: projectRoutes.rollbackRevision,
+  approvePreview: projectRoutes.approvePreview,
   // GitHub integration
   getGitHubFileContent: projectRoutes.getGitHubFileContent,
   updateGitHubFile: projectRoutes.updateGitHubFile,
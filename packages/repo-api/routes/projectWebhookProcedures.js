@@ -1,23 +1,49 @@
 import { z } from "zod";
-import { protectedProcedure, projectProcedure, projectAdminProcedure } from "../lib/trpc/procedures.js";
+import { protectedProcedure, projectProcedure, projectAdminProcedure, adminProcedure } from "../lib/trpc/procedures.js";
 import { db } from "../db.js";
 import { ObjectId } from "mongodb";
 import { TRPCError } from "@trpc/server";
 import WebhookTokenGenerator from "../lib/webhooks/WebhookTokenGenerator.js";
 import WebhookSigner from "../lib/webhooks/WebhookSigner.js";
 import outgoingWebhookDispatcher from "../lib/webhooks/OutgoingWebhookDispatcher.js";
+import webhookProcessor from "../lib/webhooks/WebhookProcessorVolt.js";
+import { RULE_ACTIONS, RULE_OPERATORS } from "../lib/webhooks/WebhookRuleMatcher.js";
 
 // Event type enum
 const eventTypeEnum = z.enum([
   'deployment.started',
   'deployment.completed',
   'deployment.failed',
+  'deployment.rolled_back',
   'content.updated',
   'project.updated',
   'user.invited',
   'user.removed'
 ]);
 
+// Deterministic incoming webhook rule (see lib/webhooks/WebhookRuleMatcher.js)
+const webhookRuleSchema = z.object({
+  name: z.string().min(1).max(100),
+  enabled: z.boolean().default(true),
+  match: z.array(z.object({
+    path: z.string().startsWith('$'),
+    op: z.enum(RULE_OPERATORS).default('equals'),
+    value: z.any().optional()
+  })).max(20).default([]),
+  action: z.enum(RULE_ACTIONS),
+  parameters: z.record(z.any()).default({})
+});
+
+// Outgoing webhook retry policy, missing fields fall back to the dispatcher's defaults
+const retryPolicySchema = z.object({
+  enabled: z.boolean().optional(),
+  maxAttempts: z.number().min(0).max(10).optional(),
+  backoffRate: z.number().min(1).max(5).optional(),
+  initialDelayMs: z.number().min(1000).max(3600000).optional(), // Delay before the first retry
+  maxDelayMs: z.number().min(1000).max(86400000).optional(), // Cap of the backoff
+  timeoutMs: z.number().min(1000).max(60000).optional()
+});
+
 import { router } from "../lib/trpc/trpc.js";
 
 const projectWebhookProcedures = {
@@ -64,7 +90,8 @@ const projectWebhookProcedures = {
           }).optional()
         }).optional(),
         allowedIps: z.array(z.string().ip()).optional(),
-        allowedMethods: z.array(z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])).optional()
+        allowedMethods: z.array(z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])).optional(),
+        rules: z.array(webhookRuleSchema).max(50).optional()
       }))
       .mutation(async ({ input, ctx }) => {
         const { projectId, ...webhookData } = input;
@@ -184,7 +211,8 @@ const projectWebhookProcedures = {
           }).optional()
         }).optional(),
         allowedIps: z.array(z.string().ip()).optional(),
-        allowedMethods: z.array(z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])).optional()
+        allowedMethods: z.array(z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])).optional(),
+        rules: z.array(webhookRuleSchema).max(50).optional()
       }))
       .mutation(async ({ input }) => {
         const { webhookId, ...updates } = input;
@@ -327,6 +355,42 @@ const projectWebhookProcedures = {
         }
         
         return execution;
+      }),
+
+    // Show which rule would fire for a sample request (no action is run)
+    dryRun: projectAdminProcedure
+      .input(z.object({
+        webhookId: z.string(),
+        body: z.any().optional(),
+        headers: z.record(z.string()).optional(),
+        query: z.record(z.any()).optional(),
+        method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH']).default('POST'),
+        rules: z.array(webhookRuleSchema).max(50).optional() // Unsaved rules to try instead of the stored ones
+      }))
+      .mutation(async ({ input, ctx }) => {
+        const webhook = await db.projectWebhooks.findOne(
+          { _id: new ObjectId(input.webhookId), projectId: new ObjectId(ctx.projectId) },
+          { projection: { token: 0 } }
+        );
+
+        if (!webhook) {
+          throw new TRPCError({
+            code: 'NOT_FOUND',
+            message: 'Webhook not found'
+          });
+        }
+
+        // Header names are matched lowercased, as received by the webhook endpoint
+        const headers = Object.fromEntries(
+          Object.entries(input.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+        );
+
+        return webhookProcessor.dryRun(webhook, {
+          body: input.body ?? {},
+          headers,
+          query: input.query || {},
+          method: input.method
+        }, input.rules ?? webhook.rules);
       })
   },
   
@@ -342,12 +406,7 @@ const projectWebhookProcedures = {
         events: z.array(eventTypeEnum).min(1),
         headers: z.record(z.string()).optional(),
         secret: z.string().optional(),
-        retryPolicy: z.object({
-          enabled: z.boolean().default(true),
-          maxAttempts: z.number().min(0).max(10).default(3),
-          backoffRate: z.number().min(1).max(5).default(2),
-          timeoutMs: z.number().min(1000).max(60000).default(30000)
-        }).optional()
+        retryPolicy: retryPolicySchema.optional()
       }))
       .mutation(async ({ input, ctx }) => {
         const { projectId, secret, ...webhookData } = input;
@@ -408,15 +467,15 @@ const projectWebhookProcedures = {
         headers: z.record(z.string()).optional(),
         secret: z.string().optional(),
         isActive: z.boolean().optional(),
-        retryPolicy: z.object({
-          enabled: z.boolean(),
-          maxAttempts: z.number().min(0).max(10),
-          backoffRate: z.number().min(1).max(5),
-          timeoutMs: z.number().min(1000).max(60000)
-        }).optional()
+        retryPolicy: retryPolicySchema.optional()
       }))
       .mutation(async ({ input }) => {
-        const { webhookId, ...updates } = input;
+        const { webhookId, retryPolicy, ...updates } = input;
+        
+        // Only overwrite the retry policy fields that were sent
+        for (const [field, value] of Object.entries(retryPolicy || {})) {
+          updates[`retryPolicy.${field}`] = value;
+        }
         
         const result = await db.projectOutgoingWebhooks.updateOne(
           { _id: new ObjectId(webhookId) },
@@ -536,6 +595,31 @@ const projectWebhookProcedures = {
       .mutation(async ({ input }) => {
         await outgoingWebhookDispatcher.retryFailedWebhook(input.executionId);
         return { success: true, message: 'Webhook retry initiated' };
+      }),
+    
+    // Replay all failed (dead-lettered) executions of a project since a date
+    replayFailed: projectAdminProcedure
+      .input(z.object({
+        projectId: z.string(),
+        since: z.coerce.date(),
+        webhookId: z.string().optional(),
+        eventType: z.string().optional()
+      }))
+      .mutation(async ({ input }) => {
+        const { replayed } = await outgoingWebhookDispatcher.replayFailed(input);
+        return { success: true, replayed, message: `${replayed} webhook execution(s) queued for replay` };
+      }),
+    
+    // Replay all failed executions across projects since a date (admin only)
+    replayAllFailed: adminProcedure
+      .input(z.object({
+        since: z.coerce.date(),
+        projectId: z.string().optional(),
+        eventType: z.string().optional()
+      }))
+      .mutation(async ({ input }) => {
+        const { replayed } = await outgoingWebhookDispatcher.replayFailed(input);
+        return { success: true, replayed, message: `${replayed} webhook execution(s) queued for replay` };
       })
   },
   
@@ -657,7 +741,8 @@ const incomingRouter = router({
   delete: projectWebhookProcedures.incoming.delete,
   regenerateToken: projectWebhookProcedures.incoming.regenerateToken,
   listExecutions: projectWebhookProcedures.incoming.listExecutions,
-  getExecution: projectWebhookProcedures.incoming.getExecution
+  getExecution: projectWebhookProcedures.incoming.getExecution,
+  dryRun: projectWebhookProcedures.incoming.dryRun
 });
 
 const outgoingRouter = router({
@@ -667,7 +752,9 @@ const outgoingRouter = router({
   delete: projectWebhookProcedures.outgoing.delete,
   test: projectWebhookProcedures.outgoing.test,
   listExecutions: projectWebhookProcedures.outgoing.listExecutions,
-  retryExecution: projectWebhookProcedures.outgoing.retryExecution
+  retryExecution: projectWebhookProcedures.outgoing.retryExecution,
+  replayFailed: projectWebhookProcedures.outgoing.replayFailed,
+  replayAllFailed: projectWebhookProcedures.outgoing.replayAllFailed
 });
 
 export const projectWebhookRouter = router({
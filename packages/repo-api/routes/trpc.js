@@ -28,6 +28,7 @@ import { adminDbRoutes } from "./adminDbRoutes.js";
 import { stripeRoutes } from "./stripeRoutes.js";
 import { waitlistRoutes } from "./waitlistRoutes.js";
 import { githubRouter } from "./githubRoutes.js";
+import { gitProviderRouter } from "./gitProviderRoutes.js";
 import { orgRouter } from "./orgRoutes.js";
 import { projectRouter } from "./projectRoutes.js";
 import { cloudRunRouter } from "./cloudRunRoutes.js";
@@ -118,6 +119,7 @@ const userRouter = router({
   ...stripeRoutes,
   ...waitlistRoutes,
   github: githubRouter,
+  gitProviders: gitProviderRouter,
   orgs: orgRouter,
   projects: projectRouter,
   cloudRun: cloudRunRouter,
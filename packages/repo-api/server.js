@@ -20,6 +20,7 @@ import { createContext } from "./lib/trpc/trpc.js";
 import cloudRunCallbackRoutes from "./routes/express/cloudRunCallbackRoutes.js";
 import githubCallbackRoutes from "./routes/express/githubCallbackRoutes.js";
 import githubWebhookRoutes from "./routes/express/githubWebhookRoutes.js";
+import gitProviderWebhookRoutes from "./routes/express/gitProviderWebhookRoutes.js";
 import projectWebhookRoutes from "./routes/express/projectWebhookRoutes.js";
 import publicApiRoutes from "./routes/express/publicApi.js";
 import mediaUploadRoutes from "./routes/express/mediaUploadRoutes.js";
@@ -38,6 +39,7 @@ import appRouter from "./routes/trpc.js";
 // import userRoutes from "./routes/userRoutes_OLD.js";
 
 import { setupOpenAIProxy } from "./lib/openaiProxy.js";
+import outgoingWebhookDispatcher from "./lib/webhooks/OutgoingWebhookDispatcher.js";
 
 // Connect to database
 await connectDb();
@@ -90,7 +92,15 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Configure standard middleware BEFORE routes
-app.use(express.json({ limit: MAX_UPLOAD_SIZE }));
+// Keep the raw body for webhook signature verification (HMAC of the exact payload bytes)
+app.use(
+  express.json({
+    limit: MAX_UPLOAD_SIZE,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ limit: MAX_UPLOAD_SIZE, extended: true }));
 app.use(morgan("dev")); // HTTP request logger
 
@@ -111,6 +121,10 @@ app.use("/auth/github", githubCallbackRoutes);
 console.log("🎣 Registering GitHub webhook routes: /api/github");
 app.use("/api/github", githubWebhookRoutes);
 
+// Register GitLab, Gitea and Forgejo webhook routes
+console.log("🎣 Registering git provider webhook routes: /api/git/{gitlab,gitea,forgejo}/webhook");
+app.use("/api/git", gitProviderWebhookRoutes);
+
 // Register project webhook routes
 console.log("🎯 Registering project webhook routes: /api/webhooks");
 app.use("/api/webhooks", projectWebhookRoutes);
@@ -228,4 +242,8 @@ app.use(function onError(err, req, res, next) {
 
 // Start server
 const PORT = process.env.PORT;
-app.listen(PORT, () => console.log(`Server is Running on Port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server is Running on Port ${PORT}`);
+  // Deliver outgoing webhook retries (and deliveries interrupted by a restart)
+  outgoingWebhookDispatcher.startRetryProcessor();
+});
@@ -8,13 +8,16 @@ export const setActiveDeployment = async (projectId, revisionId, options = {}) =
 		onError,
 		successMessage,
 		successDescription,
-		errorMessage = "Failed to activate deployment"
+		errorMessage = "Failed to activate deployment",
+		// Activating a revision from the dashboard is an explicit choice, so it may roll back
+		force = true
 	} = options;
 	
 	try {
 		const response = await trpc.projects.setActiveRevision.mutate({
 			projectId,
-			revisionId
+			revisionId,
+			force
 		});
 		
 		// Use the message from the API response if available
@@ -49,4 +52,42 @@ export const setActiveDeployment = async (projectId, revisionId, options = {}) =
 		
 		throw error;
 	}
-};
\ No newline at end of file
+};
+
+export const rollbackToRevision = async (projectId, revisionId, options = {}) => {
+	const { toast } = useToast();
+	const { onSuccess, onError, reason } = options;
+	
+	try {
+		const response = await trpc.projects.rollbackRevision.mutate({
+			projectId,
+			revisionId,
+			reason
+		});
+		
+		toast({
+			title: "Rolled back",
+			description: `Revision ${response.toRevision.jobId.slice(-7)} is now live`,
+		});
+		
+		if (onSuccess) {
+			onSuccess(response);
+		}
+		
+		return response;
+	} catch (error) {
+		console.error("Error rolling back:", error);
+		
+		toast({
+			title: "Rollback failed",
+			description: error.message || "Failed to roll back. Please try again.",
+			variant: "destructive",
+		});
+		
+		if (onError) {
+			onError(error);
+		}
+		
+		throw error;
+	}
+};
@@ -0,0 +1,50 @@
+// src/config/jobQueue.js
+import path from "node:path";
+
+/**
+ * Configuration for the persisted job queue backing the /process endpoint
+ * Values can be overridden with environment variables
+ */
+export const JOB_QUEUE_CONFIG = {
+  // SQLite file holding queued/running/finished jobs, on a volume that survives container restarts
+  // Required in production; local development falls back to the temp folder
+  dbPath:
+    process.env.JOB_QUEUE_DB_PATH ||
+    (process.env.NODE_ENV === "production"
+      ? null
+      : path.join(process.env.TEMP_DIR || "/tmp", "repo.md", "job-queue.sqlite")),
+
+  // Maximum number of jobs running at once, across all tasks
+  maxConcurrency: parseInt(process.env.JOB_QUEUE_MAX_CONCURRENCY || "2", 10),
+
+  // Per-task concurrency limits (tasks not listed use `default`)
+  taskConcurrency: {
+    "deploy-repo": 1,
+    "process-all": 1,
+    "process-with-repo": 1,
+    "process-from-template": 1,
+    "generate-and-deploy-project": 1,
+    default: 2,
+  },
+
+  // Named priorities accepted in the /process payload (higher runs first)
+  priorities: {
+    high: 10, // User-triggered deploys
+    normal: 5, // Webhook-triggered builds
+    low: 1, // Scheduled rebuilds
+  },
+  defaultPriority: "normal",
+
+  // Retries with exponential backoff: baseDelay * 2^(attempt - 1), capped at maxDelay
+  maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS || "3", 10),
+  // Upper bound for the maxAttempts requested in a /process payload
+  maxAttemptsLimit: 5,
+  retryBaseDelayMs: 30 * 1000,
+  retryMaxDelayMs: 10 * 60 * 1000,
+
+  // How often the queue looks for runnable jobs (ms)
+  pollIntervalMs: 1000,
+
+  // Finished jobs are kept this long so /jobs/:id can be queried for reconciliation
+  retentionMs: 7 * 24 * 60 * 60 * 1000,
+};
@@ -3,7 +3,7 @@ import express from "express";
 import fs from "node:fs/promises";
 import path from "node:path";
 import clipEmbedder from "./lib/clip-embedder.js";
-import instructorEmbedder from "./lib/instructor-embedder.js";
+import { createEmbeddingProvider, getPublicEmbeddingSettings, resolveEmbeddingSettings } from "./lib/embeddingProvider.js";
 import loggerService from "./services/loggerService.js";
 
 const router = express.Router();
@@ -120,13 +120,16 @@ router.post("/clip-by-image", async (req, res) => {
 });
 
 // Text embedding endpoint
+// "ai" holds the embedding settings of the project's build, so queries match its documents
 router.post("/text-embedding", async (req, res) => {
-  const { text, instruction = "Represent the document for semantic search:" } = req.body;
+  const { text, instruction, ai } = req.body;
   const startTime = Date.now();
   
   systemLogger.log("🧠 Text embedding request", { 
     textLength: text?.length,
-    instruction 
+    instruction,
+    provider: ai?.provider,
+    model: ai?.model
   });
 
   if (!text) {
@@ -136,8 +139,18 @@ router.post("/text-embedding", async (req, res) => {
     });
   }
 
+  let settings;
   try {
-    const embedding = await instructorEmbedder.getEmbedding(instruction, text);
+    settings = resolveEmbeddingSettings(ai);
+  } catch (error) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  try {
+    const embedding = await createEmbeddingProvider(settings).embedQuery(text, instruction);
     const duration = Date.now() - startTime;
     
     systemLogger.log("✅ Text embedding generated", {
@@ -150,10 +163,12 @@ router.post("/text-embedding", async (req, res) => {
       status: "success",
       embedding,
       metadata: {
-        model: "all-MiniLM-L6-v2",
+        model: settings.model,
+        provider: settings.provider,
         dimension: embedding.length,
         duration,
-        instruction,
+        instruction: instruction ?? settings.queryInstruction ?? settings.instruction,
+        settings: getPublicEmbeddingSettings(settings),
         timestamp: new Date().toISOString()
       }
     });
@@ -0,0 +1,246 @@
+// embeddingProvider.js
+import { chunkText } from "@repo-md/processor";
+import { assertPublicHost } from "./publicAddress.js";
+import { getInstructorEmbedder } from "./instructor-embedder.js";
+
+export const EMBEDDING_PROVIDERS = ["transformers", "cloudflare-ai", "openai-compatible"];
+
+// Used when a project has no settings.ai
+export const DEFAULT_EMBEDDING_SETTINGS = {
+  provider: "transformers",
+  model: "Xenova/all-MiniLM-L6-v2",
+  dimensions: null, // Native size of the model
+  instruction: "Represent the document for semantic search:",
+  queryInstruction: null, // Same as instruction
+  chunking: { size: 1000, overlap: 100 }, // Characters; size 0 embeds the whole text at once
+};
+
+// Remote providers are called with this many texts per request
+const REMOTE_BATCH_SIZE = 32;
+
+/**
+ * Check the syntax of a project embedding endpoint (https only)
+ * @param {string} endpoint - Base URL from settings.ai.endpoint
+ * @returns {URL} - The parsed endpoint
+ */
+function parseEmbeddingEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new Error(`Invalid embedding endpoint: ${endpoint}`);
+  }
+  if (url.protocol !== "https:") {
+    throw new Error("settings.ai.endpoint must use https");
+  }
+  if (url.username || url.password) {
+    throw new Error("settings.ai.endpoint must not contain credentials");
+  }
+  return url;
+}
+
+/**
+ * Check that a project embedding endpoint only reaches public servers
+ * Endpoints come from project settings, so they must not reach the worker's network
+ * (private ranges, link-local metadata services, localhost).
+ * @param {string} endpoint - Base URL from settings.ai.endpoint
+ * @returns {Promise<void>}
+ */
+export async function assertPublicEndpoint(endpoint) {
+  const { hostname } = parseEmbeddingEndpoint(endpoint);
+  await assertPublicHost(hostname, "Embedding endpoint");
+}
+
+/**
+ * Normalize the AI settings of a project (settings.ai)
+ * "local" is an alias of "transformers" (models run in the worker with transformers.js).
+ * @param {Object} [ai] - Project AI settings
+ * @returns {Object} - Complete embedding settings
+ */
+export function resolveEmbeddingSettings(ai = {}) {
+  const provider = ai.provider === "local" ? "transformers" : ai.provider || DEFAULT_EMBEDDING_SETTINGS.provider;
+  if (!EMBEDDING_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+  // Other providers have no sensible default model
+  const model = ai.model || (provider === DEFAULT_EMBEDDING_SETTINGS.provider ? DEFAULT_EMBEDDING_SETTINGS.model : null);
+  if (!model) {
+    throw new Error(`settings.ai.model is required for the ${provider} provider`);
+  }
+  if (provider === "openai-compatible" && !ai.endpoint) {
+    throw new Error("settings.ai.endpoint is required for the openai-compatible provider");
+  }
+  if (provider === "openai-compatible") {
+    parseEmbeddingEndpoint(ai.endpoint);
+  }
+
+  const chunking = { ...DEFAULT_EMBEDDING_SETTINGS.chunking, ...ai.chunking };
+  return {
+    provider,
+    model,
+    dimensions: Number(ai.dimensions) > 0 ? Number(ai.dimensions) : null,
+    // Instruction prefixes only help models trained with them
+    instruction: ai.instruction ?? (provider === "transformers" ? DEFAULT_EMBEDDING_SETTINGS.instruction : ""),
+    queryInstruction: ai.queryInstruction ?? null,
+    chunking: {
+      size: Math.max(0, Number(chunking.size) || 0),
+      overlap: Math.max(0, Number(chunking.overlap) || 0),
+    },
+    ...(provider === "openai-compatible" && { endpoint: ai.endpoint.replace(/\/+$/, "") }),
+    ...(ai.apiKey && { apiKey: ai.apiKey }),
+  };
+}
+
+/**
+ * Get the embedding settings recorded with a build (everything but the API key)
+ * Query embeddings must be computed with these settings to be comparable with the build's.
+ * @param {Object} settings - Resolved embedding settings
+ * @returns {Object} - Settings safe to publish
+ */
+export function getPublicEmbeddingSettings(settings) {
+  const { apiKey, ...publicSettings } = settings;
+  return publicSettings;
+}
+
+/**
+ * Check whether embeddings made with two settings are interchangeable
+ * @param {Object} a - Resolved or recorded embedding settings
+ * @param {Object} b - Resolved or recorded embedding settings
+ * @returns {boolean}
+ */
+export function isSameEmbeddingSettings(a, b) {
+  if (!a || !b) return false;
+  const key = ({ provider, model, dimensions, instruction, chunking, endpoint }) =>
+    JSON.stringify([provider, model, dimensions, instruction, chunking?.size, chunking?.overlap, endpoint]);
+  return key(a) === key(b);
+}
+
+/**
+ * Normalize a vector to unit length, shortened to the configured dimensions
+ * Truncation keeps Matryoshka-trained embeddings (e.g. nomic, OpenAI text-embedding-3) meaningful.
+ * @param {number[]} vector - Embedding
+ * @param {number|null} dimensions - Target size
+ * @returns {number[]}
+ */
+function fitDimensions(vector, dimensions) {
+  if (dimensions && vector.length < dimensions) {
+    throw new Error(`Model returned ${vector.length} dimensions, ${dimensions} are configured`);
+  }
+  const values = dimensions ? Array.from(vector).slice(0, dimensions) : Array.from(vector);
+  const magnitude = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? values.map((value) => value / magnitude) : values;
+}
+
+/**
+ * Embed texts with the Workers AI REST API
+ */
+async function embedWithCloudflare(settings, inputs) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+  const token = process.env.CLOUDFLARE_AI_TOKEN || process.env.CLOUDFLARE_API_TOKEN;
+  if (!accountId || !token) {
+    throw new Error("CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_AI_TOKEN are required for the cloudflare-ai provider");
+  }
+
+  const response = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/ai/run/${settings.model}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ text: inputs }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new Error(`Workers AI responded with status ${response.status}: ${body.errors?.[0]?.message || "no embeddings"}`);
+  }
+  return body.result.data;
+}
+
+/**
+ * Embed texts with an OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, vLLM, TEI...)
+ */
+async function embedWithOpenAiCompatible(settings, inputs) {
+  await assertPublicEndpoint(settings.endpoint);
+
+  const response = await fetch(`${settings.endpoint}/embeddings`, {
+    method: "POST",
+    redirect: "error", // A redirect could point back to a private address
+    headers: {
+      "Content-Type": "application/json",
+      ...(settings.apiKey && { Authorization: `Bearer ${settings.apiKey}` }),
+    },
+    body: JSON.stringify({
+      model: settings.model,
+      input: inputs,
+      ...(settings.dimensions && { dimensions: settings.dimensions }),
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !Array.isArray(body.data)) {
+    throw new Error(`Embedding endpoint responded with status ${response.status}: ${body.error?.message || "no embeddings"}`);
+  }
+  return body.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+}
+
+/**
+ * Create an embedding provider from resolved settings
+ * @param {Object} settings - Resolved embedding settings (see resolveEmbeddingSettings)
+ * @returns {Object} - Provider with embedTexts, embedDocument and embedQuery
+ */
+export function createEmbeddingProvider(settings) {
+  const withInstruction = (instruction, text) => (instruction ? `${instruction} ${text}` : text);
+
+  /**
+   * Embed texts with an instruction
+   * @param {string[]} texts - Texts to embed
+   * @param {string} instruction - Instruction prefixed to each text (empty for none)
+   * @returns {Promise<number[][]>} - Unit-length embeddings
+   */
+  async function embedTexts(texts, instruction) {
+    const inputs = texts.map((text) => withInstruction(instruction, text));
+    let vectors;
+
+    if (settings.provider === "transformers") {
+      const embedder = getInstructorEmbedder(settings.model);
+      vectors = await embedder.batchGetEmbeddings(texts.map((text) => [instruction, text]));
+    } else {
+      vectors = [];
+      const embedBatch = settings.provider === "cloudflare-ai" ? embedWithCloudflare : embedWithOpenAiCompatible;
+      for (let i = 0; i < inputs.length; i += REMOTE_BATCH_SIZE) {
+        vectors.push(...(await embedBatch(settings, inputs.slice(i, i + REMOTE_BATCH_SIZE))));
+      }
+    }
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings, got ${vectors.length}`);
+    }
+    return vectors.map((vector) => fitDimensions(vector, settings.dimensions));
+  }
+
+  return {
+    settings,
+
+    embedTexts,
+
+    /**
+     * Embed a document: long texts are chunked and the chunk embeddings averaged
+     * @param {string} text - Document text
+     * @returns {Promise<number[]>} - Unit-length embedding
+     */
+    async embedDocument(text) {
+      const vectors = await embedTexts(chunkText(text, settings.chunking), settings.instruction);
+      if (vectors.length === 1) return vectors[0];
+      const mean = vectors[0].map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+      return fitDimensions(mean, null);
+    },
+
+    /**
+     * Embed a search query
+     * @param {string} text - Query
+     * @param {string} [instruction] - Overrides the configured query instruction
+     * @returns {Promise<number[]>} - Unit-length embedding
+     */
+    async embedQuery(text, instruction) {
+      const queryInstruction = instruction ?? settings.queryInstruction ?? settings.instruction;
+      const [vector] = await embedTexts([text], queryInstruction);
+      return vector;
+    },
+  };
+}
@@ -421,11 +421,23 @@ class InstructorEmbedder {
   }
 }
 
-// Create singleton instance with debug set by the global DEBUG flag
-const instructorEmbedder = new InstructorEmbedder({
-  debug: DEBUG,
-  modelName: "Xenova/all-MiniLM-L6-v2", // A suitable sentence embedding model
-});
+// Embedders by model name (projects can pick their model in settings.ai)
+const embedders = new Map();
+
+/**
+ * Get the embedder of a model, created once per model
+ * @param {string} modelName - Feature-extraction model name
+ * @returns {InstructorEmbedder}
+ */
+export function getInstructorEmbedder(modelName) {
+  if (!embedders.has(modelName)) {
+    embedders.set(modelName, new InstructorEmbedder({ debug: DEBUG, modelName }));
+  }
+  return embedders.get(modelName);
+}
+
+// Default instance with debug set by the global DEBUG flag
+const instructorEmbedder = getInstructorEmbedder("Xenova/all-MiniLM-L6-v2"); // A suitable sentence embedding model
 
 // Export functions
 export default {
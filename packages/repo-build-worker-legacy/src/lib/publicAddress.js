@@ -0,0 +1,61 @@
+// publicAddress.js
+// Hosts that come from project or user settings (embedding endpoints, self-hosted git
+// instances) must not reach the worker's network: private ranges, link-local metadata
+// services, localhost.
+import dns from "node:dns/promises";
+import net from "node:net";
+
+// Addresses user-provided hosts may not resolve to (loopback, private, link-local, metadata...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Check that an address is publicly routable (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const type = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  return !!type && !BLOCKED_ADDRESSES.check(address, type);
+}
+
+/**
+ * Check that a host resolves only to public addresses
+ * @param {string} hostname - Host name or IP address (IPv6 may be bracketed)
+ * @param {string} label - What the host is, used in error messages
+ * @returns {Promise<void>}
+ */
+export async function assertPublicHost(hostname, label) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true }).catch(() => {
+        throw new Error(`Could not resolve ${label.toLowerCase()} host: ${host}`);
+      });
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`${label} ${host} resolves to a non-public address`);
+  }
+}
@@ -0,0 +1,57 @@
+// transcriber.js
+import { pipeline } from "@huggingface/transformers";
+
+// Small English model: fast enough to run on CPU during builds
+export const DEFAULT_TRANSCRIPTION_MODEL = "Xenova/whisper-tiny.en";
+
+// Loaded pipelines by model name (models are downloaded on first use)
+const transcribers = new Map();
+
+/**
+ * Get the speech recognition pipeline of a model, loading it once
+ * @param {string} modelName - Whisper model name
+ * @returns {Promise<Function>} - The pipeline
+ */
+function getTranscriber(modelName) {
+  if (!transcribers.has(modelName)) {
+    console.log(`🗣️ Loading speech-to-text model (${modelName})...`);
+    const loading = pipeline("automatic-speech-recognition", modelName).catch((error) => {
+      transcribers.delete(modelName);
+      throw error;
+    });
+    transcribers.set(modelName, loading);
+  }
+  return transcribers.get(modelName);
+}
+
+/**
+ * Transcribe mono 16kHz audio samples
+ * @param {Float32Array} samples - Audio samples
+ * @param {Object} options - Transcription options
+ * @param {string} [options.model] - Whisper model name
+ * @param {string} [options.language] - Spoken language (multilingual models only)
+ * @param {number} [options.offset] - Start time of the samples in the file, added to segment timestamps (seconds)
+ * @returns {Promise<{text: string, segments: Array<{start: number, end: number, text: string}>}>}
+ */
+export async function transcribeSamples(samples, { model = DEFAULT_TRANSCRIPTION_MODEL, language, offset = 0 } = {}) {
+  const transcriber = await getTranscriber(model);
+  const output = await transcriber(samples, {
+    chunk_length_s: 30,
+    stride_length_s: 5,
+    return_timestamps: true,
+    ...(language && !model.endsWith(".en") && { language, task: "transcribe" }),
+  });
+
+  const segments = (output.chunks || [])
+    .map((chunk) => {
+      const [start = 0, end] = chunk.timestamp || [];
+      return {
+        start: offset + start,
+        end: offset + (end ?? start),
+        text: chunk.text.trim(),
+      };
+    })
+    .filter((segment) => segment.text);
+
+  return { text: output.text.trim(), segments };
+}
@@ -2,13 +2,16 @@
 import path from "path";
 import fs from "fs/promises";
 import GitHubService from "../services/githubService.js";
+import { getGitProvider, getDefaultGitToken } from "../utils/gitAuth.js";
 
 /**
- * Clones a given GitHub repository into a temporary folder
+ * Clones a given repository into a temporary folder
  * @param {Object} data - Job data containing repository information
- * @param {string} data.repoUrl - GitHub repository URL
+ * @param {string} data.repoUrl - Repository URL (GitHub, GitLab, Gitea or Forgejo)
  * @param {string} data.branch - Branch to clone (optional, defaults to 'main')
- * @param {string} data.gitToken - GitHub token for authentication (optional for public repos)
+ * @param {string} data.gitToken - Provider token for authentication (optional for public repos)
+ * @param {string} data.gitProvider - Provider of repoUrl: github, gitlab, gitea or forgejo (optional, detected for github.com)
+ * @param {string} data.gitBaseUrl - Provider instance URL for self-hosted providers (optional)
  * @param {string} data.jobId - Unique job identifier
  * @param {string} data.tempFolderPath - Path to temporary folder (optional)
  * @returns {Promise<Object>} - Result with repo information
@@ -32,8 +35,9 @@ async function acquireUserRepo(data) {
   );
   
   try {
-    // Initialize GitHub service
-    const gitToken = data.gitToken || process.env.GITHUB_TOKEN;
+    // Initialize git service with the token of the repository's provider
+    const gitProvider = getGitProvider(repoUrl, data.gitProvider);
+    const gitToken = data.gitToken || getDefaultGitToken(gitProvider);
     if (!gitToken && repoUrl.includes('github.com') && !repoUrl.startsWith('https://github.com/public/')) {
       console.error("❌ GitHub authentication token missing for potentially private repository", { jobId: data.jobId });
       throw new Error("GitHub authentication token is required for private repositories");
@@ -47,7 +51,7 @@ async function acquireUserRepo(data) {
     const cloneResult = await githubService.cloneRepository(
       repoUrl,
       tempFolderPath,
-      { branch, depth: data.depth || 1 }
+      { branch, depth: data.depth || 1, provider: gitProvider, baseUrl: data.gitBaseUrl }
     );
     
     console.log("✅ Repository acquired successfully", { 
@@ -62,6 +66,8 @@ async function acquireUserRepo(data) {
       repoInfo: {
         path: tempFolderPath,
         branch,
+        commitSha: cloneResult.commit,
+        commitDate: cloneResult.commitDate,
         cloned: true,
         source: repoUrl,
         timestamp: new Date().toISOString()
@@ -1,14 +1,25 @@
 // src/process/buildAssets.js
 import fs from "fs/promises";
 import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
 import { RepoProcessor } from "@repo-md/processor";
 import computePostEmbeddings from "./computePostEmbeddings.js";
 import computeImageEmbeddings from "./computeImageEmbeddings.js";
 import createVectraIndex from "./vectra.js";
+import createSearchIndex from "./searchIndex.js";
 import buildSqliteDatabase from "./buildSqliteDatabase.js";
+import processAvMedia from "./processAvMedia.js";
 import scanFrontmatterSchema from "./scanFrontmatterSchema.js";
+import generateFrontmatterTypes from "./generateFrontmatterTypes.js";
+import validateFrontmatter, {
+  loadRepoSchema,
+  getCollectionsConfig,
+  getReferencesConfig,
+} from "./validateFrontmatter.js";
 import similarity from "compute-cosine-similarity";
 import { generateRepoJson } from "../lib/specParser.js";
+import { isSameEmbeddingSettings, resolveEmbeddingSettings } from "../lib/embeddingProvider.js";
 import WorkerIssueCollector from "../services/issueCollector.js";
 import * as r2 from "../services/r2.js";
 
@@ -60,14 +71,15 @@ function extractMediaReferences(content) {
 
 /**
  * Load embeddings from previous revision in R2
+ * @param {string} projectId - The project ID
  * @param {string} previousRev - The previous revision ID
  * @param {string} filename - The embeddings filename to load
  * @param {Object} logger - Logger instance
  * @returns {Promise<Object|null>} - The embeddings map or null if not found
  */
-async function loadPreviousEmbeddings(previousRev, filename, logger) {
+async function loadPreviousEmbeddings(projectId, previousRev, filename, logger) {
   try {
-    const objectKey = `${previousRev}/${filename}`;
+    const objectKey = `projects/${projectId}/${previousRev}/${filename}`;
     logger.log(`🔄 Attempting to load previous embeddings from: ${objectKey}`);
     
     const buffer = await r2.download(objectKey);
@@ -81,6 +93,154 @@ async function loadPreviousEmbeddings(previousRev, filename, logger) {
   }
 }
 
+/**
+ * Load a JSON build file from a previous revision in R2
+ * @param {string} projectId - The project ID
+ * @param {string} previousRev - The previous revision ID
+ * @param {string} filename - The filename to load
+ * @returns {Promise<any>} - The parsed JSON content
+ */
+async function loadPreviousRevisionJson(projectId, previousRev, filename) {
+  const buffer = await r2.download(`projects/${projectId}/${previousRev}/${filename}`);
+  return JSON.parse(buffer.toString());
+}
+
+// Fingerprint of everything besides the content that shapes rendered HTML, stored with each revision
+export const RENDER_FINGERPRINT_FILENAME = "render-fingerprint.json";
+
+/**
+ * Hash the built processor code, so a processor update re-renders every post
+ * @returns {Promise<string>} - SHA-256 of the processor's dist files
+ */
+async function getProcessorHash() {
+  const distDir = path.dirname(fileURLToPath(import.meta.resolve("@repo-md/processor")));
+  const files = (await fs.readdir(distDir, { recursive: true }))
+    .filter((file) => /\.(c|m)?js$/.test(file))
+    .sort();
+  const hash = crypto.createHash("sha256");
+  for (const file of files) {
+    hash.update(file).update(await fs.readFile(path.join(distDir, file)));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Compute the render fingerprint of a build: processor code, processor config and project settings
+ * Only a revision rendered with the same fingerprint can have its HTML reused.
+ * @param {Object} data - Job data with projectSettings, repositoryFolder and ignoreFiles
+ * @param {Object} config - Processor config (dir, skip lists and incremental plan are left out)
+ * @returns {Promise<string|null>} - Fingerprint, or null when the processor can't be identified
+ */
+async function getRenderFingerprint(data, config) {
+  let processorHash;
+  try {
+    processorHash = await getProcessorHash();
+  } catch {
+    return null;
+  }
+
+  const { dir, ...renderConfig } = config;
+  const { skipHashes, skipExisting, ...mediaConfig } = config.media;
+  const { ai, ...projectSettings } = data.projectSettings || {}; // Embedding settings don't change HTML
+  const inputs = {
+    processorHash,
+    config: { ...renderConfig, media: mediaConfig },
+    projectSettings,
+    repositoryFolder: data.repositoryFolder || "",
+    ignoreFiles: data.ignoreFiles || "",
+  };
+
+  // Sorted keys, so settings stored in a different order give the same fingerprint
+  const json = JSON.stringify(inputs, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : value
+  );
+  return crypto.createHash("sha256").update(json).digest("hex");
+}
+
+/**
+ * Plan an incremental render from the change set computed against the previous revision.
+ * Unchanged posts reuse their previously rendered HTML; a post is re-rendered when its
+ * source changed, or when it links to / embeds something that was changed, added or removed.
+ * Everything is re-rendered when the previous revision was built with another render fingerprint.
+ * @param {Object} data - Job data containing changeSet, projectId and previousRev
+ * @param {string|null} renderFingerprint - Render fingerprint of this build
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} - { previousPosts, renderPaths } or null for a full build
+ */
+async function planIncrementalRender(data, renderFingerprint, logger) {
+  const { changeSet, projectId, previousRev } = data;
+  if (!changeSet || !projectId || !previousRev || data.forceReprocess || !renderFingerprint) {
+    return null;
+  }
+
+  try {
+    const [previousPosts, previousMediaHashes, previousFingerprint] = await Promise.all([
+      loadPreviousRevisionJson(projectId, previousRev, "posts.json"),
+      loadPreviousRevisionJson(projectId, previousRev, "media-path-hash-map.json").catch(() => ({})),
+      loadPreviousRevisionJson(projectId, previousRev, RENDER_FINGERPRINT_FILENAME).catch(() => null),
+    ]);
+
+    if (previousFingerprint?.fingerprint !== renderFingerprint) {
+      logger.log(`⚙️ Processor or render settings changed since ${previousRev}, running a full render`);
+      return null;
+    }
+
+    if (!Array.isArray(previousPosts)) {
+      throw new Error("previous posts.json is not an array");
+    }
+
+    const isMarkdown = (filePath) => /\.md$/i.test(filePath);
+    const changedPaths = [...changeSet.added, ...changeSet.modified, ...changeSet.deleted];
+    const renderPaths = new Set(
+      [...changeSet.added, ...changeSet.modified].filter(isMarkdown)
+    );
+
+    // Hashes of previous posts whose content or existence changed
+    const changedPostHashes = new Set(
+      previousPosts
+        .filter((post) => changedPaths.includes(post.originalFilePath))
+        .map((post) => post.hash)
+    );
+
+    // Strings that appear in the HTML of posts referencing a changed file:
+    // previous media hashes, and file basenames (wiki links, including broken ones)
+    const needles = new Set();
+    for (const filePath of changedPaths) {
+      const baseName = path.basename(filePath, path.extname(filePath));
+      if (baseName) {
+        needles.add(baseName);
+        needles.add(encodeURI(baseName));
+      }
+      if (!isMarkdown(filePath) && previousMediaHashes[filePath]) {
+        needles.add(previousMediaHashes[filePath]);
+      }
+    }
+
+    for (const post of previousPosts) {
+      if (renderPaths.has(post.originalFilePath)) continue;
+      const linksToChanged = post.links?.some((hash) => changedPostHashes.has(hash));
+      const html = post.html || "";
+      const mentionsChanged = [...needles].some((needle) => html.includes(needle));
+      if (linksToChanged || mentionsChanged) {
+        renderPaths.add(post.originalFilePath);
+      }
+    }
+
+    logger.log("♻️ Incremental render planned", {
+      previousRev,
+      previousPosts: previousPosts.length,
+      renderPaths: renderPaths.size,
+    });
+
+    return { previousPosts, renderPaths: [...renderPaths] };
+  } catch (error) {
+    safeLog(logger, 'warn', `⚠️ Could not plan incremental render from ${previousRev}, running a full build: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Save JSON data to a file in the dist folder
  * @param {string} distFolder - The distribution folder path
@@ -285,10 +445,18 @@ async function buildAssets(data) {
       //  { width: 3840, height: null, suffix: "xl" }, // Original
       // { width: null, height: null, suffix: "ori" } // Original size
     ];
+    /**
+     * Image formats for optimization, from the project's image quality (settings.media.imageQuality)
+     * AVIF and JPEG are tuned relative to WebP: AVIF looks alike at a lower setting, JPEG needs a higher one
+     */
+    const imageQuality = Math.min(
+      100,
+      Math.max(1, Number(data.projectSettings?.media?.imageQuality) || 80)
+    );
     const DEFAULT_IMAGE_FORMATS = [
-      { format: "webp", options: { quality: 80 } },
-      // { format: "avif", options: { quality: 65 } },
-      { format: "jpeg", options: { quality: 85, mozjpeg: true } },
+      { format: "avif", options: { quality: Math.max(1, imageQuality - 15) } },
+      { format: "webp", options: { quality: imageQuality } },
+      { format: "jpeg", options: { quality: Math.min(100, imageQuality + 5), mozjpeg: true } },
     ];
     const imageSizes = DEFAULT_IMAGE_SIZES;
     const imageFormats = DEFAULT_IMAGE_FORMATS;
@@ -303,6 +471,11 @@ async function buildAssets(data) {
       ...Array.from(existingMediaHashes)
     ];
 
+    // Content collections and reference fields declared in repo.schema.json (read errors are reported by validateFrontmatter)
+    const repoSchema = await loadRepoSchema(inputPath).catch(() => null);
+    const collections = getCollectionsConfig(repoSchema);
+    const references = getReferencesConfig(repoSchema);
+
     // Configure processing options using the new nested structure
     const config = {
       // Core directory configuration
@@ -331,6 +504,8 @@ async function buildAssets(data) {
         skipHashes: skipHashes,
         useHash: true,
         useHashSharding: false,
+        // EXIF of published images: "gps" (default) drops the location, "all" everything
+        stripMetadata: data.projectSettings?.media?.stripMetadata,
         preferredSize: "lg", //TODO: use the preferred size from the config passed via options.
         //  resultsPath: path.join(distFolder, "media-results.json")
       },
@@ -340,6 +515,14 @@ async function buildAssets(data) {
         exportEnabled: true,
         processAllFiles: true, // Process all markdown files regardless of public frontmatter
         useHash: true,
+        // Pull request previews show embargoed posts so authors can review them before publishAt
+        ignorePublishDates: !!data.preview,
+        // Multi-locale content (`lang` frontmatter, locale folders such as /fr/)
+        ...(data.i18n && { locales: data.i18n }),
+        // Named collections (folder, slug pattern, sort order), written to collections/<name>.json
+        ...(collections && { collections }),
+        // Reference fields (e.g. author -> authors collection), resolved to target post hashes
+        ...(references && { references }),
       },
 
       // Debug level
@@ -351,6 +534,14 @@ async function buildAssets(data) {
       },
     };
 
+    // Reuse rendered HTML from the previous revision when a change set is available
+    // and the revision was rendered by the same processor with the same settings
+    const renderFingerprint = await getRenderFingerprint(data, config);
+    const incremental = await planIncrementalRender(data, renderFingerprint, logger || console);
+    if (incremental) {
+      config.posts.incremental = incremental;
+    }
+
     // Process the vault with the unified process function
     if (logger) {
       logger.log("🔄 Processing repository content...");
@@ -375,6 +566,11 @@ async function buildAssets(data) {
 
     const { vaultData, mediaData } = result;
 
+    // Stored with the revision, so the next build knows whether it can reuse this render
+    if (renderFingerprint) {
+      await saveJson(distFolder, RENDER_FINGERPRINT_FILENAME, { fingerprint: renderFingerprint }, logger);
+    }
+
     if (logger) {
       logger.log("🏗️ Assets built successfully!", {
         jobId: data.jobId,
@@ -551,6 +747,40 @@ async function buildAssets(data) {
       }
     }
 
+    // Video and audio metadata: duration, poster frames, waveform peaks and transcripts
+    safeLog(logger, 'log', "🎬 Processing video and audio files...");
+    let avMediaResult = null;
+    try {
+      let previousAvByHash = {};
+      if (data.previousRev && data.projectId) {
+        const previousMedias = await loadPreviousRevisionJson(data.projectId, data.previousRev, "medias.json").catch(() => []);
+        for (const media of Array.isArray(previousMedias) ? previousMedias : []) {
+          if (media.av && media.metadata?.hash) previousAvByHash[media.metadata.hash] = media.av;
+        }
+      }
+      avMediaResult = await processAvMedia(
+        { ...data, assets: { distFolder } },
+        mediaData,
+        { mediaPrefix, previousAvByHash }
+      );
+      for (const { path: mediaPath, error } of avMediaResult.errors) {
+        issueCollector.addIssue({
+          severity: 'warning',
+          category: 'media-processing',
+          module: 'av-media',
+          filePath: mediaPath,
+          message: `Video/audio metadata not generated: ${error}`,
+        });
+      }
+    } catch (error) {
+      issueCollector.addIssue({
+        severity: 'warning',
+        category: 'media-processing',
+        module: 'av-media',
+        message: `Video and audio files not processed: ${error.message}`,
+      });
+    }
+
     // Prepare result data
     const assetResult = {
       ...data,
@@ -561,6 +791,15 @@ async function buildAssets(data) {
         //  mediaPath: mediaOutputPath,
         filesCount: vaultData.length,
         mediaCount: mediaData.length,
+        incremental: incremental
+          ? {
+              previousRev: data.previousRev,
+              renderedCount: incremental.renderPaths.length,
+              changeSet: data.changeSet,
+            }
+          : null,
+        publishSchedule: result.publishSchedule || null,
+        avMedia: avMediaResult,
         timestamp: new Date().toISOString(),
       },
       contentHealth: {
@@ -584,17 +823,45 @@ async function buildAssets(data) {
 
     // Check for previous revision embeddings
     let existingPostEmbeddings = null;
+    let existingPostPassages = null;
     let existingMediaEmbeddings = null;
     
     if (data.previousRev) {
       try {
         // Attempt to load previous embeddings from R2
-        existingPostEmbeddings = await loadPreviousEmbeddings(
-          data.previousRev, 
-          'posts-embedding-hash-map.json',
-          logger || console
-        );
+        // Post embeddings are only reusable if made with the same model and settings
+        const previousEmbeddingSettings = await loadPreviousRevisionJson(
+          data.projectId,
+          data.previousRev,
+          'embeddings-config.json'
+        ).catch(() => null);
+        let embeddingSettings = null;
+        try {
+          embeddingSettings = resolveEmbeddingSettings(data.projectSettings?.ai);
+        } catch {
+          // Invalid settings are reported by computePostEmbeddings
+        }
+        if (isSameEmbeddingSettings(previousEmbeddingSettings, embeddingSettings)) {
+          existingPostEmbeddings = await loadPreviousEmbeddings(
+            data.projectId,
+            data.previousRev,
+            'posts-embedding-hash-map.json',
+            logger || console
+          );
+          const previousPassages = await loadPreviousRevisionJson(
+            data.projectId,
+            data.previousRev,
+            'posts-passages.json'
+          ).catch(() => []);
+          existingPostPassages = {};
+          for (const passage of previousPassages) {
+            (existingPostPassages[passage.hash] ||= []).push(passage);
+          }
+        } else {
+          safeLog(logger, 'log', '🔁 Embedding settings changed since the previous revision, recomputing post embeddings');
+        }
         existingMediaEmbeddings = await loadPreviousEmbeddings(
+          data.projectId,
           data.previousRev,
           'media-embedding-hash-map.json',
           logger || console
@@ -634,7 +901,17 @@ async function buildAssets(data) {
         error: null,
       };
     } else {
-      embeddingsResult = await computePostEmbeddings(posts, existingPostEmbeddings);
+      embeddingsResult = await computePostEmbeddings(
+        posts,
+        existingPostEmbeddings,
+        data.projectSettings?.ai,
+        existingPostPassages
+      );
+    }
+
+    // Record how posts were embedded (the inference API embeds queries the same way)
+    if (embeddingsResult.metadata?.settings) {
+      await saveJson(distFolder, "embeddings-config.json", embeddingsResult.metadata.settings, logger);
     }
 
     // Save embeddings maps to files using the helper
@@ -650,6 +927,13 @@ async function buildAssets(data) {
       embeddingsResult.hashMap,
       logger
     );
+    // Heading-aware passages of posts with their embeddings (passage retrieval)
+    const passagesOutputPath = await saveJson(
+      distFolder,
+      "posts-passages.json",
+      embeddingsResult.passages || [],
+      logger
+    );
 
     // Compute similarity between all posts
     if (logger) {
@@ -769,6 +1053,7 @@ async function buildAssets(data) {
         ...embeddingsResult.metadata,
         slugMapPath: slugOutputPath,
         hashMapPath: hashOutputPath,
+        passagesPath: passagesOutputPath,
         similarityMapPath: similarityOutputPath,
         similarPostsMapPath: similarPostsOutputPath,
         similarityPairsCount: Object.keys(similarityMap).length,
@@ -951,6 +1236,24 @@ async function buildAssets(data) {
     }
     const resultWithVectra = await createVectraIndex(resultWithEmbeddings);
 
+    // Build the sharded full-text search index (clients fall back to an in-memory index without it)
+    if (logger) {
+      logger.log("🔎 Building full-text search index...");
+    } else {
+      console.log("🔎 Building full-text search index...");
+    }
+    let resultWithSearch = resultWithVectra;
+    try {
+      resultWithSearch = await createSearchIndex(resultWithVectra);
+    } catch (error) {
+      issueCollector.addIssue({
+        severity: 'warning',
+        category: 'search-index',
+        module: 'search-index',
+        message: `Full-text search index not generated: ${error.message}`,
+      });
+    }
+
     // Scan frontmatter schema
     if (logger) {
       logger.log("📊 Scanning frontmatter schema...");
@@ -959,7 +1262,7 @@ async function buildAssets(data) {
     }
     // Ensure tempDir is set for schema scanner
     const schemaData = {
-      ...resultWithVectra,
+      ...resultWithSearch,
       tempDir: data.tempDir || data.tempFolderPath || path.dirname(distFolder),
       issueReporter: issueCollector
     };
@@ -967,7 +1270,21 @@ async function buildAssets(data) {
       tempDir: schemaData.tempDir,
       distFolder: schemaData.assets?.distFolder
     });
-    const resultWithSchema = await scanFrontmatterSchema(schemaData);
+    const resultWithScan = await scanFrontmatterSchema(schemaData);
+
+    // Validate frontmatter against the user-authored schema (repo.schema.json), if any
+    if (logger) {
+      logger.log("📐 Validating frontmatter...");
+    } else {
+      console.log("📐 Validating frontmatter...");
+    }
+    const resultWithValidation = await validateFrontmatter(resultWithScan, {
+      inputPath,
+      issueReporter: issueCollector,
+    });
+
+    // Generate frontmatter types (posts.types.ts, collections.types.ts)
+    const resultWithSchema = await generateFrontmatterTypes(resultWithValidation);
 
     // Build the SQLite database
     if (logger) {
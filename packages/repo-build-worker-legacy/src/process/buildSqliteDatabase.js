@@ -2,6 +2,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import Database from 'better-sqlite3';
+import * as sqliteVec from 'sqlite-vec';
 
 /**
  * Normalize frontmatter based on schema recommendations
@@ -86,6 +87,173 @@ function valueToSQL(value, sqlType) {
   return value;
 }
 
+/**
+ * Load the processed media files (medias.json) as rows of the medias table
+ * @param {string} mediasPath - Path to medias.json
+ * @returns {Promise<Array>} - Media rows, empty if the file is missing
+ */
+async function loadProcessedMedias(mediasPath) {
+  let mediaFiles;
+  try {
+    mediaFiles = JSON.parse(await fs.readFile(mediasPath, 'utf8'));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(mediaFiles)) return [];
+
+  return mediaFiles.map((media) => ({
+    id: media.metadata?.hash || media.originalPath,
+    hash: media.metadata?.hash,
+    filename: media.fileName,
+    path: media.originalPath,
+    url: media.effectivePath,
+    width: media.metadata?.width ?? media.av?.width,
+    height: media.metadata?.height ?? media.av?.height,
+    filesize: media.metadata?.size,
+    mime_type: media.mimeType,
+    placeholder: media.placeholder,
+    av: media.av,
+    photo: media.photo
+  }));
+}
+
+/**
+ * Load the passages of posts (posts-passages.json), heading-aware chunks with their embeddings
+ * @param {string} [passagesPath] - Path to posts-passages.json
+ * @returns {Promise<Array>} - Passages, empty if the file is missing
+ */
+async function loadPassages(passagesPath) {
+  if (!passagesPath) return [];
+  try {
+    const passages = JSON.parse(await fs.readFile(passagesPath, 'utf8'));
+    return Array.isArray(passages) ? passages : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load the post embeddings (posts-embedding-hash-map.json, post hash -> embedding)
+ * @param {string} [hashMapPath] - Path to the embedding hash map
+ * @returns {Promise<Object>} - Embeddings by post hash, empty if the file is missing
+ */
+async function loadPostEmbeddings(hashMapPath) {
+  if (!hashMapPath) return {};
+  try {
+    const hashMap = JSON.parse(await fs.readFile(hashMapPath, 'utf8'));
+    return hashMap && typeof hashMap === 'object' ? hashMap : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Load the sqlite-vec extension into a database
+ * @param {Database} db - better-sqlite3 database
+ * @returns {boolean} - Whether vec0 virtual tables can be created
+ */
+function loadVectorExtension(db) {
+  try {
+    sqliteVec.load(db);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not load sqlite-vec, vector tables are skipped:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Encode an embedding as a float32 blob (the vector format of sqlite-vec)
+ */
+function toVectorBlob(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer);
+}
+
+/**
+ * Create the vector and full-text search tables and fill them
+ * - vec_posts / vec_passages: sqlite-vec tables of post and passage embeddings (cosine distance)
+ * - posts_fts / passages_fts: FTS5 tables over the title and text of posts and passages
+ * - content_meta: how the embeddings were made, so queries can be embedded the same way
+ * @param {Database} db - better-sqlite3 database (inside the build transaction)
+ * @param {Object} options - Posts, passages and embedding information
+ * @returns {Object} - Row counts of the search tables
+ */
+function buildSearchTables(db, { posts, passages, postEmbeddings, embeddingSettings, vectorsEnabled }) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+      post_id UNINDEXED,
+      title,
+      content,
+      tokenize='porter unicode61 remove_diacritics 2'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS passages_fts USING fts5(
+      passage_id UNINDEXED,
+      post_id UNINDEXED,
+      heading,
+      content,
+      tokenize='porter unicode61 remove_diacritics 2'
+    );
+
+    CREATE TABLE IF NOT EXISTS content_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `);
+
+  const insertPostText = db.prepare('INSERT INTO posts_fts (post_id, title, content) VALUES (?, ?, ?)');
+  for (const post of posts) {
+    insertPostText.run(post.id || post.hash, post.title || '', post.plain || post.markdown || '');
+  }
+
+  const insertPassageText = db.prepare(
+    'INSERT INTO passages_fts (passage_id, post_id, heading, content) VALUES (?, ?, ?, ?)'
+  );
+  for (const passage of passages) {
+    insertPassageText.run(passage.id, passage.hash, passage.heading || '', passage.text || '');
+  }
+
+  const counts = { postVectors: 0, passageVectors: 0, dimensions: null };
+  const postVectors = Object.entries(postEmbeddings).filter(([, embedding]) => Array.isArray(embedding) && embedding.length > 0);
+  const passageVectors = passages.filter((passage) => Array.isArray(passage.embedding) && passage.embedding.length > 0);
+  const dimensions = postVectors[0]?.[1].length || passageVectors[0]?.embedding.length || 0;
+
+  if (vectorsEnabled && dimensions > 0) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS vec_posts USING vec0(
+        post_id TEXT PRIMARY KEY,
+        embedding float[${dimensions}] distance_metric=cosine
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS vec_passages USING vec0(
+        passage_id TEXT PRIMARY KEY,
+        embedding float[${dimensions}] distance_metric=cosine
+      );
+    `);
+
+    const insertPostVector = db.prepare('INSERT INTO vec_posts (post_id, embedding) VALUES (?, ?)');
+    for (const [hash, embedding] of postVectors) {
+      if (embedding.length !== dimensions) continue;
+      insertPostVector.run(hash, toVectorBlob(embedding));
+      counts.postVectors++;
+    }
+
+    const insertPassageVector = db.prepare('INSERT INTO vec_passages (passage_id, embedding) VALUES (?, ?)');
+    for (const passage of passageVectors) {
+      if (passage.embedding.length !== dimensions) continue;
+      insertPassageVector.run(passage.id, toVectorBlob(passage.embedding));
+      counts.passageVectors++;
+    }
+    counts.dimensions = dimensions;
+  }
+
+  const insertMeta = db.prepare('INSERT OR REPLACE INTO content_meta (key, value) VALUES (?, ?)');
+  insertMeta.run('embedding_dimensions', counts.dimensions ? String(counts.dimensions) : null);
+  insertMeta.run('embedding_settings', embeddingSettings ? JSON.stringify(embeddingSettings) : null);
+
+  return counts;
+}
+
 /**
  * Build SQLite database from content.json in the dist folder
  * @param {Object} data - Job data containing asset information
@@ -103,6 +271,7 @@ async function buildSqliteDatabase(data) {
   // Use contentPath if provided, otherwise default to posts.json
   const contentPath = data.assets.contentPath || path.join(distFolder, 'posts.json');
   const dbPath = path.join(distFolder, 'content.sqlite');
+  const mediasPath = data.assets.mediasPath || path.join(distFolder, 'medias.json');
   
   // Load schema if available
   let schema = null;
@@ -141,6 +310,7 @@ async function buildSqliteDatabase(data) {
     
     // Create or connect to SQLite database
     const db = new Database(dbPath);
+    const vectorsEnabled = loadVectorExtension(db);
     
     // Begin transaction for better performance
     db.exec('BEGIN TRANSACTION;');
@@ -158,6 +328,7 @@ async function buildSqliteDatabase(data) {
         _modified TEXT,
         _path TEXT,
         _type TEXT,
+        _collection TEXT,
         _frontmatter TEXT,
         _frontmatter_normalized TEXT
       );
@@ -174,7 +345,19 @@ async function buildSqliteDatabase(data) {
         mime_type TEXT,
         created TEXT,
         modified TEXT,
-        embedding TEXT
+        embedding TEXT,
+        placeholder TEXT,
+        dominant_color TEXT,
+        palette TEXT,
+        duration REAL,
+        transcript TEXT,
+        camera TEXT,
+        lens TEXT,
+        taken_at TEXT,
+        caption TEXT,
+        keywords TEXT,
+        latitude REAL,
+        longitude REAL
       );
 
       CREATE TABLE IF NOT EXISTS tags (
@@ -193,11 +376,23 @@ async function buildSqliteDatabase(data) {
       CREATE TABLE IF NOT EXISTS links (
         source_id TEXT,
         target_id TEXT,
-        PRIMARY KEY (source_id, target_id),
+        relation TEXT NOT NULL DEFAULT 'link',
+        PRIMARY KEY (source_id, target_id, relation),
         FOREIGN KEY (source_id) REFERENCES posts(_id),
         FOREIGN KEY (target_id) REFERENCES posts(_id)
       );
 
+      CREATE TABLE IF NOT EXISTS passages (
+        id TEXT PRIMARY KEY,
+        post_id TEXT,
+        position INTEGER,
+        heading TEXT,
+        anchor TEXT,
+        content TEXT,
+        embedding TEXT,
+        FOREIGN KEY (post_id) REFERENCES posts(_id)
+      );
+
       CREATE TABLE IF NOT EXISTS post_media (
         post_id TEXT,
         media_id TEXT,
@@ -238,9 +433,11 @@ async function buildSqliteDatabase(data) {
     // Create indexes for faster querying
     db.exec(`
       CREATE INDEX IF NOT EXISTS idx_posts_slug ON posts(_slug);
+      CREATE INDEX IF NOT EXISTS idx_posts_collection ON posts(_collection);
       CREATE INDEX IF NOT EXISTS idx_medias_hash ON medias(hash);
       CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
       CREATE INDEX IF NOT EXISTS idx_posts_frontmatter ON posts(_frontmatter);
+      CREATE INDEX IF NOT EXISTS idx_passages_post ON passages(post_id);
     `);
     
     // Create indexes for common frontmatter properties
@@ -264,8 +461,8 @@ async function buildSqliteDatabase(data) {
     
     // Build dynamic insert statement based on schema
     let postColumns = ['_id', '_slug', '_title', '_content', '_backlinks', '_wordCount', 
-                      '_created', '_modified', '_path', '_type', '_frontmatter', '_frontmatter_normalized'];
-    let postPlaceholders = ['?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?'];
+                      '_created', '_modified', '_path', '_type', '_collection', '_frontmatter', '_frontmatter_normalized'];
+    let postPlaceholders = ['?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?'];
     
     if (schema) {
       for (const [property, info] of Object.entries(schema)) {
@@ -284,8 +481,10 @@ async function buildSqliteDatabase(data) {
 
     const insertMedia = db.prepare(`
       INSERT OR REPLACE INTO medias (
-        id, hash, filename, path, url, width, height, filesize, mime_type, created, modified, embedding
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        id, hash, filename, path, url, width, height, filesize, mime_type, created, modified, embedding,
+        placeholder, dominant_color, palette, duration, transcript,
+        camera, lens, taken_at, caption, keywords, latitude, longitude
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const insertPostMedia = db.prepare(`
@@ -301,7 +500,7 @@ async function buildSqliteDatabase(data) {
     `);
 
     const insertLink = db.prepare(`
-      INSERT OR IGNORE INTO links (source_id, target_id) VALUES (?, ?)
+      INSERT OR IGNORE INTO links (source_id, target_id, relation) VALUES (?, ?, ?)
     `);
 
     const getTagId = db.prepare(`
@@ -320,6 +519,11 @@ async function buildSqliteDatabase(data) {
       }
     }
 
+    // Add processed media files (medias.json), which carry dimensions and placeholders
+    for (const media of await loadProcessedMedias(mediasPath)) {
+      medias.push(media);
+    }
+
     console.log(`📊 Processing ${posts.length} posts and ${medias.length} media items...`);
 
     // Process media items first
@@ -337,7 +541,19 @@ async function buildSqliteDatabase(data) {
         media.mime_type || null,
         media.created || null,
         media.modified || null,
-        media.embedding ? JSON.stringify(media.embedding) : null
+        media.embedding ? JSON.stringify(media.embedding) : null,
+        media.placeholder?.lqip || null,
+        media.placeholder?.dominantColor || null,
+        media.placeholder?.palette ? JSON.stringify(media.placeholder.palette) : null,
+        media.av?.duration ?? null,
+        media.av?.transcript?.text || null,
+        media.photo?.camera || null,
+        media.photo?.lens || null,
+        media.photo?.takenAt || null,
+        media.photo?.caption || null,
+        media.photo?.keywords ? JSON.stringify(media.photo.keywords) : null,
+        media.photo?.gps?.latitude ?? null,
+        media.photo?.gps?.longitude ?? null
       );
     }
 
@@ -348,9 +564,13 @@ async function buildSqliteDatabase(data) {
         ? normalizeFrontmatter(post.frontmatter, schema, frontmatterMode)
         : post.frontmatter || {};
 
+      // Processor posts are identified by their hash
+      const postId = post.id || post.hash;
+      const tags = post.tags || post.frontmatter?.tags;
+
       // Build values array for insert
       const values = [
-        post.id,
+        postId,
         post.slug,
         post.title,
         post.html || post.markdown,
@@ -360,6 +580,7 @@ async function buildSqliteDatabase(data) {
         post.modified,
         post.path,
         post.type,
+        post.collection || null,
         JSON.stringify(post.frontmatter || {}),
         JSON.stringify(normalizedFrontmatter)
       ];
@@ -377,8 +598,8 @@ async function buildSqliteDatabase(data) {
       insertPost.run(...values);
 
       // Process tags
-      if (post.tags && Array.isArray(post.tags)) {
-        for (const tag of post.tags) {
+      if (Array.isArray(tags)) {
+        for (const tag of tags) {
           // Insert tag if it doesn't exist
           insertTag.run(tag);
 
@@ -386,30 +607,65 @@ async function buildSqliteDatabase(data) {
           const tagRow = getTagId.get(tag);
           if (tagRow) {
             // Create relationship
-            insertPostTag.run(post.id, tagRow.id);
+            insertPostTag.run(postId, tagRow.id);
           }
         }
       }
 
-      // Process links
+      // Process links (hashes of the posts linked from the content)
       if (post.links && Array.isArray(post.links)) {
         for (const link of post.links) {
-          if (link.target) {
-            insertLink.run(post.id, link.target);
+          const targetId = typeof link === 'string' ? link : link.target;
+          if (targetId) {
+            insertLink.run(postId, targetId, 'link');
           }
         }
       }
 
+      // Process reference fields, the relation is the frontmatter property (e.g. "author")
+      for (const [relation, targets] of Object.entries(post.references || {})) {
+        for (const targetId of [].concat(targets || [])) {
+          insertLink.run(postId, targetId, relation);
+        }
+      }
+
       // Process media references
       if (post.media && Array.isArray(post.media)) {
         for (const mediaRef of post.media) {
           if (mediaRef.id) {
-            insertPostMedia.run(post.id, mediaRef.id);
+            insertPostMedia.run(postId, mediaRef.id);
           }
         }
       }
     }
     
+    // Passages of posts, to retrieve the relevant section of long posts
+    const passages = await loadPassages(data.postEmbeddings?.passagesPath);
+    const insertPassage = db.prepare(`
+      INSERT OR REPLACE INTO passages (id, post_id, position, heading, anchor, content, embedding)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const passage of passages) {
+      insertPassage.run(
+        passage.id,
+        passage.hash,
+        passage.index,
+        passage.heading || null,
+        passage.anchor || null,
+        passage.text,
+        passage.embedding ? JSON.stringify(passage.embedding) : null
+      );
+    }
+
+    // Full-text and vector search tables (semantic and keyword queries on the file alone)
+    const searchTables = buildSearchTables(db, {
+      posts,
+      passages,
+      postEmbeddings: await loadPostEmbeddings(data.postEmbeddings?.hashMapPath),
+      embeddingSettings: data.postEmbeddings?.settings,
+      vectorsEnabled
+    });
+
     // Commit transaction
     db.exec('COMMIT;');
     
@@ -425,7 +681,10 @@ async function buildSqliteDatabase(data) {
       sizeBytes: dbStats.size,
       sizeHuman: `${(dbStats.size / (1024 * 1024)).toFixed(2)} MB`,
       postsCount: posts.length,
-      mediaCount: medias.length
+      mediaCount: medias.length,
+      passagesCount: passages.length,
+      postVectorsCount: searchTables.postVectors,
+      passageVectorsCount: searchTables.passageVectors
     });
 
     return {
@@ -436,6 +695,10 @@ async function buildSqliteDatabase(data) {
         sizeBytes: dbStats.size,
         postsCount: posts.length,
         mediaCount: medias.length,
+        passagesCount: passages.length,
+        postVectorsCount: searchTables.postVectors,
+        passageVectorsCount: searchTables.passageVectors,
+        embeddingDimensions: searchTables.dimensions,
         totalItemCount: contentData.length,
         timestamp: new Date().toISOString()
       }
@@ -0,0 +1,122 @@
+// src/process/computeChangeSet.js
+import GitHubService from "../services/githubService.js";
+
+/**
+ * Mark the posts of a scheduled publish rebuild as modified
+ * @param {Object} changeSet - Change set since the previous revision
+ * @param {string[]} [publishPaths] - Content paths of the posts whose boundary passed
+ * @returns {Object} - The change set
+ */
+function withPublishPaths(changeSet, publishPaths = []) {
+  const known = new Set([...changeSet.added, ...changeSet.modified, ...changeSet.deleted]);
+  const modified = [...changeSet.modified, ...publishPaths.filter((filePath) => !known.has(filePath))];
+  return { ...changeSet, modified };
+}
+
+/**
+ * Compute the set of files changed since the previously deployed revision.
+ * Compares the commit of the previous revision with the freshly cloned HEAD
+ * using the GitHub compare API (clones are shallow, so no local history).
+ *
+ * When anything is missing, the repository is not on GitHub, HEAD does not descend
+ * from the previous commit (force-push, rollback, another branch) or the comparison
+ * fails, data is returned untouched and buildAssets falls back to a full build.
+ * Posts of scheduled publish rebuilds (data.publishPaths) count as modified, since
+ * their publish state changed without a commit.
+ *
+ * @param {Object} data - Job data from deployRepo
+ * @param {string} data.previousRev - Job ID of the previously deployed revision (optional)
+ * @param {string} data.previousCommit - Commit SHA of the previously deployed revision (optional)
+ * @param {Object} data.repoInfo - Repository info containing commitSha
+ * @param {string[]} [data.publishPaths] - Posts whose publishAt/unpublishAt boundary passed
+ * @returns {Promise<Object>} - Data enriched with changeSet ({ baseCommit, headCommit, added, modified, deleted })
+ */
+async function computeChangeSet(data) {
+  const logger = data.logger || console;
+
+  const baseCommit = data.previousCommit;
+  const headCommit = data.repoInfo?.commitSha;
+
+  if (!data.previousRev || !baseCommit || !headCommit) {
+    logger.log("🔄 No previous revision commit available, running a full build");
+    return data;
+  }
+
+  if (baseCommit === headCommit) {
+    logger.log("♻️ Commit unchanged since previous revision", { commit: headCommit });
+    return {
+      ...data,
+      changeSet: withPublishPaths({ baseCommit, headCommit, added: [], modified: [], deleted: [] }, data.publishPaths),
+    };
+  }
+
+  if (data.gitProvider && data.gitProvider !== "github") {
+    logger.log(`🔄 Change sets use the GitHub compare API, running a full build for ${data.gitProvider}`);
+    return data;
+  }
+
+  try {
+    const githubService = new GitHubService(data.untrustedSource ? null : data.gitToken || process.env.GITHUB_TOKEN);
+    const files = await githubService.compareCommits(data.repoUrl, baseCommit, headCommit);
+
+    // Only keep files inside the content folder, with paths relative to it
+    const folder = (data.repositoryFolder || "").replace(/^\/+|\/+$/g, "");
+    const toContentPath = (filename) => {
+      if (!filename) return null;
+      if (!folder) return filename;
+      return filename.startsWith(`${folder}/`) ? filename.slice(folder.length + 1) : null;
+    };
+
+    const added = new Set();
+    const modified = new Set();
+    const deleted = new Set();
+
+    for (const file of files) {
+      const current = toContentPath(file.filename);
+      const previous = toContentPath(file.previousFilename);
+
+      switch (file.status) {
+        case "added":
+        case "copied":
+          if (current) added.add(current);
+          break;
+        case "removed":
+          if (current) deleted.add(current);
+          break;
+        case "renamed":
+          // A rename changes the slug/url, so treat it as delete + add
+          if (previous) deleted.add(previous);
+          if (current) added.add(current);
+          break;
+        default:
+          if (current) modified.add(current);
+      }
+    }
+
+    const changeSet = withPublishPaths({
+      baseCommit,
+      headCommit,
+      added: [...added],
+      modified: [...modified],
+      deleted: [...deleted],
+    }, data.publishPaths);
+
+    logger.log("🔀 Computed change set since previous revision", {
+      previousRev: data.previousRev,
+      added: changeSet.added.length,
+      modified: changeSet.modified.length,
+      deleted: changeSet.deleted.length,
+    });
+
+    return { ...data, changeSet };
+  } catch (error) {
+    logger.warn("⚠️ Could not compute change set, running a full build", {
+      error: error.message,
+      baseCommit,
+      headCommit,
+    });
+    return data;
+  }
+}
+
+export default computeChangeSet;
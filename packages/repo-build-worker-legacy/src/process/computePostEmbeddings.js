@@ -1,7 +1,13 @@
 // src/process/computePostEmbeddings.js
 import fs from "fs/promises";
 import path from "path";
+import { splitIntoPassages } from "@repo-md/processor";
 import instructorEmbedder from "../lib/instructor-embedder.js";
+import {
+  createEmbeddingProvider,
+  getPublicEmbeddingSettings,
+  resolveEmbeddingSettings,
+} from "../lib/embeddingProvider.js";
 
 // Enable debug mode
 const DEBUG_MODE = true;
@@ -24,9 +30,10 @@ function normalizeEmbedding(embedding) {
 /**
  * Generate embedding for a single post
  * @param {Object} post - Post object
+ * @param {Object} provider - Embedding provider (see createEmbeddingProvider)
  * @returns {Promise<Array<number> | null>} Normalized embedding
  */
-async function generatePostEmbedding(post) {
+async function generatePostEmbedding(post, provider) {
   const postId = post.id || post.slug || "unknown";
   console.log(`🔄 Processing post: ${postId}`);
 
@@ -44,11 +51,7 @@ async function generatePostEmbedding(post) {
   }
 
   try {
-    const instruction = "Represent the document for semantic search:";
-    const embedding = await instructorEmbedder.getEmbedding(
-      instruction,
-      textToEmbed
-    );
+    const embedding = await provider.embedDocument(textToEmbed);
     //  const normalized = normalizeEmbedding(embedding);
     //console.log(`✅ Embedding generated for post: ${postId}`);
     return embedding;
@@ -58,14 +61,46 @@ async function generatePostEmbedding(post) {
   }
 }
 
+/**
+ * Embed the passages of a post: heading-aware chunks of its HTML
+ * Each passage is embedded with the post title and its heading, which situate it.
+ * @param {Object} post - Post object (html, hash, slug, title)
+ * @param {Object} provider - Embedding provider (see createEmbeddingProvider)
+ * @returns {Promise<Array<Object>>} Passages with their embeddings
+ */
+async function generatePostPassages(post, provider) {
+  const passages = splitIntoPassages(post.html || "", provider.settings.chunking);
+  if (passages.length === 0) return [];
+
+  const texts = passages.map(
+    (passage) => `${[post.title, passage.heading].filter(Boolean).join(" - ")}\n${passage.text}`
+  );
+  const embeddings = await provider.embedTexts(texts, provider.settings.instruction);
+
+  return passages.map((passage, index) => ({
+    id: `${post.hash}-${index}`,
+    hash: post.hash,
+    slug: post.slug,
+    title: post.title || "",
+    heading: passage.heading,
+    anchor: passage.anchor,
+    index,
+    text: passage.text,
+    embedding: embeddings[index],
+  }));
+}
+
 /**
  * Compute embeddings for an array of posts and return augmented data
  * @param {Array} postsArray - Array of posts to embed
  * @param {Object} existingEmbeddings - Optional existing embeddings to reuse (hash -> embedding map)
- * @returns {Promise<Object>} Object with posts array and embedding maps
+ * @param {Object} aiSettings - Project AI settings (settings.ai): provider, model, dimensions, chunking
+ * @param {Object} existingPassages - Optional existing passages to reuse (hash -> passages)
+ * @returns {Promise<Object>} Object with posts array, embedding maps and passages
  */
-async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
+async function computePostEmbeddings(postsArray, existingEmbeddings = null, aiSettings = {}, existingPassages = null) {
   console.log("🧠 Computing post embeddings...");
+  let provider;
   
   if (existingEmbeddings && Object.keys(existingEmbeddings).length > 0) {
     console.log(`♻️ Found ${Object.keys(existingEmbeddings).length} existing embeddings to potentially reuse`);
@@ -73,18 +108,14 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
 
   // First, test if the embedding model can be initialized before processing any posts
   try {
-    console.log(`🔄 Testing post embedding model initialization...`);
-    
-    // Check if getEmbedding function exists
-    if (typeof instructorEmbedder.getEmbedding !== 'function') {
-      throw new Error("getEmbedding is not a function - check the instructorEmbedder implementation");
-    }
+    provider = createEmbeddingProvider(resolveEmbeddingSettings(aiSettings));
+    console.log(`🔄 Testing post embedding model initialization (${provider.settings.provider}: ${provider.settings.model})...`);
     
     // Try a simple embedding to validate the model works
     try {
-      const testEmbedding = await instructorEmbedder.getEmbedding(
-        "Test initialization",
-        "This is a test sentence to verify the model works correctly."
+      const [testEmbedding] = await provider.embedTexts(
+        ["This is a test sentence to verify the model works correctly."],
+        "Test initialization"
       );
       
       if (!testEmbedding || !Array.isArray(testEmbedding) || testEmbedding.length === 0) {
@@ -106,6 +137,7 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
       augmentedPosts: postsArray, // Return original posts without embeddings
       slugMap: {},
       hashMap: {},
+      passages: [],
       metadata: {
         computed: false,
         count: 0,
@@ -130,6 +162,7 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
     const augmentedPosts = [];
     let reusedCount = 0;
     let computedCount = 0;
+    const passages = [];
 
     for (let i = 0; i < postsArray.length; i++) {
       const post = postsArray[i];
@@ -151,11 +184,22 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
         console.log(`♻️ Reusing existing embedding for post: ${slug}`);
       } else {
         // Generate new embedding
-        embedding = await generatePostEmbedding(post);
+        embedding = await generatePostEmbedding(post, provider);
         computedCount++;
       }
       // console.log("created embedding for post", post.slug, embedding);
 
+      // Passages of unchanged posts are reused along with the post embedding
+      if (existingPassages?.[hash]) {
+        passages.push(...existingPassages[hash].map((passage) => ({ ...passage, slug })));
+      } else {
+        try {
+          passages.push(...(await generatePostPassages(post, provider)));
+        } catch (error) {
+          console.error(`❌ Error embedding passages of post ${slug}:`, error.message);
+        }
+      }
+
       // Create augmented post with embedding
       const augmentedPost = { ...post };
 
@@ -170,14 +214,14 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
     }
 
     const count = Object.keys(embeddingsBySlug).length;
-    console.log(`📊 Generated ${count} embeddings (dimension: ${dimension})`);
+    console.log(`📊 Generated ${count} embeddings (dimension: ${dimension}) and ${passages.length} passages`);
     
     if (reusedCount > 0 || computedCount > 0) {
       console.log(`✅ Embeddings summary: ${reusedCount} reused, ${computedCount} computed`);
     }
 
     const metadata = {
-      model: "Xenova/all-MiniLM-L6-v2",
+      model: provider.settings.model,
       dimension,
       count,
       reusedCount,
@@ -195,12 +239,17 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
       augmentedPosts,
       slugMap,
       hashMap,
+      passages,
       metadata: {
         computed: true,
         count,
+        passageCount: passages.length,
         reusedCount,
         computedCount,
         dimension,
+        model: metadata.model,
+        // Recorded with the build so queries are embedded the same way
+        settings: getPublicEmbeddingSettings(provider.settings),
         timestamp: metadata.timestamp,
       },
     };
@@ -212,6 +261,7 @@ async function computePostEmbeddings(postsArray, existingEmbeddings = null) {
       augmentedPosts: postsArray, // Return original posts without embeddings
       slugMap: {},
       hashMap: {},
+      passages: [],
       metadata: {
         computed: false,
         count: 0,
@@ -2,17 +2,46 @@
 import path from "path";
 import fs from "fs/promises";
 import GitHubService from "../services/githubService.js";
+import { getGitProvider, getDefaultGitToken } from "../utils/gitAuth.js";
+import { assertPublicHost } from "../lib/publicAddress.js";
 
 // Flag to control if we want just the files without git history
 const SHALLOW_CLONE = true;
 
+/**
+ * Check whether a requested commit is a SHA (and not 'latest' or a ref name)
+ * @param {string} [commit] - Requested commit
+ * @returns {boolean}
+ */
+function isCommitSha(commit) {
+  return typeof commit === "string" && /^[0-9a-f]{7,40}$/i.test(commit);
+}
+
+/**
+ * Get the host of a repository URL (https or ssh)
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - Host name
+ */
+function getRepoHost(repoUrl) {
+  const sshMatch = repoUrl.match(/^(?:ssh:\/\/)?[^@/]+@([^:/]+)(?::\d+)?[:/]/);
+  if (sshMatch) return sshMatch[1];
+  try {
+    return new URL(repoUrl).hostname;
+  } catch {
+    throw new Error(`Invalid repository URL: ${repoUrl}`);
+  }
+}
+
 /**
  * Deploys a repository directly without cloning to user's organization first
  * @param {Object} data - Job data containing repository information
- * @param {string} data.repoUrl - GitHub repository URL
+ * @param {string} data.repoUrl - Repository URL (GitHub, GitLab, Gitea or Forgejo)
  * @param {string} data.branch - Branch to clone (optional, defaults to 'main')
  * @param {string} data.commit - Specific commit to checkout (optional)
- * @param {string} data.gitToken - GitHub token for authentication (optional for public repos)
+ * @param {string} data.gitToken - Provider token for authentication (optional for public repos)
+ * @param {boolean} [data.untrustedSource] - Public repository cloned without any token (pull requests from forks)
+ * @param {string} data.gitProvider - Provider of repoUrl: github, gitlab, gitea or forgejo (optional, detected for github.com)
+ * @param {string} data.gitBaseUrl - Provider instance URL for self-hosted providers (optional)
  * @param {string} data.jobId - Unique job identifier
  * @param {string} data.tempFolderPath - Path to temporary folder (optional)
  * @param {Array<string>} data.buildCommands - Commands to run during build (optional)
@@ -43,12 +72,18 @@ async function deployRepo(data) {
   const tempFolderPath = path.join(jobFolder, "source");
 
   try {
-    // Initialize GitHub service
-    const gitToken = data.gitToken || process.env.GITHUB_TOKEN;
-    if (!gitToken && repoUrl.includes('github.com') && !repoUrl.startsWith('https://github.com/public/')) {
+    // Initialize git service with the token of the repository's provider
+    const gitProvider = getGitProvider(repoUrl, data.gitProvider);
+    // Untrusted sources (pull requests from forks) are cloned anonymously, never with the worker's token
+    const gitToken = data.untrustedSource ? null : data.gitToken || getDefaultGitToken(gitProvider);
+    if (!gitToken && !data.untrustedSource && repoUrl.includes('github.com') && !repoUrl.startsWith('https://github.com/public/')) {
       console.error("❌ GitHub authentication token missing for potentially private repository", { jobId: data.jobId });
       throw new Error("GitHub authentication token is required for private repositories");
     }
+    // Self-hosted instances come from user settings: never clone from the worker's network
+    if (gitProvider !== "github") {
+      await assertPublicHost(getRepoHost(repoUrl), "Repository host");
+    }
     const githubService = new GitHubService(gitToken);
 
     // Create main job folder and required subdirectories
@@ -63,7 +98,11 @@ async function deployRepo(data) {
       { 
         branch, 
         depth: data.depth || 1,
-        shallow: SHALLOW_CLONE // Use the shallow clone flag
+        shallow: SHALLOW_CLONE, // Use the shallow clone flag
+        provider: gitProvider,
+        baseUrl: data.gitBaseUrl,
+        // Shallow clones fetch the exact commit (rebuilds of a live revision must not ship newer commits)
+        commit: SHALLOW_CLONE && isCommitSha(data.commit) ? data.commit : undefined,
       }
     );
 
@@ -74,7 +113,7 @@ async function deployRepo(data) {
       distPath: path.join(jobFolder, "dist"),
     });
 
-    // If a specific commit was specified, check it out (only when not using shallow clone)
+    // Without shallow clone, a specific commit is checked out after cloning
     if (data.commit && !SHALLOW_CLONE) {
       // Skip checkout if commit is 'latest' as it's not a valid git reference
       if (data.commit === "latest") {
@@ -90,9 +129,9 @@ async function deployRepo(data) {
           `git checkout ${data.commit}`,
         ]);
       }
-    } else if (data.commit && SHALLOW_CLONE) {
+    } else if (data.commit && SHALLOW_CLONE && !isCommitSha(data.commit)) {
       console.log(
-        `⚠️ Specific commit '${data.commit}' ignored when using shallow clone - using latest ${branch} content instead`,
+        `⚠️ '${data.commit}' is not a commit SHA - using latest ${branch} content instead`,
         { jobId: data.jobId }
       );
     }
@@ -121,6 +160,8 @@ async function deployRepo(data) {
         distPath: path.join(jobFolder, "dist"),
         branch,
         commit: data.commit,
+        commitSha: cloneResult.commit,
+        commitDate: cloneResult.commitDate,
         deployed: true,
         source: repoUrl,
         timestamp: new Date().toISOString(),
@@ -127,12 +127,44 @@ function generateZodSchema(schema, schemaName = 'PostFrontmatterSchema') {
   return lines.join('\n');
 }
 
+/**
+ * Name of the frontmatter interface of a collection (e.g. "blog-posts" -> "BlogPostsFrontmatter")
+ */
+function toCollectionInterfaceName(name) {
+  const pascal = name
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return `${/^[0-9]/.test(pascal) ? '_' : ''}${pascal || 'Collection'}Frontmatter`;
+}
+
+/**
+ * Generate one frontmatter interface per collection, and the CollectionFrontmatter map used to
+ * type the client's collection accessors (e.g. getCollection<CollectionFrontmatter['authors']>('authors'))
+ */
+function generateCollectionTypes(collections) {
+  const blocks = [];
+  const mapLines = ['export interface CollectionFrontmatter {'];
+
+  for (const [name, schema] of Object.entries(collections)) {
+    const interfaceName = toCollectionInterfaceName(name);
+    blocks.push(generateTypeScriptInterface(schema, interfaceName));
+    mapLines.push(`  ${JSON.stringify(name)}: ${interfaceName};`);
+  }
+
+  mapLines.push('}');
+  return [...blocks, mapLines.join('\n')].join('\n\n') + '\n';
+}
+
 /**
  * Generate TypeScript and Zod types from frontmatter schema
+ * With content collections, collections.types.ts types the frontmatter of each collection.
  */
 export default async function generateFrontmatterTypes(data) {
   const tempDir = data.tempDir;
-  const logger = data.logger;
+  const logger = data.logger?.info ? data.logger : console;
+  const distDir = data.assets?.distFolder || path.join(tempDir, 'dist');
 
   try {
     // Check if schema exists
@@ -149,24 +181,33 @@ export default async function generateFrontmatterTypes(data) {
 
     // Generate TypeScript interface
     const tsInterface = generateTypeScriptInterface(schema);
-    const tsPath = path.join(tempDir, 'dist', 'posts.types.ts');
+    const tsPath = path.join(distDir, 'posts.types.ts');
     await fs.writeFile(tsPath, tsInterface);
 
     // Generate Zod schema
     const zodSchema = generateZodSchema(schema);
-    const zodPath = path.join(tempDir, 'dist', 'posts.schema.zod.ts');
+    const zodPath = path.join(distDir, 'posts.schema.zod.ts');
     await fs.writeFile(zodPath, zodSchema);
 
+    // Generate collection types
+    let collectionsPath;
+    if (schemaData.collections) {
+      collectionsPath = path.join(distDir, 'collections.types.ts');
+      await fs.writeFile(collectionsPath, generateCollectionTypes(schemaData.collections));
+    }
+
     logger.info('✅ Type generation complete', {
       typescript: tsPath,
-      zod: zodPath
+      zod: zodPath,
+      ...(collectionsPath && { collections: collectionsPath })
     });
 
     return {
       ...data,
       types: {
         typescriptPath: tsPath,
-        zodPath: zodPath
+        zodPath: zodPath,
+        ...(collectionsPath && { collectionsPath })
       }
     };
   } catch (error) {
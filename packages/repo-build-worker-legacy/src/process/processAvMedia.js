@@ -0,0 +1,286 @@
+// src/process/processAvMedia.js
+import fs from "fs/promises";
+import path from "path";
+import { execFile, spawn } from "child_process";
+import { promisify } from "util";
+import { getAvMediaKind } from "@repo-md/processor";
+import { transcribeSamples, DEFAULT_TRANSCRIPTION_MODEL } from "../lib/transcriber.js";
+
+const execFileAsync = promisify(execFile);
+
+// Number of waveform bars stored per audio file
+const PEAK_COUNT = 200;
+// Sample rate used to compute waveform peaks (enough for a visual waveform)
+const PEAK_SAMPLE_RATE = 4000;
+// Whisper expects mono 16kHz audio
+const TRANSCRIPTION_SAMPLE_RATE = 16000;
+// Audio is decoded and transcribed in windows of this length to bound memory use
+const TRANSCRIPTION_WINDOW_SECONDS = 600;
+const POSTER_MAX_WIDTH = 1280;
+
+/**
+ * Read duration, dimensions and codecs of a video or audio file with ffprobe
+ * @param {string} filePath - Path to the file
+ * @param {string} kind - "video" or "audio"
+ * @returns {Promise<Object>} - Playback metadata
+ */
+async function probeMedia(filePath, kind) {
+  const { stdout } = await execFileAsync("ffprobe", [
+    "-v", "error",
+    "-print_format", "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const video = streams.find((stream) => stream.codec_type === "video");
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+  const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : undefined);
+
+  return {
+    kind,
+    duration: toNumber(format.duration),
+    ...(kind === "video" && video && {
+      width: video.width,
+      height: video.height,
+      videoCodec: video.codec_name,
+    }),
+    audioCodec: audio?.codec_name,
+    bitrate: toNumber(format.bit_rate),
+    sampleRate: toNumber(audio?.sample_rate),
+    channels: audio?.channels,
+  };
+}
+
+/**
+ * Extract a poster frame of a video as a JPEG next to the video file
+ * @param {string} filePath - Path to the video
+ * @param {Object} av - Playback metadata (duration and dimensions)
+ * @param {Object} original - The "original" size entry of the media (publicPath, absolutePublicPath)
+ * @param {string} mediaOutputFolder - Folder of the processed media files
+ * @param {string} mediaPrefix - Public path prefix of the media files
+ * @returns {Promise<Object>} - Poster entry
+ */
+async function extractPoster(filePath, av, original, mediaOutputFolder, mediaPrefix) {
+  const toPosterPath = (mediaPath) => mediaPath.replace(/\.[^./]+$/, "-poster.jpg");
+  const publicPath = toPosterPath(original.publicPath);
+  const outputPath = path.join(mediaOutputFolder, publicPath.slice(mediaPrefix.length));
+
+  // Skip the first second (often black) unless the video is shorter
+  const time = Math.min(1, (av.duration || 0) / 2);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await execFileAsync("ffmpeg", [
+    "-y", "-v", "error",
+    "-ss", String(time),
+    "-i", filePath,
+    "-frames:v", "1",
+    "-vf", `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+    "-q:v", "3",
+    outputPath,
+  ]);
+
+  const width = Math.min(POSTER_MAX_WIDTH, av.width || POSTER_MAX_WIDTH);
+  return {
+    width,
+    height: av.width && av.height ? Math.round((av.height * width) / av.width / 2) * 2 : undefined,
+    outputPath,
+    publicPath,
+    ...(original.absolutePublicPath && {
+      absolutePublicPath: toPosterPath(original.absolutePublicPath),
+    }),
+  };
+}
+
+/**
+ * Compute waveform peaks of an audio file
+ * Audio is streamed from ffmpeg as mono 16-bit PCM and reduced to PEAK_COUNT maximums.
+ * @param {string} filePath - Path to the audio file
+ * @param {number} duration - Duration in seconds (sizes the peak buckets)
+ * @returns {Promise<number[]>} - Peaks between 0 and 1
+ */
+function computePeaks(filePath, duration) {
+  const totalSamples = Math.max(PEAK_COUNT, Math.ceil(duration * PEAK_SAMPLE_RATE));
+  const samplesPerPeak = Math.ceil(totalSamples / PEAK_COUNT);
+  const peaks = new Array(PEAK_COUNT).fill(0);
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn("ffmpeg", [
+      "-v", "error",
+      "-i", filePath,
+      "-ac", "1",
+      "-ar", String(PEAK_SAMPLE_RATE),
+      "-f", "s16le",
+      "-",
+    ]);
+
+    let sampleIndex = 0;
+    let leftover = null;
+    ffmpeg.stdout.on("data", (chunk) => {
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        const bucket = Math.min(PEAK_COUNT - 1, Math.floor(sampleIndex / samplesPerPeak));
+        const amplitude = Math.abs(data.readInt16LE(offset)) / 32768;
+        if (amplitude > peaks[bucket]) peaks[bucket] = amplitude;
+        sampleIndex++;
+      }
+      leftover = usable < data.length ? data.subarray(usable) : null;
+    });
+
+    let stderr = "";
+    ffmpeg.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    ffmpeg.on("error", reject);
+    ffmpeg.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+      resolve(peaks.map((peak) => Math.round(peak * 1000) / 1000));
+    });
+  });
+}
+
+/**
+ * Decode a window of audio as mono 16kHz float samples
+ * @param {string} filePath - Path to the media file
+ * @param {number} start - Start time (seconds)
+ * @param {number} length - Window length (seconds)
+ * @returns {Promise<Float32Array>} - Samples
+ */
+async function decodeAudioWindow(filePath, start, length) {
+  const { stdout } = await execFileAsync(
+    "ffmpeg",
+    [
+      "-v", "error",
+      "-ss", String(start),
+      "-t", String(length),
+      "-i", filePath,
+      "-vn",
+      "-ac", "1",
+      "-ar", String(TRANSCRIPTION_SAMPLE_RATE),
+      "-f", "f32le",
+      "-",
+    ],
+    { encoding: "buffer", maxBuffer: (length + 1) * TRANSCRIPTION_SAMPLE_RATE * 4 }
+  );
+  // Copy into an aligned buffer (Float32Array needs a 4-byte aligned offset)
+  return new Float32Array(new Uint8Array(stdout).buffer);
+}
+
+/**
+ * Transcribe the speech of a video or audio file
+ * @param {string} filePath - Path to the media file
+ * @param {number} duration - Duration in seconds
+ * @param {Object} options - { model, language }
+ * @returns {Promise<Object>} - Transcript with timestamped segments
+ */
+async function transcribeMedia(filePath, duration, { model, language }) {
+  const texts = [];
+  const segments = [];
+
+  for (let start = 0; start < duration; start += TRANSCRIPTION_WINDOW_SECONDS) {
+    const samples = await decodeAudioWindow(filePath, start, TRANSCRIPTION_WINDOW_SECONDS);
+    if (samples.length === 0) break;
+    const result = await transcribeSamples(samples, { model, language, offset: start });
+    if (result.text) texts.push(result.text);
+    segments.push(...result.segments);
+  }
+
+  return {
+    text: texts.join(" "),
+    model,
+    ...(language && { language }),
+    segments,
+  };
+}
+
+/**
+ * Adds playback metadata to the video and audio files of medias.json
+ * Videos get their duration, dimensions and a poster frame, audio files their waveform peaks,
+ * and both an optional speech-to-text transcript (settings.media.transcripts).
+ * Metadata of files unchanged since the previous revision (same hash) is reused.
+ * @param {Object} data - The data from previous build steps containing assets
+ * @param {Object[]} mediaData - Processed media files (updated in place)
+ * @param {Object} options - Processing options
+ * @param {string} options.mediaPrefix - Public path prefix of the media files
+ * @param {Object} [options.previousAvByHash] - Playback metadata of the previous revision, by media hash
+ * @returns {Promise<Object>} - Result with video and audio processing information
+ */
+async function processAvMedia(data, mediaData, { mediaPrefix, previousAvByHash = {} }) {
+  const distFolder = data.assets.distFolder;
+  const mediaSettings = data.projectSettings?.media || {};
+  const transcripts = mediaSettings.transcripts === true;
+  const transcriptionModel = mediaSettings.transcriptionModel || DEFAULT_TRANSCRIPTION_MODEL;
+  const mediaOutputFolder = path.join(distFolder, "_medias");
+
+  const avMedia = mediaData.filter((media) => getAvMediaKind(media.originalPath));
+  const stats = { videos: 0, audios: 0, reused: 0, transcribed: 0, errors: [] };
+
+  if (avMedia.length === 0) {
+    return { ...stats, processed: true };
+  }
+
+  console.log(`🎬 Processing ${avMedia.length} video and audio files...`, { jobId: data.jobId });
+
+  for (const media of avMedia) {
+    const kind = getAvMediaKind(media.originalPath);
+    const hash = media.metadata?.hash;
+    const previous = hash && previousAvByHash[hash];
+
+    // Reuse the previous revision's metadata (and its transcript if still wanted)
+    if (previous && previous.kind === kind && (!transcripts || previous.transcript?.model === transcriptionModel)) {
+      media.av = transcripts ? previous : { ...previous, transcript: undefined };
+      stats.reused++;
+      continue;
+    }
+
+    const original = media.sizes?.original?.[0];
+    // Hash-skipped files were not copied: their output path is the source file
+    const filePath = original?.outputPath;
+    if (!filePath) continue;
+
+    try {
+      const av = await probeMedia(filePath, kind);
+
+      if (kind === "video" && av.width) {
+        av.poster = await extractPoster(filePath, av, original, mediaOutputFolder, mediaPrefix);
+        stats.videos++;
+      } else if (kind === "audio") {
+        av.peaks = await computePeaks(filePath, av.duration || 0);
+        stats.audios++;
+      }
+
+      if (transcripts && av.duration && av.audioCodec) {
+        console.log(`🗣️ Transcribing ${media.fileName} (${Math.round(av.duration)}s)...`);
+        av.transcript = await transcribeMedia(filePath, av.duration, {
+          model: transcriptionModel,
+          language: mediaSettings.transcriptionLanguage,
+        });
+        stats.transcribed++;
+      }
+
+      media.av = av;
+    } catch (error) {
+      console.warn(`⚠️ Could not process ${kind} ${media.originalPath}: ${error.message}`);
+      stats.errors.push({ path: media.originalPath, error: error.message });
+    }
+  }
+
+  // Save playback metadata with the rest of the media data
+  await fs.writeFile(path.join(distFolder, "medias.json"), JSON.stringify(mediaData, null, 2));
+
+  console.log(
+    `✅ Processed ${stats.videos} videos and ${stats.audios} audio files (${stats.reused} reused, ${stats.transcribed} transcribed)`
+  );
+
+  return {
+    ...stats,
+    processed: true,
+    transcripts,
+    transcriptionModel: transcripts ? transcriptionModel : null,
+  };
+}
+
+export default processAvMedia;
@@ -219,6 +219,41 @@ function generateSchemaReport(schema, statistics) {
   return report;
 }
 
+/**
+ * Convert a schema registry (sets of detected types) to its JSON form
+ */
+function serializeSchema(schemaRegistry) {
+  const schema = {};
+  for (const [key, info] of Object.entries(schemaRegistry)) {
+    const recommendedType = determineRecommendedType(info);
+    const sqlType = typeToSQLType(recommendedType);
+    const sanitizedName = sanitizeColumnName(key);
+    const needsQuoting = SQLITE_RESERVED_WORDS.has(key.toLowerCase());
+
+    schema[key] = {
+      types: Array.from(info.types),
+      occurrences: info.occurrences,
+      nullable: info.nullable,
+      recommendedType: recommendedType,
+      sqlType: sqlType,
+      columnName: sanitizedName,
+      needsQuoting: needsQuoting
+    };
+
+    if (info.objectShape) {
+      schema[key].objectShape = {};
+      for (const [objKey, types] of Object.entries(info.objectShape)) {
+        schema[key].objectShape[objKey] = Array.from(types).join('|');
+      }
+    }
+
+    if (Object.keys(info.conflicts).length > 1) {
+      schema[key].conflicts = info.conflicts;
+    }
+  }
+  return schema;
+}
+
 export default async function scanFrontmatterSchema(data) {
   const tempDir = data.tempDir;
   const logger = data.logger || console;
@@ -265,6 +300,8 @@ export default async function scanFrontmatterSchema(data) {
     
     const posts = Array.isArray(contentData) ? contentData : (contentData.posts || []);
     const schemaRegistry = {};
+    // Per-collection registries, for the typed collection accessors
+    const collectionRegistries = {};
     const statistics = {
       totalPosts: posts.length,
       postsWithFrontmatter: 0,
@@ -279,41 +316,20 @@ export default async function scanFrontmatterSchema(data) {
         for (const [key, value] of Object.entries(post.frontmatter)) {
           const type = detectType(value);
           schemaRegistry[key] = mergeTypeInfo(schemaRegistry[key], type, value);
+          if (post.collection) {
+            const registry = (collectionRegistries[post.collection] ||= {});
+            registry[key] = mergeTypeInfo(registry[key], type, value);
+          }
         }
       }
     }
 
     statistics.uniqueProperties = Object.keys(schemaRegistry).length;
 
-    // Convert sets to arrays for JSON serialization
-    const schema = {};
-    for (const [key, info] of Object.entries(schemaRegistry)) {
-      const recommendedType = determineRecommendedType(info);
-      const sqlType = typeToSQLType(recommendedType);
-      const sanitizedName = sanitizeColumnName(key);
-      const needsQuoting = SQLITE_RESERVED_WORDS.has(key.toLowerCase());
-
-      schema[key] = {
-        types: Array.from(info.types),
-        occurrences: info.occurrences,
-        nullable: info.nullable,
-        recommendedType: recommendedType,
-        sqlType: sqlType,
-        columnName: sanitizedName,
-        needsQuoting: needsQuoting
-      };
-
-      if (info.objectShape) {
-        schema[key].objectShape = {};
-        for (const [objKey, types] of Object.entries(info.objectShape)) {
-          schema[key].objectShape[objKey] = Array.from(types).join('|');
-        }
-      }
-
-      if (Object.keys(info.conflicts).length > 1) {
-        schema[key].conflicts = info.conflicts;
-      }
-    }
+    const schema = serializeSchema(schemaRegistry);
+    const collections = Object.fromEntries(
+      Object.entries(collectionRegistries).map(([name, registry]) => [name, serializeSchema(registry)])
+    );
 
     // Generate report
     const report = generateSchemaReport(schemaRegistry, statistics);
@@ -324,6 +340,7 @@ export default async function scanFrontmatterSchema(data) {
 
     await fs.writeFile(schemaPath, JSON.stringify({
       schema,
+      ...(Object.keys(collections).length > 0 && { collections }),
       statistics,
       generatedAt: new Date().toISOString()
     }, null, 2));
@@ -334,19 +351,21 @@ export default async function scanFrontmatterSchema(data) {
     if (issueReporter) {
       for (const warning of report.summary.warnings) {
         issueReporter.addIssue({
-          type: 'warning',
-          category: 'frontmatter_schema',
+          severity: 'warning',
+          category: 'frontmatter-schema',
+          module: 'frontmatter-scanner',
           message: warning.message,
-          details: warning
+          context: warning
         });
       }
 
       for (const error of report.summary.errors) {
         issueReporter.addIssue({
-          type: 'error',
-          category: 'frontmatter_schema',
+          severity: 'error',
+          category: 'frontmatter-schema',
+          module: 'frontmatter-scanner',
           message: error.message,
-          details: error
+          context: error
         });
       }
     }
@@ -376,10 +395,11 @@ export default async function scanFrontmatterSchema(data) {
     
     if (issueReporter) {
       issueReporter.addIssue({
-        type: 'error',
-        category: 'frontmatter_schema',
+        severity: 'error',
+        category: 'frontmatter-schema',
+        module: 'frontmatter-scanner',
         message: 'Failed to scan frontmatter schema',
-        details: { error: error.message }
+        context: { error: error.message }
       });
     }
 
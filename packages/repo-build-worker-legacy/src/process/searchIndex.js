@@ -0,0 +1,71 @@
+// src/process/searchIndex.js
+import fs from "fs/promises";
+import path from "path";
+import { buildSearchIndex } from "@repo-md/processor";
+
+/**
+ * Creates a _search folder with a sharded full-text index of the posts
+ * The client loads the manifest, then only the shards matching the query terms,
+ * instead of downloading every post to build its own index.
+ * @param {Object} data - The data from previous build steps containing assets
+ * @returns {Promise<Object>} - Result with search index information
+ */
+async function createSearchIndex(data) {
+  console.log("🔎 Creating full-text search index...", { jobId: data.jobId });
+
+  if (!data.assets || !data.assets.distFolder) {
+    throw new Error("Assets information is required");
+  }
+
+  try {
+    const distFolder = data.assets.distFolder;
+    const searchFolder = path.join(distFolder, "_search");
+    const shardsFolder = path.join(searchFolder, "shards");
+
+    const posts = JSON.parse(
+      await fs.readFile(path.join(distFolder, "posts.json"), "utf-8")
+    );
+
+    const { manifest, documents, shards } = buildSearchIndex(posts);
+
+    await fs.mkdir(shardsFolder, { recursive: true });
+    await fs.writeFile(
+      path.join(searchFolder, "documents.json"),
+      JSON.stringify(documents)
+    );
+    for (const [key, { file }] of Object.entries(manifest.shards)) {
+      await fs.writeFile(path.join(shardsFolder, file), JSON.stringify(shards[key]));
+    }
+    // Written last: a manifest means the index is complete
+    await fs.writeFile(
+      path.join(searchFolder, "manifest.json"),
+      JSON.stringify(manifest)
+    );
+
+    const shardCount = Object.keys(manifest.shards).length;
+    console.log(
+      `✅ Indexed ${manifest.documentCount} posts in ${shardCount} search shards (${manifest.languages.join(", ")})`
+    );
+
+    return {
+      ...data,
+      searchIndex: {
+        processed: true,
+        folder: searchFolder,
+        documentCount: manifest.documentCount,
+        shardCount,
+        version: manifest.version,
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    console.error("❌ Failed to create search index", {
+      jobId: data.jobId,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+export default createSearchIndex;
@@ -0,0 +1,351 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// User-authored frontmatter schema, at the root of the content folder
+export const SCHEMA_FILENAME = 'repo.schema.json';
+
+const PROPERTY_TYPES = new Set(['string', 'number', 'boolean', 'date', 'array', 'object', 'any']);
+const SEVERITIES = new Set(['error', 'warning', 'info']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Compiled property patterns, by definition: { regex, error } (regex is null for invalid patterns)
+const compiledPatterns = new WeakMap();
+
+/**
+ * Compile the pattern of a property definition once
+ * @param {Object} definition - Property definition with a pattern
+ * @returns {{regex: RegExp|null, error: string|null}}
+ */
+function compilePattern(definition) {
+  if (!compiledPatterns.has(definition)) {
+    try {
+      compiledPatterns.set(definition, { regex: new RegExp(definition.pattern), error: null });
+    } catch (error) {
+      compiledPatterns.set(definition, { regex: null, error: error.message });
+    }
+  }
+  return compiledPatterns.get(definition);
+}
+
+/**
+ * Check a value against a property type
+ * Dates are YYYY-MM-DD or ISO 8601 strings (YAML dates are serialized as ISO strings).
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return (typeof value === 'string' && DATE_PATTERN.test(value)) || value instanceof Date;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describe the type of a frontmatter value for issue messages
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate one frontmatter value against its property definition
+ * @param {*} value - Frontmatter value (not undefined)
+ * @param {Object} definition - { type, items, enum, pattern, min, max }
+ * @returns {Array<{rule: string, message: string}>} - Violations (empty when valid)
+ */
+function validateValue(value, definition) {
+  const types = [].concat(definition.type || 'any');
+  if (!types.some((type) => matchesType(value, type))) {
+    return [{ rule: 'type', message: `should be ${types.join(' or ')}, got ${describeType(value)}` }];
+  }
+
+  const violations = [];
+  if (Array.isArray(value) && definition.items) {
+    const itemTypes = [].concat(definition.items);
+    const invalid = value.filter((item) => !itemTypes.some((type) => matchesType(item, type)));
+    if (invalid.length > 0) {
+      violations.push({ rule: 'items', message: `should only contain ${itemTypes.join(' or ')} items` });
+    }
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  if (Array.isArray(definition.enum)) {
+    const unknown = values.filter((item) => !definition.enum.includes(item));
+    if (unknown.length > 0) {
+      violations.push({
+        rule: 'enum',
+        message: `has ${unknown.map((item) => JSON.stringify(item)).join(', ')}, expected one of ${definition.enum.map((item) => JSON.stringify(item)).join(', ')}`,
+      });
+    }
+  }
+
+  // Invalid patterns are reported once as schema problems and ignored here
+  const pattern = definition.pattern && typeof value === 'string' ? compilePattern(definition).regex : null;
+  if (pattern && !pattern.test(value)) {
+    violations.push({ rule: 'pattern', message: `does not match ${definition.pattern}` });
+  }
+
+  // min/max bound numbers, and the length of strings and arrays
+  const size = typeof value === 'number' ? value : typeof value === 'string' || Array.isArray(value) ? value.length : null;
+  const unit = typeof value === 'number' ? '' : typeof value === 'string' ? ' characters' : ' items';
+  if (size !== null && typeof definition.min === 'number' && size < definition.min) {
+    violations.push({ rule: 'min', message: `should be at least ${definition.min}${unit}` });
+  }
+  if (size !== null && typeof definition.max === 'number' && size > definition.max) {
+    violations.push({ rule: 'max', message: `should be at most ${definition.max}${unit}` });
+  }
+
+  return violations;
+}
+
+/**
+ * Get the schema rules of a post: root rules, extended by each folder containing the post
+ * (parent folders first, so nested folders add to and override their parents' rules), then
+ * by the rules of the post's collection
+ * @param {Object} schema - Parsed repo.schema.json
+ * @param {string} folder - Folder of the post, relative to the content root
+ * @param {string} [collection] - Collection of the post
+ * @returns {Object} - { properties, additionalProperties }
+ */
+function getRulesForPost(schema, folder = '', collection) {
+  const trimSlashes = (value) => value.replace(/^\/+|\/+$/g, '');
+  const postFolder = trimSlashes(folder);
+  const folderRules = Object.entries(schema.folders || {})
+    .map(([key, rules]) => [trimSlashes(key), rules])
+    .filter(([key]) => postFolder === key || postFolder.startsWith(`${key}/`))
+    .sort(([a], [b]) => a.length - b.length)
+    .map(([, rules]) => rules);
+  const collectionRules = collection && schema.collections?.[collection] ? [schema.collections[collection]] : [];
+
+  return [schema, ...folderRules, ...collectionRules].reduce(
+    (merged, rules) => ({
+      properties: { ...merged.properties, ...rules.properties },
+      additionalProperties: rules.additionalProperties ?? merged.additionalProperties,
+    }),
+    { properties: {}, additionalProperties: true }
+  );
+}
+
+/**
+ * Check the schema file itself, so typos don't silently disable rules
+ * @param {Object} schema - Parsed repo.schema.json
+ * @returns {string[]} - Problems found
+ */
+function checkSchemaDefinition(schema) {
+  const problems = [];
+  const scopes = [
+    ['', schema],
+    ...Object.entries(schema.folders || {}).map(([folder, rules]) => [`folders.${folder}.`, rules]),
+    ...Object.entries(schema.collections || {}).map(([name, rules]) => [`collections.${name}.`, rules]),
+  ];
+
+  for (const [name, collection] of Object.entries(schema.collections || {})) {
+    if (typeof collection.folder !== 'string' || !collection.folder) {
+      problems.push(`collections.${name}: missing folder`);
+    }
+  }
+
+  for (const [scope, rules] of scopes) {
+    for (const [property, definition] of Object.entries(rules.properties || {})) {
+      for (const type of [].concat(definition.type || 'any', definition.items || [])) {
+        if (!PROPERTY_TYPES.has(type)) {
+          problems.push(`${scope}properties.${property}: unknown type "${type}"`);
+        }
+      }
+      if (definition.severity && !SEVERITIES.has(definition.severity)) {
+        problems.push(`${scope}properties.${property}: unknown severity "${definition.severity}"`);
+      }
+      if (typeof definition.reference === 'string' && !schema.collections?.[definition.reference]) {
+        problems.push(`${scope}properties.${property}: reference to unknown collection "${definition.reference}"`);
+      }
+      const { error } = definition.pattern ? compilePattern(definition) : {};
+      if (error) {
+        problems.push(`${scope}properties.${property}: invalid pattern, ignored (${error})`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate the frontmatter of a post against the schema
+ * @param {Object} post - Post from posts.json
+ * @param {Object} schema - Parsed repo.schema.json
+ * @returns {Array<Object>} - Issues: { severity, property, rule, message }
+ */
+export function validatePostFrontmatter(post, schema) {
+  const frontmatter = post.frontmatter && typeof post.frontmatter === 'object' ? post.frontmatter : {};
+  const { properties, additionalProperties } = getRulesForPost(schema, post.folder, post.collection);
+  const issues = [];
+
+  for (const [property, definition] of Object.entries(properties)) {
+    const severity = definition.severity || 'error';
+    const value = frontmatter[property];
+
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        issues.push({ severity, property, rule: 'required', message: `Missing required property '${property}'` });
+      }
+      continue;
+    }
+
+    for (const violation of validateValue(value, definition)) {
+      issues.push({ severity, property, rule: violation.rule, message: `Property '${property}' ${violation.message}` });
+    }
+  }
+
+  if (additionalProperties !== true) {
+    // false reports unknown properties as warnings, a severity string sets their level
+    const severity = SEVERITIES.has(additionalProperties) ? additionalProperties : 'warning';
+    for (const property of Object.keys(frontmatter)) {
+      if (!properties[property]) {
+        issues.push({ severity, property, rule: 'additionalProperties', message: `Unknown property '${property}'` });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read the user-authored schema (repo.schema.json) from the content root
+ * @param {string} inputPath - Content root
+ * @returns {Promise<Object|null>} - Parsed schema, or null when there is no schema file
+ * @throws {Error} - When the file can't be read or isn't valid JSON
+ */
+export async function loadRepoSchema(inputPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(inputPath, SCHEMA_FILENAME), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Get the collections declared in repo.schema.json, as processor options
+ * @param {Object|null} schema - Parsed repo.schema.json
+ * @returns {Object|undefined} - { [name]: { folder, slug, sort } }, undefined without collections
+ */
+export function getCollectionsConfig(schema) {
+  const entries = Object.entries(schema?.collections || {}).filter(
+    ([, collection]) => typeof collection.folder === 'string' && collection.folder
+  );
+  if (entries.length === 0) return undefined;
+  return Object.fromEntries(
+    entries.map(([name, { folder, slug, sort }]) => [name, { folder, ...(slug && { slug }), ...(sort && { sort }) }])
+  );
+}
+
+/**
+ * Get the reference fields declared in repo.schema.json, as processor options
+ * A property with `"reference": true` points at any post, `"reference": "<collection>"` at an entry
+ * of that collection; properties of type array hold lists of references.
+ * @param {Object|null} schema - Parsed repo.schema.json
+ * @returns {Object|undefined} - { [property]: { collection, multiple } }, undefined without reference fields
+ */
+export function getReferencesConfig(schema) {
+  const scopes = [schema, ...Object.values(schema?.folders || {}), ...Object.values(schema?.collections || {})];
+  const references = {};
+  for (const rules of scopes) {
+    for (const [property, definition] of Object.entries(rules?.properties || {})) {
+      if (!definition.reference) continue;
+      const types = [].concat(definition.type || 'any');
+      references[property] = {
+        ...(typeof definition.reference === 'string' && { collection: definition.reference }),
+        ...(definition.type && { multiple: types.includes('array') }),
+      };
+    }
+  }
+  return Object.keys(references).length > 0 ? references : undefined;
+}
+
+/**
+ * Validate the frontmatter of all posts against the user-authored schema (repo.schema.json)
+ * Issues are reported per file to the issue collector. With `"strict": true` in the schema,
+ * any error fails the build.
+ * @param {Object} data - Build data with assets.distFolder
+ * @param {Object} options - Validation options
+ * @param {string} options.inputPath - Content root, where repo.schema.json is looked up
+ * @param {Object} [options.issueReporter] - Worker issue collector
+ * @returns {Promise<Object>} - Data with a frontmatterValidation summary
+ */
+export default async function validateFrontmatter(data, { inputPath, issueReporter }) {
+  const logger = data.logger || console;
+
+  let schema;
+  try {
+    schema = await loadRepoSchema(inputPath);
+  } catch (error) {
+    issueReporter?.addConfigWarning({
+      setting: SCHEMA_FILENAME,
+      message: `Could not read ${SCHEMA_FILENAME}, frontmatter is not validated: ${error.message}`,
+      suggestion: `Make sure ${SCHEMA_FILENAME} is valid JSON`,
+    });
+    return { ...data, frontmatterValidation: { enabled: false, error: error.message } };
+  }
+  if (!schema) {
+    return { ...data, frontmatterValidation: { enabled: false } };
+  }
+
+  for (const problem of checkSchemaDefinition(schema)) {
+    issueReporter?.addConfigWarning({
+      setting: SCHEMA_FILENAME,
+      message: `${SCHEMA_FILENAME}: ${problem}`,
+      suggestion: `Types are ${[...PROPERTY_TYPES].join(', ')}; severities are ${[...SEVERITIES].join(', ')}`,
+    });
+  }
+
+  const postsPath = path.join(data.assets.distFolder, 'posts.json');
+  const postsJson = JSON.parse(await fs.readFile(postsPath, 'utf8'));
+  const posts = Array.isArray(postsJson) ? postsJson : postsJson.posts || [];
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  const invalidFiles = new Set();
+  for (const post of posts) {
+    const filePath = post.originalFilePath || post.path || post.slug;
+    for (const issue of validatePostFrontmatter(post, schema)) {
+      counts[issue.severity]++;
+      if (issue.severity === 'error') invalidFiles.add(filePath);
+      issueReporter?.addFrontmatterIssue({ ...issue, filePath });
+    }
+  }
+
+  const strict = schema.strict === true;
+  const summary = {
+    enabled: true,
+    schemaPath: SCHEMA_FILENAME,
+    strict,
+    filesChecked: posts.length,
+    invalidFiles: invalidFiles.size,
+    errorCount: counts.error,
+    warningCount: counts.warning,
+    infoCount: counts.info,
+  };
+
+  logger.log(
+    `📐 Frontmatter validated against ${SCHEMA_FILENAME}: ${posts.length} files, ${counts.error} errors, ${counts.warning} warnings`
+  );
+
+  if (strict && counts.error > 0) {
+    throw new Error(
+      `Frontmatter validation failed in strict mode: ${counts.error} errors in ${invalidFiles.size} files (see the deployment issues)`
+    );
+  }
+
+  return { ...data, frontmatterValidation: summary };
+}
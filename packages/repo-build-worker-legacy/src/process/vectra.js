@@ -42,9 +42,11 @@ async function createVectraIndex(data) {
     // Insert posts into the vector index
     let postsCount = 0;
     for (const [hash, entry] of Object.entries(postEmbeddingsHashMap)) {
-      if (entry.embedding && entry.embedding.length > 0) {
+      // The hash map stores embeddings directly
+      const embedding = Array.isArray(entry) ? entry : entry.embedding;
+      if (embedding && embedding.length > 0) {
         await postsIndex.insertItem({
-          vector: entry.embedding,
+          vector: embedding,
           metadata: {
             hash,
             slug: entry.slug,
@@ -58,6 +60,33 @@ async function createVectraIndex(data) {
     }
     console.log(`✅ Inserted ${postsCount} posts into vector index`);
 
+    // Passages (heading-aware chunks of posts) get their own index
+    let passagesCount = 0;
+    if (data.postEmbeddings.passagesPath) {
+      const passagesIndex = new LocalIndex(path.join(vectraFolder, "passages"));
+      await passagesIndex.createIndex();
+
+      const passages = JSON.parse(await fs.readFile(data.postEmbeddings.passagesPath, "utf-8"));
+      for (const passage of passages) {
+        if (!passage.embedding?.length) continue;
+        await passagesIndex.insertItem({
+          vector: passage.embedding,
+          metadata: {
+            id: passage.id,
+            hash: passage.hash,
+            slug: passage.slug,
+            title: passage.title,
+            heading: passage.heading || "",
+            anchor: passage.anchor || "",
+            text: passage.text,
+            type: "passage"
+          }
+        });
+        passagesCount++;
+      }
+      console.log(`✅ Inserted ${passagesCount} passages into vector index`);
+    }
+
     // If media embeddings exist, create a vector index for them
     let mediaCount = 0;
     if (data.mediaEmbeddings && data.mediaEmbeddings.hashMapPath) {
@@ -96,6 +125,7 @@ async function createVectraIndex(data) {
         processed: true,
         folder: vectraFolder,
         postsCount,
+        passagesCount,
         mediaCount,
         timestamp: new Date().toISOString()
       }
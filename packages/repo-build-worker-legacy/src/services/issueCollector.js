@@ -149,6 +149,23 @@ class WorkerIssueCollector {
     });
   }
 
+  /**
+   * Add a frontmatter schema violation (repo.schema.json)
+   */
+  addFrontmatterIssue({ severity, filePath, property, rule, message }) {
+    this.addIssue({
+      severity,
+      category: 'frontmatter-schema',
+      module: 'frontmatter-validator',
+      message,
+      filePath,
+      context: {
+        property,
+        rule
+      }
+    });
+  }
+
   /**
    * Add a performance warning
    */
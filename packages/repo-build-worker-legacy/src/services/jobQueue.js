@@ -0,0 +1,528 @@
+// src/services/jobQueue.js
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { JOB_QUEUE_CONFIG } from "../config/jobQueue.js";
+
+export const QueueStatus = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const TERMINAL_STATUSES = [QueueStatus.COMPLETED, QueueStatus.FAILED, QueueStatus.CANCELLED];
+
+// Credentials sent in task data: kept in memory only, never written to the database
+const SECRET_FIELDS = [["gitToken"], ["projectSettings", "ai", "apiKey"]];
+
+/**
+ * Remove the credentials from task data
+ * @param {Object} data - Task data
+ * @returns {{ data: Object, secrets: Array }} - A copy without credentials, and the [path, value] pairs removed
+ */
+function splitSecrets(data) {
+  const stored = JSON.parse(JSON.stringify(data || {}));
+  const secrets = [];
+  for (const path of SECRET_FIELDS) {
+    const parent = path.slice(0, -1).reduce((obj, key) => obj?.[key], stored);
+    const key = path[path.length - 1];
+    if (parent && typeof parent === "object" && parent[key] != null) {
+      secrets.push([path, parent[key]]);
+      delete parent[key];
+    }
+  }
+  return { data: stored, secrets };
+}
+
+/**
+ * Put credentials removed by splitSecrets back into task data
+ * @param {Object} data - Task data read from the database
+ * @param {Array} secrets - [path, value] pairs
+ */
+function restoreSecrets(data, secrets) {
+  for (const [path, value] of secrets) {
+    const parent = path.slice(0, -1).reduce((obj, key) => (obj[key] ??= {}), data);
+    parent[path[path.length - 1]] = value;
+  }
+}
+
+/**
+ * Error used as the abort reason when a running job is cancelled
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId, reason = "Job cancelled") {
+    super(reason);
+    this.name = "JobCancelledError";
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Error for a job whose credentials were lost in a restart (they are never persisted).
+ * Retrying can't help: the job has to be triggered again by the API.
+ */
+export class JobSecretsLostError extends Error {
+  constructor(jobId) {
+    super("Job credentials were lost when the worker restarted; trigger the job again");
+    this.name = "JobSecretsLostError";
+    this.jobId = jobId;
+  }
+}
+
+/**
+ * Durable job queue persisted in SQLite
+ * Jobs survive container restarts: anything still running when the process died
+ * is put back in the queue on startup. Failed attempts are retried with
+ * exponential backoff, and runnable jobs are picked by priority, then age,
+ * while respecting per-task concurrency limits.
+ * Credentials in the task data (git tokens, AI provider keys) are never stored:
+ * they stay in memory until the job finishes, so a job re-queued after a restart
+ * fails with JobSecretsLostError if it needed them.
+ */
+class JobQueue {
+  /**
+   * @param {Object} config - Queue configuration (see config/jobQueue.js)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config = JOB_QUEUE_CONFIG, logger = console) {
+    this.config = config;
+    this.logger = logger;
+    this.db = null;
+    this.handler = null;
+    this.timer = null;
+    this.running = new Map(); // jobId -> task
+    this.controllers = new Map(); // jobId -> AbortController of the running attempt
+    this.secrets = new Map(); // jobId -> credentials removed from the stored task data
+  }
+
+  /**
+   * Open the database, create the schema and recover interrupted jobs
+   */
+  open() {
+    if (this.db) return;
+
+    if (!this.config.dbPath) {
+      throw new Error("JOB_QUEUE_DB_PATH must point to a persistent volume so queued jobs survive restarts");
+    }
+    fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    this.db = new Database(this.config.dbPath);
+    this.db.pragma("journal_mode = WAL");
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        task TEXT NOT NULL,
+        data TEXT NOT NULL,
+        callback_url TEXT NOT NULL,
+        priority INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_run_at INTEGER NOT NULL,
+        last_error TEXT,
+        callback_delivered INTEGER NOT NULL DEFAULT 0,
+        callback_payload TEXT,
+        cancel_requested INTEGER NOT NULL DEFAULT 0,
+        has_secrets INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        completed_at INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_runnable ON jobs (status, priority DESC, created_at);
+    `);
+
+    // Columns added after the initial schema
+    const columns = this.db.prepare("PRAGMA table_info(jobs)").all().map((column) => column.name);
+    if (!columns.includes("cancel_requested")) {
+      this.db.exec("ALTER TABLE jobs ADD COLUMN cancel_requested INTEGER NOT NULL DEFAULT 0");
+    }
+    if (!columns.includes("has_secrets")) {
+      this.db.exec("ALTER TABLE jobs ADD COLUMN has_secrets INTEGER NOT NULL DEFAULT 0");
+      this.scrubStoredSecrets();
+    }
+
+    // Jobs cancelled while running in a previous process stay cancelled
+    this.db
+      .prepare("UPDATE jobs SET status = ?, completed_at = ?, updated_at = ? WHERE status = ? AND cancel_requested = 1")
+      .run(QueueStatus.CANCELLED, Date.now(), Date.now(), QueueStatus.RUNNING);
+
+    // Jobs left running belong to a previous process: the interrupted attempt doesn't count
+    const recovered = this.db
+      .prepare(
+        `UPDATE jobs SET status = ?, attempts = MAX(attempts - 1, 0), next_run_at = ?, updated_at = ?
+         WHERE status = ?`
+      )
+      .run(QueueStatus.QUEUED, Date.now(), Date.now(), QueueStatus.RUNNING);
+
+    if (recovered.changes > 0) {
+      this.logger.log(`♻️ Re-queued ${recovered.changes} job(s) interrupted by a restart`);
+    }
+
+    this.prune();
+  }
+
+  /**
+   * Start processing queued jobs
+   * @param {Function} handler - async (job) => result; throwing marks the attempt as failed
+   */
+  start(handler) {
+    this.open();
+    this.handler = handler;
+    this.timer = setInterval(() => this.tick(), this.config.pollIntervalMs);
+    this.timer.unref();
+    this.logger.log("🗂️ Job queue started", {
+      dbPath: this.config.dbPath,
+      maxConcurrency: this.config.maxConcurrency,
+    });
+    this.tick();
+  }
+
+  /**
+   * Stop picking up new jobs (running jobs are recovered on next startup)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Resolve a named or numeric priority
+   * @param {string|number} priority - "high" | "normal" | "low" or a number
+   * @returns {number} - Numeric priority (higher runs first)
+   */
+  resolvePriority(priority) {
+    if (typeof priority === "number" && Number.isFinite(priority)) {
+      return priority;
+    }
+    return (
+      this.config.priorities[priority] ??
+      this.config.priorities[this.config.defaultPriority]
+    );
+  }
+
+  /**
+   * Resolve the attempts requested for a job, within the configured limit
+   * @param {number} maxAttempts - Requested attempts (optional)
+   * @returns {number} - Attempts between 1 and maxAttemptsLimit
+   */
+  resolveMaxAttempts(maxAttempts) {
+    const requested = Number.isInteger(maxAttempts) ? maxAttempts : this.config.maxAttempts;
+    return Math.min(Math.max(requested, 1), this.config.maxAttemptsLimit);
+  }
+
+  /**
+   * Add a job to the queue. Enqueuing an existing job ID returns the stored job unchanged.
+   * @param {Object} job - Job definition
+   * @param {string} job.jobId - Unique job identifier
+   * @param {string} job.task - Task type
+   * @param {Object} job.data - Task data
+   * @param {string} job.callbackUrl - URL notified when the job finishes
+   * @param {string|number} job.priority - Job priority (optional)
+   * @param {number} job.maxAttempts - Attempts before giving up (optional, capped at maxAttemptsLimit)
+   * @returns {{ job: Object, created: boolean }} - The stored job and whether it was newly created
+   */
+  enqueue({ jobId, task, data, callbackUrl, priority, maxAttempts }) {
+    this.open();
+
+    const existing = this.get(jobId);
+    if (existing) {
+      return { job: existing, created: false };
+    }
+
+    const now = Date.now();
+    const { data: storedData, secrets } = splitSecrets(data);
+    this.db
+      .prepare(
+        `INSERT INTO jobs (id, task, data, callback_url, priority, status, attempts, max_attempts, next_run_at, has_secrets, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        jobId,
+        task,
+        JSON.stringify(storedData),
+        callbackUrl,
+        this.resolvePriority(priority),
+        QueueStatus.QUEUED,
+        this.resolveMaxAttempts(maxAttempts),
+        now,
+        secrets.length > 0 ? 1 : 0,
+        now,
+        now
+      );
+    if (secrets.length > 0) {
+      this.secrets.set(jobId, secrets);
+    }
+
+    setImmediate(() => this.tick());
+    return { job: this.get(jobId), created: true };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - The job identifier
+   * @param {Object} options - { includeData: also return the task data and stored callback payload }
+   * @returns {Object|null} - The job or null if unknown
+   */
+  get(jobId, { includeData = false } = {}) {
+    this.open();
+    const row = this.db.prepare("SELECT * FROM jobs WHERE id = ?").get(jobId);
+    return row ? this.toJob(row, includeData) : null;
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled right away; running jobs are signalled
+   * through their AbortSignal and stop at the next step boundary.
+   * @param {string} jobId - The job identifier
+   * @param {string} reason - Why the job is cancelled
+   * @returns {Object|null} - The updated job, or null if unknown
+   */
+  cancel(jobId, reason = "Job cancelled") {
+    this.open();
+    const job = this.get(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    if (job.status === QueueStatus.QUEUED) {
+      this.finish(jobId, QueueStatus.CANCELLED, reason);
+      this.logger.log(`🚫 Cancelled queued job ${jobId}: ${reason}`);
+    } else {
+      this.db
+        .prepare("UPDATE jobs SET cancel_requested = 1, last_error = ?, updated_at = ? WHERE id = ?")
+        .run(reason, Date.now(), jobId);
+      this.controllers.get(jobId)?.abort(new JobCancelledError(jobId, reason));
+      this.logger.log(`🚫 Cancellation requested for running job ${jobId}: ${reason}`);
+    }
+
+    return this.get(jobId);
+  }
+
+  /**
+   * Record whether the final callback reached the API.
+   * Undelivered payloads are kept so the API can fetch them from /jobs/:id.
+   * @param {string} jobId - The job identifier
+   * @param {boolean} delivered - Whether the callback succeeded
+   * @param {Object} payload - The callback body
+   */
+  recordCallback(jobId, delivered, payload) {
+    this.db
+      .prepare(
+        "UPDATE jobs SET callback_delivered = ?, callback_payload = ?, updated_at = ? WHERE id = ?"
+      )
+      .run(delivered ? 1 : 0, delivered ? null : JSON.stringify(payload), Date.now(), jobId);
+  }
+
+  /**
+   * Get the number of jobs per status, plus the ones running in this process
+   * @returns {Object} - Queue statistics
+   */
+  stats() {
+    this.open();
+    const rows = this.db
+      .prepare("SELECT status, COUNT(*) AS count FROM jobs GROUP BY status")
+      .all();
+    return {
+      ...Object.fromEntries(rows.map((row) => [row.status, row.count])),
+      runningInProcess: this.running.size,
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.config.retentionMs;
+    const result = this.db
+      .prepare(
+        `DELETE FROM jobs WHERE status IN (${TERMINAL_STATUSES.map(() => "?").join(", ")}) AND updated_at < ?`
+      )
+      .run(...TERMINAL_STATUSES, cutoff);
+    if (result.changes > 0) {
+      this.logger.log(`🧹 Pruned ${result.changes} finished job(s) from the queue`);
+    }
+  }
+
+  /**
+   * Remove credentials from the data of jobs stored before they were kept in memory only
+   */
+  scrubStoredSecrets() {
+    const rows = this.db.prepare("SELECT id, data FROM jobs").all();
+    const update = this.db.prepare("UPDATE jobs SET data = ?, has_secrets = 1 WHERE id = ?");
+    const scrubbed = rows.filter((row) => {
+      const { data, secrets } = splitSecrets(JSON.parse(row.data));
+      if (secrets.length === 0) return false;
+      update.run(JSON.stringify(data), row.id);
+      return true;
+    });
+    if (scrubbed.length > 0) {
+      this.logger.log(`🔒 Removed stored credentials from ${scrubbed.length} job(s)`);
+    }
+  }
+
+  /**
+   * Start as many runnable jobs as the concurrency limits allow
+   */
+  tick() {
+    if (!this.handler) return;
+
+    while (this.running.size < this.config.maxConcurrency) {
+      const job = this.claimNext();
+      if (!job) return;
+      this.run(job);
+    }
+  }
+
+  /**
+   * Atomically pick the next runnable job and mark it running
+   * @returns {Object|null} - The claimed job or null if nothing can run
+   */
+  claimNext() {
+    const now = Date.now();
+    const candidates = this.db
+      .prepare(
+        `SELECT * FROM jobs WHERE status = ? AND next_run_at <= ?
+         ORDER BY priority DESC, created_at ASC LIMIT 50`
+      )
+      .all(QueueStatus.QUEUED, now);
+
+    const row = candidates.find((candidate) => this.hasCapacity(candidate.task));
+    if (!row) return null;
+
+    this.db
+      .prepare(
+        "UPDATE jobs SET status = ?, attempts = attempts + 1, started_at = ?, updated_at = ? WHERE id = ?"
+      )
+      .run(QueueStatus.RUNNING, now, now, row.id);
+
+    const job = this.get(row.id, { includeData: true });
+    if (row.has_secrets === 1) {
+      const secrets = this.secrets.get(job.jobId);
+      if (secrets) {
+        restoreSecrets(job.data, secrets);
+      } else {
+        job.secretsLost = true;
+      }
+    }
+    const controller = new AbortController();
+    job.signal = controller.signal;
+    this.controllers.set(job.jobId, controller);
+    this.running.set(job.jobId, job.task);
+    return job;
+  }
+
+  /**
+   * Check the per-task concurrency limit
+   * @param {string} task - Task type
+   * @returns {boolean} - Whether another job of this task can start
+   */
+  hasCapacity(task) {
+    const limit =
+      this.config.taskConcurrency[task] ?? this.config.taskConcurrency.default;
+    const runningForTask = [...this.running.values()].filter((t) => t === task).length;
+    return runningForTask < limit;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - The claimed job
+   */
+  async run(job) {
+    try {
+      await this.handler(job);
+      this.finish(job.jobId, QueueStatus.COMPLETED, null);
+    } catch (error) {
+      if (error instanceof JobCancelledError || job.signal?.aborted) {
+        this.finish(job.jobId, QueueStatus.CANCELLED, error.message);
+        this.logger.log(`🚫 Job ${job.jobId} stopped after cancellation`);
+      } else if (job.attempts < job.maxAttempts && !(error instanceof JobSecretsLostError)) {
+        const delay = this.getRetryDelay(job.attempts);
+        this.db
+          .prepare(
+            "UPDATE jobs SET status = ?, next_run_at = ?, last_error = ?, updated_at = ? WHERE id = ?"
+          )
+          .run(QueueStatus.QUEUED, Date.now() + delay, error.message, Date.now(), job.jobId);
+        this.logger.log(
+          `🔁 Job ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s`
+        );
+      } else {
+        this.finish(job.jobId, QueueStatus.FAILED, error.message);
+        this.logger.error(`💥 Job ${job.jobId} failed after ${job.attempts} attempt(s)`);
+      }
+    } finally {
+      this.running.delete(job.jobId);
+      this.controllers.delete(job.jobId);
+      setImmediate(() => this.tick());
+    }
+  }
+
+  /**
+   * Mark a job as finished and forget its credentials
+   * @param {string} jobId - The job identifier
+   * @param {string} status - Terminal status
+   * @param {string|null} error - Last error message
+   */
+  finish(jobId, status, error) {
+    const now = Date.now();
+    this.db
+      .prepare(
+        "UPDATE jobs SET status = ?, last_error = COALESCE(?, last_error), completed_at = ?, updated_at = ? WHERE id = ?"
+      )
+      .run(status, error, now, now, jobId);
+    this.secrets.delete(jobId);
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt number
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} - Delay in ms
+   */
+  getRetryDelay(attempt) {
+    const delay = this.config.retryBaseDelayMs * 2 ** (attempt - 1);
+    return Math.min(delay, this.config.retryMaxDelayMs);
+  }
+
+  /**
+   * Convert a database row to a job object
+   * @param {Object} row - Database row
+   * @param {boolean} includeData - Include task data and stored callback payload
+   * @returns {Object} - Job object
+   */
+  toJob(row, includeData) {
+    const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    const job = {
+      jobId: row.id,
+      task: row.task,
+      status: row.status,
+      priority: row.priority,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextRunAt: row.status === QueueStatus.QUEUED ? toIso(row.next_run_at) : null,
+      lastError: row.last_error,
+      callbackUrl: row.callback_url,
+      callbackDelivered: row.callback_delivered === 1,
+      cancelRequested: row.cancel_requested === 1,
+      createdAt: toIso(row.created_at),
+      startedAt: toIso(row.started_at),
+      completedAt: toIso(row.completed_at),
+      updatedAt: toIso(row.updated_at),
+    };
+
+    if (includeData) {
+      job.data = JSON.parse(row.data);
+      job.callbackPayload = row.callback_payload ? JSON.parse(row.callback_payload) : null;
+    }
+
+    return job;
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+export { JobQueue };
+export default jobQueue;
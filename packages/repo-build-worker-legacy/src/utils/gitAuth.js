@@ -0,0 +1,85 @@
+/**
+ * Utility functions for authenticating git clones
+ * Each provider takes its access token as the password of an https clone URL,
+ * with a provider-specific username
+ */
+
+// Username paired with the token in clone URLs (Gitea and Forgejo accept any username)
+const TOKEN_USERNAMES = {
+  github: "x-access-token",
+  gitlab: "oauth2",
+  gitea: "oauth2",
+  forgejo: "oauth2",
+};
+
+// Environment tokens used when the job carries none
+const TOKEN_ENV_VARS = {
+  github: "GITHUB_TOKEN",
+  gitlab: "GITLAB_TOKEN",
+  gitea: "GITEA_TOKEN",
+  forgejo: "FORGEJO_TOKEN",
+};
+
+/**
+ * Get the git provider of a repository
+ * Repositories outside github.com need the provider from the job data (gitProvider).
+ *
+ * @param {string} repoUrl - Repository URL
+ * @param {string} [provider] - Provider from the job data (github, gitlab, gitea, forgejo)
+ * @returns {string|null} - The provider, or null if unknown
+ */
+export function getGitProvider(repoUrl, provider) {
+  if (provider) return provider;
+  return repoUrl && repoUrl.includes("github.com") ? "github" : null;
+}
+
+/**
+ * Get the token of a provider from the environment
+ *
+ * @param {string|null} provider - Git provider
+ * @returns {string|undefined} - The token, if configured
+ */
+export function getDefaultGitToken(provider) {
+  return provider ? process.env[TOKEN_ENV_VARS[provider]] : undefined;
+}
+
+/**
+ * Add an access token to an https repository URL
+ * The URL is returned unchanged for ssh URLs, unknown providers, and hosts other than
+ * the provider instance (baseUrl), so a token never reaches another server.
+ * GitLab, Gitea and Forgejo tokens need the instance URL stored with the project:
+ * without a baseUrl the URL is returned unchanged.
+ *
+ * @param {string} repoUrl - Repository URL
+ * @param {string} token - Access token
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Git provider
+ * @param {string} [options.baseUrl] - Provider instance URL (e.g. https://git.example.com)
+ * @returns {string} - The clone URL
+ */
+export function getAuthenticatedRepoUrl(repoUrl, token, { provider, baseUrl } = {}) {
+  const gitProvider = getGitProvider(repoUrl, provider);
+  if (!token || !TOKEN_USERNAMES[gitProvider]) return repoUrl;
+
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch {
+    return repoUrl; // ssh (git@host:owner/repo.git)
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return repoUrl;
+
+  let expectedHost = gitProvider === "github" ? "github.com" : null;
+  if (baseUrl) {
+    try {
+      expectedHost = new URL(baseUrl).host;
+    } catch {
+      return repoUrl;
+    }
+  }
+  if (!expectedHost || url.host !== expectedHost) return repoUrl;
+
+  url.username = TOKEN_USERNAMES[gitProvider];
+  url.password = token;
+  return url.toString();
+}
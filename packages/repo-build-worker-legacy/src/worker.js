@@ -4,6 +4,7 @@ import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
 import loggerService from "./services/loggerService.js";
+import jobQueue, { JobCancelledError, JobSecretsLostError } from "./services/jobQueue.js";
 
 import WpImporter from "./lib/wpImporter.js";
 import inferenceRouter from "./inferenceRouter.js";
@@ -20,6 +21,7 @@ import publishR2 from "./process/publishR2.js";
 import wpImport from "./process/wpImport.js";
 import generateProjectFromBrief from "./process/generateProjectFromBrief.js";
 import fetchExistingAssets from "./process/fetchExistingAssets.js";
+import computeChangeSet from "./process/computeChangeSet.js";
 import scanFrontmatterSchema from "./process/scanFrontmatterSchema.js";
 
 const app = express();
@@ -85,7 +87,7 @@ app.get("/health", (req, res) => {
 });
 
 app.post("/process", async (req, res) => {
-  const { jobId, task, data, callbackUrl } = req.body;
+  const { jobId, task, data, callbackUrl, priority, maxAttempts } = req.body;
 
   // Get a logger for this job
   const jobLogger = loggerService.getLogger(jobId);
@@ -155,101 +157,230 @@ app.post("/process", async (req, res) => {
 
   jobLogger.log("✅ RECEIVED SPECS:", anonymizedData);
 
-  res.json({ status: "accepted", jobId });
+  // Persist the job (without its credentials); the queue runs it asynchronously, with retries
+  const { job, created } = jobQueue.enqueue({
+    jobId,
+    task,
+    data: data || {},
+    callbackUrl,
+    priority,
+    maxAttempts,
+  });
+
+  if (!created) {
+    jobLogger.log("ℹ️ Job already known to the queue", { jobId, status: job.status });
+  }
+
+  res.json({ status: "accepted", jobId, queueStatus: job.status, priority: job.priority });
+});
+
+// Require the shared worker secret (when configured) for job inspection endpoints
+const requireWorkerSecret = (req, res, next) => {
+  const workerSecret = process.env.WORKER_SECRET;
+  if (workerSecret && req.headers.authorization !== `Bearer ${workerSecret}`) {
+    return res.status(401).json({ status: "error", message: "Unauthorized" });
+  }
+  next();
+};
+
+// Queue overview
+app.get("/jobs", requireWorkerSecret, (req, res) => {
+  res.json({ status: "ok", stats: jobQueue.stats() });
+});
+
+// Job status, used by the API to reconcile jobs whose callback never arrived
+app.get("/jobs/:id", requireWorkerSecret, (req, res) => {
+  const job = jobQueue.get(req.params.id, { includeData: true });
+  if (!job) {
+    return res.status(404).json({
+      status: "error",
+      message: `Job ${req.params.id} not found`,
+    });
+  }
+
+  // Never echo the task data back (it contains tokens); only the undelivered callback
+  const { data, ...jobInfo } = job;
+  res.json({ status: "ok", job: jobInfo });
+});
 
-  // Process asynchronously
-  processJob(jobId, task, data || {}, callbackUrl, jobLogger);
+// Cancel a job (e.g. superseded by a newer deploy of the same branch)
+app.post("/jobs/:id/cancel", requireWorkerSecret, (req, res) => {
+  const reason = req.body?.reason || "Job cancelled";
+  const job = jobQueue.cancel(req.params.id, reason);
+  if (!job) {
+    return res.status(404).json({
+      status: "error",
+      message: `Job ${req.params.id} not found`,
+    });
+  }
+
+  systemLogger.log("🚫 Cancel requested", { jobId: job.jobId, status: job.status, reason });
+  res.json({ status: "ok", jobId: job.jobId, queueStatus: job.status, cancelRequested: job.cancelRequested });
 });
 
-async function processJob(jobId, task, data, callbackUrl, logger) {
-  logger.log("🚀 Starting job processing", { jobId, task });
+/**
+ * Send the job outcome to the API callback URL and record delivery in the queue
+ * @param {string} jobId - The job identifier
+ * @param {string} callbackUrl - URL to notify
+ * @param {Object} payload - Callback body
+ * @param {Object} logger - Job logger
+ * @returns {Promise<boolean>} - Whether the callback was delivered
+ */
+async function sendCallback(jobId, callbackUrl, payload, logger) {
+  try {
+    const response = await fetch(callbackUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Callback responded with HTTP ${response.status}`);
+    }
+
+    logger.log(`📤 ${payload.status === "completed" ? "Result" : "Error"} sent to callback URL`, {
+      jobId,
+      callbackUrl,
+    });
+    jobQueue.recordCallback(jobId, true);
+    return true;
+  } catch (callbackError) {
+    logger.error("🔴 CANNOT REACH BACK TO SERVER", {
+      jobId,
+      callbackUrl,
+      error: callbackError.message,
+    });
+    // Keep the payload so the API can reconcile through /jobs/:id
+    jobQueue.recordCallback(jobId, false, payload);
+    return false;
+  }
+}
+
+/**
+ * Run one attempt of a queued job
+ * Failed attempts are retried by the queue; the failure callback is only sent
+ * once the last attempt has failed.
+ * @param {Object} job - Job claimed from the queue
+ */
+async function processJob(job) {
+  const { jobId, task, data, callbackUrl, attempts, maxAttempts } = job;
+  const logger = loggerService.getLogger(jobId);
+
+  logger.log("🚀 Starting job processing", { jobId, task, attempt: attempts, maxAttempts });
 
+  let result;
+  const startTime = Date.now();
   try {
-    // Your job processing logic here
-    const startTime = Date.now();
+    if (job.secretsLost) {
+      throw new JobSecretsLostError(jobId);
+    }
+
     // Pass the logger in the data object so child processes can access it
-    const result = await doWork(
+    result = await doWork(
       task,
       {
         ...data,
         jobId,
         logger, // Pass logger to child processes
+        abortSignal: job.signal, // Checked between pipeline steps
       },
       logger
     );
-    const duration = Date.now() - startTime;
-
-    logger.log("✨ Job completed successfully", {
-      jobId,
-      task,
-      duration: `${duration}ms`,
-    });
-
-    // Callback to your existing API using fetch (exact same structure as before)
-    try {
-      await fetch(callbackUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          jobId,
-          status: "completed",
-          result,
-          processedAt: new Date().toISOString(),
-          duration,
-          logs: logger.getLogs(), // Get logs for this specific job
-        }),
-      });
-
-      logger.log("📤 Result sent to callback URL", { jobId, callbackUrl });
-
-      // Clean up temp folder and job logger after successful callback
-      // Use tempFolderPath from result if available, otherwise fall back to data.tempFolderPath
-      const tempPath = result?.tempFolderPath || data.tempFolderPath;
-      await cleanupTempFolder(tempPath, jobId, logger);
-      loggerService.removeLogger(jobId);
-    } catch (callbackError) {
-      logger.error("🔴 CANNOT REACH BACK TO SERVER", {
-        jobId,
-        callbackUrl,
-        error: callbackError.message,
-      });
-    }
   } catch (error) {
     logger.error("💥 Job processing failed", {
       jobId,
       task,
+      attempt: attempts,
       error: error.message,
     });
 
-    try {
-      await fetch(callbackUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
+    await cleanupTempFolder(data.tempFolderPath, jobId, logger);
+
+    if (error instanceof JobCancelledError) {
+      await sendCallback(
+        jobId,
+        callbackUrl,
+        {
           jobId,
-          status: "failed",
+          status: "cancelled",
           error: error.message,
+          attempts,
           processedAt: new Date().toISOString(),
-          logs: logger.getLogs(), // Get logs for this specific job
-        }),
-      });
+          logs: logger.getLogs(),
+        },
+        logger
+      );
+      loggerService.removeLogger(jobId);
+      throw error;
+    }
 
-      logger.log("📤 Error sent to callback URL", { jobId, callbackUrl });
+    if (attempts < maxAttempts && !(error instanceof JobSecretsLostError)) {
+      // Let the queue schedule a retry
+      throw error;
+    }
 
-      // Clean up temp folder and job logger after error callback
-      await cleanupTempFolder(data.tempFolderPath, jobId, logger);
-      loggerService.removeLogger(jobId);
-    } catch (callbackError) {
-      logger.error("🔴 CANNOT REACH BACK TO SERVER", {
+    await sendCallback(
+      jobId,
+      callbackUrl,
+      {
         jobId,
-        callbackUrl,
-        error: callbackError.message,
-      });
-    }
+        status: "failed",
+        error: error.message,
+        attempts,
+        processedAt: new Date().toISOString(),
+        logs: logger.getLogs(), // Get logs for this specific job
+      },
+      logger
+    );
+    loggerService.removeLogger(jobId);
+    throw error;
+  }
+
+  const duration = Date.now() - startTime;
+
+  logger.log("✨ Job completed successfully", {
+    jobId,
+    task,
+    duration: `${duration}ms`,
+  });
+
+  // Callback to your existing API using fetch (exact same structure as before)
+  await sendCallback(
+    jobId,
+    callbackUrl,
+    {
+      jobId,
+      status: "completed",
+      result,
+      attempts,
+      processedAt: new Date().toISOString(),
+      duration,
+      logs: logger.getLogs(), // Get logs for this specific job
+    },
+    logger
+  );
+
+  // Clean up temp folder and job logger after the callback
+  // Use tempFolderPath from result if available, otherwise fall back to data.tempFolderPath
+  const tempPath = result?.tempFolderPath || data.tempFolderPath;
+  await cleanupTempFolder(tempPath, jobId, logger);
+  loggerService.removeLogger(jobId);
+}
+
+/**
+ * Stop a pipeline between steps once its job has been cancelled
+ * @param {Object} data - Job data carrying the abortSignal
+ * @param {Object} logger - Job logger
+ */
+function throwIfCancelled(data, logger) {
+  if (data.abortSignal?.aborted) {
+    logger.log("🚫 Job cancelled, stopping before the next step", {
+      jobId: data.jobId,
+      reason: data.abortSignal.reason?.message,
+    });
+    throw data.abortSignal.reason;
   }
 }
 
@@ -263,6 +394,7 @@ async function doWork(task, data, logger) {
       // Run all processing steps in sequence
       const dataWithAssets = await fetchExistingAssets(data);
       const assetsResult = await buildAssets(dataWithAssets); // Now includes embedding, Vectra, and SQLite generation
+      throwIfCancelled(data, logger);
       return await enrichData(assetsResult);
 
     case "build-assets":
@@ -291,16 +423,20 @@ async function doWork(task, data, logger) {
       logger.log("🔄 Processing with repo acquisition", { jobId: data.jobId });
       // First acquire repo, then process
       const repoResult = await acquireUserRepo(data);
+      throwIfCancelled(data, logger);
       const repoWithAssets = await fetchExistingAssets(repoResult);
       const processedAssets = await buildAssets(repoWithAssets); // Now includes embedding, Vectra, and SQLite generation
+      throwIfCancelled(data, logger);
       return await enrichData(processedAssets);
 
     case "process-from-template":
       logger.log("🔄 Processing from template repo", { jobId: data.jobId });
       // Create repo from template, then process
       const templateResult = await newRepoFromTemplate(data);
+      throwIfCancelled(data, logger);
       const templateWithAssets = await fetchExistingAssets(templateResult);
       const templateAssets = await buildAssets(templateWithAssets); // Now includes embedding, Vectra, and SQLite generation
+      throwIfCancelled(data, logger);
       return await enrichData(templateAssets);
 
     case "wp-import":
@@ -346,9 +482,12 @@ async function doWork(task, data, logger) {
         ...data,
         repoUrl: wpImportResult.repoInfo.clone_url,
       });
+      throwIfCancelled(data, logger);
       const wpWithAssets = await fetchExistingAssets(wpDeployResult);
       const wpAssets = await buildAssets(wpWithAssets); // Now includes embedding, Vectra, and SQLite generation
+      throwIfCancelled(data, logger);
       const wpEnriched = await enrichData(wpAssets);
+      throwIfCancelled(data, logger);
       const wpPublishResult = await publishR2(wpEnriched);
       return {
         ...wpPublishResult,
@@ -359,10 +498,17 @@ async function doWork(task, data, logger) {
       logger.log("🚀 Deploying repository", { jobId: data.jobId });
       // Deploy repo directly and build assets
       const deployResult = await deployRepo(data);
+      throwIfCancelled(data, logger);
+      // Diff against the previous revision to enable incremental rendering
+      const deployWithChanges = await computeChangeSet(deployResult);
       // Fetch existing assets for optimization
-      const deployWithAssets = await fetchExistingAssets(deployResult);
+      const deployWithAssets = await fetchExistingAssets(deployWithChanges);
+      throwIfCancelled(data, logger);
       const deployAssets = await buildAssets(deployWithAssets); // Now includes embedding, Vectra, and SQLite generation
+      throwIfCancelled(data, logger);
       const enrichedData = await enrichData(deployAssets);
+      // Last check before anything is published: a superseded deploy must not upload
+      throwIfCancelled(data, logger);
       // Publish build files to R2 storage
       //  return await publishBuildFiles(enrichedData);
       const publishResult = await publishR2(enrichedData);
@@ -391,9 +537,12 @@ async function doWork(task, data, logger) {
       });
       // Generate project, create repo, then run full deployment pipeline
       const generatedProject = await generateProjectFromBrief(data);
+      throwIfCancelled(data, logger);
       const generatedWithAssets = await fetchExistingAssets(generatedProject);
       const deployedAssets = await buildAssets(generatedWithAssets);
+      throwIfCancelled(data, logger);
       const enrichedProject = await enrichData(deployedAssets);
+      throwIfCancelled(data, logger);
       return await publishR2(enrichedProject);
 
     default:
@@ -443,11 +592,14 @@ const PORT = process.env.PORT || 8080;
 const server = app.listen(PORT, async () => {
   systemLogger.log(`🌐 Worker service listening on port ${PORT}`);
   await checkNodeVersion();
+  // Resume persisted jobs (including ones interrupted by a restart)
+  jobQueue.start(processJob);
 });
 
 // Handle process termination gracefully
 process.on("SIGINT", () => {
   systemLogger.log("⏹️ Received SIGINT, shutting down gracefully...");
+  jobQueue.stop();
   server.close(() => {
     systemLogger.log("🛑 Server closed");
     process.exit(0);
@@ -456,6 +608,7 @@ process.on("SIGINT", () => {
 
 process.on("SIGTERM", () => {
   systemLogger.log("⏹️ Received SIGTERM, shutting down gracefully...");
+  jobQueue.stop();
   server.close(() => {
     systemLogger.log("🛑 Server closed");
     process.exit(0);
@@ -13,10 +13,35 @@ import { getVersionInfo } from "./version.js";
 import { createUrlGenerator, type UrlGenerator } from "./core/urls.js";
 import { createApiClient, type ApiClient } from "./core/api.js";
 import cache from "./core/cache.js";
-import { createPostRetrieval, type PostRetrievalService, type Post } from "./posts/retrieval.js";
+import { createPostRetrieval, type PostRetrievalService, type Post, type GetPostBySlugOptions } from "./posts/retrieval.js";
 import { createPostSimilarity, type PostSimilarityService } from "./posts/similarity.js";
-import { createPostSearch, type PostSearchService, type SearchResult } from "./posts/search.js";
-import { createMediaHandler, type MediaHandlerService, type MediaItem } from "./media/handler.js";
+import {
+  createPostCollections,
+  type PostCollectionsService,
+  type CollectionInfo,
+  type CollectionEntry,
+} from "./posts/collections.js";
+import {
+  createPostSearch,
+  type PostSearchService,
+  type SearchResult,
+  type PostPassage,
+  type PassageMatch,
+  type PassageSearchOptions,
+} from "./posts/search.js";
+import { PostQuery, type FrontmatterSchema, type SqliteExecutor } from "./posts/query.js";
+import type { SearchMode } from "./types/common.js";
+import type { PostFrontmatter } from "./types/post.js";
+import {
+  createMediaHandler,
+  type MediaHandlerService,
+  type MediaItem,
+  type ResponsiveImage,
+  type ResponsiveImageOptions,
+  type MediaTranscript,
+  type TranscriptMatch,
+  type TranscriptSearchOptions,
+} from "./media/handler.js";
 import { createProjectConfig, type ProjectConfigService, type ReleaseInfo, type ProjectMetadata } from "./project/config.js";
 import { createFileHandler, type FileHandlerService, type SourceFile, type DistFile, type GraphData } from "./files/index.js";
 import { createMediaSimilarity, type MediaSimilarityService } from "./media/similarity.js";
@@ -114,6 +139,8 @@ export interface RepoMDOptions {
   strategy?: RepoMDStrategy;
   revCacheExpirySeconds?: number;
   debug_rev_caching?: boolean;
+  ignorePublishDates?: boolean;
+  sqliteExecutor?: SqliteExecutor | null;
 }
 
 /** Options for getOpenAiToolSpec */
@@ -181,6 +208,8 @@ class RepoMD {
   strategy: RepoMDStrategy;
   revCacheExpirySeconds: number;
   debug_rev_caching: boolean;
+  ignorePublishDates: boolean;
+  sqliteExecutor: SqliteExecutor | null;
   activeRev: string | null;
 
   // Stats tracking
@@ -191,6 +220,7 @@ class RepoMD {
   api: ApiClient | null;
   posts: PostRetrievalService | null;
   similarity: PostSimilarityService | null;
+  collections: PostCollectionsService | null;
   search: PostSearchService | null;
   media: MediaHandlerService | null;
   project: ProjectConfigService | null;
@@ -220,6 +250,8 @@ class RepoMD {
     strategy = "auto", // auto, browser, server
     revCacheExpirySeconds = 300, // 5 minutes default
     debug_rev_caching = false,
+    ignorePublishDates = false, // Return embargoed/expired posts (publishAt/unpublishAt)
+    sqliteExecutor = null, // Runs query() against content.sqlite instead of in memory
   }: RepoMDOptions = {}) {
     // Try to get project ID from environment if not provided
     let resolvedProjectId: string | null | undefined = projectId;
@@ -235,6 +267,8 @@ class RepoMD {
     this.strategy = strategy;
     this.revCacheExpirySeconds = revCacheExpirySeconds;
     this.debug_rev_caching = debug_rev_caching;
+    this.ignorePublishDates = ignorePublishDates;
+    this.sqliteExecutor = sqliteExecutor;
     this.activeRev = null; // Store resolved latest revision ID
 
     // Initialize service references as null (will be set in initializeServices)
@@ -242,6 +276,7 @@ class RepoMD {
     this.api = null;
     this.posts = null;
     this.similarity = null;
+    this.collections = null;
     this.search = null;
     this.media = null;
     this.project = null;
@@ -508,6 +543,7 @@ class RepoMD {
       stats: this.stats,
       debug: this.debug,
       getActiveRev: this.urls!.getActiveRevState, // Pass revision getter for cache invalidation
+      ignorePublishDates: this.ignorePublishDates,
     });
 
     // Initialize post similarity service
@@ -522,6 +558,13 @@ class RepoMD {
       getActiveRev: this.urls!.getActiveRevState, // Pass revision getter for cache invalidation
     });
 
+    // Initialize content collections service
+    this.collections = createPostCollections({
+      fetchR2Json: this.fetchR2Json,
+      debug: this.debug,
+      ignorePublishDates: this.ignorePublishDates,
+    });
+
     // Initialize post search service
     // eslint-disable-next-line @typescript-eslint/no-explicit-any
     this.search = createPostSearch({
@@ -531,6 +574,14 @@ class RepoMD {
       getMediaEmbeddings: this.getMediaEmbeddings.bind(this) as any,
       debug: this.debug,
       getActiveRev: this.urls!.getActiveRevState, // Pass revision getter for cache invalidation
+      fetchR2Json: this.fetchR2Json,
+      getPostByHash: this.getPostByHash.bind(this),
+      getEmbeddingOptions: () => this.getEmbeddingOptions(),
+      getPassages: async () =>
+        (await this.fetchR2Json("/posts-passages.json", {
+          defaultValue: [],
+          useCache: true,
+        })) as PostPassage[],
     });
 
     // Initialize media handling service
@@ -650,11 +701,43 @@ class RepoMD {
     return await this.api!.getActiveProjectRev();
   }
 
+  /**
+   * Re-resolve the "latest" revision immediately instead of waiting for revCacheExpirySeconds
+   * Call it when notified of a rollback or deploy (e.g. from a deployment.rolled_back webhook).
+   * @returns The active revision
+   */
+  async refreshRevision(): Promise<string | null> {
+    const resolvedRev = await this.urls!.refreshActiveRev();
+    if (this.rev === "latest" && resolvedRev) {
+      this.activeRev = resolvedRev;
+    }
+    return resolvedRev ?? null;
+  }
+
   // SQLite URL method
   async getSqliteUrl(): Promise<string> {
     return await this.urls!.getSqliteUrl();
   }
 
+  // Frontmatter query methods
+  async getFrontmatterSchema(): Promise<FrontmatterSchema | null> {
+    const data = (await this.fetchR2Json("/posts-schema.json", {
+      defaultValue: null,
+      useCache: true,
+    })) as { schema?: FrontmatterSchema } | null;
+    return data?.schema ?? null;
+  }
+
+  query(options: { executor?: SqliteExecutor | null } = {}): PostQuery {
+    return new PostQuery({
+      getAllPosts: () => this.getAllPosts(),
+      getFrontmatterSchema: () => this.getFrontmatterSchema(),
+      getSqliteUrl: () => this.getSqliteUrl(),
+      executor: options.executor !== undefined ? options.executor : this.sqliteExecutor,
+      debug: this.debug,
+    });
+  }
+
   // Client stats method
   getClientStats(): ClientStats {
     // Update timestamp
@@ -705,6 +788,18 @@ class RepoMD {
     return await this.media!.getMediaItems(useCache);
   }
 
+  async getResponsiveImage(path: string, options: ResponsiveImageOptions = {}): Promise<ResponsiveImage | null> {
+    return await this.media!.getResponsiveImage(path, options);
+  }
+
+  async getMediaTranscript(path: string): Promise<MediaTranscript | null> {
+    return await this.media!.getMediaTranscript(path);
+  }
+
+  async searchTranscripts(query: string, options: TranscriptSearchOptions = {}): Promise<TranscriptMatch[]> {
+    return await this.media!.searchTranscripts(query, options);
+  }
+
   async handleCloudflareRequest(request: Request): Promise<Response | null> {
     return await this.media!.handleCloudflareRequest(request);
   }
@@ -714,14 +809,18 @@ class RepoMD {
     return await this.posts!.getAllPosts(useCache, forceRefresh);
   }
 
-  async getPostBySlug(slug: string): Promise<Post | null> {
-    return await this.posts!.getPostBySlug(slug);
+  async getPostBySlug(slug: string, options: GetPostBySlugOptions = {}): Promise<Post | null> {
+    return await this.posts!.getPostBySlug(slug, options);
   }
 
   async getPostByHash(hash: string): Promise<Post | null> {
     return await this.posts!.getPostByHash(hash);
   }
 
+  async getTranslations(hash: string): Promise<Post[]> {
+    return await this.posts!.getTranslations(hash);
+  }
+
   async getPostByPath(path: string): Promise<Post | null> {
     return await this.posts!.getPostByPath(path);
   }
@@ -742,6 +841,19 @@ class RepoMD {
     return this.posts!._findPostByProperty(posts, property, value);
   }
 
+  // Content collection methods (proxy to Collections module)
+  async getCollections(): Promise<Record<string, CollectionInfo>> {
+    return await this.collections!.getCollections();
+  }
+
+  async getCollection<TFrontmatter = PostFrontmatter>(name: string): Promise<CollectionEntry<TFrontmatter>[]> {
+    return await this.collections!.getCollection<TFrontmatter>(name);
+  }
+
+  async getEntry<TFrontmatter = PostFrontmatter>(name: string, slug: string): Promise<CollectionEntry<TFrontmatter> | null> {
+    return await this.collections!.getEntry<TFrontmatter>(name, slug);
+  }
+
   // Post similarity methods (proxy to Similarity module)
   async getPostsEmbeddings(): Promise<unknown> {
     return await this.similarity!.getPostsEmbeddings();
@@ -776,7 +888,7 @@ class RepoMD {
   }
 
   // Post search methods (proxy to Search module)
-  async searchPosts(text: string, props: Record<string, unknown> = {}, mode: 'memory' | 'vector' | 'vector-text' | 'vector-clip-text' | 'vector-clip-image' = "memory"): Promise<SearchResult[]> {
+  async searchPosts(text: string, props: Record<string, unknown> = {}, mode: SearchMode = "memory"): Promise<SearchResult[]> {
     return await this.search!.searchPosts({ text, props, mode });
   }
 
@@ -788,6 +900,10 @@ class RepoMD {
     return await this.search!.refreshMemoryIndex();
   }
 
+  async findPassages(query: string, options: PassageSearchOptions = {}): Promise<PassageMatch[]> {
+    return await this.search!.findPassages(query, options);
+  }
+
   // Vector search methods - new public API
   async findPostsByText(text: string, options: FindOptions = {}): Promise<ContentSearchResult[]> {
     const { limit = 20, threshold = 0.1, useClip = false } = options;
@@ -1014,7 +1130,18 @@ class RepoMD {
   // AI Inference methods (using inference module)
   async computeTextEmbedding(text: string, instruction: string | null = null): Promise<import("./inference.js").EmbeddingData> {
     const { computeTextEmbedding } = await import("./inference.js");
-    return await computeTextEmbedding(text, instruction, this.debug);
+    return await computeTextEmbedding(text, instruction, this.debug, this.getEmbeddingOptions());
+  }
+
+  /**
+   * Project and revision whose embedding settings apply to query embeddings
+   */
+  private getEmbeddingOptions(): import("./inference.js").TextEmbeddingOptions {
+    return {
+      projectId: this.projectId,
+      revisionId: this.rev === "latest" ? this.activeRev : this.rev,
+      secret: this.secret,
+    };
   }
 
   async computeClipTextEmbedding(text: string): Promise<import("./inference.js").EmbeddingData> {
@@ -1207,6 +1334,7 @@ class RepoMD {
     // Clear any references to services
     this.posts = null;
     this.similarity = null;
+    this.collections = null;
     this.search = null;
     this.media = null;
     this.project = null;
@@ -35,6 +35,7 @@ describe('URL Generator Module', () => {
       expect(urls.getSqliteUrl).toBeInstanceOf(Function);
       expect(urls.getSharedFolderUrl).toBeInstanceOf(Function);
       expect(urls.getActiveRevState).toBeInstanceOf(Function);
+      expect(urls.refreshActiveRev).toBeInstanceOf(Function);
       expect(urls.getRevisionCacheStats).toBeInstanceOf(Function);
     });
   });
@@ -288,6 +289,51 @@ describe('URL Generator Module', () => {
     });
   });
 
+  describe('refreshActiveRev', () => {
+    it('should switch to the new revision before the cache expires', async () => {
+      const urls = createUrlGenerator({
+        projectId: PROJECT_ID,
+        activeRev: ACTIVE_REV,
+        rev: 'latest',
+        resolveLatestRev: mockResolveLatestRev,
+        revCacheExpirySeconds: 300,
+      });
+      mockResolveLatestRev.mockResolvedValueOnce('rev-previous');
+
+      const refreshed = await urls.refreshActiveRev();
+
+      expect(refreshed).toBe('rev-previous');
+      expect(urls.getActiveRevState()).toBe('rev-previous');
+      expect(await urls.getRevisionUrl('/posts.json')).toBe(
+        `https://static.repo.md/projects/${PROJECT_ID}/rev-previous/posts.json`
+      );
+    });
+
+    it('should not resolve anything for a specific revision', async () => {
+      const urls = createUrlGenerator({
+        projectId: PROJECT_ID,
+        rev: 'specific-rev',
+        resolveLatestRev: mockResolveLatestRev,
+      });
+
+      expect(await urls.refreshActiveRev()).toBe('specific-rev');
+      expect(mockResolveLatestRev).not.toHaveBeenCalled();
+    });
+
+    it('should keep the current revision when resolution fails', async () => {
+      const urls = createUrlGenerator({
+        projectId: PROJECT_ID,
+        activeRev: ACTIVE_REV,
+        rev: 'latest',
+        resolveLatestRev: mockResolveLatestRev,
+      });
+      mockResolveLatestRev.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(urls.refreshActiveRev()).rejects.toThrow('Network error');
+      expect(urls.getActiveRevState()).toBe(ACTIVE_REV);
+    });
+  });
+
   describe('getRevisionCacheStats', () => {
     it('should return cache statistics', () => {
       const urls = createUrlGenerator({
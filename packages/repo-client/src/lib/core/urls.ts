@@ -61,6 +61,8 @@ export interface UrlGenerator {
   getSharedFolderUrl: (path?: string) => string;
   /** Get the current active revision state */
   getActiveRevState: () => string | undefined;
+  /** Resolve the "latest" revision now, ignoring the cache expiry */
+  refreshActiveRev: () => Promise<string | undefined>;
   /** Get revision cache statistics */
   getRevisionCacheStats: () => RevisionCacheStats;
 }
@@ -318,6 +320,42 @@ export function createUrlGenerator(config: UrlGeneratorConfig): UrlGenerator {
     return url;
   }
 
+  /**
+   * Resolve the "latest" revision now, without waiting for the cache to expire
+   * Used after a rollback or deploy notification; revision-aware caches invalidate
+   * themselves on their next access when the revision changed.
+   * @returns The active revision (the requested one when rev is not "latest")
+   */
+  async function refreshActiveRev(): Promise<string | undefined> {
+    if (rev !== "latest") {
+      return rev;
+    }
+
+    const oldRev = activeRevState;
+    const newRev = await resolveLatestRev();
+    if (!newRev) {
+      throw new Error("Failed to refresh latest revision - received empty revision");
+    }
+
+    activeRevState = newRev;
+    revisionCacheState = {
+      value: newRev,
+      timestamp: Date.now(),
+      latestRevCacheExpiry: () => {
+        if (rev !== "latest") return false;
+        return Date.now() - revisionCacheState.timestamp > REV_EXPIRY_MS;
+      },
+    };
+
+    if (debug_rev_caching && newRev !== oldRev) {
+      console.log(
+        `${prefix} 🕐🕐🕐🕐🕐 Revision refreshed from ${oldRev ?? "none"} to ${newRev}`
+      );
+    }
+
+    return newRev;
+  }
+
   /**
    * Get revision cache statistics
    * @returns Cache statistics object
@@ -409,6 +447,7 @@ export function createUrlGenerator(config: UrlGeneratorConfig): UrlGenerator {
     getSqliteUrl,
     getSharedFolderUrl,
     getActiveRevState: () => activeRevState,
+    refreshActiveRev,
     getRevisionCacheStats,
   };
 }
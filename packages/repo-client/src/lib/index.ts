@@ -125,12 +125,14 @@ export type {
   Post,
   PostRetrievalConfig,
   PostRetrievalService,
+  GetPostBySlugOptions,
 } from './posts/retrieval.js';
 
 // Post-related types
 export type {
   TocItem,
   PostFrontmatter,
+  PostAlternate,
 } from './types/post.js';
 
 // Type guards
@@ -149,20 +151,54 @@ export {
 export type {
   SearchResult,
   SearchParams,
+  SearchOptions,
+  SearchFilters,
   PostSearchConfig,
   PostSearchService,
+  PostPassage,
+  PassageMatch,
+  PassageSearchOptions,
 } from './posts/search.js';
 
+export { PostQuery } from './posts/query.js';
+export type {
+  QueryOperator,
+  QueryCondition,
+  QueryResult,
+  FacetCount,
+  CompiledQuery,
+  FrontmatterSchema,
+  FrontmatterSchemaProperty,
+  SqliteExecutor,
+  PostQueryConfig,
+} from './posts/query.js';
+
 export type {
   PostSimilarityConfig,
   PostSimilarityService,
   SimilaritySearchResult,
 } from './posts/similarity.js';
 
+export type {
+  CollectionInfo,
+  CollectionEntry,
+  PostCollectionsConfig,
+  PostCollectionsService,
+} from './posts/collections.js';
+
 export type {
   MediaItem,
   MediaHandlerConfig,
   MediaHandlerService,
+  ResponsiveImage,
+  ResponsiveImageSource,
+  ResponsiveImageOptions,
+  MediaAvInfo,
+  PhotoMetadata,
+  MediaTranscript,
+  MediaTranscriptSegment,
+  TranscriptMatch,
+  TranscriptSearchOptions,
 } from './media/handler.js';
 
 export type {
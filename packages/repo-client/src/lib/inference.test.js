@@ -0,0 +1,39 @@
+/**
+ * Tests for the inference module
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fetchJson } from './utils.js';
+import { computeTextEmbedding } from './inference.js';
+
+vi.mock('./utils.js', () => ({
+  fetchJson: vi.fn(),
+}));
+
+describe('Inference Module', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchJson.mockResolvedValue({
+      success: true,
+      data: { success: true, data: { embedding: [0.1, 0.2] } },
+    });
+  });
+
+  describe('computeTextEmbedding', () => {
+    it('should send the project API secret with project embeddings', async () => {
+      await computeTextEmbedding('query', null, false, { projectId: 'project-1', revisionId: 'rev-1', secret: 'secret-1' });
+
+      const [, options] = fetchJson.mock.calls[0];
+      expect(options.headers.Authorization).toBe('Bearer secret-1');
+      expect(JSON.parse(options.body)).toEqual({ text: 'query', projectId: 'project-1', revisionId: 'rev-1' });
+    });
+
+    it('should not send the secret without a project', async () => {
+      await computeTextEmbedding('query', null, false, { secret: 'secret-1' });
+
+      const [, options] = fetchJson.mock.calls[0];
+      expect(options.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(options.body)).toEqual({ text: 'query' });
+    });
+  });
+});
@@ -33,6 +33,13 @@ export interface EmbeddingData {
   dimensions?: number;
 }
 
+/** Project whose embedding settings (settings.ai) are used for a text embedding */
+export interface TextEmbeddingOptions {
+  projectId?: string | null;
+  revisionId?: string | null; // Revision the documents were embedded in (default: active revision)
+  secret?: string | null; // Project API secret, needed when the project's provider uses an API key (keep it server-side)
+}
+
 /**
  * Fetch data from the inference API
  * @param path - API path
@@ -86,6 +93,8 @@ async function fetchInferenceApi<T>(
 interface TextEmbeddingPayload {
   text: string;
   instruction?: string;
+  projectId?: string;
+  revisionId?: string;
 }
 
 /** Text embedding response */
@@ -100,12 +109,14 @@ interface TextEmbeddingResponse {
  * @param text - Text to compute embedding for
  * @param instruction - Optional instruction for the embedding
  * @param debug - Whether to log debug info
+ * @param options - Project and revision: the text is embedded with the model their posts were embedded with
  * @returns Embedding response with metadata
  */
 export async function computeTextEmbedding(
   text: string,
   instruction: string | null = null,
-  debug = false
+  debug = false,
+  options: TextEmbeddingOptions = {}
 ): Promise<EmbeddingData> {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Text parameter is required and must be a non-empty string');
@@ -115,10 +126,21 @@ export async function computeTextEmbedding(
   if (instruction) {
     payload.instruction = instruction;
   }
+  if (options.projectId) {
+    payload.projectId = options.projectId;
+  }
+  if (options.revisionId) {
+    payload.revisionId = options.revisionId;
+  }
+
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  if (options.projectId && options.secret) {
+    headers.Authorization = `Bearer ${options.secret}`;
+  }
 
   const response = await fetchInferenceApi<TextEmbeddingResponse>('/inference/text-embedding', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify(payload),
   }, debug);
 
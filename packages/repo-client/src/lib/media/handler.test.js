@@ -178,6 +178,104 @@ describe('Media Handler Module', () => {
     });
   });
 
+  describe('getResponsiveImage', () => {
+    const variant = (size, format, width) => ({
+      width,
+      height: width / 2,
+      format,
+      publicPath: `/_repo/medias/photo-${size}.${format}`,
+      absolutePublicPath: `https://static.repo.md/_repo/medias/photo-${size}.${format}`,
+    });
+    const processedMedia = [
+      {
+        originalPath: 'photos/photo.jpg',
+        fileName: 'photo.jpg',
+        metadata: { hash: 'photo-hash' },
+        sizes: {
+          sm: ['webp', 'avif', 'jpeg'].map((format) => variant('sm', format, 300)),
+          lg: ['webp', 'avif', 'jpeg'].map((format) => variant('lg', format, 1400)),
+        },
+      },
+    ];
+
+    it('should return srcset and picture sources of a media file', async () => {
+      mockFetchR2Json.mockResolvedValue(processedMedia);
+
+      const handler = createHandler();
+      const image = await handler.getResponsiveImage('/photos/photo.jpg');
+
+      expect(image).toEqual({
+        src: 'https://static.repo.md/_repo/medias/photo-lg.jpeg',
+        width: 1400,
+        height: 700,
+        srcset: 'https://static.repo.md/_repo/medias/photo-sm.jpeg 300w, https://static.repo.md/_repo/medias/photo-lg.jpeg 1400w',
+        sizes: '(max-width: 1400px) 100vw, 1400px',
+        type: 'image/jpeg',
+        sources: [
+          {
+            type: 'image/avif',
+            srcset: 'https://static.repo.md/_repo/medias/photo-sm.avif 300w, https://static.repo.md/_repo/medias/photo-lg.avif 1400w',
+          },
+          {
+            type: 'image/webp',
+            srcset: 'https://static.repo.md/_repo/medias/photo-sm.webp 300w, https://static.repo.md/_repo/medias/photo-lg.webp 1400w',
+          },
+        ],
+      });
+    });
+
+    it('should find media by hash and honor the preferred size', async () => {
+      mockFetchR2Json.mockResolvedValue(processedMedia);
+
+      const handler = createHandler();
+      const image = await handler.getResponsiveImage('photo-hash', { preferredSize: 'sm', sizes: '50vw' });
+
+      expect(image.src).toBe('https://static.repo.md/_repo/medias/photo-sm.jpeg');
+      expect(image.sizes).toBe('50vw');
+    });
+
+    it('should return null for unknown media', async () => {
+      mockFetchR2Json.mockResolvedValue(processedMedia);
+
+      const handler = createHandler();
+      expect(await handler.getResponsiveImage('missing.png')).toBeNull();
+    });
+  });
+
+  describe('transcripts', () => {
+    const transcript = {
+      text: 'Welcome to the show. Today we talk about café culture.',
+      model: 'Xenova/whisper-tiny.en',
+      segments: [
+        { start: 0, end: 2.5, text: 'Welcome to the show.' },
+        { start: 2.5, end: 6, text: 'Today we talk about café culture.' },
+      ],
+    };
+    const mediaData = [
+      { originalPath: 'podcast/episode-1.mp3', fileName: 'episode-1.mp3', av: { kind: 'audio', duration: 6, transcript } },
+      { originalPath: 'photos/photo.jpg', fileName: 'photo.jpg' },
+    ];
+
+    it('should return the transcript of a media file', async () => {
+      mockFetchR2Json.mockResolvedValue(mediaData);
+
+      const handler = createHandler();
+      expect(await handler.getMediaTranscript('episode-1.mp3')).toEqual(transcript);
+      expect(await handler.getMediaTranscript('photos/photo.jpg')).toBeNull();
+    });
+
+    it('should find segments containing every query word', async () => {
+      mockFetchR2Json.mockResolvedValue(mediaData);
+
+      const handler = createHandler();
+      const matches = await handler.searchTranscripts('Cafe today');
+
+      expect(matches).toEqual([{ media: mediaData[0], segment: transcript.segments[1] }]);
+      expect(await handler.searchTranscripts('the', { limit: 1 })).toHaveLength(1);
+      expect(await handler.searchTranscripts('  ')).toEqual([]);
+    });
+  });
+
   describe('handleCloudflareRequest', () => {
     it('should handle media requests', async () => {
       const mockRequest = {
@@ -12,6 +12,126 @@ export type MediaItem = Media;
 
 const prefix = LOG_PREFIXES.REPO_MD;
 
+/** Source of a <picture> element (one image format across size variants) */
+export interface ResponsiveImageSource {
+  type: string; // MIME type, e.g. "image/avif"
+  srcset: string;
+}
+
+/** Responsive image data, for apps rendering their own <img srcset> or <picture> markup */
+export interface ResponsiveImage {
+  src: string; // Preferred size in the fallback format
+  width?: number;
+  height?: number;
+  srcset: string; // Fallback format across sizes
+  sizes: string;
+  type: string; // MIME type of the fallback format
+  sources: ResponsiveImageSource[]; // Modern formats (AVIF, WebP), best first
+}
+
+/** Options for getResponsiveImage */
+export interface ResponsiveImageOptions {
+  preferredSize?: string; // Size variant used as src (default: "lg")
+  sizes?: string; // "sizes" attribute (default: based on the preferred variant's width)
+}
+
+/** Timestamped part of a transcript */
+export interface MediaTranscriptSegment {
+  start: number; // Seconds
+  end: number; // Seconds
+  text: string;
+}
+
+/** Speech-to-text transcript of a video or audio file */
+export interface MediaTranscript {
+  text: string;
+  model: string;
+  language?: string;
+  segments: MediaTranscriptSegment[];
+}
+
+/** Playback metadata of a video or audio file (the `av` property of media items) */
+export interface MediaAvInfo {
+  kind: 'video' | 'audio';
+  duration?: number; // Seconds
+  width?: number;
+  height?: number;
+  videoCodec?: string;
+  audioCodec?: string;
+  bitrate?: number;
+  sampleRate?: number;
+  channels?: number;
+  poster?: { width: number; height?: number; publicPath: string; absolutePublicPath?: string };
+  peaks?: number[]; // Waveform peaks between 0 and 1 (audio)
+  transcript?: MediaTranscript;
+}
+
+/** Camera and IPTC metadata of a photo (the `photo` property of media items) */
+export interface PhotoMetadata {
+  camera?: string; // Make and model
+  make?: string;
+  model?: string;
+  lens?: string;
+  takenAt?: string; // ISO 8601, with the UTC offset when the camera recorded it
+  exposureTime?: string; // e.g. "1/250"
+  fNumber?: number;
+  iso?: number;
+  focalLength?: number; // Millimeters
+  title?: string;
+  caption?: string;
+  keywords?: string[];
+  creator?: string;
+  copyright?: string;
+  gps?: { latitude: number; longitude: number; altitude?: number }; // Only when settings.media.stripMetadata is "none"
+}
+
+/** Transcript segment matching a search */
+export interface TranscriptMatch {
+  media: Media;
+  segment: MediaTranscriptSegment;
+}
+
+/** Options for searchTranscripts */
+export interface TranscriptSearchOptions {
+  limit?: number; // Maximum number of matches (default: 20)
+}
+
+/** Size variant of a processed media file (medias.json) */
+interface MediaSizeVariant {
+  width?: number;
+  height?: number;
+  format?: string;
+  publicPath?: string;
+  absolutePublicPath?: string;
+  skippedOptimization?: boolean;
+}
+
+// Same format preferences as the processor's responsive image rendering
+const MODERN_FORMATS = ['avif', 'webp'];
+const FALLBACK_FORMATS = ['jpeg', 'jpg', 'png', 'gif'];
+const SIZE_FALLBACKS = ['lg', 'md', 'sm', 'xl', 'xs'];
+
+const getImageMimeType = (format: string): string =>
+  format === 'jpg' ? 'image/jpeg' : format === 'svg' ? 'image/svg+xml' : `image/${format}`;
+
+const normalizeMediaPath = (path: string): string => path.replace(/^\/+/, '').toLowerCase();
+
+/**
+ * Find a media item by original path, effective path, file name, hash or variant URL
+ */
+const findMedia = (mediaData: Media[], path: string): Media | undefined => {
+  const target = normalizeMediaPath(path);
+  return mediaData.find((item) => {
+    const variants = Object.values((item.sizes || {}) as Record<string, MediaSizeVariant[]>).flat();
+    const metadata = item.metadata as { hash?: string } | undefined;
+    return (
+      [item.originalPath, item.effectivePath, item.hashPath, item.fileName, metadata?.hash, item.hash]
+        .some((candidate) => typeof candidate === 'string' && normalizeMediaPath(candidate) === target) ||
+      variants.some((variant) => variant.publicPath === path || variant.absolutePublicPath === path)
+    );
+  });
+};
+
 /** Request-like type for Cloudflare (same as standard Request) */
 export type CloudflareRequest = Request;
 
@@ -29,6 +149,9 @@ export interface MediaHandlerService {
   getAllMedias: (useCache?: boolean) => Promise<Media[]>;
   getAllMedia: (useCache?: boolean) => Promise<Media[]>;
   getMediaItems: (useCache?: boolean) => Promise<Media[]>;
+  getResponsiveImage: (path: string, options?: ResponsiveImageOptions) => Promise<ResponsiveImage | null>;
+  getMediaTranscript: (path: string) => Promise<MediaTranscript | null>;
+  searchTranscripts: (query: string, options?: TranscriptSearchOptions) => Promise<TranscriptMatch[]>;
   handleCloudflareRequest: (request: CloudflareRequest) => Promise<Response>;
 }
 
@@ -95,6 +218,118 @@ export function createMediaHandler(config: MediaHandlerConfig): MediaHandlerServ
     return await getAllMedia(useCache);
   }
 
+  /**
+   * Get the responsive image data of a media file (srcset, sizes and <picture> sources)
+   * Matches the data of the <picture> markup rendered in post HTML.
+   * @param path - Original path, file name, hash or variant URL of the media
+   * @param options - Preferred size and "sizes" attribute
+   * @returns Responsive image data, or null if the media is unknown or has no optimized variants
+   */
+  async function getResponsiveImage(path: string, options: ResponsiveImageOptions = {}): Promise<ResponsiveImage | null> {
+    const { preferredSize = 'lg' } = options;
+    const mediaData = await getAllMedia();
+    if (!Array.isArray(mediaData) || !path) return null;
+
+    const media = findMedia(mediaData, path);
+    if (!media) {
+      if (debug) {
+        console.log(`${prefix} ⚠️ No media found for responsive image: ${path}`);
+      }
+      return null;
+    }
+
+    // Optimized variants grouped by format (absolute URLs when available, as in rendered HTML)
+    const byFormat = new Map<string, { size: string; variant: MediaSizeVariant; url: string }[]>();
+    for (const [size, variants] of Object.entries((media.sizes || {}) as Record<string, MediaSizeVariant[]>)) {
+      for (const variant of variants) {
+        const url = variant.absolutePublicPath || variant.publicPath;
+        if (variant.skippedOptimization || !variant.width || !variant.format || !url) continue;
+        const format = variant.format.toLowerCase();
+        if (!byFormat.has(format)) byFormat.set(format, []);
+        byFormat.get(format)!.push({ size, variant, url });
+      }
+    }
+    if (byFormat.size === 0) return null;
+
+    const toSrcset = (format: string): string => {
+      const widths = new Map<number, string>();
+      for (const { variant, url } of byFormat.get(format)!) {
+        if (!widths.has(variant.width!)) widths.set(variant.width!, url);
+      }
+      return [...widths.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([width, url]) => `${url} ${width}w`)
+        .join(', ');
+    };
+
+    const fallbackFormat =
+      FALLBACK_FORMATS.find((format) => byFormat.has(format)) ||
+      [...MODERN_FORMATS].reverse().find((format) => byFormat.has(format)) ||
+      [...byFormat.keys()][0];
+    const fallbackVariants = byFormat.get(fallbackFormat)!;
+    const preferred =
+      [preferredSize, ...SIZE_FALLBACKS]
+        .map((size) => fallbackVariants.find((entry) => entry.size === size))
+        .find(Boolean) || fallbackVariants[fallbackVariants.length - 1];
+    const { width, height } = preferred.variant;
+
+    return {
+      src: preferred.url,
+      width,
+      height,
+      srcset: toSrcset(fallbackFormat),
+      sizes: options.sizes || `(max-width: ${width}px) 100vw, ${width}px`,
+      type: getImageMimeType(fallbackFormat),
+      sources: MODERN_FORMATS.filter((format) => format !== fallbackFormat && byFormat.has(format)).map((format) => ({
+        type: getImageMimeType(format),
+        srcset: toSrcset(format),
+      })),
+    };
+  }
+
+  /**
+   * Get the transcript of a video or audio file
+   * Transcripts are generated at build time when enabled in the project's media settings.
+   * @param path - Original path, file name or hash of the media
+   * @returns Transcript with timestamped segments, or null if the media has none
+   */
+  async function getMediaTranscript(path: string): Promise<MediaTranscript | null> {
+    const mediaData = await getAllMedia();
+    if (!Array.isArray(mediaData) || !path) return null;
+    return findMedia(mediaData, path)?.av?.transcript || null;
+  }
+
+  /**
+   * Search the transcripts of all video and audio files
+   * Segments containing every word of the query (case and accent insensitive) match.
+   * @param query - Search text
+   * @param options - Maximum number of matches
+   * @returns Matching segments, in media then time order
+   */
+  async function searchTranscripts(query: string, options: TranscriptSearchOptions = {}): Promise<TranscriptMatch[]> {
+    const { limit = 20 } = options;
+    const normalize = (text: string): string =>
+      text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const mediaData = await getAllMedia();
+    const matches: TranscriptMatch[] = [];
+    for (const media of Array.isArray(mediaData) ? mediaData : []) {
+      for (const segment of media.av?.transcript?.segments || []) {
+        const text = normalize(segment.text);
+        if (!words.every((word) => text.includes(word))) continue;
+        matches.push({ media, segment });
+        if (matches.length >= limit) return matches;
+      }
+    }
+
+    if (debug) {
+      console.log(`${prefix} 🗣️ Found ${matches.length} transcript matches for "${query}"`);
+    }
+    return matches;
+  }
+
   /**
    * Handle a Cloudflare request for media assets
    * @param request - Cloudflare request object
@@ -122,6 +357,9 @@ export function createMediaHandler(config: MediaHandlerConfig): MediaHandlerServ
     getAllMedias,
     getAllMedia,
     getMediaItems,
+    getResponsiveImage,
+    getMediaTranscript,
+    searchTranscripts,
     handleCloudflareRequest,
   };
 }
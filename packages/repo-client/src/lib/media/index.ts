@@ -13,5 +13,5 @@ export {
 };
 
 // Re-export types
-export type { CloudflareRequest, MediaHandlerConfig, MediaHandlerService } from './handler.js';
+export type { CloudflareRequest, MediaHandlerConfig, MediaHandlerService, ResponsiveImage, ResponsiveImageSource, ResponsiveImageOptions, MediaAvInfo, PhotoMetadata, MediaTranscript, MediaTranscriptSegment, TranscriptMatch, TranscriptSearchOptions } from './handler.js';
 export type { MediaSimilarityConfig, MediaSimilarityService } from './similarity.js';
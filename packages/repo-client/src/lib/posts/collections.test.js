@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createPostCollections } from './collections.js';
+
+describe('createPostCollections', () => {
+  let mockFetchR2Json;
+
+  const manifest = {
+    authors: { name: 'authors', folder: 'authors', file: 'collections/authors.json', count: 2, sort: 'title' },
+    blog: { name: 'blog', folder: 'blog', file: 'collections/blog.json', count: 1, slug: 'blog/{year}/{slug}' },
+  };
+
+  const files = {
+    '/collections.json': manifest,
+    '/collections/authors.json': [
+      { hash: 'a1', slug: 'alice', title: 'Alice', collection: 'authors', frontmatter: { name: 'Alice' } },
+      { hash: 'b1', slug: 'bob', title: 'Bob', collection: 'authors', frontmatter: { name: 'Bob' } },
+      {
+        hash: 'c1',
+        slug: 'carol',
+        localizedSlug: 'fr/carol',
+        collection: 'authors',
+        frontmatter: { publishAt: '2999-01-01' },
+      },
+    ],
+    '/collections/blog.json': [{ hash: 'p1', slug: 'blog/2024/hello', collection: 'blog', frontmatter: {} }],
+  };
+
+  beforeEach(() => {
+    mockFetchR2Json = vi.fn((path, options) => Promise.resolve(files[path] ?? options?.defaultValue));
+  });
+
+  const createService = (options = {}) => createPostCollections({ fetchR2Json: mockFetchR2Json, ...options });
+
+  it('lists the collections from collections.json', async () => {
+    const collections = await createService().getCollections();
+
+    expect(Object.keys(collections)).toEqual(['authors', 'blog']);
+    expect(mockFetchR2Json).toHaveBeenCalledWith('/collections.json', { defaultValue: {}, useCache: true });
+  });
+
+  it('returns the published entries of a collection from its entry file', async () => {
+    const entries = await createService().getCollection('authors');
+
+    expect(entries.map((entry) => entry.slug)).toEqual(['alice', 'bob']);
+    expect(mockFetchR2Json).toHaveBeenCalledWith('/collections/authors.json', { defaultValue: [], useCache: true });
+  });
+
+  it('keeps embargoed entries with ignorePublishDates', async () => {
+    const entries = await createService({ ignorePublishDates: true }).getCollection('authors');
+
+    expect(entries).toHaveLength(3);
+  });
+
+  it('throws for an unknown collection', async () => {
+    await expect(createService().getCollection('docs')).rejects.toThrow(
+      'Unknown collection "docs" (available: authors, blog)'
+    );
+  });
+
+  it('gets an entry by slug', async () => {
+    const service = createService({ ignorePublishDates: true });
+
+    expect((await service.getEntry('blog', 'blog/2024/hello')).hash).toBe('p1');
+    expect((await service.getEntry('authors', 'fr/carol')).hash).toBe('c1');
+    expect(await service.getEntry('authors', 'dave')).toBeNull();
+    await expect(service.getEntry('authors', '')).rejects.toThrow('Entry slug is required');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Content Collections module for RepoMD
+ * Provides typed access to the named collections declared in repo.schema.json
+ * (e.g. docs/, blog/, authors/), each published as its own sorted entry file
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { isPostPublished } from "./retrieval.js";
+import type { Post, PostFrontmatter } from "../types/post.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+/** A collection, as listed in collections.json */
+export interface CollectionInfo {
+  /** Collection name */
+  name: string;
+  /** Content folder of the collection */
+  folder: string;
+  /** Entry file, relative to the revision (e.g. "collections/authors.json") */
+  file: string;
+  /** Number of entries */
+  count: number;
+  /** Sort order of the entries ("-" prefix for descending) */
+  sort?: string;
+  /** Slug pattern of the entries (e.g. "blog/{year}/{slug}") */
+  slug?: string;
+}
+
+/**
+ * An entry of a collection: a post with the collection's frontmatter type
+ * Use the generated collections.types.ts for the frontmatter, e.g.
+ * `getCollection<CollectionFrontmatter['authors']>('authors')`
+ */
+export type CollectionEntry<TFrontmatter = PostFrontmatter> = Post<TFrontmatter> & { collection: string };
+
+/** Post collections configuration */
+export interface PostCollectionsConfig {
+  fetchR2Json: <T>(path: string, options?: { defaultValue?: T; useCache?: boolean }) => Promise<T>;
+  debug?: boolean;
+  ignorePublishDates?: boolean;
+}
+
+/** Post collections service interface */
+export interface PostCollectionsService {
+  getCollections: () => Promise<Record<string, CollectionInfo>>;
+  getCollection: <TFrontmatter = PostFrontmatter>(name: string) => Promise<CollectionEntry<TFrontmatter>[]>;
+  getEntry: <TFrontmatter = PostFrontmatter>(name: string, slug: string) => Promise<CollectionEntry<TFrontmatter> | null>;
+}
+
+/**
+ * Create a post collections service
+ * @param config - Configuration object
+ * @returns Post collection functions
+ */
+export function createPostCollections(config: PostCollectionsConfig): PostCollectionsService {
+  const { fetchR2Json, debug = false, ignorePublishDates = false } = config;
+
+  /**
+   * Get the collections of the revision
+   * @returns Collections by name (empty when the project declares none)
+   */
+  async function getCollections(): Promise<Record<string, CollectionInfo>> {
+    return await fetchR2Json<Record<string, CollectionInfo>>("/collections.json", {
+      defaultValue: {},
+      useCache: true,
+    });
+  }
+
+  /**
+   * Get the entries of a collection, in the collection's sort order
+   * Embargoed and expired entries are left out (see isPostPublished).
+   * @param name - Collection name
+   * @returns Collection entries
+   * @throws Error if the collection is not declared
+   */
+  async function getCollection<TFrontmatter = PostFrontmatter>(name: string): Promise<CollectionEntry<TFrontmatter>[]> {
+    if (!name) {
+      throw new Error("Collection name is required");
+    }
+
+    const collections = await getCollections();
+    const collection = collections[name];
+    if (!collection) {
+      const available = Object.keys(collections);
+      throw new Error(
+        `Unknown collection "${name}"${available.length > 0 ? ` (available: ${available.join(", ")})` : ""}`
+      );
+    }
+
+    if (debug) {
+      console.log(`${prefix} 📚 Fetching collection ${name} from ${collection.file}`);
+    }
+    const entries = await fetchR2Json<CollectionEntry<TFrontmatter>[]>(`/${collection.file}`, {
+      defaultValue: [],
+      useCache: true,
+    });
+
+    if (ignorePublishDates) return entries;
+    const now = new Date();
+    return entries.filter((entry) => isPostPublished(entry as Post, now));
+  }
+
+  /**
+   * Get one entry of a collection
+   * @param name - Collection name
+   * @param slug - Entry slug (or locale-qualified slug)
+   * @returns The entry, or null if the collection has no such entry
+   * @throws Error if the collection is not declared
+   */
+  async function getEntry<TFrontmatter = PostFrontmatter>(
+    name: string,
+    slug: string
+  ): Promise<CollectionEntry<TFrontmatter> | null> {
+    if (!slug) {
+      throw new Error("Entry slug is required");
+    }
+
+    const entries = await getCollection<TFrontmatter>(name);
+    const entry = entries.find((item) => item.slug === slug) || entries.find((item) => item.localizedSlug === slug);
+    if (!entry && debug) {
+      console.log(`${prefix} ❓ No entry ${slug} in collection ${name}`);
+    }
+    return entry || null;
+  }
+
+  return {
+    getCollections,
+    getCollection,
+    getEntry,
+  };
+}
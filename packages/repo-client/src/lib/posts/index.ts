@@ -2,17 +2,24 @@
  * Posts module barrel export for RepoMD
  */
 
-import { createPostRetrieval } from './retrieval.js';
+import { createPostRetrieval, isPostPublished } from './retrieval.js';
 import { createPostSimilarity } from './similarity.js';
+import { createPostCollections } from './collections.js';
 import { createPostSearch } from './search.js';
+import { PostQuery } from './query.js';
 
 export {
   createPostRetrieval,
+  isPostPublished,
   createPostSimilarity,
+  createPostCollections,
   createPostSearch,
+  PostQuery,
 };
 
 // Re-export types
-export type { Post, PostStats, PostRetrievalConfig, PostRetrievalService, AugmentOptions } from './retrieval.js';
+export type { Post, PostStats, PostRetrievalConfig, PostRetrievalService, AugmentOptions, GetPostBySlugOptions } from './retrieval.js';
 export type { PostSimilarityConfig, PostSimilarityService } from './similarity.js';
-export type { Media, SearchResult, SearchOptions, SearchParams, PostSearchConfig, PostSearchService } from './search.js';
+export type { CollectionInfo, CollectionEntry, PostCollectionsConfig, PostCollectionsService } from './collections.js';
+export type { Media, SearchResult, SearchOptions, SearchParams, PostSearchConfig, PostSearchService, PostPassage, PassageMatch, PassageSearchOptions } from './search.js';
+export type { QueryOperator, QueryCondition, QueryResult, FacetCount, FrontmatterSchema, SqliteExecutor, PostQueryConfig } from './query.js';
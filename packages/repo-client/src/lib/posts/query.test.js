@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PostQuery } from './query.js';
+
+const schema = {
+  tags: { types: ['array'], occurrences: 3, nullable: false, recommendedType: 'array<string>', sqlType: 'TEXT', columnName: 'tags', needsQuoting: false },
+  date: { types: ['string'], occurrences: 3, nullable: false, recommendedType: 'date:YYYY-MM-DD', sqlType: 'TEXT', columnName: 'date', needsQuoting: false },
+  author: { types: ['string'], occurrences: 2, nullable: true, recommendedType: 'string', sqlType: 'TEXT', columnName: 'author', needsQuoting: false },
+  'read-time': { types: ['number'], occurrences: 1, nullable: true, recommendedType: 'number', sqlType: 'REAL', columnName: 'read-time', needsQuoting: true },
+};
+
+const posts = [
+  { hash: 'a', slug: 'first', title: 'First', frontmatter: { tags: ['guides', 'setup'], date: '2024-01-10', author: 'sam' } },
+  { hash: 'b', slug: 'second', title: 'Second', frontmatter: { tags: ['guides'], date: '2024-03-02', author: 'alex' } },
+  { hash: 'c', slug: 'third', title: 'Third', frontmatter: { tags: ['news'], date: '2023-12-24' } },
+];
+
+const createQuery = (config = {}) =>
+  new PostQuery({
+    getAllPosts: vi.fn(() => Promise.resolve(posts)),
+    getFrontmatterSchema: vi.fn(() => Promise.resolve(schema)),
+    getSqliteUrl: vi.fn(() => Promise.resolve('https://static.repo.md/projects/p1/rev1/content.sqlite')),
+    ...config,
+  });
+
+describe('PostQuery', () => {
+  describe('in memory', () => {
+    it('should filter, sort and limit posts', async () => {
+      const result = await createQuery()
+        .where('tags', 'contains', 'guides')
+        .where('date', '>', '2024-01-01')
+        .orderBy('date', 'desc')
+        .limit(1)
+        .run();
+
+      expect(result.posts.map((post) => post.hash)).toEqual(['b']);
+      expect(result.total).toBe(2);
+    });
+
+    it('should support in, exists and post properties', async () => {
+      const withAuthor = await createQuery().where('author', 'exists').orderBy('slug').run();
+      expect(withAuthor.posts.map((post) => post.hash)).toEqual(['a', 'b']);
+
+      const bySlug = await createQuery().where('slug', 'in', ['first', 'third']).run();
+      expect(bySlug.posts.map((post) => post.hash)).toEqual(['a', 'c']);
+    });
+
+    it('should count facets over matching posts before the limit', async () => {
+      const result = await createQuery().where('date', '>=', '2024-01-01').limit(1).facets(['tags', 'author']).run();
+
+      expect(result.facets.tags).toEqual([
+        { value: 'guides', count: 2 },
+        { value: 'setup', count: 1 },
+      ]);
+      expect(result.facets.author).toEqual([
+        { value: 'alex', count: 1 },
+        { value: 'sam', count: 1 },
+      ]);
+    });
+
+    it('should reject unsupported operators', () => {
+      expect(() => createQuery().where('tags', 'like', 'x')).toThrow(/Unsupported operator/);
+    });
+  });
+
+  describe('SQLite', () => {
+    it('should compile conditions to SQL using the schema columns', () => {
+      const compiled = createQuery()
+        .where('tags', 'contains', 'guides')
+        .where('read-time', '<=', 5)
+        .orderBy('date', 'desc')
+        .limit(10)
+        .facets(['tags', 'author'])
+        .toSQL(schema);
+
+      expect(compiled.sql).toBe(
+        'SELECT * FROM posts WHERE EXISTS (SELECT 1 FROM json_each("tags") WHERE json_each.value = ?) AND "read-time" <= ? ORDER BY "date" IS NULL, "date" DESC LIMIT 10 OFFSET 0'
+      );
+      expect(compiled.params).toEqual(['guides', 5]);
+      expect(compiled.facets.tags.sql).toContain('json_each(posts."tags")');
+      expect(compiled.facets.author.sql).toContain('GROUP BY "author"');
+    });
+
+    it('should match posts without the field with != like in memory', async () => {
+      const compiled = createQuery().where('author', '!=', 'sam').toSQL(schema);
+      expect(compiled.sql).toBe('SELECT * FROM posts WHERE ("author" IS NULL OR "author" <> ?)');
+      expect(compiled.params).toEqual(['sam']);
+
+      const inMemory = await createQuery().where('author', '!=', 'sam').orderBy('slug').run();
+      expect(inMemory.posts.map((post) => post.hash)).toEqual(['b', 'c']);
+    });
+
+    it('should throw for fields missing from the schema', () => {
+      expect(() => createQuery().where('unknown', '=', 1).toSQL(schema)).toThrow(/Unknown field 'unknown'/);
+    });
+
+    it('should run through the executor', async () => {
+      const executor = vi.fn((sql) => {
+        if (sql.startsWith('SELECT COUNT(*)')) return Promise.resolve([{ count: 2 }]);
+        if (sql.includes('GROUP BY')) return Promise.resolve([{ value: 'guides', count: 2 }]);
+        return Promise.resolve([
+          { _id: 'b', _slug: 'second', _title: 'Second', _frontmatter: '{"author":"alex"}' },
+        ]);
+      });
+
+      const result = await createQuery({ executor }).where('tags', 'contains', 'guides').limit(1).facets(['tags']).run();
+
+      expect(result.total).toBe(2);
+      expect(result.posts[0]).toMatchObject({ hash: 'b', slug: 'second', frontmatter: { author: 'alex' } });
+      expect(result.facets.tags).toEqual([{ value: 'guides', count: 2 }]);
+      expect(executor).toHaveBeenCalledWith(expect.any(String), ['guides'], {
+        url: 'https://static.repo.md/projects/p1/rev1/content.sqlite',
+      });
+    });
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Faceted query builder over post frontmatter
+ *
+ * Queries run in memory over getAllPosts(), or against content.sqlite when a SQL
+ * executor is provided (the client has no SQLite engine of its own: plug sql.js,
+ * D1, better-sqlite3...). Both use the frontmatter schema generated at build time
+ * (posts-schema.json) to compare dates and arrays, and to map fields to columns.
+ *
+ * @example
+ * ```typescript
+ * const { posts, total, facets } = await repo
+ *   .query()
+ *   .where('tags', 'contains', 'guides')
+ *   .where('date', '>', '2024-01-01')
+ *   .orderBy('date', 'desc')
+ *   .limit(10)
+ *   .facets(['tags', 'author'])
+ *   .run();
+ * ```
+ */
+
+import type { Post } from '../types/post.js';
+
+/** Comparison operators */
+export type QueryOperator = '=' | '!=' | '>' | '>=' | '<' | '<=' | 'contains' | 'in' | 'exists';
+
+const OPERATORS: QueryOperator[] = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'in', 'exists'];
+
+/** Filter condition */
+export interface QueryCondition {
+  field: string;
+  operator: QueryOperator;
+  value: unknown;
+}
+
+/** Property of the frontmatter schema (posts-schema.json, from scanFrontmatterSchema) */
+export interface FrontmatterSchemaProperty {
+  types: string[];
+  occurrences: number;
+  nullable: boolean;
+  recommendedType: string; // e.g. "string", "number", "boolean", "date:ISO8601", "array<string>"
+  sqlType: string;
+  columnName: string;
+  needsQuoting: boolean;
+}
+
+/** Frontmatter schema, keyed by frontmatter property */
+export type FrontmatterSchema = Record<string, FrontmatterSchemaProperty>;
+
+/**
+ * Runs a SQL query against content.sqlite
+ * @param sql - Query with positional "?" parameters
+ * @param params - Parameter values
+ * @param context.url - URL of the revision's content.sqlite (from getSqliteUrl)
+ * @returns Result rows
+ */
+export type SqliteExecutor = (
+  sql: string,
+  params: unknown[],
+  context: { url: string }
+) => Promise<Record<string, unknown>[]>;
+
+/** Compiled SQL statements of a query */
+export interface CompiledQuery {
+  sql: string;
+  params: unknown[];
+  countSql: string;
+  countParams: unknown[];
+  facets: Record<string, { sql: string; params: unknown[] }>;
+}
+
+/** Facet value count */
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+/** Query result */
+export interface QueryResult {
+  posts: Post[];
+  total: number; // Matching posts before limit/offset
+  facets: Record<string, FacetCount[]>;
+}
+
+/** Query builder configuration */
+export interface PostQueryConfig {
+  getAllPosts: () => Promise<Post[]>;
+  getFrontmatterSchema: () => Promise<FrontmatterSchema | null>;
+  getSqliteUrl?: () => Promise<string>;
+  executor?: SqliteExecutor | null;
+  debug?: boolean;
+}
+
+// Post properties stored as dedicated columns of the posts table
+const BUILTIN_COLUMNS: Record<string, string> = {
+  hash: '_id',
+  slug: '_slug',
+  title: '_title',
+  wordCount: '_wordCount',
+  path: '_path',
+  created: '_created',
+  modified: '_modified',
+};
+
+const isDateType = (type?: string): boolean => !!type && type.startsWith('date:');
+const isArrayType = (type?: string): boolean => !!type && type.startsWith('array');
+
+/**
+ * Get the value of a field: frontmatter first, then the post itself
+ */
+function getFieldValue(post: Post, field: string): unknown {
+  const frontmatter = post.frontmatter as Record<string, unknown> | undefined;
+  if (frontmatter && Object.prototype.hasOwnProperty.call(frontmatter, field)) {
+    return frontmatter[field];
+  }
+  return post[field];
+}
+
+/**
+ * Normalize a comparison value: Dates become ISO strings, as in content.sqlite
+ */
+function toComparable(value: unknown): unknown {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Compare two scalar values (dates by time, numbers numerically, others as strings)
+ * @returns Negative, zero or positive like Array.sort comparators
+ */
+function compareValues(a: unknown, b: unknown, type?: string): number {
+  if (isDateType(type) || a instanceof Date || b instanceof Date) {
+    const timeA = new Date(a as string).getTime();
+    const timeB = new Date(b as string).getTime();
+    if (!Number.isNaN(timeA) && !Number.isNaN(timeB)) return timeA - timeB;
+  }
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number' || typeof b === 'number') {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+export class PostQuery {
+  private readonly config: PostQueryConfig;
+  private readonly conditions: QueryCondition[] = [];
+  private sort: { field: string; direction: 'asc' | 'desc' } | null = null;
+  private limitCount: number | null = null;
+  private offsetCount = 0;
+  private facetFields: string[] = [];
+
+  constructor(config: PostQueryConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Add a filter condition (conditions are combined with AND)
+   * @param field - Frontmatter property (or post property such as slug, title, wordCount)
+   * @param operator - Comparison operator; 'contains' matches array items or substrings
+   * @param value - Value to compare with (an array for 'in', a boolean for 'exists')
+   */
+  where(field: string, operator: QueryOperator, value?: unknown): this {
+    if (!field || typeof field !== 'string') {
+      throw new Error('Field name is required for where()');
+    }
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported operator '${operator}'. Available operators: ${OPERATORS.join(', ')}`);
+    }
+    if (operator === 'in' && !Array.isArray(value)) {
+      throw new Error("The 'in' operator requires an array of values");
+    }
+    this.conditions.push({ field, operator, value: operator === 'exists' ? value !== false : value });
+    return this;
+  }
+
+  /**
+   * Sort the results (posts without the field come last)
+   */
+  orderBy(field: string, direction: 'asc' | 'desc' = 'asc'): this {
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error("Sort direction must be 'asc' or 'desc'");
+    }
+    this.sort = { field, direction };
+    return this;
+  }
+
+  limit(count: number): this {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('Limit must be a non-negative integer');
+    }
+    this.limitCount = count;
+    return this;
+  }
+
+  offset(count: number): this {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('Offset must be a non-negative integer');
+    }
+    this.offsetCount = count;
+    return this;
+  }
+
+  /**
+   * Count matching posts by value of these fields (array items are counted separately)
+   */
+  facets(fields: string[]): this {
+    this.facetFields = [...fields];
+    return this;
+  }
+
+  /**
+   * Run the query: against content.sqlite when an executor is configured, in memory otherwise
+   */
+  async run(): Promise<QueryResult> {
+    const schema = await this.config.getFrontmatterSchema();
+    if (this.config.executor) {
+      return await this.runSql(schema || {});
+    }
+    return await this.runInMemory(schema || {});
+  }
+
+  /**
+   * Compile the query to SQL for the posts table of content.sqlite
+   * @param schema - Frontmatter schema mapping properties to columns
+   * @throws If a field is neither a post column nor in the schema
+   */
+  toSQL(schema: FrontmatterSchema): CompiledQuery {
+    const column = (field: string): { sql: string; type?: string } => {
+      const property = schema[field];
+      if (property) {
+        return { sql: `"${property.columnName.replace(/"/g, '""')}"`, type: property.recommendedType };
+      }
+      if (BUILTIN_COLUMNS[field]) return { sql: BUILTIN_COLUMNS[field] };
+      throw new Error(`Unknown field '${field}': not in the frontmatter schema`);
+    };
+
+    const params: unknown[] = [];
+    const clauses = this.conditions.map(({ field, operator, value }) => {
+      const { sql, type } = column(field);
+      switch (operator) {
+        case 'exists':
+          return value ? `${sql} IS NOT NULL` : `${sql} IS NULL`;
+        case 'contains':
+          params.push(toComparable(value));
+          return isArrayType(type)
+            ? `EXISTS (SELECT 1 FROM json_each(${sql}) WHERE json_each.value = ?)`
+            : `instr(${sql}, ?) > 0`;
+        case 'in': {
+          const values = (value as unknown[]).map(toComparable);
+          params.push(...values);
+          return `${sql} IN (${values.map(() => '?').join(', ') || 'NULL'})`;
+        }
+        default:
+          params.push(typeof value === 'boolean' ? Number(value) : toComparable(value));
+          // Posts without the field match '!=' (like in memory), but NULL <> ? is never true
+          return operator === '!=' ? `(${sql} IS NULL OR ${sql} <> ?)` : `${sql} ${operator} ?`;
+      }
+    });
+    const where = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+
+    let sql = `SELECT * FROM posts${where}`;
+    if (this.sort) {
+      const { sql: sortColumn } = column(this.sort.field);
+      sql += ` ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${this.sort.direction.toUpperCase()}`;
+    }
+    if (this.limitCount !== null || this.offsetCount > 0) {
+      sql += ` LIMIT ${this.limitCount ?? -1} OFFSET ${this.offsetCount}`;
+    }
+
+    const facets: CompiledQuery['facets'] = {};
+    for (const field of this.facetFields) {
+      const { sql: facetColumn, type } = column(field);
+      facets[field] = {
+        sql: isArrayType(type)
+          ? `SELECT json_each.value AS value, COUNT(*) AS count FROM posts, json_each(posts.${facetColumn})${where} GROUP BY json_each.value ORDER BY count DESC, value`
+          : `SELECT ${facetColumn} AS value, COUNT(*) AS count FROM posts${where ? `${where} AND` : ' WHERE'} ${facetColumn} IS NOT NULL GROUP BY ${facetColumn} ORDER BY count DESC, value`,
+        params: [...params],
+      };
+    }
+
+    return {
+      sql,
+      params,
+      countSql: `SELECT COUNT(*) AS count FROM posts${where}`,
+      countParams: [...params],
+      facets,
+    };
+  }
+
+  private async runSql(schema: FrontmatterSchema): Promise<QueryResult> {
+    const executor = this.config.executor!;
+    if (!this.config.getSqliteUrl) {
+      throw new Error('getSqliteUrl is required to query content.sqlite');
+    }
+    const url = await this.config.getSqliteUrl();
+    const compiled = this.toSQL(schema);
+
+    if (this.config.debug) {
+      console.log(`🔎 Querying content.sqlite: ${compiled.sql}`, compiled.params);
+    }
+
+    const [rows, countRows, ...facetRows] = await Promise.all([
+      executor(compiled.sql, compiled.params, { url }),
+      executor(compiled.countSql, compiled.countParams, { url }),
+      ...Object.values(compiled.facets).map(({ sql, params }) => executor(sql, params, { url })),
+    ]);
+
+    const facets: Record<string, FacetCount[]> = {};
+    Object.keys(compiled.facets).forEach((field, i) => {
+      facets[field] = facetRows[i].map((row) => ({ value: String(row.value), count: Number(row.count) }));
+    });
+
+    return {
+      posts: rows.map((row) => this.rowToPost(row)),
+      total: Number(countRows[0]?.count ?? 0),
+      facets,
+    };
+  }
+
+  private rowToPost(row: Record<string, unknown>): Post {
+    const parseJson = (value: unknown): Record<string, unknown> => {
+      try {
+        return typeof value === 'string' ? JSON.parse(value) : {};
+      } catch {
+        return {};
+      }
+    };
+    return {
+      hash: String(row._id ?? ''),
+      slug: String(row._slug ?? ''),
+      title: (row._title as string) ?? undefined,
+      html: (row._content as string) ?? undefined,
+      wordCount: (row._wordCount as number) ?? undefined,
+      path: (row._path as string) ?? undefined,
+      frontmatter: parseJson(row._frontmatter),
+    };
+  }
+
+  private async runInMemory(schema: FrontmatterSchema): Promise<QueryResult> {
+    const posts = await this.config.getAllPosts();
+
+    const matches = posts.filter((post) =>
+      this.conditions.every((condition) => this.matchesCondition(post, condition, schema[condition.field]?.recommendedType))
+    );
+
+    if (this.sort) {
+      const { field, direction } = this.sort;
+      const type = schema[field]?.recommendedType;
+      const factor = direction === 'desc' ? -1 : 1;
+      matches.sort((a, b) => {
+        const valueA = getFieldValue(a, field);
+        const valueB = getFieldValue(b, field);
+        if (valueA === undefined || valueA === null) return valueB === undefined || valueB === null ? 0 : 1;
+        if (valueB === undefined || valueB === null) return -1;
+        return factor * compareValues(valueA, valueB, type);
+      });
+    }
+
+    const facets: Record<string, FacetCount[]> = {};
+    for (const field of this.facetFields) {
+      const counts = new Map<string, number>();
+      for (const post of matches) {
+        const value = getFieldValue(post, field);
+        const values = Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+        for (const item of new Set(values.map((entry) => String(toComparable(entry))))) {
+          counts.set(item, (counts.get(item) || 0) + 1);
+        }
+      }
+      facets[field] = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    const end = this.limitCount === null ? undefined : this.offsetCount + this.limitCount;
+    return {
+      posts: matches.slice(this.offsetCount, end),
+      total: matches.length,
+      facets,
+    };
+  }
+
+  private matchesCondition(post: Post, { field, operator, value }: QueryCondition, type?: string): boolean {
+    const actual = getFieldValue(post, field);
+    const present = actual !== undefined && actual !== null;
+
+    switch (operator) {
+      case 'exists':
+        return value ? present : !present;
+      case 'contains':
+        if (Array.isArray(actual)) return actual.some((item) => compareValues(item, value, type) === 0);
+        return typeof actual === 'string' && actual.includes(String(value));
+      case 'in':
+        return present && (value as unknown[]).some((candidate) => compareValues(actual, candidate, type) === 0);
+      case '=':
+        return present && compareValues(actual, value, type) === 0;
+      case '!=':
+        return !present || compareValues(actual, value, type) !== 0;
+      default: {
+        if (!present) return false;
+        const comparison = compareValues(actual, value, type);
+        if (operator === '>') return comparison > 0;
+        if (operator === '>=') return comparison >= 0;
+        if (operator === '<') return comparison < 0;
+        return comparison <= 0;
+      }
+    }
+  }
+}
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { createPostRetrieval } from './retrieval.js';
+import { createPostRetrieval, isPostPublished } from './retrieval.js';
 
 describe('Posts Retrieval Module', () => {
   let mockFetchR2Json;
@@ -683,4 +683,150 @@ describe('Posts Retrieval Module', () => {
       expect(posts).toHaveLength(2);
     });
   });
+
+  describe('Scheduled publishing', () => {
+    const past = '2020-01-01T00:00:00Z';
+    const future = '2999-01-01T00:00:00Z';
+    const timedPosts = [
+      { hash: 'hash-live', slug: 'live', frontmatter: {} },
+      { hash: 'hash-embargoed', slug: 'embargoed', frontmatter: { publishAt: future } },
+      { hash: 'hash-expired', slug: 'expired', frontmatter: { unpublishAt: past } },
+      { hash: 'hash-window', slug: 'window', frontmatter: { publishAt: past, unpublishAt: future } },
+    ];
+
+    it('should tell whether a post is published at a given time', () => {
+      const now = new Date('2025-06-01T00:00:00Z');
+
+      expect(isPostPublished({ frontmatter: {} }, now)).toBe(true);
+      expect(isPostPublished({ frontmatter: { publishAt: '2025-07-01' } }, now)).toBe(false);
+      expect(isPostPublished({ frontmatter: { publishAt: '2025-05-01' } }, now)).toBe(true);
+      expect(isPostPublished({ frontmatter: { unpublishAt: '2025-06-01T00:00:00Z' } }, now)).toBe(false);
+      expect(isPostPublished({ frontmatter: { publishAt: 'not a date' } }, now)).toBe(true);
+      expect(isPostPublished(null, now)).toBe(false);
+    });
+
+    it('should leave embargoed and expired posts out of getAllPosts', async () => {
+      mockFetchR2Json.mockResolvedValue(timedPosts);
+
+      const retrieval = createRetrieval();
+      const posts = await retrieval.getAllPosts();
+      const cachedPosts = await retrieval.getAllPosts();
+
+      expect(posts.map((post) => post.slug)).toEqual(['live', 'window']);
+      expect(cachedPosts.map((post) => post.slug)).toEqual(['live', 'window']);
+    });
+
+    it('should return null from getPostBySlug for posts that are not published', async () => {
+      mockFetchR2Json.mockImplementation(async (path) =>
+        timedPosts.find((post) => path === `/_posts/slug/${post.slug}.json`) || null
+      );
+
+      const retrieval = createRetrieval();
+
+      expect(await retrieval.getPostBySlug('embargoed')).toBeNull();
+      expect(await retrieval.getPostBySlug('expired')).toBeNull();
+      expect((await retrieval.getPostBySlug('window')).slug).toBe('window');
+    });
+
+    it('should return every post when ignorePublishDates is set', async () => {
+      mockFetchR2Json.mockResolvedValue(timedPosts);
+
+      const retrieval = createRetrieval({ ignorePublishDates: true });
+      const posts = await retrieval.getAllPosts();
+
+      expect(posts).toHaveLength(4);
+      expect((await retrieval.getPostBySlug('embargoed')).slug).toBe('embargoed');
+    });
+  });
+
+  describe('Translations', () => {
+    const alternates = [
+      { hreflang: 'en', locale: 'en', hash: 'hash-en', slug: 'setup', url: '/content/setup' },
+      { hreflang: 'fr', locale: 'fr', hash: 'hash-fr', slug: 'setup', url: '/content/fr/setup' },
+      { hreflang: 'x-default', locale: 'en', hash: 'hash-en', slug: 'setup', url: '/content/setup' },
+    ];
+    const localizedPosts = [
+      { hash: 'hash-en', slug: 'setup', locale: 'en', localizedSlug: 'setup', alternates },
+      { hash: 'hash-fr', slug: 'setup', locale: 'fr', localizedSlug: 'fr/setup', alternates },
+      { hash: 'hash-about', slug: 'about', locale: 'en', localizedSlug: 'about' },
+    ];
+
+    it('should load the post of the requested locale from its locale-qualified slug file', async () => {
+      mockFetchR2Json.mockImplementation(async (path) =>
+        path === '/posts.json'
+          ? localizedPosts
+          : localizedPosts.find((post) => path === `/_posts/slug/${post.localizedSlug}.json`) || null
+      );
+
+      const retrieval = createRetrieval();
+
+      expect((await retrieval.getPostBySlug('setup')).hash).toBe('hash-en');
+      expect((await retrieval.getPostBySlug('setup', { locale: 'fr' })).hash).toBe('hash-fr');
+      expect((await retrieval.getPostBySlug('fr/setup')).hash).toBe('hash-fr');
+      expect(await retrieval.getPostBySlug('about', { locale: 'fr' })).toBeNull();
+    });
+
+    it('should match slug and locale in the posts cache', async () => {
+      mockFetchR2Json.mockResolvedValue(localizedPosts);
+
+      const retrieval = createRetrieval();
+      await retrieval.getAllPosts();
+
+      expect((await retrieval.getPostBySlug('setup', { locale: 'fr' })).hash).toBe('hash-fr');
+      expect((await retrieval.getPostBySlug('setup', { locale: 'en' })).hash).toBe('hash-en');
+    });
+
+    it('should return the other translations of a post', async () => {
+      mockFetchR2Json.mockResolvedValue(localizedPosts);
+
+      const retrieval = createRetrieval();
+      await retrieval.getAllPosts();
+
+      const translations = await retrieval.getTranslations('hash-en');
+      expect(translations.map((post) => post.hash)).toEqual(['hash-fr']);
+      expect(await retrieval.getTranslations('hash-about')).toEqual([]);
+      await expect(retrieval.getTranslations('')).rejects.toThrow('Hash is required');
+    });
+  });
+
+  describe('Reference expansion', () => {
+    const referencePosts = [
+      {
+        hash: 'hash-post',
+        slug: 'hello',
+        frontmatter: { author: '[[Jane Doe]]', related: ['a', 'b'], reviewer: '[[Nobody]]' },
+        references: { author: 'hash-jane', related: ['hash-a', 'hash-b'], reviewer: null },
+      },
+      { hash: 'hash-jane', slug: 'authors/jane-doe', title: 'Jane Doe' },
+      { hash: 'hash-a', slug: 'a' },
+      { hash: 'hash-b', slug: 'b', frontmatter: { publishAt: '2999-01-01' } },
+    ];
+
+    it('should expand the requested reference fields into their target posts', async () => {
+      mockFetchR2Json.mockResolvedValue(referencePosts);
+
+      const retrieval = createRetrieval();
+      await retrieval.getAllPosts();
+
+      const post = await retrieval.getPostBySlug('hello', { expand: ['author', 'related', 'reviewer', 'unknown'] });
+      expect(post.expanded.author.title).toBe('Jane Doe');
+      // Unpublished targets are left out
+      expect(post.expanded.related.map((target) => target.hash)).toEqual(['hash-a']);
+      expect(post.expanded.reviewer).toBeNull();
+      expect(post.expanded).not.toHaveProperty('unknown');
+    });
+
+    it('should not expand references unless requested', async () => {
+      mockFetchR2Json.mockResolvedValue(referencePosts);
+
+      const retrieval = createRetrieval();
+      await retrieval.getAllPosts();
+
+      const post = await retrieval.getPostBySlug('hello');
+      expect(post.expanded).toBeUndefined();
+      // The cached post is not modified by an expansion
+      await retrieval.getPostBySlug('hello', { expand: ['author'] });
+      expect((await retrieval.getPostBySlug('hello')).expanded).toBeUndefined();
+    });
+  });
 });
@@ -40,6 +40,7 @@ export interface PostRetrievalConfig {
   stats?: PostStats;
   debug?: boolean;
   getActiveRev?: (() => string | undefined) | null;
+  ignorePublishDates?: boolean;
 }
 
 /** Options for augmenting posts */
@@ -49,12 +50,20 @@ export interface AugmentOptions {
   useCache?: boolean;
 }
 
+/** Options for getPostBySlug */
+export interface GetPostBySlugOptions {
+  locale?: string;
+  /** Reference fields to expand into their target posts (see Post.expanded) */
+  expand?: string[];
+}
+
 /** Post retrieval service interface */
 export interface PostRetrievalService {
   getAllPosts: (useCache?: boolean, forceRefresh?: boolean) => Promise<Post[]>;
   getPostByPath: (path: string) => Promise<Post | null>;
-  getPostBySlug: (slug: string) => Promise<Post | null>;
+  getPostBySlug: (slug: string, options?: GetPostBySlugOptions) => Promise<Post | null>;
   getPostByHash: (hash: string) => Promise<Post | null>;
+  getTranslations: (hash: string) => Promise<Post[]>;
   augmentPostsByProperty: (keys: string[], property: string, options?: AugmentOptions) => Promise<Post[]>;
   sortPostsByDate: (posts: Post[]) => Post[];
   getRecentPosts: (count?: number) => Promise<Post[]>;
@@ -62,13 +71,51 @@ export interface PostRetrievalService {
   _findPostByProperty: (posts: Post[] | null | undefined, property: string, value: unknown) => Post | null;
 }
 
+/**
+ * Parse a publishAt/unpublishAt frontmatter value
+ * @param value - Frontmatter value
+ * @returns Timestamp in ms, or null if missing or invalid
+ */
+function toPublishTime(value: unknown): number | null {
+  if (value === null || value === undefined || value === '') return null;
+  const time = new Date(value as string | number | Date).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a post is live according to its publishAt/unpublishAt frontmatter.
+ * Builds already leave out embargoed posts; this also hides posts between their
+ * boundary and the scheduled rebuild, and in builds made without publish dates (previews).
+ * @param post - Post to check
+ * @param now - Reference time (defaults to now)
+ * @returns True if the post is published at that time
+ */
+export function isPostPublished(post: Post | null | undefined, now: Date = new Date()): boolean {
+  if (!post) return false;
+  const time = now.getTime();
+  const publishAt = toPublishTime(post.frontmatter?.publishAt);
+  const unpublishAt = toPublishTime(post.frontmatter?.unpublishAt);
+  if (publishAt !== null && publishAt > time) return false;
+  if (unpublishAt !== null && unpublishAt <= time) return false;
+  return true;
+}
+
 /**
  * Create a post retrieval service
  * @param config - Configuration object
  * @returns Post retrieval functions
  */
 export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalService {
-  const { getSharedFolderUrl, fetchR2Json, fetchJson, _fetchMapData, stats, debug = false, getActiveRev = null } = config;
+  const {
+    getSharedFolderUrl,
+    fetchR2Json,
+    fetchJson,
+    _fetchMapData,
+    stats,
+    debug = false,
+    getActiveRev = null,
+    ignorePublishDates = false,
+  } = config;
 
   // Local post cache reference with revision tracking
   let postsCache: Post[] | null = null;
@@ -85,6 +132,31 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
     postsCacheRevision = null;
   }
 
+  /**
+   * Remove posts that are not live yet or anymore
+   * The cache keeps every post so the result follows the clock between rebuilds
+   * @param posts - Posts to filter
+   * @returns Published posts
+   */
+  function filterPublished(posts: Post[]): Post[] {
+    if (ignorePublishDates) return posts;
+    const now = new Date();
+    return posts.filter((post) => isPostPublished(post, now));
+  }
+
+  /**
+   * Keep a single post only if it is live
+   * @param post - Post to check
+   * @returns The post, or null if it is embargoed or expired
+   */
+  function onlyPublished(post: Post | null): Post | null {
+    if (!post || ignorePublishDates || isPostPublished(post)) return post;
+    if (debug) {
+      console.log(`${prefix} ⏰ Post ${post.slug} is not published at this time`);
+    }
+    return null;
+  }
+
   /**
    * Helper function to find post in array by property
    * @param posts - Array of posts
@@ -97,7 +169,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
   }
 
   /**
-   * Get all blog posts
+   * Get all published blog posts (see isPostPublished)
    * @param useCache - Whether to use cache
    * @param forceRefresh - Whether to force refresh from R2
    * @returns Array of posts
@@ -133,7 +205,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
         stats.posts.lastUpdated = Date.now();
       }
 
-      return postsCache;
+      return filterPublished(postsCache);
     }
 
     // Fetch posts from R2
@@ -165,7 +237,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
       }
     }
 
-    return posts;
+    return filterPublished(posts);
   }
 
   /**
@@ -211,13 +283,55 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
   }
 
 
+  /**
+   * Expand reference fields into their target posts
+   * Dangling and unpublished targets are left out (null for single references).
+   * @param post - Post with resolved references
+   * @param fields - Reference fields to expand
+   * @returns A copy of the post with `expanded` set
+   */
+  async function expandReferences(post: Post, fields: string[]): Promise<Post> {
+    const expanded: Record<string, Post | Post[] | null> = { ...post.expanded };
+
+    for (const field of fields) {
+      const reference = post.references?.[field];
+      if (reference === undefined) {
+        if (debug) {
+          console.log(`${prefix} ❓ Post ${post.slug} has no reference field '${field}' to expand`);
+        }
+        continue;
+      }
+
+      if (Array.isArray(reference)) {
+        const targets = await Promise.all(reference.map(async (hash) => onlyPublished(await getPostByHash(hash))));
+        expanded[field] = targets.filter((target): target is Post => target !== null);
+      } else {
+        expanded[field] = reference ? onlyPublished(await getPostByHash(reference)) : null;
+      }
+    }
+
+    return { ...post, expanded };
+  }
+
   /**
    * Get a single blog post by slug
-   * @param slug - Post slug
-   * @returns Post object or null
+   * @param slug - Post slug (or locale-qualified slug, e.g. "fr/mon-article")
+   * @param options - Lookup options
+   * @param options.locale - Only return the post of this locale (slugs are unique per locale)
+   * @param options.expand - Reference fields to expand into their target posts (e.g. ['author'])
+   * @returns Post object, or null if not found or not published
    * @throws If slug parameter is missing or invalid
    */
-  async function getPostBySlug(slug: string): Promise<Post | null> {
+  async function getPostBySlug(slug: string, options: GetPostBySlugOptions = {}): Promise<Post | null> {
+    const post = await findPostBySlug(slug, options);
+    if (!post || !options.expand?.length) return post;
+    return await expandReferences(post, options.expand);
+  }
+
+  /**
+   * Find a single blog post by slug, without expanding references (see getPostBySlug)
+   */
+  async function findPostBySlug(slug: string, options: GetPostBySlugOptions = {}): Promise<Post | null> {
     // Validate slug parameter
     if (!slug) {
       throw new Error('Slug is required for getPostBySlug operation');
@@ -227,11 +341,17 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
       throw new Error('Slug must be a string value');
     }
 
+    const { locale } = options;
     const startTime = performance.now();
     let lookupMethod = 'unknown';
 
+    // Posts of the requested locale first, then the unqualified slug (default locale)
+    const slugKeys = locale ? [`${locale}/${slug}`, slug] : [slug];
+    const matchesSlug = (post: Post): boolean =>
+      (post.slug === slug || post.localizedSlug === slug) && (!locale || post.locale === locale);
+
     if (debug) {
-      console.log(`${prefix} 📡 Fetching post with slug: ${slug}`);
+      console.log(`${prefix} 📡 Fetching post with slug: ${slug}${locale ? ` (locale: ${locale})` : ''}`);
     }
 
     // First check if we already have posts in memory
@@ -239,7 +359,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
       if (debug) {
         console.log(`${prefix} 💾 Searching for slug in cached posts array`);
       }
-      const post = _findPostByProperty(postsCache, 'slug', slug);
+      const post = postsCache.find(matchesSlug) || null;
       if (post) {
         lookupMethod = 'memory-cache';
         const duration = (performance.now() - startTime).toFixed(2);
@@ -257,90 +377,94 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
           stats.posts.lastUpdated = Date.now();
         }
 
-        return post;
+        return onlyPublished(post);
       }
     }
 
-    // Try to directly load the post by its slug from the individual JSON file
-    const slugPath = `/_posts/slug/${slug}.json`;
-    if (debug) {
-      console.log(
-        `${prefix} 🔍 Trying to load individual post file directly: ${slugPath}`
-      );
-    }
-
-    try {
-      const post = await fetchR2Json<Post | null>(slugPath, {
-        defaultValue: null,
-        useCache: true,
-      });
-
-      if (post) {
-        lookupMethod = 'direct-slug-file';
-        const duration = (performance.now() - startTime).toFixed(2);
-        if (debug) {
-          console.log(
-            `${prefix} ✅ Successfully loaded post directly from slug file in ${duration}ms`
-          );
-        }
+    for (const slugKey of slugKeys) {
+      // Try to directly load the post by its slug from the individual JSON file
+      // (posts outside the default locale are stored under their locale: /_posts/slug/fr/mon-article.json)
+      const slugPath = `/_posts/slug/${slugKey}.json`;
+      if (debug) {
+        console.log(
+          `${prefix} 🔍 Trying to load individual post file directly: ${slugPath}`
+        );
+      }
 
-        // Update stats for direct slug file usage
-        if (stats) {
-          stats.posts.totalLoaded++;
-          stats.posts.byMethod.directSlugFile++;
-          stats.posts.individualLoads++;
-          stats.posts.lastUpdated = Date.now();
+      try {
+        const post = await fetchR2Json<Post | null>(slugPath, {
+          defaultValue: null,
+          useCache: true,
+        });
+
+        if (post && matchesSlug(post)) {
+          lookupMethod = 'direct-slug-file';
+          const duration = (performance.now() - startTime).toFixed(2);
+          if (debug) {
+            console.log(
+              `${prefix} ✅ Successfully loaded post directly from slug file in ${duration}ms`
+            );
+          }
 
-          // Check if we should side-load all posts
-          if (!postsCache && stats.posts.individualLoads >= 5 && !stats.posts.allPostsLoaded) {
-            if (debug) {
-              console.log(
-                `${prefix} 🔄 Individual post loads threshold reached (${stats.posts.individualLoads}), side-loading all posts for better performance`
-              );
-            }
+          // Update stats for direct slug file usage
+          if (stats) {
+            stats.posts.totalLoaded++;
+            stats.posts.byMethod.directSlugFile++;
+            stats.posts.individualLoads++;
+            stats.posts.lastUpdated = Date.now();
 
-            // Side-load all posts in the background (don't await)
-            getAllPosts().then(posts => {
+            // Check if we should side-load all posts
+            if (!postsCache && stats.posts.individualLoads >= 5 && !stats.posts.allPostsLoaded) {
               if (debug) {
                 console.log(
-                  `${prefix} ✅ Side-loaded ${posts.length} posts after threshold reached`
-                );
-              }
-            }).catch(error => {
-              if (debug) {
-                const errorMessage = error instanceof Error ? error.message : String(error);
-                console.error(
-                  `${prefix} ❌ Error side-loading all posts: ${errorMessage}`
+                  `${prefix} 🔄 Individual post loads threshold reached (${stats.posts.individualLoads}), side-loading all posts for better performance`
                 );
               }
-            });
+
+              // Side-load all posts in the background (don't await)
+              getAllPosts().then(posts => {
+                if (debug) {
+                  console.log(
+                    `${prefix} ✅ Side-loaded ${posts.length} posts after threshold reached`
+                  );
+                }
+              }).catch(error => {
+                if (debug) {
+                  const errorMessage = error instanceof Error ? error.message : String(error);
+                  console.error(
+                    `${prefix} ❌ Error side-loading all posts: ${errorMessage}`
+                  );
+                }
+              });
+            }
           }
-        }
 
-        return post;
-      }
-    } catch (error) {
-      if (debug) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        console.log(
-          `${prefix} ⚠️ Could not load post directly from slug file: ${errorMessage}`
-        );
+          return onlyPublished(post);
+        }
+      } catch (error) {
+        if (debug) {
+          const errorMessage = error instanceof Error ? error.message : String(error);
+          console.log(
+            `${prefix} ⚠️ Could not load post directly from slug file: ${errorMessage}`
+          );
+        }
+        // Continue to fallback options
       }
-      // Continue to fallback options
     }
 
-    // Fallback: Try to get post hash from slug map
+    // Fallback: Try to get post hash from slug map (keys are locale-qualified outside the default locale)
     const slugMap = await _fetchMapData('/posts-slug-map.json');
+    const mappedHash = slugMap && slugKeys.map((slugKey) => slugMap[slugKey]).find(Boolean);
 
-    if (slugMap && slugMap[slug]) {
+    if (mappedHash) {
       // If we have a hash, use getPostByHash
       if (debug) {
         console.log(
-          `${prefix} 🔍 Found hash for slug in slugMap: ${slugMap[slug]}`
+          `${prefix} 🔍 Found hash for slug in slugMap: ${mappedHash}`
         );
       }
-      const post = await getPostByHash(slugMap[slug]);
-      if (post) {
+      const post = await getPostByHash(mappedHash);
+      if (post && matchesSlug(post)) {
         lookupMethod = 'slug-map';
         const duration = (performance.now() - startTime).toFixed(2);
         if (debug) {
@@ -351,7 +475,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
 
         // Stats are already updated by getPostByHash, no need to update here
 
-        return post;
+        return onlyPublished(post);
       }
     }
 
@@ -362,7 +486,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
       );
     }
     const posts = await getAllPosts();
-    const post = _findPostByProperty(posts, 'slug', slug);
+    const post = posts.find(matchesSlug) || null;
 
     const duration = (performance.now() - startTime).toFixed(2);
     if (post) {
@@ -589,6 +713,28 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
     return post;
   }
 
+  /**
+   * Get the translations of a post (its hreflang alternates in other locales)
+   * @param hash - Hash of the post
+   * @returns Published translations, excluding the post itself
+   * @throws If hash parameter is missing or invalid
+   */
+  async function getTranslations(hash: string): Promise<Post[]> {
+    if (!hash) {
+      throw new Error('Hash is required for getTranslations operation');
+    }
+
+    const post = await getPostByHash(hash);
+    if (!post?.alternates?.length) return [];
+
+    const hashes = post.alternates
+      .filter((alternate) => alternate.hreflang !== 'x-default' && alternate.hash !== post.hash)
+      .map((alternate) => alternate.hash);
+
+    const translations = await Promise.all(hashes.map((translationHash) => getPostByHash(translationHash)));
+    return translations.filter((translation): translation is Post => onlyPublished(translation) !== null);
+  }
+
   /**
    * Helper to augment an array of keys with their corresponding posts
    * @param keys - Array of keys
@@ -711,6 +857,7 @@ export function createPostRetrieval(config: PostRetrievalConfig): PostRetrievalS
     getPostByPath,
     getPostBySlug,
     getPostByHash,
+    getTranslations,
     augmentPostsByProperty,
     sortPostsByDate,
     getRecentPosts,
@@ -1,5 +1,12 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { createPostSearch } from './search.js';
+import { computeTextEmbedding } from '../inference.js';
+
+vi.mock('../inference.js', () => ({
+  computeTextEmbedding: vi.fn(),
+  computeClipTextEmbedding: vi.fn(),
+  computeClipImageEmbedding: vi.fn(),
+}));
 
 describe('createPostSearch', () => {
   let mockGetAllPosts;
@@ -129,4 +136,236 @@ describe('createPostSearch', () => {
       expect(mockGetAllPosts).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('build-time search index', () => {
+    const prebuilt = {
+      '/_search/manifest.json': {
+        version: 1,
+        documentCount: 3,
+        boosts: { title: 3, tags: 2, body: 1 },
+        languages: ['en', 'fr'],
+        shards: {
+          de: { file: 'de.json', terms: 2 },
+          wr: { file: 'wr.json', terms: 1 },
+        },
+      },
+      '/_search/documents.json': [
+        { id: 'post1', slug: 'deploying', title: 'Deploying', excerpt: '', locale: 'en' },
+        { id: 'post2', slug: 'writing', title: 'Writing', excerpt: '', locale: 'en' },
+        { id: 'post3', slug: 'deploiement', title: 'Déploiement', excerpt: '', locale: 'fr' },
+      ],
+      '/_search/shards/de.json': { deploy: [[0, 4.2], [1, 0.8]], deploi: [[2, 3.1]] },
+      '/_search/shards/wr.json': { writ: [[1, 3.5]] },
+    };
+    let mockFetchR2Json;
+    let mockGetPostByHash;
+
+    beforeEach(() => {
+      mockFetchR2Json = vi.fn(async (path, options) => prebuilt[path] ?? options?.defaultValue);
+      mockGetPostByHash = vi.fn(async (hash) => ({ hash }));
+    });
+
+    const createIndexedService = () =>
+      createPostSearch({
+        getAllPosts: mockGetAllPosts,
+        getActiveRev: mockGetActiveRev,
+        fetchR2Json: mockFetchR2Json,
+        getPostByHash: mockGetPostByHash,
+      });
+
+    it('should search the prebuilt index without loading all posts', async () => {
+      const service = createIndexedService();
+
+      const results = await service.searchPosts({ text: 'deployments', mode: 'memory', props: { fuzzy: 0 } });
+
+      expect(mockGetAllPosts).not.toHaveBeenCalled();
+      expect(results.map((result) => result.hash)).toEqual(['post1', 'post2']);
+      expect(results[0].post).toEqual({ hash: 'post1' });
+      expect(results[0].searchMode).toBe('memory');
+    });
+
+    it('should only load the shards of the query terms', async () => {
+      const service = createIndexedService();
+
+      await service.searchPosts({ text: 'writing', mode: 'memory' });
+
+      const loadedPaths = mockFetchR2Json.mock.calls.map(([path]) => path);
+      expect(loadedPaths).toContain('/_search/shards/wr.json');
+      expect(loadedPaths).not.toContain('/_search/shards/de.json');
+    });
+
+    it('should stem the query in the requested locale and filter by locale', async () => {
+      const service = createIndexedService();
+
+      const results = await service.searchPosts({ text: 'déploiements', mode: 'memory', props: { locale: 'fr' } });
+
+      expect(results.map((result) => result.hash)).toEqual(['post3']);
+    });
+
+    it('should load only the ranked posts in hybrid search', async () => {
+      computeTextEmbedding.mockResolvedValue({ embedding: [1, 0] });
+      const service = createPostSearch({
+        getAllPosts: mockGetAllPosts,
+        fetchR2Json: mockFetchR2Json,
+        getPostByHash: mockGetPostByHash,
+        getPostsEmbeddings: vi.fn(async () => ({ post1: [1, 0.1], post4: [1, 0], post5: [0, 1] })),
+      });
+
+      const results = await service.searchPosts({ text: 'deployments', mode: 'hybrid', props: { fuzzy: 0 } });
+
+      expect(mockGetAllPosts).not.toHaveBeenCalled();
+      expect(mockGetPostByHash.mock.calls.map(([hash]) => hash).sort()).toEqual(['post1', 'post2', 'post4']);
+      expect(results.map((result) => result.hash).sort()).toEqual(['post1', 'post2', 'post4']);
+      expect(results[0].hash).toBe('post1');
+    });
+
+    it('should fall back to the in-memory index when the revision has no prebuilt index', async () => {
+      mockFetchR2Json = vi.fn(async (path, options) => options?.defaultValue);
+      const service = createIndexedService();
+
+      const results = await service.searchPosts({ text: 'hello', mode: 'memory' });
+
+      expect(mockGetAllPosts).toHaveBeenCalledTimes(1);
+      expect(results.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('hybrid search', () => {
+    const hybridPosts = [
+      { hash: 'kw', slug: 'kw', title: 'Kubernetes deployment guide', plain: 'kubernetes', folder: 'guides', date: '2024-03-01', frontmatter: { tags: ['ops'] } },
+      { hash: 'both', slug: 'both', title: 'Deploying containers', plain: 'kubernetes containers', folder: 'guides/advanced', date: '2024-05-01', frontmatter: { tags: ['ops'] } },
+      { hash: 'sem', slug: 'sem', title: 'Shipping apps to a cluster', plain: 'orchestration', folder: 'blog', date: '2023-01-01', frontmatter: { tags: ['news'] } },
+    ];
+    const embeddings = { kw: [0, 1], both: [1, 0.2], sem: [1, 0] };
+
+    const createHybridService = (getPostsEmbeddings = vi.fn(async () => embeddings)) =>
+      createPostSearch({
+        getAllPosts: vi.fn(async () => hybridPosts),
+        getPostsEmbeddings,
+      });
+
+    beforeEach(() => {
+      computeTextEmbedding.mockResolvedValue({ embedding: [1, 0] });
+    });
+
+    it('should fuse lexical and vector rankings', async () => {
+      const service = createHybridService();
+
+      const results = await service.searchPosts({ text: 'kubernetes', mode: 'hybrid' });
+
+      // "both" ranks well in both lists; "sem" only semantically, "kw" only lexically
+      expect(results[0].hash).toBe('both');
+      expect(results.map((result) => result.hash).sort()).toEqual(['both', 'kw', 'sem']);
+      expect(results[0].searchMode).toBe('hybrid');
+      expect(results[0].lexicalRank).toBeDefined();
+      expect(results[0].vectorRank).toBeDefined();
+      expect(results[0].post.slug).toBe('both');
+    });
+
+    it('should apply frontmatter filters before ranking', async () => {
+      const service = createHybridService();
+
+      const byTag = await service.searchPosts({ text: 'kubernetes', mode: 'hybrid', props: { filters: { tags: ['news'] } } });
+      expect(byTag.map((result) => result.hash)).toEqual(['sem']);
+
+      const byFolder = await service.searchPosts({ text: 'kubernetes', mode: 'hybrid', props: { filters: { folder: '/guides/' } } });
+      expect(byFolder.map((result) => result.hash).sort()).toEqual(['both', 'kw']);
+
+      const byDate = await service.searchPosts({
+        text: 'kubernetes',
+        mode: 'hybrid',
+        props: { filters: { dateFrom: '2024-04-01', dateTo: '2024-12-31' } },
+      });
+      expect(byDate.map((result) => result.hash)).toEqual(['both']);
+      expect(byDate[0].lexicalRank).toBe(1);
+    });
+
+    it('should embed queries with the project embedding settings', async () => {
+      const service = createPostSearch({
+        getAllPosts: vi.fn(async () => hybridPosts),
+        getPostsEmbeddings: vi.fn(async () => embeddings),
+        getEmbeddingOptions: () => ({ projectId: 'project-1', revisionId: 'rev-1' }),
+      });
+
+      await service.searchPosts({ text: 'kubernetes', mode: 'hybrid' });
+
+      expect(computeTextEmbedding).toHaveBeenCalledWith('kubernetes', null, false, { projectId: 'project-1', revisionId: 'rev-1' });
+    });
+
+    it('should fall back to lexical results when the query embedding fails', async () => {
+      computeTextEmbedding.mockRejectedValue(new Error('model unavailable'));
+      const service = createHybridService();
+
+      const results = await service.searchPosts({ text: 'kubernetes', mode: 'hybrid' });
+
+      expect(results.map((result) => result.hash).sort()).toEqual(['both', 'kw']);
+      expect(results.every((result) => result.vectorRank === undefined)).toBe(true);
+    });
+
+    it('should require text', async () => {
+      const service = createHybridService();
+
+      await expect(service.searchPosts({ image: 'https://example.com/a.png', mode: 'hybrid' })).rejects.toThrow(
+        'Text is required for hybrid search'
+      );
+    });
+  });
+
+  describe('passage retrieval', () => {
+    const posts = [
+      { hash: 'guide', slug: 'guide', title: 'Deployment guide', url: '/blog/guide', locale: 'en' },
+      { hash: 'guide-fr', slug: 'guide-fr', title: 'Guide de déploiement', url: '/fr/blog/guide', locale: 'fr' },
+    ];
+    const passages = [
+      { id: 'guide-0', hash: 'guide', slug: 'guide', heading: null, anchor: null, index: 0, text: 'Intro to deploying.', embedding: [0, 1] },
+      {
+        id: 'guide-1',
+        hash: 'guide',
+        slug: 'guide',
+        heading: 'Rolling back',
+        anchor: 'rolling-back',
+        index: 1,
+        text: 'To roll back a release, promote the previous revision from the dashboard and purge the cache.',
+        embedding: [1, 0],
+      },
+      { id: 'guide-fr-0', hash: 'guide-fr', slug: 'guide-fr', heading: 'Retour arrière', anchor: 'retour-arriere', index: 0, text: 'Revenir en arrière.', embedding: [0.9, 0.1] },
+    ];
+
+    const createPassageService = (getPassages = vi.fn(async () => passages)) =>
+      createPostSearch({
+        getAllPosts: vi.fn(async () => posts),
+        getPassages,
+      });
+
+    beforeEach(() => {
+      computeTextEmbedding.mockResolvedValue({ embedding: [1, 0] });
+    });
+
+    it('should return the best passages with their post, anchor and snippet', async () => {
+      const service = createPassageService();
+
+      const results = await service.findPassages('how do I roll back?', { limit: 2, snippetLength: 40 });
+
+      expect(results.map((result) => result.id)).toEqual(['guide-1', 'guide-fr-0']);
+      expect(results[0].post.slug).toBe('guide');
+      expect(results[0].heading).toBe('Rolling back');
+      expect(results[0].url).toBe('/blog/guide#rolling-back');
+      expect(results[0].snippet).toBe('To roll back a release, promote the…');
+      expect(results[0].similarity).toBeCloseTo(1);
+    });
+
+    it('should filter passages by locale', async () => {
+      const service = createPassageService();
+
+      const results = await service.findPassages('retour', { locale: 'fr' });
+
+      expect(results.map((result) => result.id)).toEqual(['guide-fr-0']);
+    });
+
+    it('should return no passages when the revision has none', async () => {
+      const service = createPassageService(vi.fn(async () => []));
+
+      expect(await service.findPassages('roll back')).toEqual([]);
+    });
+  });
 });
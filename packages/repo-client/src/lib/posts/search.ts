@@ -2,10 +2,13 @@
  * Post search functionality with both memory-based and vector-based search
  */
 
-import MiniSearch from "minisearch";
+import MiniSearch, { type SearchResult as MiniSearchResult } from "minisearch";
 import { cosineSimilarity } from "../vector.js";
-import { computeTextEmbedding, computeClipTextEmbedding, computeClipImageEmbedding } from "../inference.js";
+import { computeTextEmbedding, computeClipTextEmbedding, computeClipImageEmbedding, type TextEmbeddingOptions } from "../inference.js";
 import type { Post } from '../types/post.js';
+import type { SearchMode } from '../types/common.js';
+import { createSearchIndexLoader, type SearchIndexLoaderConfig } from './searchIndex.js';
+import type { MediaAvInfo, PhotoMetadata } from '../media/handler.js';
 
 /** Media item type */
 export interface Media {
@@ -13,6 +16,8 @@ export interface Media {
   slug?: string;
   title?: string;
   path?: string;
+  av?: MediaAvInfo; // Video and audio files
+  photo?: PhotoMetadata; // EXIF/IPTC of photos
   [key: string]: unknown;
 }
 
@@ -30,6 +35,14 @@ export interface SearchResult {
   [key: string]: unknown;
 }
 
+/** Frontmatter filters of hybrid search, applied before ranking */
+export interface SearchFilters {
+  tags?: string[]; // Posts with at least one of these tags
+  dateFrom?: string; // Posts dated on or after (ISO date)
+  dateTo?: string; // Posts dated on or before (ISO date)
+  folder?: string; // Posts in this folder or its subfolders
+}
+
 /** Search options */
 export interface SearchOptions {
   limit?: number;
@@ -37,6 +50,9 @@ export interface SearchOptions {
   prefix?: boolean;
   boost?: Record<string, number>;
   threshold?: number;
+  locale?: string; // Only return posts of this locale
+  filters?: SearchFilters; // Hybrid mode only
+  rrfK?: number; // Hybrid mode: reciprocal rank fusion constant (default: 60)
 }
 
 /** Search parameters */
@@ -44,7 +60,40 @@ export interface SearchParams {
   text?: string;
   image?: string;
   props?: SearchOptions;
-  mode?: 'memory' | 'vector' | 'vector-text' | 'vector-clip-text' | 'vector-clip-image';
+  mode?: SearchMode;
+}
+
+/** Heading-aware passage of a post with its embedding (posts-passages.json) */
+export interface PostPassage {
+  id: string;
+  hash: string; // Hash of the post
+  slug: string;
+  title?: string;
+  heading: string | null; // Heading of the section (null before the first heading)
+  anchor: string | null; // Id of the heading element
+  index: number; // Position of the passage in the post
+  text: string;
+  embedding: number[];
+}
+
+/** Passage matching a findPassages query */
+export interface PassageMatch {
+  id: string;
+  hash: string;
+  post: Post | null;
+  heading: string | null;
+  anchor: string | null;
+  url?: string; // Post URL with the heading anchor
+  snippet: string;
+  similarity: number;
+}
+
+/** Options for findPassages */
+export interface PassageSearchOptions {
+  limit?: number; // Maximum number of passages (default: 5)
+  threshold?: number; // Minimum similarity (default: 0.1)
+  locale?: string; // Only return passages of posts of this locale
+  snippetLength?: number; // Maximum snippet length in characters (default: 300)
 }
 
 /** Post search configuration */
@@ -55,6 +104,10 @@ export interface PostSearchConfig {
   getMediaEmbeddings?: () => Promise<Record<string, number[]>>;
   debug?: boolean;
   getActiveRev?: (() => string | undefined) | null;
+  fetchR2Json?: SearchIndexLoaderConfig['fetchR2Json']; // Enables the build-time index (_search/) for memory search
+  getPostByHash?: (hash: string) => Promise<Post | null>; // Attaches full posts to build-time index results
+  getEmbeddingOptions?: () => TextEmbeddingOptions; // Embeds queries with the project's embedding settings
+  getPassages?: () => Promise<PostPassage[]>; // Enables findPassages
 }
 
 /** Post search service interface */
@@ -64,6 +117,7 @@ export interface PostSearchService {
   refreshMemoryIndex: () => Promise<MiniSearch | null>;
   performMemorySearch: (text: string, props: SearchOptions) => Promise<SearchResult[]>;
   performVectorSearch: (params: { text?: string; image?: string; mode: string; props: SearchOptions }) => Promise<SearchResult[]>;
+  findPassages: (query: string, options?: PassageSearchOptions) => Promise<PassageMatch[]>;
   clearSearchIndex: () => void;
 }
 
@@ -79,14 +133,31 @@ interface SearchDocument {
   date?: string;
   hash: string;
   path?: string;
+  locale?: string;
 }
 
+// Hybrid search ranks max(limit * factor, min) posts per stage before filtering
+const HYBRID_POOL_FACTOR = 5;
+const HYBRID_MIN_POOL = 100;
+
 export function createPostSearch(config: PostSearchConfig): PostSearchService {
-  const { getAllPosts, getPostsEmbeddings, getAllMedia, getMediaEmbeddings, debug = false, getActiveRev = null } = config;
+  const {
+    getAllPosts,
+    getPostsEmbeddings,
+    getAllMedia,
+    getMediaEmbeddings,
+    debug = false,
+    getActiveRev = null,
+    fetchR2Json,
+    getPostByHash,
+    getEmbeddingOptions,
+    getPassages,
+  } = config;
 
   let miniSearchInstance: MiniSearch<SearchDocument> | null = null;
   let indexedData: Post[] | null = null;
   let indexRevision: string | null = null; // Track which revision the index is for
+  const prebuiltIndex = fetchR2Json ? createSearchIndexLoader({ fetchR2Json, debug }) : null;
 
   /**
    * Clear search index (called when revision changes)
@@ -98,6 +169,7 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
     miniSearchInstance = null;
     indexedData = null;
     indexRevision = null;
+    prebuiltIndex?.clear();
   }
 
   /**
@@ -131,7 +203,7 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
       "plain",
       //    "hash",
     ];
-    const storableFields = ["slug", "title", "excerpt", "date", "hash", "path"];
+    const storableFields = ["slug", "title", "excerpt", "date", "hash", "path", "locale"];
 
     miniSearchInstance = new MiniSearch<SearchDocument>({
       fields: searchableFields,
@@ -154,6 +226,7 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
       date: post.date,
       hash: post.hash,
       path: post.path,
+      locale: post.locale,
     }));
 
     miniSearchInstance.addAll(documentsToIndex);
@@ -187,16 +260,23 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
       throw new Error("Image parameter must be a non-empty string when provided");
     }
 
-    if (!['memory', 'vector', 'vector-text', 'vector-clip-text', 'vector-clip-image'].includes(mode)) {
+    if (!['memory', 'vector', 'vector-text', 'vector-clip-text', 'vector-clip-image', 'hybrid'].includes(mode)) {
       throw new Error(
-        `Search mode '${mode}' is not supported. Available modes: memory, vector, vector-text, vector-clip-text, vector-clip-image`
+        `Search mode '${mode}' is not supported. Available modes: memory, vector, vector-text, vector-clip-text, vector-clip-image, hybrid`
       );
     }
 
+    if (mode === "hybrid" && !text) {
+      throw new Error("Text is required for hybrid search");
+    }
+
     try {
       if (mode === "memory") {
         return await performMemorySearch(text || '', props);
       }
+      if (mode === "hybrid") {
+        return await performHybridSearch(text!, props);
+      }
       return await performVectorSearch({ text, image, mode, props });
     } catch (error) {
       if (debug) {
@@ -207,10 +287,44 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
     }
   };
 
+  /**
+   * Search the index generated at build time, loading only the shards of the query terms
+   * Field boosts are applied at build time; props.boost has no effect here.
+   */
+  const performPrebuiltIndexSearch = async (text: string, props: SearchOptions): Promise<SearchResult[]> => {
+    const { limit = 20, fuzzy = 0.2, prefix = true, locale } = props;
+    const matches = await prebuiltIndex!.search(text, { limit, fuzzy, prefix, locale });
+
+    if (getActiveRev && !indexRevision) {
+      indexRevision = getActiveRev() || null;
+    }
+    if (debug) {
+      console.log(`🔍 Found ${matches.length} results in the build-time search index for query: "${text}"`);
+    }
+
+    const posts = getPostByHash
+      ? await Promise.all(matches.map(({ document }) => getPostByHash(document.id).catch(() => null)))
+      : [];
+
+    return matches.map(({ document, score, terms }, i) => ({
+      ...document,
+      hash: document.id,
+      score,
+      terms,
+      searchMode: 'memory',
+      post: posts[i] || null,
+    }));
+  };
+
   const performMemorySearch = async (text: string, props: SearchOptions): Promise<SearchResult[]> => {
     // Check if revision changed and invalidate index if needed
     checkRevisionAndInvalidate();
 
+    // Revisions built with a search index don't need all posts to be downloaded
+    if (prebuiltIndex && !miniSearchInstance && (await prebuiltIndex.isAvailable())) {
+      return await performPrebuiltIndexSearch(text, props);
+    }
+
     // Get all posts if we haven't indexed them yet or if forced refresh
     if (!miniSearchInstance || !indexedData) {
       const posts = await getAllPosts(true);
@@ -225,12 +339,15 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
     }
 
     // Merge default options with provided props
+    const { locale, ...miniSearchProps } = props;
     const searchOptions = {
       limit: 20,
       fuzzy: 0.2,
       prefix: true,
       boost: { title: 3, excerpt: 2 },
-      ...props,
+      ...miniSearchProps,
+      // Translations share an index; keep only the requested locale
+      ...(locale && { filter: (result: MiniSearchResult) => result.locale === locale }),
     };
 
     const results = miniSearchInstance.search(text, searchOptions);
@@ -253,7 +370,7 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
 
   const performVectorSearch = async (params: { text?: string; image?: string; mode: string; props: SearchOptions }): Promise<SearchResult[]> => {
     const { text, image, mode, props } = params;
-    const { limit = 20, threshold = 0.1 } = props;
+    const { limit = 20, threshold = 0.1, locale } = props;
     let queryEmbedding: number[] | undefined;
     let searchType: 'text' | 'clip';
 
@@ -263,7 +380,7 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
         if (!text) {
           throw new Error("Text is required for text-based vector search");
         }
-        const embeddingResult = await computeTextEmbedding(text, null, debug);
+        const embeddingResult = await computeTextEmbedding(text, null, debug, getEmbeddingOptions?.());
         queryEmbedding = embeddingResult.embedding;
         searchType = 'text';
         if (debug) {
@@ -320,7 +437,9 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
         ]);
 
         embeddingsMap = postsEmbeddings;
-        candidateData = posts.map(p => ({ ...p, type: 'post' as const }));
+        candidateData = posts
+          .filter(p => !locale || p.locale === locale)
+          .map(p => ({ ...p, type: 'post' as const }));
       }
 
       if (!embeddingsMap || Object.keys(embeddingsMap).length === 0) {
@@ -375,6 +494,147 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
     }
   };
 
+  /**
+   * Check a post against hybrid search filters
+   * @param post - Post to check
+   * @param filters - Tags, date range and folder filters
+   * @returns True if the post matches every filter
+   */
+  const matchesFilters = (post: Post, filters: SearchFilters = {}): boolean => {
+    const { tags, dateFrom, dateTo, folder } = filters;
+
+    if (tags && tags.length > 0) {
+      const postTags = post.frontmatter?.tags ?? post.tags;
+      const tagList = Array.isArray(postTags) ? postTags.map(String) : typeof postTags === "string" ? [postTags] : [];
+      if (!tags.some((tag) => tagList.includes(tag))) return false;
+    }
+
+    if (dateFrom || dateTo) {
+      const time = new Date((post.date || post.frontmatter?.date || "") as string).getTime();
+      if (Number.isNaN(time)) return false;
+      if (dateFrom && time < new Date(dateFrom).getTime()) return false;
+      if (dateTo && time > new Date(dateTo).getTime()) return false;
+    }
+
+    if (folder) {
+      const normalizedFolder = folder.replace(/^\/+|\/+$/g, "");
+      const postFolder = (post.folder || "").replace(/^\/+|\/+$/g, "");
+      if (normalizedFolder && postFolder !== normalizedFolder && !postFolder.startsWith(`${normalizedFolder}/`)) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  /**
+   * Rank posts by similarity of their embedding to a text, without loading the posts
+   * @param text - Query text
+   * @param threshold - Minimum similarity
+   * @param limit - Maximum number of ranked posts
+   * @returns Post hashes and similarities, most similar first
+   */
+  const rankPostEmbeddings = async (
+    text: string,
+    threshold: number,
+    limit: number
+  ): Promise<Array<{ hash: string; similarity: number }>> => {
+    const embeddingsMap = getPostsEmbeddings ? await getPostsEmbeddings() : {};
+    if (!embeddingsMap || Object.keys(embeddingsMap).length === 0) return [];
+
+    const { embedding: queryEmbedding } = await computeTextEmbedding(text, null, debug, getEmbeddingOptions?.());
+    return Object.entries(embeddingsMap)
+      .filter(([, embedding]) => Array.isArray(embedding))
+      .map(([hash, embedding]) => ({ hash, similarity: cosineSimilarity(queryEmbedding, embedding) }))
+      .filter(({ similarity }) => similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  };
+
+  /**
+   * Hybrid search: lexical and embedding rankings fused with reciprocal rank fusion
+   * Each post scores sum(1 / (rrfK + rank)) over the rankings it appears in.
+   * Only the posts ranked by either stage are loaded, then filters and locale narrow them
+   * before ranks are counted. Without embeddings (or if the query embedding fails), the
+   * lexical ranking is used alone.
+   */
+  const performHybridSearch = async (text: string, props: SearchOptions): Promise<SearchResult[]> => {
+    const { limit = 20, threshold = 0.1, filters, rrfK = 60, locale } = props;
+
+    // Filters apply after both stages, so each stage ranks a deeper pool than the limit
+    const poolSize = Math.max(limit * HYBRID_POOL_FACTOR, HYBRID_MIN_POOL);
+    const [lexicalResults, vectorResults] = await Promise.all([
+      performMemorySearch(text, { ...props, limit: poolSize }),
+      rankPostEmbeddings(text, threshold, poolSize).catch((error) => {
+        if (debug) {
+          console.warn("🔍 Hybrid search continuing with lexical results only:", error);
+        }
+        return [];
+      }),
+    ]);
+
+    // Lexical results already carry their posts; load the others by hash
+    const postsByHash = new Map<string, Post>();
+    for (const result of lexicalResults) {
+      if (result.post) postsByHash.set(result.hash || result.id, result.post);
+    }
+    const missing = [...new Set(vectorResults.map(({ hash }) => hash))].filter((hash) => !postsByHash.has(hash));
+    if (missing.length > 0) {
+      const loaded = indexedData
+        ? indexedData.filter((post) => missing.includes(post.hash))
+        : getPostByHash
+          ? await Promise.all(missing.map((hash) => getPostByHash(hash).catch(() => null)))
+          : (await getAllPosts(true)).filter((post) => missing.includes(post.hash));
+      for (const post of loaded) {
+        if (post) postsByHash.set(post.hash, post);
+      }
+    }
+
+    const candidatesByHash = new Map(
+      [...postsByHash].filter(([, post]) => (!locale || post.locale === locale) && matchesFilters(post, filters))
+    );
+    if (candidatesByHash.size === 0) return [];
+
+    const fused = new Map<string, { score: number; lexicalRank?: number; vectorRank?: number; similarity?: number }>();
+    const addRanking = (results: Array<{ hash: string; similarity?: number }>, rankKey: "lexicalRank" | "vectorRank") => {
+      let rank = 0;
+      for (const { hash, similarity } of results) {
+        if (!candidatesByHash.has(hash) || fused.get(hash)?.[rankKey]) continue;
+        rank++;
+        const entry = fused.get(hash) || { score: 0 };
+        entry.score += 1 / (rrfK + rank);
+        entry[rankKey] = rank;
+        if (similarity !== undefined) entry.similarity = similarity;
+        fused.set(hash, entry);
+      }
+    };
+    addRanking(
+      lexicalResults.map((result) => ({ hash: result.hash || result.post?.hash || result.id })),
+      "lexicalRank"
+    );
+    addRanking(vectorResults, "vectorRank");
+
+    const results = [...fused.entries()]
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, limit)
+      .map(([hash, entry]) => ({
+        id: hash,
+        hash,
+        ...entry,
+        searchMode: "hybrid",
+        type: "post" as const,
+        post: candidatesByHash.get(hash) || null,
+      }));
+
+    if (debug) {
+      console.log(
+        `🔍 Hybrid search fused ${lexicalResults.length} lexical and ${vectorResults.length} vector results into ${results.length} (${candidatesByHash.size} candidates)`
+      );
+    }
+
+    return results;
+  };
+
   const searchAutocomplete = async (term: string, limit = 10): Promise<string[]> => {
     if (!term || typeof term !== 'string') {
       return [];
@@ -451,12 +711,80 @@ export function createPostSearch(config: PostSearchConfig): PostSearchService {
     return await initializeMemoryIndex(posts);
   };
 
+  /**
+   * Shorten a passage to a snippet, cutting at a word boundary
+   */
+  const toSnippet = (text: string, maxLength: number): string => {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > maxLength / 2 ? cut.slice(0, space) : cut).trimEnd()}…`;
+  };
+
+  /**
+   * Find the passages of posts that best answer a query
+   * Passages are the heading-delimited chunks embedded at build time, so results point
+   * to a section of a post (heading anchor) rather than the whole post.
+   * @param query - Search text
+   * @param options - Limit, similarity threshold, locale and snippet length
+   * @returns Matching passages, most similar first
+   */
+  const findPassages = async (query: string, options: PassageSearchOptions = {}): Promise<PassageMatch[]> => {
+    const { limit = 5, threshold = 0.1, locale, snippetLength = 300 } = options;
+    if (!query || !query.trim()) {
+      throw new Error('Query is required to find passages');
+    }
+    if (!getPassages) {
+      throw new Error('Passages are not available');
+    }
+
+    const passages = await getPassages();
+    if (!Array.isArray(passages) || passages.length === 0) {
+      if (debug) {
+        console.warn("🔍 No passages available for this revision");
+      }
+      return [];
+    }
+
+    const { embedding: queryEmbedding } = await computeTextEmbedding(query, null, debug, getEmbeddingOptions?.());
+    const posts = await getAllPosts(true);
+    const postsByHash = new Map(posts.map((post) => [post.hash, post]));
+
+    const matches: PassageMatch[] = [];
+    for (const passage of passages) {
+      if (!Array.isArray(passage.embedding)) continue;
+      const post = postsByHash.get(passage.hash) || null;
+      if (locale && post?.locale !== locale) continue;
+
+      const similarity = cosineSimilarity(queryEmbedding, passage.embedding);
+      if (similarity < threshold) continue;
+
+      matches.push({
+        id: passage.id,
+        hash: passage.hash,
+        post,
+        heading: passage.heading,
+        anchor: passage.anchor,
+        ...(post?.url && { url: passage.anchor ? `${post.url}#${passage.anchor}` : post.url }),
+        snippet: toSnippet(passage.text, snippetLength),
+        similarity,
+      });
+    }
+
+    const results = matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    if (debug) {
+      console.log(`🔍 Found ${results.length} passages for "${query}"`);
+    }
+    return results;
+  };
+
   return {
     searchPosts,
     searchAutocomplete,
     refreshMemoryIndex,
     performMemorySearch,
     performVectorSearch,
+    findPassages,
     clearSearchIndex,
   };
 }
@@ -0,0 +1,237 @@
+/**
+ * Build-time full-text search index (_search/ folder of a revision)
+ *
+ * The build worker writes a manifest, the stored documents and shards of stemmed
+ * terms (keyed by their first two characters) with precomputed BM25 weights.
+ * Queries only download the shards of their terms.
+ *
+ * Documents and queries are analyzed by the same module (@repo-md/processor-core/search);
+ * an index whose manifest version differs is ignored.
+ */
+
+import { SEARCH_INDEX_VERSION, getSearchLanguage, getShardKey, stem, tokenize } from '@repo-md/processor-core/search';
+
+export { SEARCH_INDEX_VERSION };
+
+// Same expansion weights as MiniSearch, so scores feel alike in both modes
+const PREFIX_WEIGHT = 0.375;
+const FUZZY_WEIGHT = 0.45;
+
+/** Document stored in the index */
+export interface SearchIndexDocument {
+  id: string;
+  slug: string;
+  localizedSlug?: string;
+  title: string;
+  excerpt: string;
+  date?: string;
+  url?: string;
+  locale?: string;
+}
+
+/** Index manifest (_search/manifest.json) */
+export interface SearchIndexManifest {
+  version: number;
+  documentCount: number;
+  boosts: Record<string, number>;
+  languages: string[];
+  shards: Record<string, { file: string; terms: number }>;
+}
+
+type SearchShard = Record<string, Array<[number, number]>>;
+
+/** Match of the prebuilt index */
+export interface SearchIndexMatch {
+  document: SearchIndexDocument;
+  score: number;
+  terms: string[];
+}
+
+/** Query options of the prebuilt index */
+export interface SearchIndexQueryOptions {
+  limit?: number;
+  fuzzy?: number | boolean;
+  prefix?: boolean;
+  locale?: string;
+}
+
+/** Prebuilt search index loader configuration */
+export interface SearchIndexLoaderConfig {
+  fetchR2Json: <T>(path: string, options?: { defaultValue?: T; useCache?: boolean }) => Promise<T>;
+  debug?: boolean;
+}
+
+/** Prebuilt search index loader */
+export interface SearchIndexLoader {
+  isAvailable: () => Promise<boolean>;
+  search: (text: string, options?: SearchIndexQueryOptions) => Promise<SearchIndexMatch[]>;
+  clear: () => void;
+}
+
+/**
+ * Edit distance between two terms, bounded by maxDistance
+ * @returns The distance, or maxDistance + 1 when it is larger
+ */
+function boundedDistance(a: string, b: string, maxDistance: number): number {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function createSearchIndexLoader(config: SearchIndexLoaderConfig): SearchIndexLoader {
+  const { fetchR2Json, debug = false } = config;
+
+  let manifestPromise: Promise<SearchIndexManifest | null> | null = null;
+  let documentsPromise: Promise<SearchIndexDocument[]> | null = null;
+  const shardPromises = new Map<string, Promise<SearchShard>>();
+
+  /**
+   * Forget the loaded index (called when the revision changes)
+   */
+  function clear(): void {
+    manifestPromise = null;
+    documentsPromise = null;
+    shardPromises.clear();
+  }
+
+  function loadManifest(): Promise<SearchIndexManifest | null> {
+    if (!manifestPromise) {
+      manifestPromise = fetchR2Json<SearchIndexManifest | null>('/_search/manifest.json', {
+        defaultValue: null,
+        useCache: true,
+      })
+        .then((manifest) => {
+          if (manifest && manifest.version !== SEARCH_INDEX_VERSION) {
+            if (debug) {
+              console.log(`🔍 Ignoring search index version ${manifest.version} (expected ${SEARCH_INDEX_VERSION})`);
+            }
+            return null;
+          }
+          return manifest;
+        })
+        .catch(() => null);
+    }
+    return manifestPromise;
+  }
+
+  function loadDocuments(): Promise<SearchIndexDocument[]> {
+    if (!documentsPromise) {
+      documentsPromise = fetchR2Json<SearchIndexDocument[]>('/_search/documents.json', {
+        defaultValue: [],
+        useCache: true,
+      });
+    }
+    return documentsPromise;
+  }
+
+  function loadShard(file: string): Promise<SearchShard> {
+    if (!shardPromises.has(file)) {
+      shardPromises.set(
+        file,
+        fetchR2Json<SearchShard>(`/_search/shards/${file}`, { defaultValue: {}, useCache: true })
+      );
+    }
+    return shardPromises.get(file)!;
+  }
+
+  /**
+   * Check whether the revision has a usable prebuilt index
+   */
+  async function isAvailable(): Promise<boolean> {
+    return (await loadManifest()) !== null;
+  }
+
+  /**
+   * Search the prebuilt index
+   * Prefix and fuzzy matches are looked up in the shard of the query term,
+   * so they must share its first two characters.
+   * @param text - Query text
+   * @param options - Query options
+   * @returns Matches sorted by score
+   */
+  async function search(text: string, options: SearchIndexQueryOptions = {}): Promise<SearchIndexMatch[]> {
+    const { limit = 20, fuzzy = 0.2, prefix = true, locale } = options;
+    const manifest = await loadManifest();
+    if (!manifest) return [];
+
+    // Stem each query word for every language of the index (or the requested locale only);
+    // with prefix search the unstemmed word also matches, as it may be partially typed
+    const languages = locale ? [getSearchLanguage(locale)] : manifest.languages;
+    const queryWords = tokenize(text).map((word) => {
+      const variants = new Set(languages.map((language) => stem(word, language)));
+      if (prefix) variants.add(word);
+      return [...variants];
+    });
+
+    // Shard of each query term (terms have at least two characters)
+    const neededFiles = new Set<string>();
+    for (const term of queryWords.flat()) {
+      const shard = manifest.shards[getShardKey(term)];
+      if (shard) neededFiles.add(shard.file);
+    }
+
+    const [documents, ...shards] = await Promise.all([
+      loadDocuments(),
+      ...[...neededFiles].map((file) => loadShard(file)),
+    ]);
+
+    if (debug) {
+      console.log(`🔍 Loaded ${neededFiles.size}/${Object.keys(manifest.shards).length} search shards for query: "${text}"`);
+    }
+
+    const scores = new Map<number, { score: number; terms: Set<string> }>();
+    const fuzziness = typeof fuzzy === 'number' ? fuzzy : fuzzy ? 0.2 : 0;
+
+    const matchWeight = (queryTerm: string, indexTerm: string): number => {
+      if (indexTerm === queryTerm) return 1;
+      if (prefix && indexTerm.startsWith(queryTerm)) return PREFIX_WEIGHT * (queryTerm.length / indexTerm.length);
+      const maxDistance = fuzziness < 1 ? Math.round(queryTerm.length * fuzziness) : fuzziness;
+      if (maxDistance === 0) return 0;
+      const distance = boundedDistance(queryTerm, indexTerm, maxDistance);
+      return distance <= maxDistance ? FUZZY_WEIGHT * (1 - distance / (queryTerm.length + 1)) : 0;
+    };
+
+    for (const variants of queryWords) {
+      for (const shard of shards) {
+        for (const [indexTerm, postings] of Object.entries(shard)) {
+          // Best match of the word's variants, so a word never counts twice for a term
+          const weight = Math.max(...variants.map((variant) => matchWeight(variant, indexTerm)));
+          if (weight === 0) continue;
+
+          for (const [docIndex, termWeight] of postings) {
+            const entry = scores.get(docIndex) || { score: 0, terms: new Set<string>() };
+            entry.score += weight * termWeight;
+            entry.terms.add(indexTerm);
+            scores.set(docIndex, entry);
+          }
+        }
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([docIndex, { score, terms }]) => ({ document: documents[docIndex], score, terms: [...terms] }))
+      .filter((match) => match.document && (!locale || match.document.locale === locale))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return {
+    isAvailable,
+    search,
+    clear,
+  };
+}
@@ -149,6 +149,19 @@ export const schemas: SchemasDict = {
       slug: slugSchema.describe(
         "URL-friendly identifier for the specific post to retrieve"
       ),
+      options: z
+        .object({
+          locale: z
+            .string()
+            .optional()
+            .describe("Only return the post of this locale (e.g. 'fr')"),
+          expand: z
+            .array(z.string())
+            .optional()
+            .describe("Reference fields to expand into their target posts (e.g. ['author'])"),
+        })
+        .optional()
+        .describe("Lookup options"),
     })
     .describe("Get a specific blog post by its URL slug identifier")
     .meta({
@@ -167,6 +180,15 @@ export const schemas: SchemasDict = {
     .describe("Get a specific blog post by its unique hash identifier")
     .meta({ category: "posts", readonly: true, cacheable: true }),
 
+  getTranslations: z
+    .object({
+      hash: hashSchema.describe(
+        "Unique hash identifier of the post whose translations to retrieve"
+      ),
+    })
+    .describe("Get the translations of a blog post in other locales")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
   getPostByPath: z
     .object({
       path: pathSchema.describe("File path within the repository to retrieve"),
@@ -174,6 +196,33 @@ export const schemas: SchemasDict = {
     .describe("Get a specific blog post by its file path in the repository")
     .meta({ category: "posts", readonly: true, cacheable: true }),
 
+  getFrontmatterSchema: z
+    .object({})
+    .describe(
+      "Get the frontmatter schema of the posts (property types and SQLite columns)"
+    )
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  query: z
+    .object({
+      options: z
+        .object({
+          executor: z
+            .function()
+            .nullable()
+            .optional()
+            .describe(
+              "SQL executor running the query against content.sqlite (in memory when null)"
+            ),
+        })
+        .optional()
+        .describe("Query options"),
+    })
+    .describe(
+      "Create a faceted query builder over post frontmatter (where, orderBy, limit, facets)"
+    )
+    .meta({ category: "posts", framework: true, readonly: true }),
+
   getRecentPosts: z
     .object({
       count: limit3Schema.describe(
@@ -188,6 +237,27 @@ export const schemas: SchemasDict = {
       cacheable: true,
     }),
 
+  // Collection Methods
+  getCollections: z
+    .object({})
+    .describe("List the content collections (name, folder, entry count, sort order and slug pattern)")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getCollection: z
+    .object({
+      name: z.string().min(1).describe("Name of the collection (e.g. 'authors')"),
+    })
+    .describe("Get the entries of a content collection, in the collection's sort order")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getEntry: z
+    .object({
+      name: z.string().min(1).describe("Name of the collection (e.g. 'authors')"),
+      slug: slugSchema.describe("Slug of the entry within the collection"),
+    })
+    .describe("Get one entry of a content collection by its slug")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
   // Similarity Methods
   getPostsSimilarityByHashes: z
     .object({
@@ -276,7 +346,7 @@ export const schemas: SchemasDict = {
       text: stringSchema
         .optional()
         .describe(
-          "Search query text (required for memory, vector, vector-text, vector-clip-text modes)"
+          "Search query text (required for memory, vector, vector-text, vector-clip-text, hybrid modes)"
         ),
       image: imageInputSchema
         .optional()
@@ -335,6 +405,36 @@ export const schemas: SchemasDict = {
             })
             .optional()
             .describe("Field-specific weight boosts for search relevance"),
+          locale: z
+            .string()
+            .optional()
+            .describe("Only return posts of this locale (e.g. 'fr')"),
+          filters: z
+            .object({
+              tags: z
+                .array(z.string())
+                .optional()
+                .describe("Only posts with at least one of these tags"),
+              dateFrom: z
+                .string()
+                .optional()
+                .describe("Only posts dated on or after this ISO date"),
+              dateTo: z
+                .string()
+                .optional()
+                .describe("Only posts dated on or before this ISO date"),
+              folder: z
+                .string()
+                .optional()
+                .describe("Only posts in this folder or its subfolders"),
+            })
+            .optional()
+            .describe("Frontmatter filters applied before ranking (hybrid mode)"),
+          rrfK: z
+            .number()
+            .positive()
+            .optional()
+            .describe("Reciprocal rank fusion constant for hybrid mode (default: 60)"),
         })
         .optional()
         .default({})
@@ -346,11 +446,12 @@ export const schemas: SchemasDict = {
           "vector-text",
           "vector-clip-text",
           "vector-clip-image",
+          "hybrid",
         ])
         .optional()
         .default("memory")
         .describe(
-          "Search mode: 'memory' = keyword search in posts, 'vector'/'vector-text' = semantic text search in posts using text embeddings, 'vector-clip-text' = text-to-image search in media using CLIP embeddings, 'vector-clip-image' = image-to-image search in media using CLIP embeddings"
+          "Search mode: 'memory' = keyword search in posts, 'vector'/'vector-text' = semantic text search in posts using text embeddings, 'vector-clip-text' = text-to-image search in media using CLIP embeddings, 'vector-clip-image' = image-to-image search in media using CLIP embeddings, 'hybrid' = keyword and semantic post rankings fused (supports props.filters)"
         ),
     })
     .describe(
@@ -419,6 +520,34 @@ export const schemas: SchemasDict = {
       readonly: true,
     }),
 
+  findPassages: z
+    .object({
+      query: searchTextSchema.describe("Question or text to find matching passages of posts"),
+      options: z
+        .object({
+          limit: z.number().int().positive().optional().describe("Maximum number of passages (default: 5)"),
+          threshold: thresholdSchema,
+          locale: z.string().optional().describe("Only return passages of posts in this locale"),
+          snippetLength: z
+            .number()
+            .int()
+            .positive()
+            .optional()
+            .describe("Maximum snippet length in characters (default: 300)"),
+        })
+        .optional()
+        .describe("Passage search options"),
+    })
+    .describe(
+      "Find the sections of posts that best answer a query, returning the post, heading anchor and a snippet of each passage"
+    )
+    .meta({
+      category: "search",
+      inference: true,
+      memoryHeavy: true,
+      readonly: true,
+    }),
+
   findImagesByText: z
     .object({
       text: searchTextSchema.describe(
@@ -609,6 +738,54 @@ export const schemas: SchemasDict = {
     .describe("Get media items with formatted URLs and metadata for display")
     .meta({ category: "media", readonly: true, cacheable: true }),
 
+  getResponsiveImage: z
+    .object({
+      path: z
+        .string()
+        .min(1, "Media path is required")
+        .describe("Original path, file name or hash of the image"),
+      options: z
+        .object({
+          preferredSize: z
+            .enum(["xs", "sm", "md", "lg", "xl"])
+            .optional()
+            .describe("Size variant used as the image src (default: lg)"),
+          sizes: z
+            .string()
+            .optional()
+            .describe("Value of the sizes attribute (default: based on the preferred width)"),
+        })
+        .optional()
+        .describe("Responsive image options"),
+    })
+    .describe(
+      "Get responsive image data (src, srcset, sizes and AVIF/WebP picture sources) for an image"
+    )
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  getMediaTranscript: z
+    .object({
+      path: z
+        .string()
+        .min(1, "Media path is required")
+        .describe("Original path, file name or hash of the video or audio file"),
+    })
+    .describe("Get the speech-to-text transcript (text and timestamped segments) of a video or audio file")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  searchTranscripts: z
+    .object({
+      query: z.string().min(1, "Search query is required").describe("Words to find in transcripts"),
+      options: z
+        .object({
+          limit: z.number().int().positive().optional().describe("Maximum number of matches (default: 20)"),
+        })
+        .optional()
+        .describe("Transcript search options"),
+    })
+    .describe("Search the transcripts of video and audio files, returning matching timestamped segments")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
   // Media Similarity Methods
   getMediaEmbeddings: z
     .object({
@@ -928,6 +1105,13 @@ export const schemas: SchemasDict = {
     )
     .meta({ category: "project", readonly: true, cacheable: true }),
 
+  refreshRevision: z
+    .object({})
+    .describe(
+      "Re-resolve the latest revision immediately (after a rollback or deploy) instead of waiting for the revision cache to expire"
+    )
+    .meta({ category: "project", readonly: true }),
+
   fetchProjectActiveRev: z
     .object({
       forceRefresh: forceRefreshSchema,
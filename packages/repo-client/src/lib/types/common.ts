@@ -80,7 +80,7 @@ export interface FetchableServiceConfig extends BaseServiceConfig {
 /**
  * Available search modes
  */
-export type SearchMode = 'memory' | 'vector' | 'vector-text' | 'vector-clip-text' | 'vector-clip-image';
+export type SearchMode = 'memory' | 'vector' | 'vector-text' | 'vector-clip-text' | 'vector-clip-image' | 'hybrid';
 
 // =============================================================================
 // Cache Types
@@ -65,10 +65,38 @@ export interface PostFrontmatter {
   draft?: boolean;
   /** Whether this post is public (processed by repo.md) */
   public?: boolean;
+  /** Embargo date: the post is hidden until then (ISO 8601 string) */
+  publishAt?: string;
+  /** Expiry date: the post is hidden from then on (ISO 8601 string) */
+  unpublishAt?: string;
+  /** Content locale (e.g. "fr"); posts in a locale folder get it from the folder */
+  lang?: string;
+  /** Groups translations whose paths differ (defaults to the path without locale folder) */
+  translationKey?: string;
   /** Allow additional custom fields */
   [key: string]: unknown;
 }
 
+// =============================================================================
+// Translations
+// =============================================================================
+
+/**
+ * An hreflang alternate of a translated post
+ */
+export interface PostAlternate {
+  /** Locale, or "x-default" for the default-locale version */
+  hreflang: string;
+  /** Locale of the alternate post */
+  locale: string;
+  /** Hash of the alternate post */
+  hash: string;
+  /** Slug of the alternate post */
+  slug: string;
+  /** URL of the alternate post */
+  url: string;
+}
+
 // =============================================================================
 // Post
 // =============================================================================
@@ -251,6 +279,61 @@ export interface Post<TFrontmatter = PostFrontmatter> {
    */
   links?: string[];
 
+  // ---------------------------------------------------------------------------
+  // Translations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Content locale, from `lang` frontmatter or the locale folder.
+   * @example "fr"
+   */
+  locale?: string;
+
+  /**
+   * Locale-qualified slug, unique across locales.
+   * Same as `slug` in the default locale.
+   * @example "fr/mon-article"
+   */
+  localizedSlug?: string;
+
+  /**
+   * Key shared by all translations of this post.
+   */
+  translationKey?: string;
+
+  /**
+   * hreflang alternates, including this post and an "x-default" entry.
+   * Only present when the post has translations.
+   */
+  alternates?: PostAlternate[];
+
+  // ---------------------------------------------------------------------------
+  // Collections
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Name of the content collection containing this post, if any.
+   * @example "authors"
+   */
+  collection?: string;
+
+  // ---------------------------------------------------------------------------
+  // References
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reference fields resolved to target post hashes: a hash (null when dangling)
+   * for single references, hashes for lists.
+   * @example { author: "a1b2...", related: ["c3d4...", "e5f6..."] }
+   */
+  references?: Record<string, string | string[] | null>;
+
+  /**
+   * Target posts of the reference fields requested with `expand`.
+   * @example post.expanded?.author
+   */
+  expanded?: Record<string, Post | Post[] | null>;
+
   // ---------------------------------------------------------------------------
   // Extensibility
   // ---------------------------------------------------------------------------
@@ -67,6 +67,28 @@ const DOMAIN_TARGETS = {
   // Add more domain -> target mappings as needed
 };
 
+// Pull request previews: pr-{number}--{projectId}.preview.repo.md
+// Pinned releases: release--{projectId}.preview.repo.md
+const PREVIEW_HOST_PATTERN = /^(pr-\d+|release)--([a-f0-9]{24})\.preview\.repo\.md$/;
+const PREVIEW_THEME = t.blog1;
+const PREVIEW_CONTENT_BASE = "https://static.repo.md/projects";
+
+/**
+ * Match a preview hostname
+ * @param {string} hostname - Request hostname
+ * @returns {Object|null} - { alias, projectId, contentUrl } or null
+ */
+function matchPreviewHost(hostname) {
+  const match = hostname.match(PREVIEW_HOST_PATTERN);
+  if (!match) return null;
+  const [, alias, projectId] = match;
+  return {
+    alias,
+    projectId,
+    contentUrl: `${PREVIEW_CONTENT_BASE}/${projectId}/_preview/${alias}`,
+  };
+}
+
 export default {
   async fetch(request, env, ctx) {
     // Get the hostname from the request
@@ -107,7 +129,8 @@ Need help? Contact support@repo.md
     }
 
     // Find the target worker URL for this domain
-    const targetUrl = DOMAIN_TARGETS[hostname];
+    const preview = matchPreviewHost(hostname);
+    const targetUrl = preview ? PREVIEW_THEME : DOMAIN_TARGETS[hostname];
 
     if (targetUrl) {
       log.info(`🎯 Found target [${targetUrl}] for domain [${hostname}]`);
@@ -147,6 +170,14 @@ Need help? Visit https://repo.md/docs or contact support@repo.md
     headers.set("x-theme", themeName);
     headers.set("x-original-domain", hostname);
 
+    // Previews render the PR revision instead of the project's active one
+    if (preview) {
+      log.info(`🔍 Serving preview [${preview.alias}] of project [${preview.projectId}]`);
+      headers.set("x-repo-project-id", preview.projectId);
+      headers.set("x-repo-preview", preview.alias);
+      headers.set("x-repo-content-url", preview.contentUrl);
+    }
+
     // Create a new request with the modified headers
     const forwardUrl = targetUrl + url.pathname + url.search;
     log.request(`🔀 Forwarding request from [${hostname}] to [${forwardUrl}]`, {
@@ -201,7 +201,10 @@ export class SqliteDatabasePlugin implements DatabasePlugin {
         width INTEGER,
         height INTEGER,
         metadata TEXT,
-        sizes TEXT
+        sizes TEXT,
+        placeholder TEXT,
+        dominant_color TEXT,
+        palette TEXT
       )
     `);
 
@@ -316,10 +319,12 @@ export class SqliteDatabasePlugin implements DatabasePlugin {
     const stmt = db.prepare(`
       INSERT OR REPLACE INTO media (
         hash, original_path, output_path, type,
-        mime_type, file_size, width, height, metadata, sizes
+        mime_type, file_size, width, height, metadata, sizes,
+        placeholder, dominant_color, palette
       ) VALUES (
         @hash, @originalPath, @outputPath, @type,
-        @mimeType, @fileSize, @width, @height, @metadata, @sizes
+        @mimeType, @fileSize, @width, @height, @metadata, @sizes,
+        @placeholder, @dominantColor, @palette
       )
     `);
 
@@ -338,6 +343,9 @@ export class SqliteDatabasePlugin implements DatabasePlugin {
           height: item.metadata?.height ?? 0,
           metadata: JSON.stringify(item.metadata ?? {}),
           sizes: JSON.stringify({}),
+          placeholder: item.placeholder?.lqip ?? null,
+          dominantColor: item.placeholder?.dominantColor ?? null,
+          palette: item.placeholder ? JSON.stringify(item.placeholder.palette) : null,
         });
       }
     });
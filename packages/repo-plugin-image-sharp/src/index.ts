@@ -13,8 +13,10 @@ import type {
   ImageMetadata,
   ImageProcessOptions,
   ImageProcessResult,
+  ImagePlaceholder,
   PluginContext,
 } from '@repo-md/processor-core';
+import { extractPalette, hasTransparency } from '@repo-md/processor-core';
 
 // ============================================================================
 // Types
@@ -48,6 +50,11 @@ const SUPPORTED_FORMATS = new Set([
 
 const SVG_FORMATS = new Set(['.svg']);
 
+/** Width of the blurred placeholder image */
+const PLACEHOLDER_SIZE = 16;
+/** Images are downscaled to this size before extracting the palette */
+const PALETTE_SAMPLE_SIZE = 32;
+
 // ============================================================================
 // Sharp Image Processor Plugin
 // ============================================================================
@@ -206,6 +213,36 @@ export class SharpImageProcessor implements ImageProcessorPlugin {
     await fs.copyFile(inputPath, outputPath);
   }
 
+  async getPlaceholder(filePath: string): Promise<ImagePlaceholder | null> {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!SUPPORTED_FORMATS.has(ext)) return null;
+
+    const image = sharp(filePath).rotate();
+
+    const lqip = await image
+      .clone()
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    const { data, info } = await image
+      .clone()
+      .resize(PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const palette = extractPalette(data, info.channels);
+    if (palette.length === 0) return null;
+
+    return {
+      lqip: `data:image/webp;base64,${lqip.toString('base64')}`,
+      dominantColor: palette[0]!,
+      palette,
+      transparent: hasTransparency(data, info.channels),
+    };
+  }
+
   /**
    * Get output path with correct extension
    */
@@ -14,8 +14,11 @@ import type {
   ImageMetadata,
   ImageProcessOptions,
   ImageProcessResult,
+  ImagePlaceholder,
   PluginContext,
 } from '@repo-md/processor-core';
+import { extractPalette, hasTransparency } from '@repo-md/processor-core';
+import { decodePng } from './png.js';
 
 // ============================================================================
 // Types
@@ -47,6 +50,11 @@ const SVG_FORMATS = new Set(['.svg']);
 // GIF and TIFF are not supported by wasm-image-optimization
 const COPY_ONLY_FORMATS = new Set(['.gif', '.tiff', '.tif']);
 
+/** Width of the blurred placeholder image */
+const PLACEHOLDER_SIZE = 16;
+/** Images are downscaled to this size before extracting the palette */
+const PALETTE_SAMPLE_SIZE = 32;
+
 // ============================================================================
 // WASM Image Processor Plugin
 // ============================================================================
@@ -188,6 +196,42 @@ export class WasmImageProcessor implements ImageProcessorPlugin {
     await fs.copyFile(inputPath, outputPath);
   }
 
+  async getPlaceholder(filePath: string): Promise<ImagePlaceholder | null> {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!SUPPORTED_FORMATS.has(ext)) return null;
+
+    const imageBuffer = await fs.readFile(filePath);
+
+    const lqip = await optimizeImageExt({
+      image: imageBuffer,
+      width: PLACEHOLDER_SIZE,
+      height: PLACEHOLDER_SIZE,
+      format: 'webp',
+      quality: 40,
+    });
+
+    // No raw output in wasm-image-optimization: encode a tiny PNG and decode it
+    const sample = await optimizeImageExt({
+      image: imageBuffer,
+      width: PALETTE_SAMPLE_SIZE,
+      height: PALETTE_SAMPLE_SIZE,
+      format: 'png',
+    });
+
+    const pixels = sample ? decodePng(sample.data) : null;
+    if (!lqip || !pixels) return null;
+
+    const palette = extractPalette(pixels.data, pixels.channels);
+    if (palette.length === 0) return null;
+
+    return {
+      lqip: `data:image/webp;base64,${Buffer.from(lqip.data).toString('base64')}`,
+      dominantColor: palette[0]!,
+      palette,
+      transparent: hasTransparency(pixels.data, pixels.channels),
+    };
+  }
+
   /**
    * Map our format enum to wasm-image-optimization format
    */
@@ -0,0 +1,99 @@
+/**
+ * Minimal PNG decoder
+ *
+ * Decodes the small 8-bit RGB/RGBA PNGs produced by wasm-image-optimization
+ * into raw pixels, so colors can be sampled without native bindings.
+ */
+
+import { inflateSync } from 'node:zlib';
+
+export interface DecodedPng {
+  readonly width: number;
+  readonly height: number;
+  /** Channels per pixel (3 for RGB, 4 for RGBA) */
+  readonly channels: number;
+  readonly data: Uint8Array;
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Paeth predictor (PNG filter type 4)
+ */
+const paeth = (a: number, b: number, c: number): number => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * Decode a non-interlaced 8-bit RGB or RGBA PNG.
+ * Returns null for any other layout (palette, grayscale, 16-bit, interlaced).
+ */
+export const decodePng = (buffer: Uint8Array): DecodedPng | null => {
+  if (PNG_SIGNATURE.some((byte, i) => buffer[i] !== byte)) return null;
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat: Uint8Array[] = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...buffer.subarray(offset + 4, offset + 8));
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      const bitDepth = chunk[8];
+      const colorType = chunk[9];
+      const interlace = chunk[12];
+      if (bitDepth !== 8 || interlace !== 0) return null;
+      if (colorType === 2) channels = 3;
+      else if (colorType === 6) channels = 4;
+      else return null;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += length + 12; // length + type + data + crc
+  }
+
+  if (!width || !height || !channels || idat.length === 0) return null;
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const data = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const prevRow = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? data[row + x - channels]! : 0;
+      const up = y > 0 ? data[prevRow + x]! : 0;
+      const upLeft = y > 0 && x >= channels ? data[prevRow + x - channels]! : 0;
+      const value = line[x]!;
+
+      switch (filter) {
+        case 0: data[row + x] = value; break;
+        case 1: data[row + x] = value + left; break;
+        case 2: data[row + x] = value + up; break;
+        case 3: data[row + x] = value + ((left + up) >> 1); break;
+        case 4: data[row + x] = value + paeth(left, up, upLeft); break;
+        default: return null;
+      }
+    }
+  }
+
+  return { width, height, channels, data };
+};
@@ -20,6 +20,9 @@ export * from './processor/index.js';
 // Markdown
 export * from './markdown/index.js';
 
+// Search
+export * from './search/index.js';
+
 // Utils (excluding SlugInfo which conflicts with output types)
 export {
   toSlug,
@@ -32,3 +35,4 @@ export {
 } from './utils/slug.js';
 export * from './utils/hash.js';
 export * from './utils/file.js';
+export * from './utils/color.js';
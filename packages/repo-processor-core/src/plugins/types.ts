@@ -11,7 +11,7 @@
 
 import type { IssueCollector } from '../services/issueCollector.js';
 import type { ProcessConfig } from '../types/config.js';
-import type { ProcessedPost, ProcessedMedia } from '../types/output.js';
+import type { ProcessedPost, ProcessedMedia, ImagePlaceholder } from '../types/output.js';
 
 // ============================================================================
 // Base Plugin Types
@@ -108,6 +108,9 @@ export interface ImageProcessorPlugin extends Plugin {
 
   /** Copy file without processing */
   copy(inputPath: string, outputPath: string): Promise<void>;
+
+  /** Compute a low-quality placeholder and color palette (optional) */
+  getPlaceholder?(filePath: string): Promise<ImagePlaceholder | null>;
 }
 
 // ============================================================================
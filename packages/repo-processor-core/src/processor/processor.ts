@@ -8,7 +8,7 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import type { ProcessConfig } from '../types/config.js';
-import type { ProcessedPost, ProcessedMedia, ProcessResult, MediaSizeVariant, PostCover, PostCoverError } from '../types/output.js';
+import type { ProcessedPost, ProcessedMedia, ProcessResult, MediaSizeVariant, ImagePlaceholder, PostCover, PostCoverError } from '../types/output.js';
 import type { CacheStats, CachedMediaMetadata } from '../types/cache.js';
 import { createEmptyCacheStats } from '../types/cache.js';
 import type { LogLevel, PluginContext } from '../plugins/types.js';
@@ -348,6 +348,7 @@ export class Processor {
               height: s.height,
               size: s.size,
             })) : undefined,
+            placeholder: cachedMedia.placeholder,
           };
 
           state.media.push(processedMedia);
@@ -435,6 +436,17 @@ export class Processor {
             }
           }
 
+          // Placeholder (LQIP + palette), if the plugin supports it
+          let placeholder: ImagePlaceholder | undefined;
+          if (imageProcessor.getPlaceholder) {
+            try {
+              placeholder = (await imageProcessor.getPlaceholder(mediaPath)) ?? undefined;
+            } catch (placeholderError) {
+              const placeholderErrorMsg = placeholderError instanceof Error ? placeholderError.message : String(placeholderError);
+              this.log(`Failed to compute placeholder for ${fileName}: ${placeholderErrorMsg}`, 'warn');
+            }
+          }
+
           const processedMedia: ProcessedMedia = {
             originalPath: relativePath,
             outputPath: normalizePath(path.relative(state.outputDir, result.outputPath)),
@@ -449,6 +461,7 @@ export class Processor {
               hash: contentHash,
             },
             sizes: sizeVariants.length > 0 ? sizeVariants : undefined,
+            placeholder,
           };
           state.media.push(processedMedia);
           // Add to mediaPathMap for frontmatter rewriting
@@ -0,0 +1,57 @@
+/**
+ * Search Analyzer Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { tokenize, getSearchLanguage, stem, analyze, getShardKey } from './analyzer.js';
+
+describe('tokenize', () => {
+  it('should lowercase and strip diacritics', () => {
+    expect(tokenize('Héllo, World! A 2024 café')).toEqual(['hello', 'world', '2024', 'cafe']);
+  });
+
+  it('should handle empty text', () => {
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('getSearchLanguage', () => {
+  it('should use the language of a locale', () => {
+    expect(getSearchLanguage('pt-BR')).toBe('pt');
+    expect(getSearchLanguage('DE')).toBe('de');
+  });
+
+  it('should default to english', () => {
+    expect(getSearchLanguage('ja')).toBe('en');
+    expect(getSearchLanguage(undefined)).toBe('en');
+  });
+});
+
+describe('stem', () => {
+  it('should strip the longest known suffix', () => {
+    expect(stem('deployments', 'en')).toBe('deploy');
+    expect(stem('studies', 'en')).toBe('study');
+    expect(stem('zeitungen', 'de')).toBe('zeit');
+  });
+
+  it('should keep at least 3 characters', () => {
+    expect(stem('is', 'en')).toBe('is');
+  });
+
+  it('should leave terms of unsupported languages unchanged', () => {
+    expect(stem('deployments', 'xx')).toBe('deployments');
+  });
+});
+
+describe('analyze', () => {
+  it('should tokenize and stem', () => {
+    expect(analyze('Les déploiements', 'fr')).toEqual(['les', 'deploi']);
+  });
+});
+
+describe('getShardKey', () => {
+  it('should return the first two characters', () => {
+    expect(getShardKey('deploy')).toBe('de');
+    expect(getShardKey('a')).toBe('a');
+  });
+});
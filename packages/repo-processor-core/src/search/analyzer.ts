@@ -0,0 +1,101 @@
+/**
+ * Full-Text Search Analyzer
+ *
+ * Tokenizing and stemming of the build-time search index. Used by the index builder
+ * of @repo-md/processor and the query side of @repo-md/client, so documents and
+ * queries are always analyzed alike.
+ */
+
+// Bump whenever the analysis or the file layout of the index changes:
+// the client ignores indexes whose manifest version differs
+export const SEARCH_INDEX_VERSION = 1;
+
+const MIN_STEM_LENGTH = 3;
+
+type StemRule = string | [suffix: string, replacement: string];
+
+// Light suffix-stripping stemmers, applied to lowercase terms without diacritics
+const STEM_RULES: Record<string, StemRule[]> = {
+  en: [
+    'ational', 'ization', 'fulness', 'iveness', 'ations', 'ements', 'ically', 'ities', 'ation', 'ement',
+    'ments', 'ness', 'ment', 'able', 'ible', 'ings', ['ies', 'y'], 'ing', 'ers', 'est', 'ful', 'ous',
+    'ive', 'ize', 'ise', 'ed', 'er', 'ly', 'es', 's',
+  ],
+  fr: [
+    'issements', 'issement', 'atrices', 'ations', 'ateurs', 'ements', 'ation', 'ateur', 'atrice', 'ement',
+    'ments', 'ites', 'ment', 'euse', 'eux', 'ite', 'ives', 'ive', 'ifs', 'if', 'es', 'er', 'ez', 's', 'e',
+  ],
+  es: [
+    'aciones', 'amientos', 'imientos', 'amiento', 'imiento', 'adoras', 'adores', 'acion', 'mente', 'ancia',
+    'adora', 'ador', 'idad', 'ando', 'iendo', 'ados', 'idas', 'ado', 'ido', 'es', 'as', 'os', 'a', 'o', 'e', 's',
+  ],
+  pt: [
+    'acoes', 'amentos', 'imentos', 'mente', 'acao', 'amento', 'imento', 'idade', 'ando', 'endo', 'ados',
+    'idos', 'ado', 'ido', 'es', 'as', 'os', 'a', 'o', 'e', 's',
+  ],
+  it: [
+    'azioni', 'amenti', 'imenti', 'azione', 'amento', 'imento', 'mente', 'ita', 'ando', 'endo', 'ato',
+    'ito', 'i', 'e', 'a', 'o',
+  ],
+  de: ['ungen', 'heiten', 'keiten', 'ischen', 'heit', 'keit', 'isch', 'lich', 'ung', 'ern', 'end', 'est', 'em', 'en', 'er', 'es', 'e', 's'],
+};
+
+/**
+ * Split text into lowercase terms without diacritics
+ * @param text - Text to tokenize
+ * @returns Terms (single characters are dropped)
+ */
+export function tokenize(text: string): string[] {
+  if (!text) return [];
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1);
+}
+
+/**
+ * Get the stemming language of a locale ("pt-BR" -> "pt")
+ * @param locale - Locale
+ * @returns The language, or "en" when unknown
+ */
+export function getSearchLanguage(locale?: string): string {
+  const language = locale?.split('-')[0]?.toLowerCase();
+  return language && language in STEM_RULES ? language : 'en';
+}
+
+/**
+ * Stem a term by stripping its longest known suffix
+ * @param term - Term from tokenize()
+ * @param language - Language from getSearchLanguage()
+ * @returns The stem (the term itself for unsupported languages)
+ */
+export function stem(term: string, language: string): string {
+  for (const rule of STEM_RULES[language] || []) {
+    const [suffix, replacement] = typeof rule === 'string' ? [rule, ''] : rule;
+    if (term.endsWith(suffix) && term.length - suffix.length >= MIN_STEM_LENGTH) {
+      return term.slice(0, term.length - suffix.length) + replacement;
+    }
+  }
+  return term;
+}
+
+/**
+ * Tokenize and stem text
+ * @param text - Text to analyze
+ * @param language - Stemming language
+ * @returns Stemmed terms
+ */
+export function analyze(text: string, language: string): string[] {
+  return tokenize(text).map((term) => stem(term, language));
+}
+
+/**
+ * Get the shard of a term (its first two characters)
+ * @param term - Stemmed or query term
+ * @returns The shard key
+ */
+export function getShardKey(term: string): string {
+  return term.slice(0, 2);
+}
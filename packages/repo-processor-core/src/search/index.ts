@@ -0,0 +1,5 @@
+/**
+ * Search Exports
+ */
+
+export * from './analyzer.js';
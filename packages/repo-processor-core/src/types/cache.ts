@@ -5,7 +5,7 @@
  * to skip re-processing files that haven't changed.
  */
 
-import type { MediaMetadata, MediaSizeVariant } from './output.js';
+import type { ImagePlaceholder, MediaMetadata, MediaSizeVariant } from './output.js';
 
 // ============================================================================
 // Cached Media Metadata
@@ -31,6 +31,8 @@ export interface CachedMediaMetadata {
   readonly outputPath: string;
   /** Responsive size variants */
   readonly sizes: readonly CachedMediaSizeVariant[];
+  /** Image placeholder */
+  readonly placeholder?: ImagePlaceholder;
 }
 
 /**
@@ -122,7 +124,12 @@ export const createEmptyCacheStats = (): CacheStats => ({
  * Build a media cache from a medias.json file structure
  */
 export function buildMediaCacheFromManifest(
-  medias: readonly { metadata?: MediaMetadata; outputPath: string; sizes?: readonly MediaSizeVariant[] }[]
+  medias: readonly {
+    metadata?: MediaMetadata;
+    outputPath: string;
+    sizes?: readonly MediaSizeVariant[];
+    placeholder?: ImagePlaceholder;
+  }[]
 ): Map<string, CachedMediaMetadata> {
   const cache = new Map<string, CachedMediaMetadata>();
 
@@ -144,6 +151,7 @@ export function buildMediaCacheFromManifest(
         height: s.height,
         size: s.size,
       })),
+      placeholder: media.placeholder,
     });
   }
 
@@ -138,6 +138,18 @@ export interface MediaMetadata {
   readonly hash?: string;
 }
 
+/** Low-quality placeholder shown while an image loads */
+export interface ImagePlaceholder {
+  /** Tiny blurred image as a data URL */
+  readonly lqip: string;
+  /** Most frequent color (#rrggbb) */
+  readonly dominantColor: string;
+  /** Main colors, most frequent first */
+  readonly palette: readonly string[];
+  /** Whether the image has transparent pixels */
+  readonly transparent: boolean;
+}
+
 export interface MediaSizeVariant {
   /** Size suffix (xs, sm, md, lg, xl) */
   readonly suffix: string;
@@ -170,6 +182,9 @@ export interface ProcessedMedia {
   /** Responsive image size variants */
   readonly sizes?: readonly MediaSizeVariant[];
 
+  /** Image placeholder (LQIP and dominant colors) */
+  readonly placeholder?: ImagePlaceholder;
+
   /** Image embedding vector */
   readonly embedding?: readonly number[];
 }
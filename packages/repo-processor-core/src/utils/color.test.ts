@@ -0,0 +1,43 @@
+/**
+ * Color Utility Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toHexColor, extractPalette, hasTransparency } from './color.js';
+
+describe('toHexColor', () => {
+  it('should format RGB as hex', () => {
+    expect(toHexColor(255, 0, 16)).toBe('#ff0010');
+  });
+
+  it('should round channel values', () => {
+    expect(toHexColor(9.6, 128.2, 0)).toBe('#0a8000');
+  });
+});
+
+describe('extractPalette', () => {
+  // 3 red pixels, 1 blue pixel and 1 transparent green pixel
+  const pixels = Uint8Array.from([
+    250, 0, 0, 255, 240, 0, 0, 255, 245, 0, 0, 255, 0, 0, 250, 255, 0, 255, 0, 0,
+  ]);
+
+  it('should return colors by frequency, skipping transparent pixels', () => {
+    expect(extractPalette(pixels, 4)).toEqual(['#f50000', '#0000fa']);
+  });
+
+  it('should limit the number of colors', () => {
+    expect(extractPalette(pixels, 4, 1)).toEqual(['#f50000']);
+  });
+
+  it('should handle RGB pixels', () => {
+    expect(extractPalette(Uint8Array.from([10, 20, 30]), 3)).toEqual(['#0a141e']);
+  });
+});
+
+describe('hasTransparency', () => {
+  it('should detect transparent pixels', () => {
+    expect(hasTransparency(Uint8Array.from([0, 0, 0, 255, 0, 0, 0, 10]), 4)).toBe(true);
+    expect(hasTransparency(Uint8Array.from([0, 0, 0, 255]), 4)).toBe(false);
+    expect(hasTransparency(Uint8Array.from([0, 0, 0]), 3)).toBe(false);
+  });
+});
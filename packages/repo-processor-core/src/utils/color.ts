@@ -0,0 +1,54 @@
+/**
+ * Color Utilities
+ *
+ * Functions for extracting color palettes from raw pixels.
+ */
+
+/**
+ * Format an RGB color as hex ("#rrggbb")
+ */
+export const toHexColor = (r: number, g: number, b: number): string =>
+  `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Extract the main colors of raw RGB/RGBA pixels, most frequent first.
+ * Colors are grouped in buckets of 4 bits per channel and averaged;
+ * mostly transparent pixels are ignored.
+ */
+export const extractPalette = (
+  pixels: Uint8Array,
+  channels: number,
+  count = 5
+): string[] => {
+  const buckets = new Map<number, { r: number; g: number; b: number; pixels: number }>();
+
+  for (let i = 0; i + channels - 1 < pixels.length; i += channels) {
+    if (channels === 4 && pixels[i + 3]! < 128) continue;
+    const r = pixels[i]!;
+    const g = pixels[i + 1]!;
+    const b = pixels[i + 2]!;
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) ?? { r: 0, g: 0, b: 0, pixels: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.pixels++;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, count)
+    .map((bucket) => toHexColor(bucket.r / bucket.pixels, bucket.g / bucket.pixels, bucket.b / bucket.pixels));
+};
+
+/**
+ * Check whether RGBA pixels contain any transparency
+ */
+export const hasTransparency = (pixels: Uint8Array, channels: number): boolean => {
+  if (channels !== 4) return false;
+  for (let i = 3; i < pixels.length; i += channels) {
+    if (pixels[i]! < 255) return true;
+  }
+  return false;
+};
@@ -5,3 +5,4 @@
 export * from './slug.js';
 export * from './hash.js';
 export * from './file.js';
+export * from './color.js';
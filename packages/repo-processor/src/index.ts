@@ -25,6 +25,15 @@ export * from "./lib/utility";
 // Export file resolver utilities
 export * from "./lib/fileResolver";
 
+// Export search index builder (used by the build worker)
+export * from "./lib/searchIndex";
+
+// Export video/audio file detection (used by the build worker)
+export * from "./lib/avMedia";
+
+// Export heading-aware passage splitting (used by the build worker)
+export * from "./lib/passages";
+
 // Re-export the main classes, functions and types
 export {
   RepoProcessor,
@@ -0,0 +1,27 @@
+import { expect, test } from "vitest";
+import { unified } from "unified";
+import rehypeStringify from "rehype-stringify";
+import { h } from "hastscript";
+import { getAvMediaKind } from "../lib/avMedia";
+import { rehypeMediaPlayers } from "../rehype/rehypeMediaPlayers";
+
+test("getAvMediaKind", () => {
+  expect(getAvMediaKind("clips/demo.MP4")).toBe("video");
+  expect(getAvMediaKind("https://static.repo.md/_repo/medias/abc.mp3?v=2")).toBe("audio");
+  expect(getAvMediaKind("photo.jpg")).toBeNull();
+  expect(getAvMediaKind("README")).toBeNull();
+});
+
+test("rehypeMediaPlayers", () => {
+  const tree = h(null, [
+    h("img", { src: "/_repo/medias/episode.mp3", alt: "Episode 12" }),
+    h("img", { src: "/_repo/medias/clip.webm", alt: "" }),
+    h("img", { src: "/_repo/medias/photo.jpg", alt: "Photo" }),
+  ]);
+  const processor = unified().use(rehypeMediaPlayers).use(rehypeStringify);
+  const html = processor.stringify(processor.runSync(tree));
+
+  expect(html).toContain('<audio src="/_repo/medias/episode.mp3" controls preload="metadata" title="Episode 12"></audio>');
+  expect(html).toContain('<video src="/_repo/medias/clip.webm" controls preload="metadata" playsinline></video>');
+  expect(html).toContain('<img src="/_repo/medias/photo.jpg" alt="Photo">');
+});
@@ -0,0 +1,16 @@
+// Video and audio files are copied as-is by the processor; the build worker adds their playback metadata
+export const VIDEO_EXTENSIONS = [".mp4", ".m4v", ".webm", ".mov", ".ogv"];
+export const AUDIO_EXTENSIONS = [".mp3", ".m4a", ".aac", ".wav", ".ogg", ".oga", ".opus", ".flac"];
+
+/**
+ * Get whether a file is a video or an audio file
+ * @param filePath File path or URL (query strings and fragments are ignored)
+ * @returns "video", "audio", or null for other files
+ */
+export function getAvMediaKind(filePath: string): "video" | "audio" | null {
+  const match = filePath.split(/[?#]/)[0].toLowerCase().match(/\.[a-z0-9]+$/);
+  if (!match) return null;
+  if (VIDEO_EXTENSIONS.includes(match[0])) return "video";
+  if (AUDIO_EXTENSIONS.includes(match[0])) return "audio";
+  return null;
+}
@@ -0,0 +1,72 @@
+import { expect, test } from "vitest";
+import { detectCollection, applySlugPattern, sortCollectionEntries, buildCollections } from "../lib/collections";
+import type { FileData } from "../types";
+
+const collections = {
+  docs: { folder: "docs" },
+  api: { folder: "/docs/api/" },
+  blog: { folder: "blog", slug: "blog/{year}/{slug}", sort: "-date" },
+  authors: { folder: "authors", sort: "title" },
+};
+
+const page = (overrides: Partial<FileData>): FileData =>
+  ({ slug: "", title: "", frontmatter: {}, hash: "", ...overrides }) as FileData;
+
+test("detectCollection", () => {
+  expect(detectCollection("docs/setup.md", collections)).toBe("docs");
+  // The most specific folder wins
+  expect(detectCollection("docs/api/client.md", collections)).toBe("api");
+  expect(detectCollection("blogging/post.md", collections)).toBeUndefined();
+  expect(detectCollection("notes.md", collections)).toBeUndefined();
+  expect(detectCollection("docs/setup.md")).toBeUndefined();
+});
+
+test("applySlugPattern", () => {
+  const values = { slug: "hello-world", collection: "blog", relativePath: "blog/2024/hello.md", folder: "blog" };
+
+  expect(applySlugPattern("blog/{year}/{slug}", { ...values, frontmatter: { date: "2024-03-09" } })).toBe(
+    "blog/2024/hello-world"
+  );
+  expect(applySlugPattern("{year}-{month}-{day}-{slug}", { ...values, frontmatter: { date: new Date("2024-03-09") } })).toBe(
+    "2024-03-09-hello-world"
+  );
+  expect(applySlugPattern("{collection}/{path}/{slug}", values)).toBe("blog/2024/hello-world");
+  // Tokens without a value are dropped
+  expect(applySlugPattern("blog/{year}/{slug}", values)).toBe("blog/hello-world");
+});
+
+test("sortCollectionEntries", () => {
+  const entries = [
+    page({ slug: "b", title: "Bob", frontmatter: { date: "2024-01-10", order: 10 } }),
+    page({ slug: "a", title: "alice", frontmatter: { date: "2024-05-01", order: 2 } }),
+    page({ slug: "c", title: "Carol", frontmatter: {} }),
+  ];
+
+  expect(sortCollectionEntries(entries, "-date").map((entry) => entry.slug)).toEqual(["a", "b", "c"]);
+  expect(sortCollectionEntries(entries, "order").map((entry) => entry.slug)).toEqual(["a", "b", "c"]);
+  expect(sortCollectionEntries(entries, "title").map((entry) => entry.slug)).toEqual(["a", "b", "c"]);
+  expect(sortCollectionEntries(entries).map((entry) => entry.slug)).toEqual(["b", "a", "c"]);
+});
+
+test("buildCollections", () => {
+  const pages = [
+    page({ slug: "old", collection: "blog", frontmatter: { date: "2023-01-01" } }),
+    page({ slug: "new", collection: "blog", frontmatter: { date: "2024-01-01" } }),
+    page({ slug: "jane", collection: "authors", title: "Jane" }),
+    page({ slug: "loose" }),
+  ];
+
+  const { manifest, entries } = buildCollections(pages, collections);
+
+  expect(entries.blog.map((entry) => entry.slug)).toEqual(["new", "old"]);
+  expect(manifest.blog).toEqual({
+    name: "blog",
+    folder: "blog",
+    file: "collections/blog.json",
+    count: 2,
+    sort: "-date",
+    slug: "blog/{year}/{slug}",
+  });
+  expect(manifest.api).toMatchObject({ folder: "docs/api", count: 0 });
+  expect(entries.docs).toEqual([]);
+});
@@ -0,0 +1,136 @@
+import slugify from "@sindresorhus/slugify";
+import { CollectionManifestEntry, CollectionsConfig, FileData } from "../types";
+
+// Folder of the per-collection entry files in the build folder
+export const COLLECTIONS_FOLDER = "collections";
+
+const trimSlashes = (value: string): string => value.replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+
+/**
+ * Find the collection a post belongs to: the collection with the most specific folder containing it
+ * @param relativePath Vault-relative path of the post
+ * @param collections Collections configuration
+ * @returns The collection name, or undefined when the post is in no collection
+ */
+export function detectCollection(relativePath: string, collections?: CollectionsConfig): string | undefined {
+  const postPath = trimSlashes(relativePath);
+  let match: { name: string; depth: number } | undefined;
+
+  for (const [name, collection] of Object.entries(collections || {})) {
+    const folder = trimSlashes(collection.folder || "");
+    if (folder && !postPath.startsWith(`${folder}/`)) continue;
+    const depth = folder ? folder.split("/").length : 0;
+    if (!match || depth > match.depth) match = { name, depth };
+  }
+  return match?.name;
+}
+
+/**
+ * Read the date of a post from its `date` frontmatter
+ */
+function getPostDate(frontmatter: Record<string, any> | undefined): Date | undefined {
+  const value = frontmatter?.date;
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Build the slug of a collection entry from the collection's slug pattern
+ * Tokens: {slug} (frontmatter slug or file slug), {collection}, {path} (subfolders within the
+ * collection folder) and {year}/{month}/{day} (from `date` frontmatter). Empty tokens are dropped.
+ * @param pattern Slug pattern (e.g. "blog/{year}/{slug}")
+ * @param values Entry values
+ * @returns The slug, segments separated by "/"
+ */
+export function applySlugPattern(
+  pattern: string,
+  values: { slug: string; collection: string; relativePath: string; folder: string; frontmatter?: Record<string, any> }
+): string {
+  const date = getPostDate(values.frontmatter);
+  const pad = (value: number) => String(value).padStart(2, "0");
+  const subfolders = trimSlashes(values.relativePath).split("/").slice(0, -1);
+  const folderDepth = trimSlashes(values.folder).split("/").filter(Boolean).length;
+
+  const tokens: Record<string, string> = {
+    slug: values.slug,
+    collection: values.collection,
+    path: subfolders.slice(folderDepth).join("/"),
+    year: date ? String(date.getUTCFullYear()) : "",
+    month: date ? pad(date.getUTCMonth() + 1) : "",
+    day: date ? pad(date.getUTCDate()) : "",
+  };
+
+  return pattern
+    .replace(/\{(\w+)\}/g, (token, name: string) => tokens[name] ?? token)
+    .split("/")
+    .map((segment) => slugify(segment, { decamelize: false }))
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Get the value a collection is sorted by: a frontmatter field, or a post field
+ */
+function getSortValue(post: FileData, field: string): string | number | undefined {
+  const value = post.frontmatter?.[field] ?? (post as unknown as Record<string, unknown>)[field];
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || typeof value === "string") return value;
+  return undefined;
+}
+
+/**
+ * Sort the entries of a collection
+ * @param entries Posts of the collection
+ * @param sort Field to sort by, "-" prefix for descending; entries without the field come last
+ * @returns A sorted copy of the entries (unchanged order without sort)
+ */
+export function sortCollectionEntries(entries: FileData[], sort?: string): FileData[] {
+  if (!sort) return [...entries];
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+
+  return [...entries].sort((a, b) => {
+    const valueA = getSortValue(a, field);
+    const valueB = getSortValue(b, field);
+    if (valueA === undefined || valueB === undefined) {
+      return valueA === valueB ? 0 : valueA === undefined ? 1 : -1;
+    }
+    const order =
+      typeof valueA === "number" && typeof valueB === "number"
+        ? valueA - valueB
+        : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+    return descending ? -order : order;
+  });
+}
+
+/**
+ * Group posts by collection, sorted as configured
+ * Every configured collection is listed, including empty ones.
+ * @param pages All posts (with their `collection` set)
+ * @param collections Collections configuration
+ * @returns The collections manifest and the sorted entries of each collection
+ */
+export function buildCollections(
+  pages: FileData[],
+  collections: CollectionsConfig
+): { manifest: Record<string, CollectionManifestEntry>; entries: Record<string, FileData[]> } {
+  const manifest: Record<string, CollectionManifestEntry> = {};
+  const entries: Record<string, FileData[]> = {};
+
+  for (const [name, collection] of Object.entries(collections)) {
+    entries[name] = sortCollectionEntries(
+      pages.filter((page) => page.collection === name),
+      collection.sort
+    );
+    manifest[name] = {
+      name,
+      folder: trimSlashes(collection.folder || ""),
+      file: `${COLLECTIONS_FOLDER}/${slugify(name, { decamelize: false })}.json`,
+      count: entries[name].length,
+      ...(collection.sort && { sort: collection.sort }),
+      ...(collection.slug && { slug: collection.slug }),
+    };
+  }
+  return { manifest, entries };
+}
@@ -0,0 +1,38 @@
+import { expect, test } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { createImagePlaceholder, extractPalette, getPlaceholderStyle, toHexColor } from "../lib/imagePlaceholder";
+
+test("toHexColor", () => {
+  expect(toHexColor(255, 0, 16)).toBe("#ff0010");
+  expect(toHexColor(9.6, 128.2, 0)).toBe("#0a8000");
+});
+
+test("extractPalette", () => {
+  // 3 red pixels, 1 blue pixel and 1 transparent green pixel
+  const pixels = Uint8Array.from([
+    250, 0, 0, 255, 240, 0, 0, 255, 245, 0, 0, 255, 0, 0, 250, 255, 0, 255, 0, 0,
+  ]);
+  expect(extractPalette(pixels, 4)).toEqual(["#f50000", "#0000fa"]);
+  expect(extractPalette(Uint8Array.from([10, 20, 30]), 3)).toEqual(["#0a141e"]);
+});
+
+test("createImagePlaceholder", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "placeholder-"));
+  const filePath = path.join(dir, "blue.png");
+  await sharp({ create: { width: 64, height: 32, channels: 3, background: { r: 20, g: 60, b: 200 } } })
+    .png()
+    .toFile(filePath);
+
+  const placeholder = await createImagePlaceholder(filePath);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  expect(placeholder).toMatchObject({ dominantColor: "#143cc8", palette: ["#143cc8"], transparent: false });
+  expect(placeholder?.lqip).toMatch(/^data:image\/webp;base64,/);
+  expect(getPlaceholderStyle(placeholder!)).toBe(
+    `background-color: #143cc8; background-image: url(${placeholder!.lqip}); background-size: cover;`
+  );
+  expect(getPlaceholderStyle({ ...placeholder!, transparent: true })).toBe("");
+});
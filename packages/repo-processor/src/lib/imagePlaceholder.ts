@@ -0,0 +1,92 @@
+import type { ImagePlaceholder } from "../types";
+
+// Width of the blurred placeholder image (a few hundred bytes once encoded)
+const LQIP_SIZE = 16;
+// Images are downscaled to this size before counting colors
+const PALETTE_SAMPLE_SIZE = 32;
+const PALETTE_COLORS = 5;
+
+/**
+ * Format an RGB color as hex ("#rrggbb")
+ */
+export function toHexColor(r: number, g: number, b: number): string {
+  return `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Extract the main colors of raw pixels
+ * Colors are grouped in buckets of 4 bits per channel, then each bucket is averaged.
+ * @param pixels Raw pixel data (RGB or RGBA)
+ * @param channels Number of channels per pixel (3 or 4)
+ * @param count Maximum number of colors
+ * @returns Hex colors, most frequent first (transparent pixels are ignored)
+ */
+export function extractPalette(pixels: Uint8Array, channels: number, count = PALETTE_COLORS): string[] {
+  const buckets = new Map<number, { r: number; g: number; b: number; pixels: number }>();
+
+  for (let i = 0; i + channels - 1 < pixels.length; i += channels) {
+    if (channels === 4 && pixels[i + 3] < 128) continue;
+    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, pixels: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.pixels++;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, count)
+    .map((bucket) => toHexColor(bucket.r / bucket.pixels, bucket.g / bucket.pixels, bucket.b / bucket.pixels));
+}
+
+/**
+ * Compute the placeholder of an image: a tiny blurred WebP and its color palette
+ * @param filePath Path of the source image
+ * @returns The placeholder, or null if the image has no opaque pixels
+ */
+export async function createImagePlaceholder(filePath: string): Promise<ImagePlaceholder | null> {
+  const sharp = (await import("sharp")).default;
+
+  const image = sharp(filePath).rotate(); // Apply EXIF orientation
+
+  const lqip = await image
+    .clone()
+    .resize(LQIP_SIZE, LQIP_SIZE, { fit: "inside" })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  const { data, info } = await image
+    .clone()
+    .resize(PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const palette = extractPalette(data, info.channels);
+  if (palette.length === 0) return null;
+
+  let transparent = false;
+  for (let i = 3; i < data.length && !transparent; i += info.channels) {
+    transparent = data[i] < 255;
+  }
+
+  return {
+    lqip: `data:image/webp;base64,${lqip.toString("base64")}`,
+    dominantColor: palette[0],
+    palette,
+    transparent,
+  };
+}
+
+/**
+ * Get the inline style showing a placeholder behind an <img> until it loads
+ * @param placeholder Image placeholder
+ * @returns CSS declarations, or an empty string for transparent images (the placeholder would show through)
+ */
+export function getPlaceholderStyle(placeholder?: ImagePlaceholder): string {
+  if (!placeholder || placeholder.transparent) return "";
+  return `background-color: ${placeholder.dominantColor}; background-image: url(${placeholder.lqip}); background-size: cover;`;
+}
@@ -3,3 +3,13 @@ export * as mdast from "./mdast";
 export * as utility from "./utility";
 export * from "./mediaService";
 export * from "./wordCount";
+export * from "./publishSchedule";
+export * from "./locales";
+export * from "./collections";
+export * from "./references";
+export * from "./searchIndex";
+export * from "./responsiveImages";
+export * from "./imagePlaceholder";
+export * from "./avMedia";
+export * from "./photoMetadata";
+export * from "./passages";
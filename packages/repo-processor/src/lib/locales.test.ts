@@ -0,0 +1,64 @@
+import { expect, test } from "vitest";
+import {
+  normalizeLocale,
+  detectLocale,
+  getTranslationKey,
+  resolveDefaultLocale,
+  getLocalizedSlug,
+  linkTranslations,
+} from "../lib/locales";
+import type { FileData } from "../types";
+
+test("normalizeLocale", () => {
+  expect(normalizeLocale("fr")).toBe("fr");
+  expect(normalizeLocale("FR")).toBe("fr");
+  expect(normalizeLocale("pt_br")).toBe("pt-BR");
+  expect(normalizeLocale("zh-Hant")).toBe("zh-Hant");
+  expect(normalizeLocale("images")).toBeUndefined();
+  expect(normalizeLocale(42)).toBeUndefined();
+});
+
+test("detectLocale", () => {
+  const config = { defaultLocale: "en", locales: ["fr"] };
+
+  expect(detectLocale("guide/setup.md", { lang: "fr" }, config)).toEqual({ locale: "fr", localeFolder: undefined });
+  expect(detectLocale("fr/guide/setup.md", {}, config)).toEqual({ locale: "fr", localeFolder: "fr" });
+  expect(detectLocale("guide/setup.md", {}, config)).toEqual({ locale: "en", localeFolder: undefined });
+  // Only configured folders are locale folders
+  expect(detectLocale("de/setup.md", {}, config)).toEqual({ locale: "en", localeFolder: undefined });
+  // Without configuration, only frontmatter sets a locale
+  expect(detectLocale("fr/setup.md", {}).locale).toBeUndefined();
+});
+
+test("getTranslationKey", () => {
+  expect(getTranslationKey("fr/guide/setup.md", {}, "fr")).toBe("guide/setup");
+  expect(getTranslationKey("guide/setup.md", {})).toBe("guide/setup");
+  expect(getTranslationKey("fr/installer.md", { translationKey: "setup" }, "fr")).toBe("setup");
+});
+
+test("resolveDefaultLocale", () => {
+  expect(resolveDefaultLocale(["fr", "en", "en"], { defaultLocale: "fr" })).toBe("fr");
+  expect(resolveDefaultLocale(["fr", "en", "en"])).toBe("en");
+  expect(resolveDefaultLocale(["fr", undefined])).toBeUndefined();
+});
+
+test("getLocalizedSlug", () => {
+  expect(getLocalizedSlug("setup", "en", "en")).toBe("setup");
+  expect(getLocalizedSlug("installation", "fr", "en")).toBe("fr/installation");
+  expect(getLocalizedSlug("installation", "fr", undefined)).toBe("fr/installation");
+  expect(getLocalizedSlug("setup", undefined, undefined)).toBe("setup");
+});
+
+test("linkTranslations", () => {
+  const page = (locale: string, slug: string, translationKey: string) =>
+    ({ locale, slug, translationKey, hash: `hash-${locale}-${slug}`, url: `/content/${slug}` }) as FileData;
+  const en = page("en", "setup", "guide/setup");
+  const fr = page("fr", "installation", "guide/setup");
+  const alone = page("en", "about", "about");
+
+  expect(linkTranslations([en, fr, alone], "en")).toBe(2);
+  expect(alone.alternates).toBeUndefined();
+  expect(fr.alternates).toBe(en.alternates);
+  expect(en.alternates!.map((alternate) => alternate.hreflang)).toEqual(["en", "fr", "x-default"]);
+  expect(en.alternates![2].hash).toBe(en.hash);
+});
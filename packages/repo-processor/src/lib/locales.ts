@@ -0,0 +1,148 @@
+import { FileData, LocaleConfig, PostAlternate } from "../types";
+
+/**
+ * Normalize a locale code ("fr", "FR", "pt_br" -> "fr", "fr", "pt-BR")
+ * @param value Locale from frontmatter or a folder name
+ * @returns The normalized locale, or undefined if not a valid locale code
+ */
+export function normalizeLocale(value: unknown): string | undefined {
+  if (typeof value !== "string") return undefined;
+  const match = value.trim().match(/^([a-zA-Z]{2,3})(?:[-_]([a-zA-Z0-9]{2,8}))?$/);
+  if (!match) return undefined;
+  const [, language, region] = match;
+  if (!region) return language.toLowerCase();
+  return `${language.toLowerCase()}-${region.length === 2 ? region.toUpperCase() : region}`;
+}
+
+/**
+ * Detect the locale of a post
+ * `lang` (or `locale`) frontmatter wins, then a top-level folder listed in config.locales
+ * @param relativePath Vault-relative path of the post
+ * @param frontmatter Post frontmatter
+ * @param config Locale configuration
+ * @returns The locale (undefined if none is known) and the locale folder, if the post is in one
+ */
+export function detectLocale(
+  relativePath: string,
+  frontmatter: Record<string, any> | undefined,
+  config?: LocaleConfig
+): { locale?: string; localeFolder?: string } {
+  const folderLocales = new Set((config?.locales || []).map(normalizeLocale).filter(Boolean));
+  const [firstSegment, ...rest] = relativePath.split(/[\\/]/);
+  const folderLocale = rest.length > 0 ? normalizeLocale(firstSegment) : undefined;
+  const localeFolder = folderLocale && folderLocales.has(folderLocale) ? firstSegment : undefined;
+
+  const locale =
+    normalizeLocale(frontmatter?.lang) ||
+    normalizeLocale(frontmatter?.locale) ||
+    (localeFolder ? folderLocale : undefined) ||
+    normalizeLocale(config?.defaultLocale);
+
+  return { locale, localeFolder };
+}
+
+/**
+ * Get the key shared by the translations of a post
+ * `translationKey` frontmatter wins, otherwise the path without locale folder and extension
+ * (so fr/guide/setup.md translates guide/setup.md)
+ * @param relativePath Vault-relative path of the post
+ * @param frontmatter Post frontmatter
+ * @param localeFolder Locale folder the post is in, if any
+ * @returns The translation key
+ */
+export function getTranslationKey(
+  relativePath: string,
+  frontmatter: Record<string, any> | undefined,
+  localeFolder?: string
+): string {
+  if (typeof frontmatter?.translationKey === "string" && frontmatter.translationKey.trim()) {
+    return frontmatter.translationKey.trim();
+  }
+  const normalizedPath = relativePath.split(/[\\/]/);
+  if (localeFolder && normalizedPath[0] === localeFolder) normalizedPath.shift();
+  return normalizedPath.join("/").replace(/\.md$/i, "");
+}
+
+/**
+ * Pick the default locale of a vault: the configured one, or the most common one
+ * when every post has a locale
+ * @param locales Locales of all posts
+ * @param config Locale configuration
+ * @returns The default locale, or undefined when posts without a locale are the default
+ */
+export function resolveDefaultLocale(locales: (string | undefined)[], config?: LocaleConfig): string | undefined {
+  const configured = normalizeLocale(config?.defaultLocale);
+  if (configured) return configured;
+  // Posts without a locale are the default language: every tagged locale is then qualified
+  if (locales.some((locale) => !locale)) return undefined;
+
+  const counts = new Map<string, number>();
+  for (const locale of locales) {
+    if (locale) counts.set(locale, (counts.get(locale) || 0) + 1);
+  }
+  let best: string | undefined;
+  for (const [locale, count] of counts) {
+    if (!best || count > counts.get(best)!) best = locale;
+  }
+  return best;
+}
+
+/**
+ * Get the locale-qualified slug of a post
+ * Posts of the default locale keep their slug; others are prefixed ("fr/mon-article")
+ * @param slug Post slug
+ * @param locale Post locale
+ * @param defaultLocale Default locale of the vault
+ * @returns The localized slug
+ */
+export function getLocalizedSlug(slug: string, locale?: string, defaultLocale?: string): string {
+  return locale && locale !== defaultLocale ? `${locale}/${slug}` : slug;
+}
+
+/**
+ * Link the translations of each post and set their hreflang alternates
+ * Must run once hashes and URLs are final. Posts without translations get no alternates.
+ * @param pages All posts
+ * @param defaultLocale Default locale of the vault
+ * @returns Number of posts linked to at least one translation
+ */
+export function linkTranslations(pages: FileData[], defaultLocale?: string): number {
+  const groups = new Map<string, Map<string, FileData>>();
+  for (const page of pages) {
+    if (!page.locale || !page.translationKey) continue;
+    if (!groups.has(page.translationKey)) groups.set(page.translationKey, new Map());
+    const group = groups.get(page.translationKey)!;
+    // Two posts of the same locale with the same key: the first one processed is the translation
+    if (!group.has(page.locale)) group.set(page.locale, page);
+  }
+
+  let linkedCount = 0;
+  for (const group of groups.values()) {
+    if (group.size < 2) continue;
+
+    const members = [...group.values()].sort((a, b) => a.locale!.localeCompare(b.locale!));
+    const alternates: PostAlternate[] = members.map((page) => ({
+      hreflang: page.locale!,
+      locale: page.locale!,
+      hash: page.hash,
+      slug: page.slug,
+      url: page.url || "",
+    }));
+    const defaultVersion = defaultLocale ? group.get(defaultLocale) : undefined;
+    if (defaultVersion) {
+      alternates.push({
+        hreflang: "x-default",
+        locale: defaultVersion.locale!,
+        hash: defaultVersion.hash,
+        slug: defaultVersion.slug,
+        url: defaultVersion.url || "",
+      });
+    }
+
+    for (const page of members) {
+      page.alternates = alternates;
+      linkedCount++;
+    }
+  }
+  return linkedCount;
+}
@@ -6,6 +6,8 @@ import type { MediaFileData, MediaPathMap } from '../types';
 
 // Import unified resolution utilities
 import { resolveFile, createPathVariations as createBasePathVariations } from './fileResolver';
+import { getPlaceholderStyle } from './imagePlaceholder';
+import { AUDIO_EXTENSIONS, VIDEO_EXTENSIONS } from './avMedia';
 
 // Default placeholder image path
 const DEFAULT_IMAGE = '/placeholder/400/300';
@@ -18,6 +20,7 @@ export interface MediaServiceOptions {
   useAbsolutePaths?: boolean;
   preferredSize?: 'sm' | 'md' | 'lg';
   enableCssRatio?: boolean;
+  enablePlaceholders?: boolean; // Show the image placeholder (LQIP, dominant color) while loading
 }
 
 /**
@@ -35,6 +38,7 @@ export class MediaService {
   private useAbsolutePaths: boolean;
   private preferredSize: 'sm' | 'md' | 'lg'| 'xl'| 'xs';
   private enableCssRatio: boolean;
+  private enablePlaceholders: boolean;
   private isFirstImage: boolean = true;
 
   constructor(options: MediaServiceOptions = {}) {
@@ -45,7 +49,8 @@ export class MediaService {
       basePath = '',
       useAbsolutePaths = false,
       preferredSize = 'lg',
-      enableCssRatio = true
+      enableCssRatio = true,
+      enablePlaceholders = true
     } = options;
 
     this.mediaPathMap = mediaPathMap;
@@ -54,6 +59,7 @@ export class MediaService {
     this.useAbsolutePaths = useAbsolutePaths;
     this.preferredSize = preferredSize;
     this.enableCssRatio = enableCssRatio;
+    this.enablePlaceholders = enablePlaceholders;
     this.isFirstImage = true;
 
     // Initialize lookup maps
@@ -301,7 +307,7 @@ export class MediaService {
       byPath: this.combinePathMaps(),
       byName: this.mediaByName,
       currentFilePath,
-      extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.mp4', '.webm']
+      extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', ...VIDEO_EXTENSIONS, ...AUDIO_EXTENSIONS]
     });
     
     return resolved || undefined;
@@ -449,6 +455,7 @@ export class MediaService {
           
           // Add aspect ratio if enabled
           this.addAspectRatioIfEnabled(hProperties, bestVariant.width, bestVariant.height);
+          this.addPlaceholderIfEnabled(hProperties, mediaItem);
           
           node.data.hProperties = hProperties;
           return;
@@ -512,6 +519,7 @@ export class MediaService {
           
           // Add aspect ratio if enabled
           this.addAspectRatioIfEnabled(hProperties, bestVariant.width, bestVariant.height);
+          this.addPlaceholderIfEnabled(hProperties, mediaItem);
           
           node.data.hProperties = hProperties;
           
@@ -601,6 +609,7 @@ export class MediaService {
             
             // Add aspect ratio if enabled
             this.addAspectRatioIfEnabled(hProperties, bestVariant.width, bestVariant.height);
+            this.addPlaceholderIfEnabled(hProperties, mediaItem);
             
             newNodes.push({
               type: 'image',
@@ -667,6 +676,7 @@ export class MediaService {
             
             // Add aspect ratio if enabled
             this.addAspectRatioIfEnabled(hProperties, bestVariant.width, bestVariant.height);
+            this.addPlaceholderIfEnabled(hProperties, mediaItem);
             
             newNodes.push({
               type: 'image',
@@ -727,4 +737,14 @@ export class MediaService {
       hProperties.style = `aspect-ratio: ${width} / ${height};`;
     }
   }
+
+  /**
+   * Adds the placeholder background to hProperties if enablePlaceholders is true and the image has one
+   */
+  private addPlaceholderIfEnabled(hProperties: any, mediaItem: MediaFileData): void {
+    const placeholderStyle = this.enablePlaceholders ? getPlaceholderStyle(mediaItem.placeholder) : '';
+    if (placeholderStyle) {
+      hProperties.style = hProperties.style ? `${hProperties.style} ${placeholderStyle}` : placeholderStyle;
+    }
+  }
 }
\ No newline at end of file
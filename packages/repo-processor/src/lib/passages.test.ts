@@ -0,0 +1,40 @@
+import { expect, test } from "vitest";
+import { chunkText, splitIntoPassages } from "../lib/passages";
+
+const html = `
+<p>Intro paragraph.</p>
+<h2 id="install">Install</h2>
+<p>Run the installer.</p>
+<pre><code>npm install repo</code></pre>
+<h2 id="empty">Empty section</h2>
+<section><h3 id="config">Config</h3><p>Set the <strong>token</strong>.</p></section>
+`;
+
+test("splitIntoPassages", () => {
+  expect(splitIntoPassages(html)).toEqual([
+    { heading: null, anchor: null, depth: 0, text: "Intro paragraph." },
+    { heading: "Install", anchor: "install", depth: 2, text: "Run the installer.\n\nnpm install repo" },
+    { heading: "Config", anchor: "config", depth: 3, text: "Set the token." },
+  ]);
+});
+
+test("splitIntoPassages packs paragraphs and splits long ones", () => {
+  const paragraphs = ["a".repeat(30), "b".repeat(30), `${"word ".repeat(20)}end`].map((text) => `<p>${text}</p>`);
+  const passages = splitIntoPassages(`<h2 id="long">Long</h2>${paragraphs.join("")}`, { size: 70, overlap: 10 });
+
+  expect(passages.map((passage) => passage.text)).toEqual([
+    `${"a".repeat(30)}\n\n${"b".repeat(30)}`,
+    `${"word ".repeat(13)}word`,
+    `${"word ".repeat(8)}end`, // Starts within the overlap
+  ]);
+  expect(passages.every((passage) => passage.anchor === "long")).toBe(true);
+  expect(splitIntoPassages("<p>x</p><p>y</p>", { size: 0 })).toEqual([
+    { heading: null, anchor: null, depth: 0, text: "x\n\ny" },
+  ]);
+});
+
+test("chunkText", () => {
+  expect(chunkText("short text", { size: 100, overlap: 10 })).toEqual(["short text"]);
+  expect(chunkText("x".repeat(200), { size: 0, overlap: 10 })).toEqual(["x".repeat(200)]);
+  expect(chunkText("one two three four", { size: 10, overlap: 0 })).toEqual(["one two", "three", "four"]);
+});
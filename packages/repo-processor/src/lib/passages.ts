@@ -0,0 +1,110 @@
+import type { Element, Root as HastRoot, RootContent } from "hast";
+import { fromHtml } from "hast-util-from-html";
+import { heading } from "hast-util-heading";
+import { toText } from "hast-util-to-text";
+import type { PassageOptions, PostPassage } from "../types";
+
+// Same defaults as the build worker's embedding chunking (settings.ai.chunking)
+export const DEFAULT_PASSAGE_OPTIONS: Required<PassageOptions> = { size: 1000, overlap: 100 };
+
+const SKIPPED_TAGS = new Set(["script", "style", "template"]);
+
+interface Section {
+  heading: string | null;
+  anchor: string | null;
+  depth: number;
+  blocks: string[];
+}
+
+/**
+ * Split a text into overlapping chunks, preferring to cut at whitespace
+ * Also used by the build worker to chunk whole posts for embeddings.
+ * @param text Text to split
+ * @param options Chunk size and overlap, in characters
+ * @returns Chunks (the whole text when size is 0 or the text is short)
+ */
+export function chunkText(text: string, { size, overlap }: Required<PassageOptions>): string[] {
+  if (!size || text.length <= size) return [text];
+
+  const chunks: string[] = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > start + size / 2) end = space;
+    }
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+    start = Math.max(start + 1, end - overlap);
+  }
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Pack the paragraphs of a section into passages of at most `size` characters
+ * Paragraphs are kept whole when they fit; longer ones are split with overlap.
+ */
+function packBlocks(blocks: string[], size: number, overlap: number): string[] {
+  if (!size) return [blocks.join("\n\n")];
+
+  const passages: string[] = [];
+  let current = "";
+  for (const block of blocks.flatMap((text) => chunkText(text, { size, overlap }))) {
+    if (current && current.length + 2 + block.length > size) {
+      passages.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+/**
+ * Check whether a node contains a heading (e.g. a <section> wrapping headings)
+ */
+function containsHeading(node: RootContent): boolean {
+  if (node.type !== "element") return false;
+  return node.children.some((child) => heading(child) || containsHeading(child));
+}
+
+/**
+ * Split post HTML into heading-aware passages
+ * Each section (the content under a heading, up to the next heading) is split into
+ * passages of whole paragraphs, so retrieval can point at the relevant part of long posts.
+ * @param html Post HTML (headings carry the ids used in the table of contents)
+ * @param options Passage size and overlap, in characters
+ * @returns Passages in document order (sections without text are skipped)
+ */
+export function splitIntoPassages(html: string, options: PassageOptions = {}): PostPassage[] {
+  const { size, overlap } = { ...DEFAULT_PASSAGE_OPTIONS, ...options };
+  const tree: HastRoot = fromHtml(html, { fragment: true });
+  const sections: Section[] = [{ heading: null, anchor: null, depth: 0, blocks: [] }];
+
+  const walk = (nodes: RootContent[]) => {
+    for (const node of nodes) {
+      if (heading(node)) {
+        const element = node as Element;
+        sections.push({
+          heading: toText(element).trim() || null,
+          anchor: element.properties?.id ? String(element.properties.id) : null,
+          depth: Number(element.tagName.slice(1)),
+          blocks: [],
+        });
+      } else if (containsHeading(node)) {
+        walk((node as Element).children);
+      } else if (node.type === "element" && !SKIPPED_TAGS.has(node.tagName)) {
+        const text = toText(node).replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+        if (text) sections[sections.length - 1].blocks.push(text);
+      } else if (node.type === "text" && node.value.trim()) {
+        sections[sections.length - 1].blocks.push(node.value.trim());
+      }
+    }
+  };
+  walk(tree.children);
+
+  return sections.flatMap(({ blocks, ...section }) =>
+    blocks.length === 0 ? [] : packBlocks(blocks, size, overlap).map((text) => ({ ...section, text }))
+  );
+}
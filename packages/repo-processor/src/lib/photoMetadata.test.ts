@@ -0,0 +1,216 @@
+import zlib from "node:zlib";
+import { expect, test } from "vitest";
+import sharp from "sharp";
+import {
+  blankExifGps,
+  getPhotoMetadata,
+  getPublishedExif,
+  parseExif,
+  parseIptc,
+  stripImageMetadata,
+  stripJpegMetadata,
+} from "../lib/photoMetadata";
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><exif:GPSLatitude>33,52.3S</exif:GPSLatitude></x:xmpmeta>';
+
+async function createPhoto(format: "jpeg" | "webp" | "avif" = "jpeg") {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 100, b: 50 } } })
+    .withExif({
+      IFD0: { Make: "Canon", Model: "Canon EOS R5", Artist: "Jane Doe" },
+      IFD2: { DateTimeOriginal: "2024:05:12 18:30:00", OffsetTimeOriginal: "+02:00", LensModel: "RF 35mm F1.8" },
+      IFD3: {
+        GPSLatitudeRef: "S",
+        GPSLatitude: "33/1 52/1 1800/100",
+        GPSLongitudeRef: "E",
+        GPSLongitude: "151/1 12/1 0/1",
+      },
+    })
+    .toFormat(format)
+    .toBuffer();
+}
+
+// IPTC IIM dataset (record 2)
+function dataset(number: number, value: string) {
+  const text = Buffer.from(value, "utf8");
+  return Buffer.concat([Buffer.from([0x1c, 2, number, 0, text.length]), text]);
+}
+
+function uint32(value: number, little = false) {
+  const buffer = Buffer.alloc(4);
+  if (little) buffer.writeUInt32LE(value);
+  else buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function pngChunk(type: string, data: Buffer) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  return Buffer.concat([uint32(data.length), body, uint32(zlib.crc32(body))]);
+}
+
+// Data of a PNG chunk, checking its CRC
+function findPngChunk(png: Buffer, type: string) {
+  for (let offset = 8; offset + 12 <= png.length; ) {
+    const length = png.readUInt32BE(offset);
+    if (png.toString("latin1", offset + 4, offset + 8) === type) {
+      expect(png.readUInt32BE(offset + 8 + length)).toBe(zlib.crc32(png.subarray(offset + 4, offset + 8 + length)));
+      return png.subarray(offset + 8, offset + 8 + length);
+    }
+    offset += 12 + length;
+  }
+  return undefined;
+}
+
+test("getPhotoMetadata", async () => {
+  const { exif } = await sharp(await createPhoto()).metadata();
+
+  expect(getPhotoMetadata(exif)).toEqual({
+    make: "Canon",
+    model: "Canon EOS R5",
+    camera: "Canon EOS R5",
+    lens: "RF 35mm F1.8",
+    takenAt: "2024-05-12T18:30:00+02:00",
+    creator: "Jane Doe",
+  });
+  expect(getPhotoMetadata(exif, undefined, { includeGps: true })?.gps).toEqual({ latitude: -33.871667, longitude: 151.2 });
+  expect(getPhotoMetadata(undefined, undefined)).toBeUndefined();
+});
+
+test("parseIptc", () => {
+  const iptc = Buffer.concat([dataset(120, "Harbour at dusk"), dataset(25, "sydney"), dataset(25, "night")]);
+
+  expect(parseIptc(iptc)).toEqual({ caption: "Harbour at dusk", keywords: ["sydney", "night"] });
+  expect(getPhotoMetadata(undefined, iptc)).toEqual({ caption: "Harbour at dusk", keywords: ["sydney", "night"] });
+});
+
+test("stripJpegMetadata", async () => {
+  const jpeg = await createPhoto();
+
+  const withoutGps = stripJpegMetadata(jpeg, "gps");
+  expect(withoutGps.length).toBe(jpeg.length);
+  const { exif } = await sharp(withoutGps).metadata();
+  expect(parseExif(exif!)).toMatchObject({ Make: "Canon", GPSLatitude: [0, 0, 0] });
+  expect(blankExifGps(Buffer.from("not exif"))).toBe(false);
+
+  const withoutMetadata = stripJpegMetadata(jpeg, "all");
+  expect((await sharp(withoutMetadata).metadata()).exif).toBeUndefined();
+  expect(stripJpegMetadata(jpeg, "none")).toBe(jpeg);
+});
+
+test("stripJpegMetadata removes the XMP and IPTC location", async () => {
+  const jpeg = await createPhoto();
+  const segment = (marker: number, payload: Buffer) =>
+    Buffer.concat([Buffer.from([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]), payload]);
+  const iim = Buffer.concat([dataset(120, "Harbour at dusk"), dataset(90, "Sydney"), dataset(101, "Australia")]);
+  const photoshop = Buffer.concat([
+    Buffer.from("Photoshop 3.0\0" + "8BIM", "latin1"),
+    Buffer.from([0x04, 0x04, 0, 0]), // IPTC resource, empty name
+    uint32(iim.length),
+    iim,
+  ]);
+  const withXmpAndIptc = Buffer.concat([
+    jpeg.subarray(0, 2),
+    segment(0xe1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0${XMP}`, "latin1")),
+    segment(0xed, photoshop),
+    jpeg.subarray(2),
+  ]);
+
+  const withoutGps = stripJpegMetadata(withXmpAndIptc, "gps");
+  const metadata = await sharp(withoutGps).metadata();
+  expect(metadata.xmp).toBeUndefined();
+  expect(parseIptc(metadata.iptc!)).toEqual({ caption: "Harbour at dusk" });
+  expect(withoutGps.includes("Sydney")).toBe(false);
+  expect(withoutGps.includes("Australia")).toBe(false);
+  expect(parseExif(metadata.exif!)).toMatchObject({ Make: "Canon", GPSLatitude: [0, 0, 0] });
+
+  const withoutMetadata = await sharp(stripJpegMetadata(withXmpAndIptc, "all")).metadata();
+  expect(withoutMetadata.xmp).toBeUndefined();
+  expect(withoutMetadata.iptc).toBeUndefined();
+});
+
+test("stripImageMetadata: PNG", async () => {
+  const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#c86432" } }).png().toBuffer();
+  const { exif } = await sharp(await createPhoto()).metadata();
+  const xmp = Buffer.concat([Buffer.from("XML:com.adobe.xmp\0\0\0\0\0", "latin1"), Buffer.from(XMP, "utf8")]);
+  const ihdrEnd = 8 + 25;
+  const withMetadata = Buffer.concat([
+    png.subarray(0, ihdrEnd),
+    pngChunk("eXIf", exif!.subarray(6)), // Without the "Exif\0\0" prefix
+    pngChunk("iTXt", xmp),
+    pngChunk("tEXt", Buffer.from("Title\0Harbour at dusk", "latin1")),
+    png.subarray(ihdrEnd),
+  ]);
+
+  const withoutGps = stripImageMetadata(withMetadata, "gps");
+  expect(parseExif(findPngChunk(withoutGps, "eXIf")!)).toMatchObject({ Make: "Canon", GPSLatitude: [0, 0, 0] });
+  expect(findPngChunk(withoutGps, "iTXt")).toBeUndefined();
+  expect(findPngChunk(withoutGps, "tEXt")).toBeDefined();
+  expect((await sharp(withoutGps).metadata()).width).toBe(8);
+
+  const withoutMetadata = stripImageMetadata(withMetadata, "all");
+  expect(findPngChunk(withoutMetadata, "eXIf")).toBeUndefined();
+  expect(findPngChunk(withoutMetadata, "tEXt")).toBeUndefined();
+  expect(stripImageMetadata(png, "gps")).toBe(png);
+});
+
+test("stripImageMetadata: WebP", async () => {
+  const webp = await createPhoto("webp");
+  // Append an XMP chunk and announce it in the VP8X flags
+  const xmp = Buffer.from(XMP, "utf8");
+  const withXmp = Buffer.concat([webp, Buffer.from("XMP ", "latin1"), uint32(xmp.length, true), xmp, Buffer.alloc(xmp.length % 2)]);
+  withXmp.writeUInt32LE(withXmp.length - 8, 4);
+  withXmp[20] |= 0x04;
+
+  const withoutGps = stripImageMetadata(withXmp, "gps");
+  const metadata = await sharp(withoutGps).metadata();
+  expect(metadata.xmp).toBeUndefined();
+  expect(parseExif(metadata.exif!)).toMatchObject({ Make: "Canon", GPSLatitude: [0, 0, 0] });
+  expect(withoutGps.readUInt32LE(4)).toBe(withoutGps.length - 8);
+  expect(withoutGps[20] & 0x0c).toBe(0x08);
+
+  const withoutMetadata = stripImageMetadata(withXmp, "all");
+  expect((await sharp(withoutMetadata).metadata()).exif).toBeUndefined();
+  expect(withoutMetadata[20] & 0x0c).toBe(0);
+});
+
+test("stripImageMetadata: TIFF", async () => {
+  // EXIF data is a TIFF file of its own
+  const { exif } = await sharp(await createPhoto()).metadata();
+  const tiff = Buffer.from(exif!.subarray(6));
+
+  const withoutGps = stripImageMetadata(tiff, "gps");
+  expect(parseExif(withoutGps)).toMatchObject({ Make: "Canon", LensModel: "RF 35mm F1.8", GPSLatitude: [0, 0, 0] });
+
+  const withoutMetadata = parseExif(stripImageMetadata(tiff, "all"));
+  expect(withoutMetadata).toMatchObject({ Make: "", Artist: "", LensModel: "", GPSLatitude: [0, 0, 0] });
+  expect(parseExif(tiff)).toMatchObject({ Make: "Canon" }); // Source buffer is untouched
+});
+
+test("stripImageMetadata: HEIF", async () => {
+  const avif = await createPhoto("avif");
+
+  const withoutGps = stripImageMetadata(avif, "gps");
+  expect(withoutGps.length).toBe(avif.length);
+  expect(parseExif((await sharp(withoutGps).metadata()).exif!)).toMatchObject({ Make: "Canon", GPSLatitude: [0, 0, 0] });
+
+  const withoutMetadata = stripImageMetadata(avif, "all");
+  expect(parseExif((await sharp(withoutMetadata).metadata()).exif!)).toMatchObject({ Make: "", GPSLatitude: [0, 0, 0] });
+  expect((await sharp(withoutMetadata).metadata()).width).toBe(8);
+
+  const gif = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#c86432" } }).gif().toBuffer();
+  expect(stripImageMetadata(gif, "all")).toBe(gif);
+});
+
+test("getPublishedExif", async () => {
+  const photo = getPhotoMetadata((await sharp(await createPhoto()).metadata()).exif, undefined, { includeGps: true });
+  const published = await sharp(await createPhoto()).withExif(getPublishedExif(photo)!).jpeg().toBuffer();
+
+  expect(getPhotoMetadata((await sharp(published).metadata()).exif, undefined, { includeGps: true })).toEqual({
+    make: "Canon",
+    model: "Canon EOS R5",
+    camera: "Canon EOS R5",
+    lens: "RF 35mm F1.8",
+    takenAt: "2024-05-12T18:30:00+02:00",
+    creator: "Jane Doe",
+  });
+  expect(getPublishedExif({ fNumber: 1.8 })).toBeNull();
+});
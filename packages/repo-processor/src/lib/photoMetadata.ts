@@ -0,0 +1,697 @@
+import zlib from "node:zlib";
+import type { PhotoMetadata, StripMetadataMode } from "../types";
+
+// TIFF field types: size in bytes of one value
+const TYPE_SIZES: Record<number, number> = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS: Record<number, string> = {
+  0x010e: "ImageDescription",
+  0x010f: "Make",
+  0x0110: "Model",
+  0x0132: "DateTime",
+  0x013b: "Artist",
+  0x8298: "Copyright",
+  0x8769: "ExifIFD",
+  0x8825: "GPSIFD",
+};
+const EXIF_TAGS: Record<number, string> = {
+  0x829a: "ExposureTime",
+  0x829d: "FNumber",
+  0x8827: "ISO",
+  0x9003: "DateTimeOriginal",
+  0x9011: "OffsetTimeOriginal",
+  0x920a: "FocalLength",
+  0xa433: "LensMake",
+  0xa434: "LensModel",
+};
+const GPS_TAGS: Record<number, string> = {
+  0x0001: "GPSLatitudeRef",
+  0x0002: "GPSLatitude",
+  0x0003: "GPSLongitudeRef",
+  0x0004: "GPSLongitude",
+  0x0005: "GPSAltitudeRef",
+  0x0006: "GPSAltitude",
+};
+
+// IPTC IIM datasets of the application record (2:xx)
+const IPTC_DATASETS: Record<number, string> = {
+  5: "title",
+  25: "keywords",
+  80: "creator",
+  116: "copyright",
+  120: "caption",
+};
+
+type ExifValue = string | number | number[];
+type ExifTags = Record<string, ExifValue>;
+
+interface TiffReader {
+  data: Buffer;
+  base: number; // Offset of the TIFF header
+  little: boolean;
+}
+
+/**
+ * Locate the TIFF header of EXIF data ("Exif\0\0" prefix is optional)
+ */
+function getTiffReader(exif: Buffer): TiffReader | null {
+  const base = exif.subarray(0, 6).toString("latin1") === "Exif\0\0" ? 6 : 0;
+  const order = exif.subarray(base, base + 2).toString("latin1");
+  if (order !== "II" && order !== "MM") return null;
+  return { data: exif, base, little: order === "II" };
+}
+
+const readUint16 = (r: TiffReader, offset: number) =>
+  r.little ? r.data.readUInt16LE(offset) : r.data.readUInt16BE(offset);
+const readUint32 = (r: TiffReader, offset: number) =>
+  r.little ? r.data.readUInt32LE(offset) : r.data.readUInt32BE(offset);
+const readInt32 = (r: TiffReader, offset: number) =>
+  r.little ? r.data.readInt32LE(offset) : r.data.readInt32BE(offset);
+
+/**
+ * Get the entries of an IFD: tag, type, count and the absolute offset of the value
+ */
+function readIfdEntries(r: TiffReader, ifdOffset: number) {
+  const start = r.base + ifdOffset;
+  if (start + 2 > r.data.length) return [];
+  const entries: { tag: number; type: number; count: number; valueOffset: number; size: number }[] = [];
+
+  const count = readUint16(r, start);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > r.data.length) break;
+    const type = readUint16(r, entry + 2);
+    const valueCount = readUint32(r, entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+    // Values of 4 bytes or less are stored in the entry itself
+    const valueOffset = size <= 4 ? entry + 8 : r.base + readUint32(r, entry + 8);
+    if (valueOffset + size > r.data.length) continue;
+    entries.push({ tag: readUint16(r, entry), type, count: valueCount, valueOffset, size });
+  }
+  return entries;
+}
+
+/**
+ * Read the known tags of an IFD
+ */
+function readIfd(r: TiffReader, ifdOffset: number, tags: Record<number, string>): ExifTags {
+  const result: ExifTags = {};
+
+  for (const { tag, type, count, valueOffset } of readIfdEntries(r, ifdOffset)) {
+    const name = tags[tag];
+    if (!name) continue;
+
+    if (type === 2) {
+      result[name] = r.data.subarray(valueOffset, valueOffset + count).toString("utf8").replace(/\0+$/, "").trim();
+      continue;
+    }
+
+    const values: number[] = [];
+    for (let i = 0; i < count; i++) {
+      if (type === 1 || type === 7) values.push(r.data[valueOffset + i]);
+      else if (type === 3) values.push(readUint16(r, valueOffset + i * 2));
+      else if (type === 4) values.push(readUint32(r, valueOffset + i * 4));
+      else if (type === 9) values.push(readInt32(r, valueOffset + i * 4));
+      else if (type === 5 || type === 10) {
+        const read = type === 5 ? readUint32 : readInt32;
+        const denominator = read(r, valueOffset + i * 8 + 4);
+        values.push(denominator ? read(r, valueOffset + i * 8) / denominator : 0);
+      }
+    }
+    result[name] = values.length === 1 ? values[0] : values;
+  }
+  return result;
+}
+
+/**
+ * Parse the EXIF tags used for photo metadata
+ * @param exif Raw EXIF data (as returned by sharp's metadata().exif)
+ * @returns Tags of the main, EXIF and GPS directories, by name
+ */
+export function parseExif(exif: Buffer): ExifTags {
+  const r = getTiffReader(exif);
+  if (!r) return {};
+
+  const ifd0 = readIfd(r, readUint32(r, r.base + 4), IFD0_TAGS);
+  const exifIfd = typeof ifd0.ExifIFD === "number" ? readIfd(r, ifd0.ExifIFD, EXIF_TAGS) : {};
+  const gpsIfd = typeof ifd0.GPSIFD === "number" ? readIfd(r, ifd0.GPSIFD, GPS_TAGS) : {};
+
+  return { ...ifd0, ...exifIfd, ...gpsIfd };
+}
+
+/**
+ * Parse IPTC IIM datasets (title, caption, keywords, creator, copyright)
+ * @param iptc Raw IPTC data: IIM records, possibly inside a Photoshop resource block
+ */
+export function parseIptc(iptc: Buffer): Record<string, string | string[]> {
+  const result: Record<string, string | string[]> = {};
+
+  for (let offset = 0; offset + 5 <= iptc.length; offset++) {
+    // Dataset: 0x1C marker, record number, dataset number, 2-byte length
+    if (iptc[offset] !== 0x1c || iptc[offset + 1] !== 2) continue;
+    const name = IPTC_DATASETS[iptc[offset + 2]];
+    const length = iptc.readUInt16BE(offset + 3);
+    if (offset + 5 + length > iptc.length) break;
+
+    if (name) {
+      const value = iptc.subarray(offset + 5, offset + 5 + length).toString("utf8").trim();
+      if (name === "keywords") {
+        result.keywords = [...((result.keywords as string[]) || []), value];
+      } else if (value) {
+        result[name] = value;
+      }
+    }
+    offset += 4 + length;
+  }
+  return result;
+}
+
+/**
+ * Convert an EXIF date ("2024:05:12 18:30:00") to ISO 8601
+ */
+function toIsoDate(date?: ExifValue, offset?: ExifValue): string | undefined {
+  const match = typeof date === "string" && date.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === "0000") return undefined;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const timezone = typeof offset === "string" && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : "";
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${timezone}`;
+}
+
+/**
+ * Convert GPS degrees/minutes/seconds to decimal degrees
+ */
+function toDecimalDegrees(value?: ExifValue, ref?: ExifValue): number | undefined {
+  if (!Array.isArray(value) || value.length < 3) return undefined;
+  const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+  const sign = ref === "S" || ref === "W" ? -1 : 1;
+  return Math.round(sign * degrees * 1e6) / 1e6;
+}
+
+const round = (value: number, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Build photo metadata from EXIF and IPTC data
+ * @param exif Raw EXIF data
+ * @param iptc Raw IPTC data
+ * @param options includeGps: keep the location (only when GPS is not stripped from published files)
+ * @returns Photo metadata, or undefined if none of the fields are set
+ */
+export function getPhotoMetadata(
+  exif?: Buffer,
+  iptc?: Buffer,
+  { includeGps = false }: { includeGps?: boolean } = {}
+): PhotoMetadata | undefined {
+  const tags = exif ? parseExif(exif) : {};
+  const iptcData = iptc ? parseIptc(iptc) : {};
+  const text = (value?: ExifValue | string[]) => (typeof value === "string" && value ? value : undefined);
+
+  const make = text(tags.Make);
+  const model = text(tags.Model);
+  const exposureTime = typeof tags.ExposureTime === "number" && tags.ExposureTime > 0 ? tags.ExposureTime : undefined;
+  const latitude = toDecimalDegrees(tags.GPSLatitude, tags.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(tags.GPSLongitude, tags.GPSLongitudeRef);
+
+  const photo: PhotoMetadata = {
+    make,
+    model,
+    // Models often repeat the make ("Canon" + "Canon EOS R5")
+    camera: model && make && !model.toLowerCase().startsWith(make.toLowerCase()) ? `${make} ${model}` : model || make,
+    lens: text(tags.LensModel),
+    takenAt: toIsoDate(tags.DateTimeOriginal || tags.DateTime, tags.OffsetTimeOriginal),
+    exposureTime: exposureTime ? (exposureTime < 1 ? `1/${Math.round(1 / exposureTime)}` : `${round(exposureTime)}`) : undefined,
+    fNumber: typeof tags.FNumber === "number" && tags.FNumber > 0 ? round(tags.FNumber) : undefined,
+    iso: typeof tags.ISO === "number" ? tags.ISO : Array.isArray(tags.ISO) ? tags.ISO[0] : undefined,
+    focalLength: typeof tags.FocalLength === "number" && tags.FocalLength > 0 ? round(tags.FocalLength) : undefined,
+    title: text(iptcData.title),
+    caption: text(iptcData.caption) || text(tags.ImageDescription),
+    keywords: Array.isArray(iptcData.keywords) && iptcData.keywords.length > 0 ? iptcData.keywords : undefined,
+    creator: text(iptcData.creator) || text(tags.Artist),
+    copyright: text(iptcData.copyright) || text(tags.Copyright),
+    gps:
+      includeGps && latitude !== undefined && longitude !== undefined
+        ? {
+            latitude,
+            longitude,
+            ...(typeof tags.GPSAltitude === "number" && {
+              altitude: round(tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude),
+            }),
+          }
+        : undefined,
+  };
+
+  const entries = Object.entries(photo).filter(([, value]) => value !== undefined);
+  return entries.length > 0 ? (Object.fromEntries(entries) as PhotoMetadata) : undefined;
+}
+
+/**
+ * Extract camera, lens, date taken, caption, keywords and location of a photo
+ * @param filePath Path of the image
+ * @param options includeGps: keep the location
+ */
+export async function extractPhotoMetadata(
+  filePath: string,
+  options: { includeGps?: boolean } = {}
+): Promise<PhotoMetadata | undefined> {
+  const sharp = (await import("sharp")).default;
+  const { exif, iptc } = await sharp(filePath).metadata();
+  return getPhotoMetadata(exif, iptc, options);
+}
+
+/**
+ * Get the EXIF written to optimized images when GPS is stripped
+ * Only descriptive fields are kept (in sharp's withExif format): no location, no device serial numbers.
+ * @returns EXIF directories, or null if the photo has none of these fields
+ */
+export function getPublishedExif(photo?: PhotoMetadata): Record<string, Record<string, string>> | null {
+  const ifd0: Record<string, string> = {};
+  const ifd2: Record<string, string> = {};
+  if (photo?.make) ifd0.Make = photo.make;
+  if (photo?.model) ifd0.Model = photo.model;
+  if (photo?.creator) ifd0.Artist = photo.creator;
+  if (photo?.copyright) ifd0.Copyright = photo.copyright;
+  if (photo?.caption) ifd0.ImageDescription = photo.caption;
+  if (photo?.takenAt) ifd2.DateTimeOriginal = photo.takenAt.slice(0, 19).replace(/-/g, ":").replace("T", " ");
+  const offset = photo?.takenAt?.match(/[+-]\d{2}:\d{2}$/);
+  if (offset) ifd2.OffsetTimeOriginal = offset[0];
+  if (photo?.lens) ifd2.LensModel = photo.lens;
+  if (Object.keys(ifd0).length === 0 && Object.keys(ifd2).length === 0) return null;
+  return { IFD0: ifd0, IFD2: ifd2 };
+}
+
+// IPTC IIM datasets holding a location: content location code/name, city, sublocation, state, country code/name
+const IPTC_LOCATION_DATASETS = new Set([26, 27, 90, 92, 95, 100, 101]);
+
+// IFD0 tags holding XMP and IPTC (directly, or in Photoshop image resources) in TIFF files
+const TIFF_XMP_TAG = 0x02bc;
+const TIFF_IPTC_TAGS = [0x83bb, 0x8649];
+
+// Pointers to other directories, never blanked (only the values they point to)
+const EXIF_POINTER_TAGS = new Set([0x8769, 0x8825, 0xa005]);
+
+/**
+ * Remove metadata from an image without re-encoding it
+ * Covers the formats that can carry a location: JPEG, PNG, WebP, TIFF and HEIF (HEIC, AVIF).
+ * "gps" removes the location (EXIF GPS, IPTC location datasets, XMP); "all" removes every EXIF, XMP and IPTC field.
+ * @param image File contents
+ * @param mode Metadata to strip
+ * @returns The cleaned image (same buffer when nothing was changed or the format is not recognized)
+ */
+export function stripImageMetadata(image: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none" || image.length < 12) return image;
+
+  if (image[0] === 0xff && image[1] === 0xd8) return stripJpegMetadata(image, mode);
+  if (image.subarray(0, 8).equals(PNG_SIGNATURE)) return stripPngMetadata(image, mode);
+  if (image.toString("latin1", 0, 4) === "RIFF" && image.toString("latin1", 8, 12) === "WEBP") {
+    return stripWebpMetadata(image, mode);
+  }
+  if (image.toString("latin1", 4, 8) === "ftyp") return stripHeifMetadata(image, mode);
+  if (getTiffReader(image)) return stripTiffMetadata(image, mode);
+  return image;
+}
+
+/**
+ * Remove metadata from a JPEG file without re-encoding it
+ * "gps" blanks the GPS directory of the EXIF data and the IPTC location datasets, and drops
+ * the XMP segments (which can repeat the location); "all" drops the EXIF, XMP and IPTC segments.
+ * @param jpeg JPEG file contents
+ * @param mode Metadata to strip
+ * @returns The cleaned JPEG (same buffer when nothing was changed)
+ */
+export function stripJpegMetadata(jpeg: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none" || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) return jpeg;
+
+  const kept: Buffer[] = [jpeg.subarray(0, 2)];
+  let offset = 2;
+  let changed = false;
+
+  while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+    const marker = jpeg[offset + 1];
+    // Start of scan: the rest is image data
+    if (marker === 0xda) break;
+    const length = jpeg.readUInt16BE(offset + 2);
+    const segment = jpeg.subarray(offset, offset + 2 + length);
+    const isExif = marker === 0xe1 && segment.subarray(4, 10).toString("latin1") === "Exif\0\0";
+
+    if (mode === "all" && (marker === 0xe1 || marker === 0xed)) {
+      changed = true; // APP1 (EXIF, XMP) and APP13 (IPTC)
+    } else if (mode === "gps" && isExif) {
+      const exif = Buffer.from(segment.subarray(4));
+      changed = blankExifGps(exif) || changed;
+      kept.push(segment.subarray(0, 4), exif);
+    } else if (mode === "gps" && marker === 0xe1) {
+      changed = true; // XMP
+    } else if (mode === "gps" && marker === 0xed) {
+      const iptc = Buffer.from(segment.subarray(4));
+      changed = blankIptcLocation(iptc) || changed;
+      kept.push(segment.subarray(0, 4), iptc);
+    } else {
+      kept.push(segment);
+    }
+    offset += 2 + length;
+  }
+
+  if (!changed) return jpeg;
+  kept.push(jpeg.subarray(offset));
+  return Buffer.concat(kept);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Check whether a PNG text chunk holds XMP or a raw EXIF/IPTC profile (written by ImageMagick)
+ */
+function isPngMetadataText(keyword: string): boolean {
+  return keyword === "XML:com.adobe.xmp" || keyword.startsWith("Raw profile type");
+}
+
+/**
+ * Remove metadata from a PNG file without re-encoding it
+ * "gps" blanks the GPS directory of the eXIf chunk and drops XMP and raw profile text chunks;
+ * "all" drops the eXIf chunk and every text chunk.
+ * @param png PNG file contents
+ * @param mode Metadata to strip
+ * @returns The cleaned PNG (same buffer when nothing was changed)
+ */
+export function stripPngMetadata(png: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none" || !png.subarray(0, 8).equals(PNG_SIGNATURE)) return png;
+
+  const kept: Buffer[] = [png.subarray(0, 8)];
+  let offset = 8;
+  let changed = false;
+
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > png.length) break;
+    const chunk = png.subarray(offset, end);
+    const isText = type === "tEXt" || type === "zTXt" || type === "iTXt";
+    const keyword = isText ? chunk.toString("latin1", 8, chunk.indexOf(0, 8)) : "";
+
+    if (mode === "gps" && type === "eXIf") {
+      const copy = Buffer.from(chunk);
+      if (blankExifGps(copy.subarray(8, 8 + length))) {
+        // Chunk CRC covers the type and data
+        copy.writeUInt32BE(zlib.crc32(copy.subarray(4, 8 + length)), 8 + length);
+        changed = true;
+      }
+      kept.push(copy);
+    } else if (type === "eXIf" || (isText && (mode === "all" || isPngMetadataText(keyword)))) {
+      changed = true;
+    } else {
+      kept.push(chunk);
+    }
+    offset = end;
+    if (type === "IEND") break;
+  }
+
+  if (!changed) return png;
+  kept.push(png.subarray(offset));
+  return Buffer.concat(kept);
+}
+
+/**
+ * Remove metadata from a WebP file without re-encoding it
+ * "gps" blanks the GPS directory of the EXIF chunk and drops the XMP chunk; "all" drops both.
+ * @param webp WebP file contents
+ * @param mode Metadata to strip
+ * @returns The cleaned WebP (same buffer when nothing was changed)
+ */
+export function stripWebpMetadata(webp: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none" || webp.toString("latin1", 0, 4) !== "RIFF" || webp.toString("latin1", 8, 12) !== "WEBP") {
+    return webp;
+  }
+
+  const kept: Buffer[] = [];
+  let offset = 12;
+  let changed = false;
+
+  while (offset + 8 <= webp.length) {
+    const type = webp.toString("latin1", offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    // Chunks are padded to an even size
+    const end = Math.min(webp.length, offset + 8 + size + (size % 2));
+    const chunk = webp.subarray(offset, end);
+
+    if (mode === "gps" && type === "EXIF") {
+      const copy = Buffer.from(chunk);
+      changed = blankExifGps(copy.subarray(8, 8 + size)) || changed;
+      kept.push(copy);
+    } else if (type === "EXIF" || type === "XMP ") {
+      changed = true;
+    } else {
+      kept.push(chunk);
+    }
+    offset = end;
+  }
+
+  if (!changed) return webp;
+  const body = Buffer.concat(kept);
+  // The VP8X flags announce the EXIF (0x08) and XMP (0x04) chunks
+  if (body.toString("latin1", 0, 4) === "VP8X") {
+    body[8] &= mode === "all" ? ~0x0c : ~0x04;
+  }
+  const header = Buffer.from(webp.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Remove metadata from a TIFF file in place of the values (the structure is unchanged)
+ * "gps" blanks the GPS directory, the IPTC location datasets and the XMP packet;
+ * "all" also blanks the EXIF directory, the descriptive tags and every IPTC dataset.
+ * @param tiff TIFF file contents
+ * @param mode Metadata to strip
+ * @returns The cleaned TIFF (same buffer when nothing was changed)
+ */
+export function stripTiffMetadata(tiff: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none" || !getTiffReader(tiff)) return tiff;
+
+  const copy = Buffer.from(tiff);
+  const r = getTiffReader(copy)!;
+  let changed = mode === "all" ? blankExif(copy) : blankExifGps(copy);
+
+  for (const { tag, valueOffset, size } of readIfdEntries(r, readUint32(r, r.base + 4))) {
+    if (tag === TIFF_XMP_TAG) {
+      copy.fill(0x20, valueOffset, valueOffset + size); // Whitespace is a valid, empty XMP packet content
+      changed = true;
+    } else if (TIFF_IPTC_TAGS.includes(tag)) {
+      const iptc = copy.subarray(valueOffset, valueOffset + size);
+      changed = (mode === "all" ? blankIptcDatasets(iptc, () => true) : blankIptcLocation(iptc)) || changed;
+    }
+  }
+
+  return changed ? copy : tiff;
+}
+
+interface IsoBox {
+  type: string;
+  start: number; // Offset of the box content
+  end: number;
+}
+
+/**
+ * List the boxes of an ISO base media file (HEIF, AVIF) between two offsets
+ */
+function readIsoBoxes(data: Buffer, start: number, end: number): IsoBox[] {
+  const boxes: IsoBox[] = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = data.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(data.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box extends to the end
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type: data.toString("latin1", offset + 4, offset + 8), start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Locate the EXIF and XMP items of a HEIF file (item types from iinf, file extents from iloc)
+ * @returns Byte ranges of the metadata items
+ */
+function getHeifMetadataItems(heif: Buffer): { kind: "exif" | "xmp"; start: number; end: number }[] {
+  const meta = readIsoBoxes(heif, 0, heif.length).find((box) => box.type === "meta");
+  if (!meta) return [];
+  // meta, iinf, infe and iloc are full boxes: 1 byte version, 3 bytes flags
+  const children = readIsoBoxes(heif, meta.start + 4, meta.end);
+
+  const itemKinds = new Map<number, "exif" | "xmp">();
+  const iinf = children.find((box) => box.type === "iinf");
+  if (iinf) {
+    const entriesStart = iinf.start + 4 + (heif[iinf.start] === 0 ? 2 : 4);
+    for (const infe of readIsoBoxes(heif, entriesStart, iinf.end)) {
+      const version = heif[infe.start];
+      if (infe.type !== "infe" || version < 2) continue;
+      let p = infe.start + 4;
+      const itemId = version === 2 ? heif.readUInt16BE(p) : heif.readUInt32BE(p);
+      p += (version === 2 ? 2 : 4) + 2; // Item ID, protection index
+      const itemType = heif.toString("latin1", p, p + 4);
+      if (itemType === "Exif") {
+        itemKinds.set(itemId, "exif");
+      } else if (itemType === "mime") {
+        // Item name and content type, null-terminated
+        const nameEnd = heif.indexOf(0, p + 4);
+        const contentType = heif.toString("latin1", nameEnd + 1, heif.indexOf(0, nameEnd + 1));
+        if (contentType === "application/rdf+xml") itemKinds.set(itemId, "xmp");
+      }
+    }
+  }
+
+  const iloc = children.find((box) => box.type === "iloc");
+  if (!iloc || itemKinds.size === 0) return [];
+
+  const version = heif[iloc.start];
+  let p = iloc.start + 4;
+  const offsetSize = heif[p] >> 4;
+  const lengthSize = heif[p] & 0x0f;
+  const baseOffsetSize = heif[p + 1] >> 4;
+  const indexSize = version > 0 ? heif[p + 1] & 0x0f : 0;
+  p += 2;
+  const readSized = (size: number) => {
+    const value = size === 8 ? Number(heif.readBigUInt64BE(p)) : size === 4 ? heif.readUInt32BE(p) : 0;
+    p += size;
+    return value;
+  };
+  const itemCount = version < 2 ? heif.readUInt16BE(p) : heif.readUInt32BE(p);
+  p += version < 2 ? 2 : 4;
+
+  const items: { kind: "exif" | "xmp"; start: number; end: number }[] = [];
+  for (let i = 0; i < itemCount && p < iloc.end; i++) {
+    const itemId = version < 2 ? heif.readUInt16BE(p) : heif.readUInt32BE(p);
+    p += version < 2 ? 2 : 4;
+    // Construction method 0: extents are file offsets (1 and 2 point into idat or other items)
+    const constructionMethod = version > 0 ? heif.readUInt16BE(p) & 0x0f : 0;
+    p += version > 0 ? 2 : 0;
+    p += 2; // Data reference index
+    const baseOffset = readSized(baseOffsetSize);
+    const extentCount = heif.readUInt16BE(p);
+    p += 2;
+    for (let e = 0; e < extentCount; e++) {
+      readSized(indexSize);
+      const extentOffset = readSized(offsetSize);
+      const extentLength = readSized(lengthSize);
+      const kind = itemKinds.get(itemId);
+      const start = baseOffset + extentOffset;
+      if (kind && constructionMethod === 0 && extentLength > 0 && start + extentLength <= heif.length) {
+        items.push({ kind, start, end: start + extentLength });
+      }
+    }
+  }
+  return items;
+}
+
+/**
+ * Remove metadata from a HEIF file (HEIC, AVIF) in place of the values (the structure is unchanged)
+ * "gps" blanks the GPS directory of the EXIF item and the XMP item; "all" also blanks the EXIF item.
+ * @param heif HEIF file contents
+ * @param mode Metadata to strip
+ * @returns The cleaned file (same buffer when nothing was changed)
+ */
+export function stripHeifMetadata(heif: Buffer, mode: StripMetadataMode): Buffer {
+  if (mode === "none") return heif;
+
+  let items;
+  try {
+    items = getHeifMetadataItems(heif);
+  } catch {
+    return heif; // Truncated or malformed boxes
+  }
+  if (items.length === 0) return heif;
+
+  const copy = Buffer.from(heif);
+  let changed = false;
+  for (const item of items) {
+    if (item.kind === "xmp") {
+      copy.fill(0x20, item.start, item.end);
+      changed = true;
+    } else if (item.end - item.start > 4) {
+      // EXIF items start with the offset of the TIFF header
+      const exif = copy.subarray(Math.min(item.end, item.start + 4 + copy.readUInt32BE(item.start)), item.end);
+      changed = (mode === "all" ? blankExif(exif) : blankExifGps(exif)) || changed;
+    }
+  }
+  return changed ? copy : heif;
+}
+
+/**
+ * Zero out the values of a directory pointed to from IFD0, in place
+ * @returns Whether the directory was found
+ */
+function blankExifDirectory(exif: Buffer, pointerTag: number): boolean {
+  const r = getTiffReader(exif);
+  if (!r) return false;
+
+  const pointer = readIfdEntries(r, readUint32(r, r.base + 4)).find((entry) => entry.tag === pointerTag);
+  if (!pointer) return false;
+
+  for (const { tag, valueOffset, size } of readIfdEntries(r, readUint32(r, pointer.valueOffset))) {
+    if (!EXIF_POINTER_TAGS.has(tag)) exif.fill(0, valueOffset, valueOffset + size);
+  }
+  return true;
+}
+
+/**
+ * Zero out the values of the GPS directory of EXIF data, in place
+ * The structure is unchanged, so offsets of other data stay valid.
+ * @returns Whether GPS data was found
+ */
+export function blankExifGps(exif: Buffer): boolean {
+  return blankExifDirectory(exif, 0x8825);
+}
+
+/**
+ * Zero out the GPS and EXIF directories and the descriptive tags of EXIF data, in place
+ * Image structure tags (size, compression, strips) are kept, so TIFF files stay readable.
+ * @returns Whether EXIF data was found
+ */
+export function blankExif(exif: Buffer): boolean {
+  const r = getTiffReader(exif);
+  if (!r) return false;
+
+  let changed = blankExifDirectory(exif, 0x8825);
+  changed = blankExifDirectory(exif, 0x8769) || changed;
+  for (const { tag, valueOffset, size } of readIfdEntries(r, readUint32(r, r.base + 4))) {
+    if (IFD0_TAGS[tag] && !EXIF_POINTER_TAGS.has(tag)) {
+      exif.fill(0, valueOffset, valueOffset + size);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Blank the matching datasets of IPTC IIM data, in place
+ * Values are replaced with spaces (read as empty), so the record structure stays valid.
+ */
+function blankIptcDatasets(iptc: Buffer, matches: (dataset: number) => boolean): boolean {
+  let found = false;
+
+  for (let offset = 0; offset + 5 <= iptc.length; offset++) {
+    if (iptc[offset] !== 0x1c || iptc[offset + 1] !== 2) continue;
+    const length = iptc.readUInt16BE(offset + 3);
+    if (offset + 5 + length > iptc.length) break;
+
+    if (matches(iptc[offset + 2])) {
+      iptc.fill(0x20, offset + 5, offset + 5 + length);
+      found = true;
+    }
+    offset += 4 + length;
+  }
+  return found;
+}
+
+/**
+ * Blank the location datasets of IPTC IIM data, in place
+ * @param iptc Raw IPTC data: IIM records, possibly inside a Photoshop resource block
+ * @returns Whether location datasets were found
+ */
+export function blankIptcLocation(iptc: Buffer): boolean {
+  return blankIptcDatasets(iptc, (dataset) => IPTC_LOCATION_DATASETS.has(dataset));
+}
@@ -0,0 +1,51 @@
+import { expect, test } from "vitest";
+import { toPublishDate, getPublishState, buildPublishSchedule } from "../lib/publishSchedule";
+import type { PublishScheduleEntry } from "../types";
+
+const now = new Date("2025-06-01T12:00:00Z");
+
+test("toPublishDate", () => {
+  expect(toPublishDate("2025-06-02T08:00:00Z")?.toISOString()).toBe("2025-06-02T08:00:00.000Z");
+  expect(toPublishDate(new Date("2025-06-02"))?.toISOString()).toBe("2025-06-02T00:00:00.000Z");
+  expect(toPublishDate(undefined)).toBeNull();
+  expect(toPublishDate("")).toBeNull();
+  expect(toPublishDate("not a date")).toBeNull();
+});
+
+test("getPublishState", () => {
+  expect(getPublishState({}, now)).toEqual({ state: "published" });
+  expect(getPublishState({ publishAt: "2025-05-01" }, now)).toEqual({ state: "published" });
+  expect(getPublishState({ publishAt: "invalid" }, now)).toEqual({ state: "published" });
+
+  expect(getPublishState({ publishAt: "2025-06-02T00:00:00Z" }, now)).toEqual({
+    state: "scheduled",
+    next: { action: "publish", at: new Date("2025-06-02T00:00:00Z") },
+  });
+
+  expect(getPublishState({ unpublishAt: "2025-07-01T00:00:00Z" }, now)).toEqual({
+    state: "published",
+    next: { action: "unpublish", at: new Date("2025-07-01T00:00:00Z") },
+  });
+
+  expect(getPublishState({ unpublishAt: "2025-05-01" }, now)).toEqual({ state: "expired" });
+
+  // Unpublished before it is published: never goes live
+  expect(
+    getPublishState({ publishAt: "2025-07-01T00:00:00Z", unpublishAt: "2025-06-15T00:00:00Z" }, now)
+  ).toEqual({ state: "expired" });
+});
+
+test("buildPublishSchedule", () => {
+  const schedule = buildPublishSchedule(
+    [
+      { originalFilePath: "b.md", action: "unpublish", at: "2025-07-01T00:00:00.000Z" },
+      { originalFilePath: "a.md", action: "publish", at: "2025-06-02T00:00:00.000Z" },
+    ],
+    now
+  );
+
+  expect(schedule.generatedAt).toBe(now.toISOString());
+  expect(schedule.nextBoundary).toBe("2025-06-02T00:00:00.000Z");
+  expect(schedule.entries.map((entry: PublishScheduleEntry) => entry.originalFilePath)).toEqual(["a.md", "b.md"]);
+  expect(buildPublishSchedule([], now).nextBoundary).toBeNull();
+});
@@ -0,0 +1,60 @@
+import { PublishSchedule, PublishScheduleEntry, PublishState } from "../types";
+
+/**
+ * Convert a publishAt/unpublishAt frontmatter value to a Date
+ * Accepts Date objects (YAML timestamps, parsed date strings) and ISO strings
+ * @param value Frontmatter value
+ * @returns The date, or null if missing or invalid
+ */
+export function toPublishDate(value: unknown): Date | null {
+  if (value === null || value === undefined || value === "") return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the publication state of a post from its frontmatter
+ * - scheduled: publishAt is in the future (embargoed)
+ * - expired: unpublishAt is in the past
+ * - published: otherwise
+ * @param frontmatter Post frontmatter
+ * @param now Reference time (build time)
+ * @returns The state and the next boundary that will change it, if any
+ */
+export function getPublishState(
+  frontmatter: Record<string, any> | undefined,
+  now: Date = new Date()
+): { state: PublishState; next?: { action: "publish" | "unpublish"; at: Date } } {
+  const publishAt = toPublishDate(frontmatter?.publishAt);
+  const unpublishAt = toPublishDate(frontmatter?.unpublishAt);
+
+  if (unpublishAt && unpublishAt <= now) {
+    return { state: "expired" };
+  }
+  if (publishAt && publishAt > now) {
+    // A post unpublished before it is ever published never goes live
+    if (unpublishAt && unpublishAt <= publishAt) {
+      return { state: "expired" };
+    }
+    return { state: "scheduled", next: { action: "publish", at: publishAt } };
+  }
+  if (unpublishAt) {
+    return { state: "published", next: { action: "unpublish", at: unpublishAt } };
+  }
+  return { state: "published" };
+}
+
+/**
+ * Build the publish schedule report of a build
+ * @param entries Upcoming boundaries collected while processing posts
+ * @param now Reference time (build time)
+ * @returns Entries sorted by date, with the next boundary
+ */
+export function buildPublishSchedule(entries: PublishScheduleEntry[], now: Date = new Date()): PublishSchedule {
+  const sorted = [...entries].sort((a, b) => a.at.localeCompare(b.at));
+  return {
+    generatedAt: now.toISOString(),
+    nextBoundary: sorted.length > 0 ? sorted[0].at : null,
+    entries: sorted,
+  };
+}
@@ -0,0 +1,39 @@
+import { expect, test } from "vitest";
+import { parseReferenceValue, resolveReferences } from "../lib/references";
+import type { FileData } from "../types";
+
+const page = (overrides: Partial<FileData>): FileData =>
+  ({ slug: "", title: "", frontmatter: {}, hash: "", originalFilePath: "", ...overrides }) as FileData;
+
+test("parseReferenceValue", () => {
+  expect(parseReferenceValue("[[Jane Doe|Jane]]")).toEqual({ targets: ["Jane Doe"], multiple: false });
+  // Unquoted YAML wiki link
+  expect(parseReferenceValue([["Jane Doe"]])).toEqual({ targets: ["Jane Doe"], multiple: false });
+  expect(parseReferenceValue(["slug-a", [["Post B"]]])).toEqual({ targets: ["slug-a", "Post B"], multiple: true });
+  expect(parseReferenceValue(42)).toEqual({ targets: [], multiple: false });
+});
+
+test("resolveReferences", () => {
+  const jane = page({ slug: "authors/jane-doe", hash: "h-jane", originalFilePath: "authors/Jane Doe.md", collection: "authors" });
+  const janeNote = page({ slug: "jane-doe-notes", hash: "h-note", originalFilePath: "notes/Jane Doe.md" });
+  const postA = page({ slug: "slug-a", hash: "h-a", originalFilePath: "blog/a.md" });
+  const post = page({
+    slug: "hello",
+    hash: "h-hello",
+    originalFilePath: "blog/hello.md",
+    frontmatter: { author: [["Jane Doe"]], related: ["slug-a", "missing"], reviewer: "[[Nobody]]" },
+  });
+  const dangling: string[] = [];
+
+  const count = resolveReferences(
+    [jane, janeNote, postA, post],
+    { author: { collection: "authors" }, related: {}, reviewer: {} },
+    (source, property, target) => dangling.push(`${source.slug}.${property}: ${target}`)
+  );
+
+  expect(count).toBe(2);
+  expect(post.references).toEqual({ author: "h-jane", related: ["h-a"], reviewer: null });
+  expect(dangling).toEqual(["hello.related: missing", "hello.reviewer: Nobody"]);
+  // Posts without reference fields are left as is
+  expect(postA.references).toBeUndefined();
+});
@@ -0,0 +1,93 @@
+import { FileData, PostReferences, ReferencesConfig } from "../types";
+import { buildFileMaps, FileMap, resolveWikilink } from "./linkResolver";
+
+/**
+ * Strip the wiki link syntax of a reference target ("[[Jane Doe|Jane]]" -> "Jane Doe")
+ */
+function cleanTarget(value: string): string {
+  return value
+    .trim()
+    .replace(/^\[\[/, "")
+    .replace(/\]\]$/, "")
+    .split("|")[0]
+    .trim();
+}
+
+/**
+ * Collect the strings of a value, flattening nested arrays
+ */
+function collectStrings(value: unknown): string[] {
+  if (typeof value === "string") return [value];
+  if (Array.isArray(value)) return value.flatMap(collectStrings);
+  return [];
+}
+
+/**
+ * Read the targets of a reference field value
+ * Targets are wiki links ("[[Jane Doe]]", "[[Jane Doe|Jane]]"), slugs or paths. Unquoted YAML wiki
+ * links parse as nested arrays (`author: [[Jane Doe]]` is [["Jane Doe"]]) and count as one target.
+ * @param value Frontmatter value
+ * @returns The targets, and whether the value is a list
+ */
+export function parseReferenceValue(value: unknown): { targets: string[]; multiple: boolean } {
+  const isUnquotedWikilink =
+    Array.isArray(value) && value.length === 1 && Array.isArray(value[0]) && value[0].length === 1;
+  const targets = collectStrings(value).map(cleanTarget).filter(Boolean);
+  return { targets, multiple: Array.isArray(value) && !isUnquotedWikilink };
+}
+
+/**
+ * Resolve the reference fields of each post to the hashes of their target posts
+ * Sets `references` on posts having at least one reference field: a hash (null when dangling)
+ * for single references, the hashes of the resolved targets for lists.
+ * Must run once hashes are final.
+ * @param pages All posts
+ * @param references Reference fields (frontmatter property -> options)
+ * @param onDangling Called for each target that matches no post
+ * @returns Number of resolved references
+ */
+export function resolveReferences(
+  pages: FileData[],
+  references: ReferencesConfig,
+  onDangling?: (page: FileData, property: string, target: string, collection?: string) => void
+): number {
+  const allFiles = buildFileMaps(pages);
+  const collectionFiles = new Map<string, FileMap>();
+  const getFileMap = (collection?: string): FileMap => {
+    if (!collection) return allFiles;
+    if (!collectionFiles.has(collection)) {
+      collectionFiles.set(collection, buildFileMaps(pages.filter((page) => page.collection === collection)));
+    }
+    return collectionFiles.get(collection)!;
+  };
+
+  let resolvedCount = 0;
+  for (const page of pages) {
+    const resolved: PostReferences = {};
+
+    for (const [property, field] of Object.entries(references)) {
+      const value = page.frontmatter?.[property];
+      if (value === undefined || value === null) continue;
+
+      const { targets, multiple } = parseReferenceValue(value);
+      const fileMap = getFileMap(field.collection);
+      const hashes: (string | null)[] = targets.map((target) => {
+        const file = resolveWikilink(target, fileMap, page.originalFilePath);
+        if (!file) {
+          onDangling?.(page, property, target, field.collection);
+          return null;
+        }
+        resolvedCount++;
+        return file.hash;
+      });
+
+      resolved[property] =
+        (field.multiple ?? multiple) ? hashes.filter((hash): hash is string => !!hash) : hashes[0] ?? null;
+    }
+
+    if (Object.keys(resolved).length > 0) {
+      page.references = resolved;
+    }
+  }
+  return resolvedCount;
+}
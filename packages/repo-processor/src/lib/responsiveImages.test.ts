@@ -0,0 +1,72 @@
+import { expect, test } from "vitest";
+import { unified } from "unified";
+import rehypeStringify from "rehype-stringify";
+import { h } from "hastscript";
+import { getResponsiveImage, getImageMimeType } from "../lib/responsiveImages";
+import { rehypeResponsiveImages } from "../rehype/rehypeResponsiveImages";
+import type { MediaFileData } from "../types";
+
+const variant = (size: string, format: string, width: number) => ({
+  width,
+  height: width / 2,
+  format,
+  outputPath: `/out/${size}.${format}`,
+  publicPath: `/_repo/medias/photo-${size}.${format}`,
+  absolutePublicPath: `https://static.repo.md/_repo/medias/photo-${size}.${format}`,
+  size: 1000,
+});
+
+const media = {
+  originalPath: "photos/photo.jpg",
+  fileName: "photo.jpg",
+  fileExt: ".jpg",
+  mimeType: "image/jpeg",
+  effectivePath: "photos/photo.jpg",
+  sizes: {
+    sm: ["webp", "avif", "jpeg"].map((format) => variant("sm", format, 300)),
+    lg: ["webp", "avif", "jpeg"].map((format) => variant("lg", format, 1400)),
+  },
+} as MediaFileData;
+
+test("getImageMimeType", () => {
+  expect(getImageMimeType("jpg")).toBe("image/jpeg");
+  expect(getImageMimeType("avif")).toBe("image/avif");
+  expect(getImageMimeType(".svg")).toBe("image/svg+xml");
+});
+
+test("getResponsiveImage", () => {
+  const responsive = getResponsiveImage(media);
+  expect(responsive).toEqual({
+    src: "/_repo/medias/photo-lg.jpeg",
+    width: 1400,
+    height: 700,
+    srcset: "/_repo/medias/photo-sm.jpeg 300w, /_repo/medias/photo-lg.jpeg 1400w",
+    sizes: "(max-width: 1400px) 100vw, 1400px",
+    type: "image/jpeg",
+    sources: [
+      { type: "image/avif", srcset: "/_repo/medias/photo-sm.avif 300w, /_repo/medias/photo-lg.avif 1400w" },
+      { type: "image/webp", srcset: "/_repo/medias/photo-sm.webp 300w, /_repo/medias/photo-lg.webp 1400w" },
+    ],
+  });
+
+  expect(getResponsiveImage(media, { useAbsolutePaths: true, preferredSize: "sm" })?.src).toBe(
+    "https://static.repo.md/_repo/medias/photo-sm.jpeg"
+  );
+  expect(getResponsiveImage({ ...media, sizes: {} })).toBeNull();
+});
+
+test("rehypeResponsiveImages", () => {
+  const tree = h(null, [
+    h("img", { src: "/_repo/medias/photo-lg.webp", alt: "Photo" }),
+    h("img", { src: "https://example.com/remote.png", alt: "Remote" }),
+  ]);
+  const processor = unified().use(rehypeResponsiveImages, { mediaData: [media] }).use(rehypeStringify);
+  const html = processor.stringify(processor.runSync(tree));
+
+  expect(html).toContain(
+    '<picture><source type="image/avif" srcset="/_repo/medias/photo-sm.avif 300w, /_repo/medias/photo-lg.avif 1400w" sizes="(max-width: 1400px) 100vw, 1400px">'
+  );
+  expect(html).toContain('<img src="/_repo/medias/photo-lg.jpeg" alt="Photo" srcset=');
+  expect(html).toContain("</picture>");
+  expect(html).toContain('<img src="https://example.com/remote.png" alt="Remote">');
+});
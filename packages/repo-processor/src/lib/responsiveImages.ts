@@ -0,0 +1,112 @@
+import type { MediaFileData, ResponsiveImage } from "../types";
+
+type SizeVariant = MediaFileData["sizes"][string][number];
+
+export interface ResponsiveImageOptions {
+  useAbsolutePaths?: boolean;
+  preferredSize?: string;
+  sizes?: string; // "sizes" attribute (defaults to the preferred variant's width)
+}
+
+// Formats offered as <source> elements, best first
+const MODERN_FORMATS = ["avif", "webp"];
+
+// Formats usable as the <img> fallback, most compatible first
+const FALLBACK_FORMATS = ["jpeg", "jpg", "png", "gif"];
+
+const SIZE_FALLBACKS = ["lg", "md", "sm", "xl", "xs"];
+
+/**
+ * Get the MIME type of an image format ("jpg" -> "image/jpeg")
+ */
+export function getImageMimeType(format: string): string {
+  const normalized = format.toLowerCase().replace(/^\./, "");
+  if (normalized === "jpg") return "image/jpeg";
+  if (normalized === "svg") return "image/svg+xml";
+  return `image/${normalized}`;
+}
+
+function variantUrl(variant: SizeVariant, useAbsolutePaths: boolean): string {
+  return useAbsolutePaths && variant.absolutePublicPath ? variant.absolutePublicPath : variant.publicPath;
+}
+
+/**
+ * Build the responsive image data of a media file from its size variants
+ * Modern formats (AVIF, WebP) become <picture> sources, the most compatible
+ * format is the <img> fallback. Every srcset lists the variants by width.
+ * @param media Processed media file
+ * @param options Path and size preferences
+ * @returns Responsive image data, or null if the media has no optimized variants
+ */
+export function getResponsiveImage(media: MediaFileData, options: ResponsiveImageOptions = {}): ResponsiveImage | null {
+  const { useAbsolutePaths = false, preferredSize = "lg" } = options;
+  if (!media.sizes) return null;
+
+  // Group the optimized variants by format
+  const byFormat = new Map<string, { size: string; variant: SizeVariant }[]>();
+  for (const [size, variants] of Object.entries(media.sizes)) {
+    for (const variant of variants) {
+      if (variant.skippedOptimization || !variant.width || !variant.format) continue;
+      const format = variant.format.toLowerCase();
+      if (!byFormat.has(format)) byFormat.set(format, []);
+      byFormat.get(format)!.push({ size, variant });
+    }
+  }
+  if (byFormat.size === 0) return null;
+
+  const toSrcset = (format: string): string => {
+    // One candidate per width (variants larger than the original share its width)
+    const widths = new Map<number, string>();
+    for (const { variant } of byFormat.get(format)!) {
+      if (!widths.has(variant.width)) widths.set(variant.width, variantUrl(variant, useAbsolutePaths));
+    }
+    return [...widths.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([width, url]) => `${url} ${width}w`)
+      .join(", ");
+  };
+
+  const fallbackFormat =
+    FALLBACK_FORMATS.find((format) => byFormat.has(format)) ||
+    MODERN_FORMATS.slice().reverse().find((format) => byFormat.has(format)) ||
+    [...byFormat.keys()][0];
+
+  const fallbackVariants = byFormat.get(fallbackFormat)!;
+  const preferred =
+    [preferredSize, ...SIZE_FALLBACKS]
+      .map((size) => fallbackVariants.find((entry) => entry.size === size))
+      .find(Boolean) || fallbackVariants[fallbackVariants.length - 1];
+
+  const { width, height } = preferred.variant;
+
+  return {
+    src: variantUrl(preferred.variant, useAbsolutePaths),
+    width,
+    height,
+    srcset: toSrcset(fallbackFormat),
+    sizes: options.sizes || `(max-width: ${width}px) 100vw, ${width}px`,
+    type: getImageMimeType(fallbackFormat),
+    sources: MODERN_FORMATS.filter((format) => format !== fallbackFormat && byFormat.has(format)).map((format) => ({
+      type: getImageMimeType(format),
+      srcset: toSrcset(format),
+    })),
+  };
+}
+
+/**
+ * Index media files by the URLs of their variants, to find the media behind a rendered <img>
+ * @param mediaData Processed media files
+ * @returns Map of public (and absolute) variant URLs to their media file
+ */
+export function indexMediaByUrl(mediaData: MediaFileData[]): Map<string, MediaFileData> {
+  const index = new Map<string, MediaFileData>();
+  for (const media of mediaData) {
+    for (const variants of Object.values(media.sizes || {})) {
+      for (const variant of variants) {
+        if (variant.publicPath) index.set(variant.publicPath, media);
+        if (variant.absolutePublicPath) index.set(variant.absolutePublicPath, media);
+      }
+    }
+  }
+  return index;
+}
@@ -0,0 +1,46 @@
+import { expect, test } from "vitest";
+import { tokenize, stem, analyze, getSearchLanguage, getShardKey, buildSearchIndex } from "../lib/searchIndex";
+import type { FileData } from "../types";
+
+test("tokenize", () => {
+  expect(tokenize("Héllo, World! A 2024 café")).toEqual(["hello", "world", "2024", "cafe"]);
+  expect(tokenize("")).toEqual([]);
+});
+
+test("stem", () => {
+  expect(stem("deployments", "en")).toBe("deploy");
+  expect(stem("studies", "en")).toBe("study");
+  expect(stem("cats", "en")).toBe("cat");
+  // Stems keep at least 3 characters
+  expect(stem("is", "en")).toBe("is");
+  expect(analyze("Les déploiements", "fr")).toEqual(["les", "deploi"]);
+  expect(stem("deployments", "xx")).toBe("deployments");
+});
+
+test("getSearchLanguage", () => {
+  expect(getSearchLanguage("pt-BR")).toBe("pt");
+  expect(getSearchLanguage("fr")).toBe("fr");
+  expect(getSearchLanguage("ja")).toBe("en");
+  expect(getSearchLanguage(undefined)).toBe("en");
+});
+
+test("buildSearchIndex", () => {
+  const post = (hash: string, title: string, plain: string, tags: string[] = []) =>
+    ({ hash, slug: hash, title, plain, firstParagraphText: plain, frontmatter: { tags } }) as unknown as FileData;
+  const { manifest, documents, shards } = buildSearchIndex([
+    post("a", "Deploying to production", "How to deploy your site", ["hosting"]),
+    post("b", "Writing posts", "Markdown posts are deployed automatically"),
+  ]);
+
+  expect(manifest.documentCount).toBe(2);
+  expect(manifest.languages).toEqual(["en"]);
+  expect(documents.map((doc) => doc.id)).toEqual(["a", "b"]);
+  expect(Object.keys(manifest.shards)).toEqual(Object.keys(shards).sort());
+  expect(manifest.shards.de.file).toBe("de.json");
+
+  // Both posts mention "deploy"; the one with it in the title ranks higher
+  const postings = shards[getShardKey("deploy")].deploy;
+  expect(postings.map(([docIndex]) => docIndex)).toEqual([0, 1]);
+  expect(postings[0][1]).toBeGreaterThan(postings[1][1]);
+  expect(shards.ho.host).toEqual([[0, expect.any(Number)]]);
+});
@@ -0,0 +1,154 @@
+import {
+  FileData,
+  SearchFieldBoosts,
+  SearchIndex,
+  SearchIndexDocument,
+  SearchIndexManifest,
+  SearchPosting,
+  SearchShard,
+} from "../types";
+import {
+  SEARCH_INDEX_VERSION,
+  analyze,
+  getSearchLanguage,
+  getShardKey,
+  stem,
+  tokenize,
+} from "@repo-md/processor-core/search";
+
+// Same analyzer as the client's queries (@repo-md/processor-core/search)
+export { SEARCH_INDEX_VERSION, tokenize, getSearchLanguage, stem, analyze, getShardKey };
+
+export const DEFAULT_SEARCH_BOOSTS: SearchFieldBoosts = { title: 3, tags: 2, body: 1 };
+
+const EXCERPT_LENGTH = 200;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * File name of a shard; keys outside [a-z0-9] are hex-encoded to stay URL-safe
+ * @param key Shard key
+ * @returns The shard file name
+ */
+function getShardFileName(key: string): string {
+  const safeKey = Array.from(key)
+    .map((char) => (/[a-z0-9]/.test(char) ? char : `_${char.codePointAt(0)!.toString(16)}`))
+    .join("");
+  return `${safeKey}.json`;
+}
+
+function getTagsText(frontmatter: Record<string, any> | undefined): string {
+  const tags = frontmatter?.tags;
+  if (Array.isArray(tags)) return tags.join(" ");
+  return typeof tags === "string" ? tags : "";
+}
+
+function getExcerpt(post: FileData): string {
+  const text = post.frontmatter?.description || post.firstParagraphText || "";
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+function toDateString(value: unknown): string | undefined {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value.toISOString();
+  return typeof value === "string" ? value : undefined;
+}
+
+/**
+ * Build a sharded full-text index of posts
+ * Term weights are BM25 scores summed over the title, tags and body fields (with their boosts),
+ * so a query only needs the shards of its terms to rank results.
+ * @param posts Processed posts
+ * @param options.boosts Field boosts (defaults to title: 3, tags: 2, body: 1)
+ * @returns Manifest, stored documents and shards, ready to be written as JSON
+ */
+export function buildSearchIndex(
+  posts: FileData[],
+  options: { boosts?: Partial<SearchFieldBoosts> } = {}
+): SearchIndex {
+  const boosts: SearchFieldBoosts = { ...DEFAULT_SEARCH_BOOSTS, ...options.boosts };
+  const fields = Object.keys(boosts) as (keyof SearchFieldBoosts)[];
+  const languages = new Set<string>();
+
+  const documents: SearchIndexDocument[] = [];
+  // Per document and field: term frequencies and field length
+  const analyzed: Record<keyof SearchFieldBoosts, { tf: Map<string, number>; length: number }>[] = [];
+  const documentFrequency = new Map<string, number>();
+  const totalLengths: Record<keyof SearchFieldBoosts, number> = { title: 0, tags: 0, body: 0 };
+
+  for (const post of posts) {
+    const language = getSearchLanguage(post.locale);
+    languages.add(language);
+
+    documents.push({
+      id: post.hash,
+      slug: post.slug,
+      ...(post.localizedSlug && post.localizedSlug !== post.slug && { localizedSlug: post.localizedSlug }),
+      title: post.title || "",
+      excerpt: getExcerpt(post),
+      date: toDateString(post.frontmatter?.date),
+      url: post.url,
+      locale: post.locale,
+    });
+
+    const texts: Record<keyof SearchFieldBoosts, string> = {
+      title: post.title || "",
+      tags: getTagsText(post.frontmatter),
+      body: post.plain || "",
+    };
+    const entry = {} as (typeof analyzed)[number];
+    const documentTerms = new Set<string>();
+    for (const field of fields) {
+      const terms = analyze(texts[field], language);
+      const tf = new Map<string, number>();
+      for (const term of terms) {
+        tf.set(term, (tf.get(term) || 0) + 1);
+        documentTerms.add(term);
+      }
+      entry[field] = { tf, length: terms.length };
+      totalLengths[field] += terms.length;
+    }
+    analyzed.push(entry);
+    for (const term of documentTerms) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const documentCount = documents.length;
+  const shards: Record<string, SearchShard> = {};
+
+  analyzed.forEach((entry, docIndex) => {
+    const weights = new Map<string, number>();
+    for (const field of fields) {
+      const { tf, length } = entry[field];
+      const averageLength = totalLengths[field] / documentCount || 1;
+      for (const [term, frequency] of tf) {
+        const df = documentFrequency.get(term)!;
+        const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+        const score = (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * length) / averageLength));
+        weights.set(term, (weights.get(term) || 0) + boosts[field] * score);
+      }
+    }
+
+    for (const [term, weight] of weights) {
+      const shard = (shards[getShardKey(term)] ||= {});
+      const posting: SearchPosting = [docIndex, Math.round(weight * 10000) / 10000];
+      (shard[term] ||= []).push(posting);
+    }
+  });
+
+  const manifest: SearchIndexManifest = {
+    version: SEARCH_INDEX_VERSION,
+    documentCount,
+    boosts,
+    languages: [...languages].sort(),
+    shards: Object.fromEntries(
+      Object.keys(shards)
+        .sort()
+        .map((key) => [key, { file: getShardFileName(key), terms: Object.keys(shards[key]).length }])
+    ),
+  };
+
+  return { manifest, documents, shards };
+}
@@ -5,6 +5,8 @@ import fs from "node:fs";
 import { processFolder } from "./processFolder";
 import { processMedia } from "./processMedia";
 import { jsonStringify, writeToFileSync, toSlug, calculateFileHash } from "../lib/utility";
+import { buildPublishSchedule } from "../lib/publishSchedule";
+import { buildCollections } from "../lib/collections";
 
 // Import types
 import type { 
@@ -13,7 +15,14 @@ import type {
   ProcessMediaOptions, 
   MediaFileData, 
   MediaPathMap,
-  GraphData
+  ImagePlaceholder,
+  StripMetadataMode,
+  GraphData,
+  LocaleConfig,
+  CollectionsConfig,
+  CollectionManifestEntry,
+  ReferencesConfig,
+  PublishSchedule
 } from "../types";
 import type { ProcessingIssues } from "../types/issues";
 import { IssueCollector } from "../services/issueCollector";
@@ -87,6 +96,8 @@ interface MediaConfig {
   useHashSharding?: boolean;       // Use sharding for hash-based paths (default: false)
   skipHashes?: string[];           // Skip processing for specified file hashes
   preferredSize?: 'sm' | 'md' | 'lg'; // Preferred size (default: 'lg')
+  responsive?: boolean;            // Render images as <picture> with srcset (default: true)
+  stripMetadata?: StripMetadataMode; // Metadata removed from published images: "gps", "all" or "none" (default: "gps")
 }
 
 /**
@@ -96,6 +107,19 @@ interface PostConfig {
   exportEnabled?: boolean;         // Export individual posts (default: false)
   includeMediaData?: boolean;      // Include media data in first page (default: false)
   processAllFiles?: boolean;       // Process all files regardless of frontmatter (default: false)
+  ignorePublishDates?: boolean;    // Include posts regardless of publishAt/unpublishAt (default: false)
+  locales?: LocaleConfig;          // Multi-locale content: default locale and locale folders
+  collections?: CollectionsConfig; // Content collections: named folders with a slug pattern and sort order
+  references?: ReferencesConfig;   // Reference fields resolved to target post hashes
+  incremental?: IncrementalConfig; // Reuse rendered output from a previous build
+}
+
+/**
+ * Interface for incremental build configuration
+ */
+interface IncrementalConfig {
+  previousPosts: FileData[];       // Posts from the previous build (posts.json)
+  renderPaths: string[];           // Vault-relative paths that must be re-rendered
 }
 
 /**
@@ -201,6 +225,10 @@ export interface ProcessConfig {
   exportPosts?: boolean;            // Export individual posts (default: false)
   includeMediaData?: boolean;       // Include media data in first page (default: false)
   processAllFiles?: boolean;        // Process all files regardless of frontmatter (default: false)
+  ignorePublishDates?: boolean;     // Include posts regardless of publishAt/unpublishAt (default: false)
+  locales?: LocaleConfig;           // Multi-locale content: default locale and locale folders
+  collections?: CollectionsConfig;  // Content collections: named folders with a slug pattern and sort order
+  references?: ReferencesConfig;    // Reference fields resolved to target post hashes
   
   // Miscellaneous
   debugLevel?: number;              // Debug level (0-3)
@@ -296,7 +324,12 @@ class RepoProcessor {
       posts: {
         exportEnabled: config.exportPosts !== undefined ? config.exportPosts : config.posts?.exportEnabled,
         includeMediaData: config.includeMediaData !== undefined ? config.includeMediaData : config.posts?.includeMediaData,
-        processAllFiles: config.processAllFiles !== undefined ? config.processAllFiles : config.posts?.processAllFiles
+        processAllFiles: config.processAllFiles !== undefined ? config.processAllFiles : config.posts?.processAllFiles,
+        ignorePublishDates: config.ignorePublishDates !== undefined ? config.ignorePublishDates : config.posts?.ignorePublishDates,
+        locales: config.locales || config.posts?.locales,
+        collections: config.collections || config.posts?.collections,
+        references: config.references || config.posts?.references,
+        incremental: config.posts?.incremental
       },
       debugLevel: config.debugLevel,
       imgLinkBuilderOpts: config.imgLinkBuilderOpts,
@@ -360,14 +393,21 @@ class RepoProcessor {
       useHash: config.media?.useHash ?? false,
       useHashSharding: config.media?.useHashSharding ?? false,
       skipHashes: config.media?.skipHashes || [],
-      preferredSize: config.media?.preferredSize || 'lg'
+      preferredSize: config.media?.preferredSize || 'lg',
+      responsive: config.media?.responsive ?? true,
+      stripMetadata: config.media?.stripMetadata ?? 'gps'
     };
     
     // Normalize post configuration
     const normalizedPosts: PostConfig = {
       exportEnabled: config.posts?.exportEnabled ?? false,
       includeMediaData: config.posts?.includeMediaData ?? false,
-      processAllFiles: config.posts?.processAllFiles ?? false
+      processAllFiles: config.posts?.processAllFiles ?? false,
+      ignorePublishDates: config.posts?.ignorePublishDates ?? false,
+      locales: config.posts?.locales,
+      collections: config.posts?.collections,
+      references: config.posts?.references,
+      incremental: config.posts?.incremental
     };
     
     // Normalize iframe embed options with new defaults
@@ -511,6 +551,7 @@ class RepoProcessor {
       optimizeImages: mediaConfig.optimize,
       skipExisting: mediaConfig.skipExisting || false,
       forceReprocessMedias: mediaConfig.forceReprocess || false,
+      stripMetadata: mediaConfig.stripMetadata,
       domain: this.config.paths!.domain,
       debug: this.debugLevel,
     };
@@ -582,6 +623,21 @@ class RepoProcessor {
     const mediaHashUrlMapPath = path.join(this.buildDir, "media-hash-url-map.json");
     writeToFileSync(mediaHashUrlMapPath, jsonStringify(mediaHashUrlMap));
     this.log(1, `📝 Media hash-to-URL map saved to: ${mediaHashUrlMapPath}`);
+
+    // Create and save media placeholder map (dimensions, LQIP and colors by original path)
+    const mediaPlaceholderMap: Record<string, ImagePlaceholder & { width?: number; height?: number }> = {};
+    for (const media of mediaData) {
+      if (media.placeholder) {
+        mediaPlaceholderMap[media.originalPath] = {
+          width: media.metadata?.width,
+          height: media.metadata?.height,
+          ...media.placeholder
+        };
+      }
+    }
+    const mediaPlaceholderMapPath = path.join(this.buildDir, "media-placeholder-map.json");
+    writeToFileSync(mediaPlaceholderMapPath, jsonStringify(mediaPlaceholderMap));
+    this.log(1, `📝 Media placeholder map saved to: ${mediaPlaceholderMapPath}`);
   }
 
   /**
@@ -618,7 +674,12 @@ class RepoProcessor {
       exportPosts: postsConfig.exportEnabled || false,
       postsOutputFolder: this.postsDir,
       preferredSize: mediaConfig.preferredSize || 'lg',
+      responsiveImages: mediaConfig.responsive !== false,
       processAllFiles: postsConfig.processAllFiles || false,
+      ignorePublishDates: postsConfig.ignorePublishDates || false,
+      locales: postsConfig.locales,
+      collections: postsConfig.collections,
+      references: postsConfig.references,
       mediaOptions: {
         domain: pathsConfig.domain
       },
@@ -637,6 +698,7 @@ class RepoProcessor {
 
   /**
    * Generate slug-to-hash mapping for quick lookups
+   * Posts of non-default locales are keyed by locale-qualified slug (e.g. "fr/mon-article")
    * @param vaultData Array of processed file data  
    * @returns Map of slugs to file hashes
    */
@@ -647,7 +709,7 @@ class RepoProcessor {
       // Use the pre-calculated hash property
       // Add the slug -> hash mapping
       if (file.slug) {
-        slugMap[file.slug] = file.hash;
+        slugMap[file.localizedSlug || file.slug] = file.hash;
       }
     }
     
@@ -814,9 +876,14 @@ class RepoProcessor {
       mediaPathUrlMapJson: string;
       mediaPathHashMapJson: string;
       mediaHashUrlMapJson: string;
+      mediaPlaceholderMapJson: string;
       graphJson?: string;
+      publishScheduleJson: string;
+      collectionsJson?: string;
     };
     processingIssues: ProcessingIssues;
+    publishSchedule: PublishSchedule;
+    collections?: Record<string, CollectionManifestEntry>;
   }> {
     // Initialize and log basic information
     this.initBuildDir();
@@ -865,7 +932,13 @@ class RepoProcessor {
       exportPosts: this.config.posts!.exportEnabled || false,
       postsOutputFolder: this.postsDir,
       preferredSize: mediaConfig.preferredSize || 'lg',
+      responsiveImages: mediaConfig.responsive !== false,
       processAllFiles: this.config.posts!.processAllFiles || false,
+      ignorePublishDates: this.config.posts!.ignorePublishDates || false,
+      locales: this.config.posts!.locales,
+      collections: this.config.posts!.collections,
+      references: this.config.posts!.references,
+      publishSchedule: [],
       mediaOptions: {
         domain: pathsConfig.domain
       },
@@ -883,7 +956,15 @@ class RepoProcessor {
       // Pass issue collector
       issueCollector: this.issueCollector
     };
-    
+
+    // Reuse rendered HTML from the previous build for untouched files
+    const incremental = this.config.posts!.incremental;
+    if (incremental) {
+      folderOptions.previousFiles = incremental.previousPosts;
+      folderOptions.renderPaths = new Set(incremental.renderPaths);
+      this.log(1, `♻️ Incremental build: ${incremental.renderPaths.length} files to re-render, ${incremental.previousPosts.length} previous posts available`);
+    }
+
     // Process the files
     const vaultData = await processFolder(this.inputPath, folderOptions);
     
@@ -923,7 +1004,10 @@ class RepoProcessor {
       mediaPathUrlMapJson: string;
       mediaPathHashMapJson: string;
       mediaHashUrlMapJson: string;
+      mediaPlaceholderMapJson: string;
       graphJson?: string;
+      publishScheduleJson: string;
+      collectionsJson?: string;
     } = {
       postsJson: this.outputPath,
       mediaResults: this.mediaResultsPath,
@@ -933,7 +1017,9 @@ class RepoProcessor {
       mediaPathMapJson: path.join(this.buildDir, this.config.files!.mediaPathMapFilename!),
       mediaPathUrlMapJson: mediaPathUrlMapPath,
       mediaPathHashMapJson: mediaPathHashMapPath,
-      mediaHashUrlMapJson: path.join(this.buildDir, "media-hash-url-map.json")
+      mediaHashUrlMapJson: path.join(this.buildDir, "media-hash-url-map.json"),
+      mediaPlaceholderMapJson: path.join(this.buildDir, "media-placeholder-map.json"),
+      publishScheduleJson: path.join(this.buildDir, "publish-schedule.json")
     };
     
     // Add graph.json to output files if generated
@@ -941,6 +1027,27 @@ class RepoProcessor {
       outputFiles.graphJson = graphPath;
     }
     
+    // Save upcoming publishAt/unpublishAt boundaries so the next rebuild can be scheduled
+    const publishSchedule = buildPublishSchedule(folderOptions.publishSchedule || []);
+    writeToFileSync(outputFiles.publishScheduleJson, jsonStringify(publishSchedule));
+    if (publishSchedule.nextBoundary) {
+      this.log(1, `⏰ ${publishSchedule.entries.length} scheduled publish changes, next at ${publishSchedule.nextBoundary}`);
+    }
+
+    // Save content collections: a manifest and the sorted entries of each collection
+    let collections: Record<string, CollectionManifestEntry> | undefined;
+    if (this.config.posts!.collections && Object.keys(this.config.posts!.collections).length > 0) {
+      const { manifest, entries } = buildCollections(vaultData, this.config.posts!.collections);
+      fs.mkdirSync(path.join(this.buildDir, "collections"), { recursive: true });
+      for (const collection of Object.values(manifest)) {
+        writeToFileSync(path.join(this.buildDir, collection.file), jsonStringify(entries[collection.name]));
+      }
+      outputFiles.collectionsJson = path.join(this.buildDir, "collections.json");
+      writeToFileSync(outputFiles.collectionsJson, jsonStringify(manifest));
+      collections = manifest;
+      this.log(1, `🗂️ Saved ${Object.keys(manifest).length} collections`);
+    }
+
     // Generate and save processing issues report
     const issuesReport = this.issueCollector.generateReport();
     const issuesPath = path.join(this.buildDir, "processor-issues.json");
@@ -961,7 +1068,9 @@ class RepoProcessor {
       buildDir: this.buildDir,
       graphData,
       outputFiles,
-      processingIssues: issuesReport
+      processingIssues: issuesReport,
+      publishSchedule,
+      ...(collections && { collections })
     };
   }
 }
@@ -1106,6 +1215,10 @@ class ConfigBuilder {
     if (posts.exportEnabled !== undefined) this.config.exportPosts = posts.exportEnabled;
     if (posts.includeMediaData !== undefined) this.config.includeMediaData = posts.includeMediaData;
     if (posts.processAllFiles !== undefined) this.config.processAllFiles = posts.processAllFiles;
+    if (posts.ignorePublishDates !== undefined) this.config.ignorePublishDates = posts.ignorePublishDates;
+    if (posts.locales) this.config.locales = posts.locales;
+    if (posts.collections) this.config.collections = posts.collections;
+    if (posts.references) this.config.references = posts.references;
     return this;
   }
 
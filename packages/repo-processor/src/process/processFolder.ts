@@ -32,10 +32,22 @@ import { remarkMdImages } from "../remark/remarkmdimages";
 import { remarkObsidianMedia } from "../remark/remarkObsidianMedia";
 import { remarkIframeEmbed } from "../remark/remarkIframeEmbed";
 import { rehypeMermaidWrapper } from "../rehype/rehypeMermaidWrapper";
+import { rehypeResponsiveImages } from "../rehype/rehypeResponsiveImages";
+import { rehypeMediaPlayers } from "../rehype/rehypeMediaPlayers";
 
 import { hast, mdast } from "../lib";
 import { calculateFileHash } from "../lib/utility";
 import { countWords } from "../lib/wordCount";
+import { getPublishState } from "../lib/publishSchedule";
+import {
+  detectLocale,
+  getLocalizedSlug,
+  getTranslationKey,
+  linkTranslations,
+  resolveDefaultLocale,
+} from "../lib/locales";
+import { applySlugPattern, detectCollection } from "../lib/collections";
+import { resolveReferences } from "../lib/references";
 import { MediaService } from "../lib/mediaService";
 import { toLinkBuilder } from "../remark/toLinkBuilder";
 import { createCustomToLink } from "../remark/customToLink";
@@ -47,7 +59,8 @@ import type {
   ProcessOptions,
   MediaFileData,
   MediaPathMap,
-  SlugInfo
+  SlugInfo,
+  CollectionsConfig
 } from "../types";
 
 /**
@@ -70,6 +83,9 @@ interface ParsedFile {
   gitCreated?: Date;
   gitModified?: Date;
   firstImage?: string | null;
+  locale?: string;
+  translationKey?: string;
+  collection?: string;
 }
 
 /**
@@ -80,6 +96,8 @@ class SlugManager {
   private fileSlugs: Map<string, SlugInfo> = new Map(); // filePath -> SlugInfo mapping
   private slugConflictResolutionStrategy: 'number' | 'hash' = 'number';
   private issueCollector?: IssueCollector;
+  private defaultLocale?: string; // Slugs are unique per locale
+  private collections?: CollectionsConfig; // Collections may set a slug pattern
 
   constructor(strategy: 'number' | 'hash' = 'number', issueCollector?: IssueCollector) {
     this.slugConflictResolutionStrategy = strategy;
@@ -105,14 +123,21 @@ class SlugManager {
     return result;
   }
 
+  /**
+   * Key of a slug in usedSlugs: slugs only conflict within the same locale
+   */
+  private slugKey(slug: string, file: ParsedFile): string {
+    return getLocalizedSlug(slug, file.locale, this.defaultLocale);
+  }
+
   /**
    * Resolve slug conflicts by adding a number suffix
    */
-  private resolveConflictWithNumber(baseSlug: string): string {
+  private resolveConflictWithNumber(baseSlug: string, file: ParsedFile): string {
     let counter = 2;
     let newSlug = `${baseSlug}${counter}`;
 
-    while (this.usedSlugs.has(newSlug)) {
+    while (this.usedSlugs.has(this.slugKey(newSlug, file))) {
       counter++;
       newSlug = `${baseSlug}${counter}`;
     }
@@ -120,10 +145,28 @@ class SlugManager {
     return newSlug;
   }
 
+  /**
+   * Apply the slug pattern of the file's collection, if any
+   */
+  private toCollectionSlug(file: ParsedFile, slug: string): string {
+    const collection = file.collection ? this.collections?.[file.collection] : undefined;
+    if (!collection?.slug) return slug;
+    return applySlugPattern(collection.slug, {
+      slug,
+      collection: file.collection!,
+      relativePath: file.originalFilePath,
+      folder: collection.folder,
+      frontmatter: file.frontmatter,
+    }) || slug;
+  }
+
   /**
    * Two-phase slug assignment: first prioritize frontmatter slugs, then assign remaining
    */
-  assignSlugs(parsedFiles: ParsedFile[]): Map<string, SlugInfo> {
+  assignSlugs(parsedFiles: ParsedFile[], defaultLocale?: string, collections?: CollectionsConfig): Map<string, SlugInfo> {
+    this.defaultLocale = defaultLocale;
+    this.collections = collections;
+
     // Phase 1: Reserve frontmatter slugs (these get priority)
     const frontmatterFiles: ParsedFile[] = [];
     const nonFrontmatterFiles: ParsedFile[] = [];
@@ -138,7 +181,7 @@ class SlugManager {
 
     // Process frontmatter slugs first
     for (const file of frontmatterFiles) {
-      this.assignSlugToFile(file, file.frontmatter.slug);
+      this.assignSlugToFile(file, this.toCollectionSlug(file, file.frontmatter.slug));
     }
 
     // Phase 2: Calculate sibling counts for files in same directories
@@ -152,7 +195,7 @@ class SlugManager {
     for (const file of nonFrontmatterFiles) {
       const siblingCount = directoryFileCount.get(file.parentFolder || '.');
       const baseSlug = this.generateBaseSlug(file.fileName, file.parentFolder, siblingCount);
-      this.assignSlugToFile(file, baseSlug);
+      this.assignSlugToFile(file, this.toCollectionSlug(file, baseSlug));
     }
 
     return this.fileSlugs;
@@ -162,14 +205,14 @@ class SlugManager {
    * Assign a slug to a specific file
    */
   private assignSlugToFile(file: ParsedFile, desiredSlug: string): SlugInfo {
-    const existingPath = this.usedSlugs.get(desiredSlug);
+    const existingPath = this.usedSlugs.get(this.slugKey(desiredSlug, file));
     let disambiguatedSlug = desiredSlug;
     let finalSlug = desiredSlug;
 
     if (existingPath && existingPath !== file.originalFilePath) {
       // If the slug is taken by a different file, disambiguate it
       if (this.slugConflictResolutionStrategy === 'number') {
-        disambiguatedSlug = this.resolveConflictWithNumber(desiredSlug);
+        disambiguatedSlug = this.resolveConflictWithNumber(desiredSlug, file);
       } else {
         // Generate a short hash for disambiguation
         const hash = calculateFileHash(file.originalFilePath).slice(0, 8);
@@ -181,8 +224,9 @@ class SlugManager {
       if (this.issueCollector) {
         // Find all files with the same desired slug
         const conflictingFiles: string[] = [];
+        const desiredKey = this.slugKey(desiredSlug, file);
         for (const [slug, filePath] of this.usedSlugs.entries()) {
-          if (slug === desiredSlug || slug.startsWith(`${desiredSlug}-`)) {
+          if (slug === desiredKey || slug.startsWith(`${desiredKey}-`)) {
             conflictingFiles.push(filePath);
           }
         }
@@ -205,7 +249,7 @@ class SlugManager {
     };
 
     this.fileSlugs.set(file.originalFilePath, slugInfo);
-    this.usedSlugs.set(finalSlug, file.originalFilePath);
+    this.usedSlugs.set(this.slugKey(finalSlug, file), file.originalFilePath);
 
     return slugInfo;
   }
@@ -575,6 +619,7 @@ export async function processFolder(
     mediaPathMap,
     useAbsolutePaths: opts?.useAbsolutePaths || false,
     preferredSize: opts?.preferredSize || 'lg',
+    responsiveImages: opts?.responsiveImages !== false,
     iframeEmbedOptions: opts?.iframeEmbedOptions,
     rehypeMermaidOptions: opts?.rehypeMermaidOptions
   });
@@ -600,6 +645,26 @@ export async function processFolder(
       // Calculate relative path from vault root first (needed for context)
       const relativePath = path.relative(dirPath, filePath);
 
+      // Honor publishAt / unpublishAt: embargoed and expired posts are left out of the build
+      if (!opts?.ignorePublishDates) {
+        const { state, next } = getPublishState(frontmatterWithDates, opts?.now);
+        if (next && opts?.publishSchedule) {
+          opts.publishSchedule.push({
+            originalFilePath: relativePath,
+            action: next.action,
+            at: next.at.toISOString(),
+          });
+        }
+        if (state !== 'published') {
+          log(1, `⏰ Skipping ${state} post: ${relativePath}`);
+          continue;
+        }
+      }
+
+      // Locale from `lang` frontmatter or locale folder, and the key shared with its translations
+      const { locale, localeFolder } = detectLocale(relativePath, frontmatterWithDates, opts?.locales);
+      const translationKey = locale ? getTranslationKey(relativePath, frontmatterWithDates, localeFolder) : undefined;
+
       // Resolve wiki-style links in ANY frontmatter field
       const resolvedFrontmatter = resolveFrontmatterWikiLinks(
         frontmatterWithDates, 
@@ -645,7 +710,10 @@ export async function processFolder(
         fsModified: fileStats.mtime,
         gitCreated: gitInfo.gitCreated,
         gitModified: gitInfo.gitModified,
-        firstImage
+        firstImage,
+        locale,
+        translationKey,
+        collection: detectCollection(relativePath, opts?.collections)
       };
 
       parsedFiles.push(parsedFile);
@@ -657,7 +725,8 @@ export async function processFolder(
 
   // Phase 2: Assign slugs with frontmatter priority
   log(1, `🏷️ Assigning slugs to ${parsedFiles.length} files with frontmatter priority`);
-  const slugAssignments = slugManager.assignSlugs(parsedFiles);
+  const defaultLocale = resolveDefaultLocale(parsedFiles.map((file) => file.locale), opts?.locales);
+  const slugAssignments = slugManager.assignSlugs(parsedFiles, defaultLocale, opts?.collections);
 
   // Phase 3: Create initial FileData objects with assigned slugs (without HTML yet)
   const pages: FileData[] = [];
@@ -671,6 +740,9 @@ export async function processFolder(
       continue;
     }
 
+    // Posts of other locales than the default one live under their locale (e.g. /content/fr/mon-article)
+    const localizedSlug = getLocalizedSlug(slugInfo.finalSlug, parsedFile.locale, defaultLocale);
+
     // Create initial file object without HTML (we'll process it after all slugs are known)
     const file: FileData = {
       fileName: parsedFile.fileName,
@@ -684,7 +756,7 @@ export async function processFolder(
       toc: parsedFile.toc,
       originalFilePath: parsedFile.originalFilePath,
       folder: parsedFile.parentFolder || '', // Folder path relative to vault root
-      url: `${urlPrefix}/${slugInfo.finalSlug}`, // Generate URL
+      url: `${urlPrefix}/${localizedSlug}`, // Generate URL
       hash: '', // Will be calculated after HTML is generated
       links: [], // Initialize empty links array
       firstImage: parsedFile.firstImage || undefined,
@@ -692,6 +764,12 @@ export async function processFolder(
       fsModified: parsedFile.fsModified,
       gitCreated: parsedFile.gitCreated,
       gitModified: parsedFile.gitModified,
+      ...(parsedFile.locale && {
+        locale: parsedFile.locale,
+        localizedSlug,
+        translationKey: parsedFile.translationKey
+      }),
+      ...(parsedFile.collection && { collection: parsedFile.collection }),
       _slugInfo: slugInfo
     };
 
@@ -708,9 +786,20 @@ export async function processFolder(
   const filesByName = new Map<string, FileData>();
   const filesByPath = new Map<string, FileData>();
   const filesByAlias = new Map<string, FileData[]>();
+  const filesByTranslation = new Map<string, Map<string, FileData>>(); // translationKey -> locale -> file
   
   for (const file of pages) {
     filesBySlug.set(file.slug, file);
+    if (file.localizedSlug && file.localizedSlug !== file.slug) {
+      filesBySlug.set(file.localizedSlug, file);
+    }
+    if (file.locale && file.translationKey) {
+      if (!filesByTranslation.has(file.translationKey)) {
+        filesByTranslation.set(file.translationKey, new Map());
+      }
+      const translations = filesByTranslation.get(file.translationKey)!;
+      if (!translations.has(file.locale)) translations.set(file.locale, file);
+    }
     filesByName.set(file.fileName, file);
     filesByPath.set(file.originalFilePath, file);
     
@@ -729,10 +818,50 @@ export async function processFolder(
     }
   }
 
+  // Index posts from the previous build for incremental rendering
+  const previousFilesByPath = new Map<string, FileData>();
+  for (const previousFile of opts?.previousFiles || []) {
+    previousFilesByPath.set(previousFile.originalFilePath, previousFile);
+  }
+  let reusedCount = 0;
+
+  // Files linking to a post whose URL moved (e.g. slug disambiguation) must be re-rendered too
+  const renderPaths = opts?.renderPaths ? new Set(opts.renderPaths) : undefined;
+  if (renderPaths) {
+    const movedHashes = new Set<string>();
+    for (const file of pages) {
+      const previousFile = previousFilesByPath.get(file.originalFilePath);
+      if (previousFile && previousFile.url !== file.url) {
+        movedHashes.add(previousFile.hash);
+      }
+    }
+    if (movedHashes.size > 0) {
+      for (const previousFile of previousFilesByPath.values()) {
+        if (previousFile.links?.some((hash) => movedHashes.has(hash))) {
+          renderPaths.add(previousFile.originalFilePath);
+        }
+      }
+    }
+  }
+
   // Process each file's markdown again with proper link resolution
   for (const file of pages) {
     const parsedData = parsedFileMap.get(file.originalFilePath);
     if (!parsedData) continue;
+
+    // Reuse the previous render when the file is not flagged for re-rendering
+    const previousFile = previousFilesByPath.get(file.originalFilePath);
+    if (previousFile && canReuseRender(file, previousFile, renderPaths)) {
+      file.html = previousFile.html;
+      file.toc = previousFile.toc;
+      file.hash = calculatePostHash(file);
+      if (trackRelationships) {
+        pathHashMap[file.originalFilePath] = file.hash;
+      }
+      reusedCount++;
+      log(2, `♻️ Reused previous render for: ${file.fileName}`);
+      continue;
+    }
     
     log(2, `⚙️ Processing HTML with resolved links for: ${file.fileName}`);
     
@@ -757,6 +886,7 @@ export async function processFolder(
             filesByName,
             filesByPath,
             filesByAlias,
+            filesByTranslation,
             urlPrefix,
             currentFile: file,
             issueCollector: opts?.issueCollector
@@ -792,6 +922,18 @@ export async function processFolder(
         .use(rehypeSlug)
         .use(rehypeAutolinkHeadings, { behavior: "wrap" });
 
+      // <picture> with AVIF/WebP sources and srcset across the size variants
+      if (opts?.responsiveImages !== false) {
+        linkProcessor.use(rehypeResponsiveImages, {
+          mediaData,
+          useAbsolutePaths: opts?.useAbsolutePaths || false,
+          preferredSize: opts?.preferredSize || 'lg',
+        });
+      }
+
+      // <video>/<audio> players for embedded video and audio files
+      linkProcessor.use(rehypeMediaPlayers);
+
       // Add rehype-mermaid BEFORE rehype-highlight so it can process mermaid code blocks first
       if (opts?.rehypeMermaidOptions?.enabled !== false) {
         linkProcessor.use(rehypeMermaidWrapper, {
@@ -822,15 +964,7 @@ export async function processFolder(
       file.toc = hast.getToc(htmlString);
       
       // Calculate final hash including the HTML
-      const fileHash = calculateFileHash(JSON.stringify({
-        fileName: file.fileName,
-        slug: file.slug,
-        title: file.title,
-        frontmatter: file.frontmatter,
-        originalFilePath: file.originalFilePath,
-        html: file.html,
-        url: file.url
-      }));
+      const fileHash = calculatePostHash(file);
       file.hash = fileHash;
       
       // Store the file's hash in the pathHashMap for relationship tracking
@@ -844,6 +978,25 @@ export async function processFolder(
     }
   }
 
+  if (reusedCount > 0) {
+    log(1, `♻️ Reused ${reusedCount} previously rendered files, rendered ${pages.length - reusedCount}`);
+  }
+
+  // Link translations now that hashes are final (hreflang alternates)
+  const translatedCount = linkTranslations(pages, defaultLocale);
+  if (translatedCount > 0) {
+    log(1, `🌐 Linked ${translatedCount} posts to their translations (default locale: ${defaultLocale || 'none'})`);
+  }
+
+  // Resolve reference fields (e.g. `author: "[[Jane Doe]]"`) to target post hashes
+  if (opts?.references && Object.keys(opts.references).length > 0) {
+    const referenceCount = resolveReferences(pages, opts.references, (page, property, target, collection) => {
+      opts.issueCollector?.addDanglingReference({ filePath: page.originalFilePath, property, target, collection });
+      log(1, `⚠️ Dangling reference in ${page.originalFilePath}: ${property} -> ${target}`);
+    });
+    log(1, `🔗 Resolved ${referenceCount} references (${Object.keys(opts.references).join(', ')})`);
+  }
+
   // Add slug tracking information to the first page if needed
   if (opts?.includeSlugTracking && pages.length > 0) {
     // @ts-ignore - Adding custom property
@@ -897,7 +1050,7 @@ export async function processFolder(
         }
 
         // Try to find the corresponding page
-        const matchingPage = pages.find(p => p.slug === cleanLink);
+        const matchingPage = pages.find(p => (p.localizedSlug || p.slug) === cleanLink);
         if (matchingPage) {
           linkedPostHashes.add(matchingPage.hash);
           log(3, `  🔗 Found link from ${file.fileName} to ${matchingPage.fileName}`);
@@ -1012,6 +1165,44 @@ export async function processFolder(
   return pages;
 }
 
+/**
+ * Calculate a post hash from its identity and rendered HTML
+ * @param file The file data with HTML populated
+ * @returns The post hash
+ */
+function calculatePostHash(file: FileData): string {
+  return calculateFileHash(JSON.stringify({
+    fileName: file.fileName,
+    slug: file.slug,
+    title: file.title,
+    frontmatter: file.frontmatter,
+    originalFilePath: file.originalFilePath,
+    html: file.html,
+    url: file.url
+  }));
+}
+
+/**
+ * Check whether a previously rendered file can be reused as-is
+ * Requires an incremental build, a file not flagged for re-rendering, and
+ * an unchanged slug, URL and frontmatter (slug disambiguation can shift).
+ * @param file The file being processed
+ * @param previousFile The same file from the previous build
+ * @param renderPaths Paths that must be re-rendered
+ * @returns True if the previous HTML can be reused
+ */
+function canReuseRender(
+  file: FileData,
+  previousFile: FileData,
+  renderPaths?: Set<string>
+): boolean {
+  if (!renderPaths || renderPaths.has(file.originalFilePath)) return false;
+  if (typeof previousFile.html !== 'string') return false;
+  return previousFile.slug === file.slug &&
+    previousFile.url === file.url &&
+    JSON.stringify(previousFile.frontmatter) === JSON.stringify(file.frontmatter);
+}
+
 /**
  * Build the unified processor with wiki link and media support (for initial parsing)
  */
@@ -1021,6 +1212,7 @@ function buildMarkdownProcessor({
   mediaPathMap = {},
   useAbsolutePaths = false,
   preferredSize = 'lg',
+  responsiveImages = true,
   iframeEmbedOptions,
   rehypeMermaidOptions
 }: {
@@ -1029,6 +1221,7 @@ function buildMarkdownProcessor({
   mediaPathMap?: MediaPathMap;
   useAbsolutePaths?: boolean;
   preferredSize?: 'sm' | 'md' | 'lg';
+  responsiveImages?: boolean;
   iframeEmbedOptions?: ProcessOptions['iframeEmbedOptions'];
   rehypeMermaidOptions?: ProcessOptions['rehypeMermaidOptions'];
 }) {
@@ -1067,6 +1260,11 @@ function buildMarkdownProcessor({
     .use(rehypeExternalLinks)
     .use(rehypeSlug)
     .use(rehypeAutolinkHeadings, { behavior: "wrap" });
+
+  if (responsiveImages) {
+    processor.use(rehypeResponsiveImages, { mediaData, useAbsolutePaths, preferredSize });
+  }
+  processor.use(rehypeMediaPlayers);
     
   // Add rehype-mermaid BEFORE rehype-highlight so it can process mermaid code blocks first
   if (rehypeMermaidOptions?.enabled !== false) {
@@ -1498,6 +1696,7 @@ function exportPostsToJsonFiles(
   // Create index data with minimal information
   const indexData = pages.map(page => ({
     slug: page.slug, // Use the processed slug directly
+    ...(page.locale && { locale: page.locale, localizedSlug: page.localizedSlug }),
     hash: page.hash,
     title: page.title,
     colophon: page.frontmatter?.colophon || null
@@ -1520,9 +1719,15 @@ function exportPostsToJsonFiles(
     fs.writeFileSync(path.join(hashDir, `${page.hash}.json`), json);
     log(2, `📝 Exported post to hash/${page.hash}.json`);
 
-    // Save slug-named file
-    fs.writeFileSync(path.join(slugDir, `${page.slug}.json`), json);
-    log(2, `📝 Exported post to slug/${page.slug}.json`);
+    // Save slug-named file (posts of other locales go to slug/{locale}/{slug}.json,
+    // collection slug patterns can also nest slugs in folders)
+    const slugKey = page.localizedSlug || page.slug;
+    const slugFile = path.join(slugDir, `${slugKey}.json`);
+    if (slugKey.includes('/')) {
+      fs.mkdirSync(path.dirname(slugFile), { recursive: true });
+    }
+    fs.writeFileSync(slugFile, json);
+    log(2, `📝 Exported post to slug/${slugKey}.json`);
   }
 
   log(1, `✅ Successfully exported ${pages.length} posts to hash and slug directories`);
@@ -15,6 +15,9 @@ import ora from "ora";  // Import for the spinner
 // Import types from the unified types structure
 import type { MediaFileData, MediaPathMap, ProcessMediaOptions } from '../types';
 import { calculateFilePathHash } from '../lib/utility';
+import { createImagePlaceholder } from '../lib/imagePlaceholder';
+import { AUDIO_EXTENSIONS, VIDEO_EXTENSIONS } from '../lib/avMedia';
+import { extractPhotoMetadata, getPhotoMetadata, getPublishedExif, stripImageMetadata } from '../lib/photoMetadata';
 import { IssueCollector } from '../services/issueCollector';
 
 /**
@@ -33,6 +36,7 @@ function createProcessMediaOptions(opts?: ProcessMediaOptions) {
     useMediaHash: opts?.useMediaHash || false, // Default is false
     useMediaHashSharding: opts?.useMediaHashSharding || false, // Default is false
     skipHashes: opts?.skipHashes || [], // Default is empty array
+    stripMetadata: opts?.stripMetadata || 'gps', // Location is removed from published images by default
     debug: opts?.debug || 0,
     issueCollector: opts?.issueCollector // Pass through the issue collector
   };
@@ -59,6 +63,11 @@ const DEFAULT_IMAGE_FORMATS = [
   { format: "jpeg", options: { quality: 85, mozjpeg: true } }
 ];
 
+/**
+ * Image formats that can carry a location (EXIF, XMP, IPTC), stripped when copied as-is
+ */
+const METADATA_IMAGE_PATTERN = /\.(jpe?g|png|webp|tiff?|hei[cf]|avif)$/i;
+
 /**
  * Process media files in an Obsidian vault directory
  * @param dirPath Path to the Obsidian vault directory
@@ -292,7 +301,8 @@ function findBestOptimizedPath(mediaFile: MediaFileData): string | null {
 function findMediaFiles(dirPath: string, log: (level: number, message: string) => void): string[] {
   const mediaFiles: string[] = [];
   const mediaExtensions = new Set([
-    ".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".svg", ".mp4", ".webm"
+    ".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".svg",
+    ...VIDEO_EXTENSIONS, ...AUDIO_EXTENSIONS
   ]);
 
   function scanDirectory(currentPath: string) {
@@ -464,6 +474,24 @@ async function processMediaFile(
       };
       
       log(2, `📊 Image: ${fileName} (${imageMetadata.width}x${imageMetadata.height}, ${fileExt})`);
+
+      // Camera, date, caption and keywords (location only when it is published)
+      try {
+        const photo = getPhotoMetadata(imageMetadata.exif, imageMetadata.iptc, {
+          includeGps: options.stripMetadata === 'none'
+        });
+        if (photo) mediaFile.photo = photo;
+      } catch (photoError) {
+        log(1, `⚠️ Could not read EXIF/IPTC of ${fileName}: ${photoError}`);
+      }
+
+      // Placeholder and colors shown while the image loads (not needed to serve the image)
+      try {
+        const placeholder = await createImagePlaceholder(filePath);
+        if (placeholder) mediaFile.placeholder = placeholder;
+      } catch (placeholderError) {
+        log(1, `⚠️ Could not compute placeholder for ${fileName}: ${placeholderError}`);
+      }
       
       if (shouldSkipProcessing) {
         log(2, `🔍 Using hash-based skip for ${fileName}. Will reference only, no processing.`);
@@ -621,6 +649,14 @@ async function processMediaFile(
             sharpInstance = sharpInstance.png(format.options);
           }
 
+          // Metadata of the published image: sharp drops it all unless asked to keep it
+          if (options.stripMetadata === 'none') {
+            sharpInstance = sharpInstance.keepMetadata();
+          } else if (options.stripMetadata === 'gps' && mediaFile.photo) {
+            const publishedExif = getPublishedExif(mediaFile.photo);
+            if (publishedExif) sharpInstance = sharpInstance.withExif(publishedExif);
+          }
+
           // Process and save the image
           const actionType = isForced ? "Reprocessing" : "Converting";
           log(3, `🔄 ${actionType} ${fileName} to ${format.format} (${size.suffix})`);
@@ -726,7 +762,16 @@ async function processMediaFile(
       
     const shouldSkip = shouldSkipFile(filePath, outputPath, options);
     const isForced = options.forceReprocessMedias && fs.existsSync(outputPath);
-    
+
+    if (isImage) {
+      try {
+        const photo = await extractPhotoMetadata(filePath, { includeGps: options.stripMetadata === 'none' });
+        if (photo) mediaFile.photo = photo;
+      } catch (photoError) {
+        log(1, `⚠️ Could not read EXIF/IPTC of ${fileName}: ${photoError}`);
+      }
+    }
+
     // Check if we should skip processing based on hash
     if (shouldSkipProcessing) {
       log(2, `⏭️ Hash-skipped copying: ${fileName} (hash match)`);
@@ -765,7 +810,12 @@ async function processMediaFile(
         log(2, `🔄 Force reprocessing: ${fileName}`);
         if (onSkip) onSkip(false, true);
       }
-      fs.copyFileSync(filePath, outputPath);
+      if (METADATA_IMAGE_PATTERN.test(fileExt) && options.stripMetadata !== 'none') {
+        // Copied as-is, but without the location (or any metadata)
+        fs.writeFileSync(outputPath, stripImageMetadata(fs.readFileSync(filePath), options.stripMetadata));
+      } else {
+        fs.copyFileSync(filePath, outputPath);
+      }
       log(2, `📋 Copied: ${outputPath} (${formatBytes(stats.size)})`);
       
       // Add to sizes array
@@ -799,7 +849,18 @@ function getMimeType(ext: string): string {
     '.avif': 'image/avif',
     '.svg': 'image/svg+xml',
     '.mp4': 'video/mp4',
-    '.webm': 'video/webm'
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.ogv': 'video/ogg',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/opus',
+    '.flac': 'audio/flac'
   };
 
   return mimeTypes[ext.toLowerCase()] || 'application/octet-stream';
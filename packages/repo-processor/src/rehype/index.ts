@@ -1,2 +1,5 @@
 export { rehypeMermaidWrapper, rehypeMermaidWrapperSync } from './rehypeMermaidWrapper'
-export type { RehypeMermaidOptions } from './rehypeMermaidWrapper'
\ No newline at end of file
+export type { RehypeMermaidOptions } from './rehypeMermaidWrapper'
+export { rehypeResponsiveImages } from './rehypeResponsiveImages'
+export type { RehypeResponsiveImagesOptions } from './rehypeResponsiveImages'
+export { rehypeMediaPlayers } from './rehypeMediaPlayers'
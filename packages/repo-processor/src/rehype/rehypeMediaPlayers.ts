@@ -0,0 +1,33 @@
+import type { Plugin } from 'unified'
+import type { Element, Root } from 'hast'
+import { visit } from 'unist-util-visit'
+
+import { getAvMediaKind } from '../lib/avMedia'
+
+/**
+ * Render embedded videos and audio files as players
+ *
+ * Media embeds (`![[episode.mp3]]`, `![](clip.mp4)`) come out of the markdown
+ * pipeline as <img> elements; those pointing to a video or audio file become
+ * <video controls> / <audio controls>, keeping the alt text as the title.
+ */
+export const rehypeMediaPlayers: Plugin<[], Root> = function() {
+  return (tree) => {
+    visit(tree, 'element', (node: Element) => {
+      if (node.tagName !== 'img' || typeof node.properties.src !== 'string') return
+
+      const kind = getAvMediaKind(node.properties.src)
+      if (!kind) return
+
+      const { src, alt, width, height } = node.properties
+      node.tagName = kind
+      node.properties = {
+        src,
+        controls: true,
+        preload: 'metadata',
+        ...(kind === 'video' && { playsInline: true, width, height }),
+        ...(typeof alt === 'string' && alt && { title: alt }),
+      }
+    })
+  }
+}
@@ -0,0 +1,65 @@
+import type { Plugin } from 'unified'
+import type { Element, Root } from 'hast'
+import { visit } from 'unist-util-visit'
+
+import type { MediaFileData } from '../types'
+import { getResponsiveImage, indexMediaByUrl } from '../lib/responsiveImages'
+
+export interface RehypeResponsiveImagesOptions {
+  mediaData?: MediaFileData[]
+  useAbsolutePaths?: boolean
+  preferredSize?: string
+  sizes?: string
+}
+
+/**
+ * Turn images of processed media into responsive markup
+ *
+ * An <img> whose src is a variant of a media file gets a srcset across its sizes
+ * and is wrapped in a <picture> with one <source> per modern format (AVIF, WebP).
+ * Other images (remote, placeholders, unoptimized files) are left unchanged.
+ */
+export const rehypeResponsiveImages: Plugin<[RehypeResponsiveImagesOptions?], Root> = function(options = {}) {
+  const { mediaData = [], ...responsiveOptions } = options
+  const mediaByUrl = indexMediaByUrl(mediaData)
+
+  return (tree) => {
+    if (mediaByUrl.size === 0) return
+
+    visit(tree, 'element', (node: Element, index, parent) => {
+      if (node.tagName !== 'img' || !parent || typeof index !== 'number') return
+      if (parent.type === 'element' && parent.tagName === 'picture') return
+
+      const media = typeof node.properties.src === 'string' ? mediaByUrl.get(node.properties.src) : undefined
+      const responsive = media && getResponsiveImage(media, responsiveOptions)
+      if (!responsive) return
+
+      node.properties = {
+        ...node.properties,
+        src: responsive.src,
+        srcSet: responsive.srcset,
+        sizes: responsive.sizes,
+      }
+
+      if (responsive.sources.length === 0) return
+
+      const picture: Element = {
+        type: 'element',
+        tagName: 'picture',
+        properties: {},
+        children: [
+          ...responsive.sources.map((source): Element => ({
+            type: 'element',
+            tagName: 'source',
+            properties: { type: source.type, srcSet: source.srcset, sizes: responsive.sizes },
+            children: [],
+          })),
+          node,
+        ],
+      }
+      parent.children.splice(index, 1, picture)
+      // The <img> is now inside the <picture>: skip it
+      return index + 1
+    })
+  }
+}
@@ -9,6 +9,7 @@ interface CustomToLinkOptions {
   filesByName: Map<string, FileData>;
   filesByPath: Map<string, FileData>;
   filesByAlias: Map<string, FileData[]>;
+  filesByTranslation?: Map<string, Map<string, FileData>>; // translationKey -> locale -> file
   urlPrefix: string;
   currentFile?: FileData;
   issueCollector?: IssueCollector;
@@ -18,7 +19,7 @@ interface CustomToLinkOptions {
  * Creates a custom toLink function that resolves links using our file map
  */
 export function createCustomToLink(options: CustomToLinkOptions): ToLink {
-  const { filesBySlug, filesByName, filesByAlias, urlPrefix, currentFile, issueCollector } = options;
+  const { filesBySlug, filesByName, filesByAlias, filesByTranslation, urlPrefix, currentFile, issueCollector } = options;
   
   return (wikiLink) => {
     const obsidianLink = wikiToObsidian(wikiLink);
@@ -87,8 +88,13 @@ export function createCustomToLink(options: CustomToLinkOptions): ToLink {
           };
         }
         
-        // Build the URL using the target file's slug
-        let uri = `${urlPrefix}/${targetFile.slug}`;
+        // Prefer the translation of the target in the locale of the current file
+        if (currentFile?.locale && targetFile.locale !== currentFile.locale && targetFile.translationKey) {
+          targetFile = filesByTranslation?.get(targetFile.translationKey)?.get(currentFile.locale) || targetFile;
+        }
+
+        // Build the URL using the target file's slug (locale-qualified for non-default locales)
+        let uri = `${urlPrefix}/${targetFile.localizedSlug || targetFile.slug}`;
         
         // Add anchor if present
         if (obsidianLink.type === "page-header") {
@@ -29,7 +29,7 @@ export const remarkMarkdownLinkResolver: Plugin<[RemarkMarkdownLinkResolverOptio
           const anchor = anchorIndex !== -1 ? node.url.substring(anchorIndex) : '';
           
           // Update the URL to use the target file's slug
-          node.url = `${urlPrefix}/${targetFile.slug}${anchor}`;
+          node.url = `${urlPrefix}/${targetFile.localizedSlug || targetFile.slug}${anchor}`;
         } else {
           // If not found by exact path match, try to find by filename
           const filename = node.url.replace(/\.md$/, '');
@@ -41,7 +41,7 @@ export const remarkMarkdownLinkResolver: Plugin<[RemarkMarkdownLinkResolverOptio
               const anchorIndex = node.url.indexOf('#');
               const anchor = anchorIndex !== -1 ? node.url.substring(anchorIndex) : '';
               
-              node.url = `${urlPrefix}/${file.slug}${anchor}`;
+              node.url = `${urlPrefix}/${file.localizedSlug || file.slug}${anchor}`;
               break;
             }
           }
@@ -63,6 +63,33 @@ export class IssueCollector {
     this.issues.push(issue);
   }
 
+  /**
+   * Add a dangling reference: a reference field whose target post doesn't exist
+   */
+  addDanglingReference(params: {
+    filePath: string;
+    property: string;
+    target: string;
+    collection?: string;
+  }): void {
+    const issue: BrokenLinkIssue = {
+      severity: 'warning',
+      category: 'broken-link',
+      module: 'link-resolver',
+      message: `Dangling reference in '${params.property}': ${params.target} - no matching ${params.collection ? `entry in collection '${params.collection}'` : 'post'}`,
+      filePath: params.filePath,
+      context: {
+        linkText: params.target,
+        linkTarget: params.target,
+        linkType: 'frontmatter',
+        property: params.property,
+        collection: params.collection
+      },
+      timestamp: new Date().toISOString()
+    };
+    this.issues.push(issue);
+  }
+
   /**
    * Add a missing media issue
    */
@@ -18,13 +18,47 @@ export type {
   GraphEdge,
   GraphData,
   // Slug tracking types
-  SlugInfo
+  SlugInfo,
+  // Multi-locale types
+  LocaleConfig,
+  PostAlternate,
+  // Content collection types
+  CollectionConfig,
+  CollectionsConfig,
+  CollectionManifestEntry,
+  // Reference field types
+  ReferenceFieldConfig,
+  ReferencesConfig,
+  PostReferences,
+  // Scheduled publishing types
+  PublishState,
+  PublishScheduleEntry,
+  PublishSchedule,
+  // Search index types
+  SearchFieldBoosts,
+  SearchIndexDocument,
+  SearchIndexManifest,
+  SearchPosting,
+  SearchShard,
+  SearchIndex,
+  // Passage types
+  PassageOptions,
+  PostPassage
 } from './types/core';
 
 export type {
   MediaFileData,
   MediaPathMap,
-  ProcessMediaOptions
+  ProcessMediaOptions,
+  ResponsiveImage,
+  ResponsiveImageSource,
+  ImagePlaceholder,
+  AvMediaData,
+  AvMediaPoster,
+  MediaTranscript,
+  MediaTranscriptSegment,
+  PhotoMetadata,
+  StripMetadataMode
 } from './types/media';
 
 export type {
@@ -37,6 +37,12 @@ export interface FileData {
   fsModified: Date; // File system modification time
   gitCreated?: Date; // Git creation time (first commit)
   gitModified?: Date; // Git modification time (last commit)
+  locale?: string; // Content locale from `lang` frontmatter or locale folder (e.g. "fr")
+  localizedSlug?: string; // Locale-qualified slug, key of posts-slug-map.json (e.g. "fr/mon-article")
+  translationKey?: string; // Shared by all translations of the same post
+  alternates?: PostAlternate[]; // hreflang alternates, including this post (only when translations exist)
+  collection?: string; // Name of the content collection the post belongs to
+  references?: PostReferences; // Reference fields resolved to target post hashes
   _slugInfo?: SlugInfo; // Information about how the slug was generated
   _slugTracking?: {
     allSlugs: Record<string, SlugInfo>;
@@ -44,6 +50,112 @@ export interface FileData {
   };
 }
 
+// Multi-locale types
+export interface LocaleConfig {
+  defaultLocale?: string; // Locale of posts without `lang` (defaults to the most common locale)
+  locales?: string[]; // Locales recognized as top-level folders (e.g. ["fr"] for /fr/...)
+}
+
+export interface PostAlternate {
+  hreflang: string; // Locale, or "x-default" for the default locale version
+  locale: string;
+  hash: string;
+  slug: string;
+  url: string;
+}
+
+// Content collection types
+export interface CollectionConfig {
+  folder: string; // Folder of the entries, relative to the vault root (e.g. "authors")
+  slug?: string; // Slug pattern: {slug}, {collection}, {path}, {year}, {month}, {day} (e.g. "blog/{year}/{slug}")
+  sort?: string; // Field entries are sorted by, "-" prefix for descending (e.g. "-date", "title")
+}
+
+export type CollectionsConfig = Record<string, CollectionConfig>; // Keyed by collection name
+
+export interface CollectionManifestEntry {
+  name: string;
+  folder: string;
+  file: string; // Entries file, relative to the build folder (e.g. "collections/authors.json")
+  count: number;
+  sort?: string;
+  slug?: string;
+}
+
+// Reference field types (frontmatter pointing at other posts, e.g. `author: "[[Jane Doe]]"`)
+export interface ReferenceFieldConfig {
+  collection?: string; // Only resolve to entries of this collection
+  multiple?: boolean; // List of references (inferred from the value when unset)
+}
+
+export type ReferencesConfig = Record<string, ReferenceFieldConfig>; // Keyed by frontmatter property
+
+export type PostReferences = Record<string, string | string[] | null>; // Target hash (null when dangling), or hashes of a list
+
+// Scheduled publishing types (publishAt / unpublishAt frontmatter)
+export type PublishState = 'published' | 'scheduled' | 'expired';
+
+export interface PublishScheduleEntry {
+  originalFilePath: string;
+  action: 'publish' | 'unpublish'; // What happens to the post at this date
+  at: string; // ISO date of the boundary
+}
+
+export interface PublishSchedule {
+  generatedAt: string; // Build time the schedule was computed for
+  nextBoundary: string | null; // Earliest upcoming boundary, when a rebuild is needed
+  entries: PublishScheduleEntry[];
+}
+
+// Build-time full-text search index types (_search/ folder)
+export interface SearchFieldBoosts {
+  title: number;
+  tags: number;
+  body: number;
+}
+
+export interface SearchIndexDocument {
+  id: string; // Post hash
+  slug: string;
+  localizedSlug?: string;
+  title: string;
+  excerpt: string;
+  date?: string;
+  url?: string;
+  locale?: string;
+}
+
+export interface SearchIndexManifest {
+  version: number;
+  documentCount: number;
+  boosts: SearchFieldBoosts; // Applied at build time, baked into posting weights
+  languages: string[]; // Stemming languages used by the documents
+  shards: Record<string, { file: string; terms: number }>; // Keyed by the first 2 characters of the terms
+}
+
+export type SearchPosting = [docIndex: number, weight: number];
+
+export type SearchShard = Record<string, SearchPosting[]>; // Stemmed term -> postings
+
+export interface SearchIndex {
+  manifest: SearchIndexManifest;
+  documents: SearchIndexDocument[];
+  shards: Record<string, SearchShard>;
+}
+
+// Passage types: heading-aware chunks of posts (embedded for passage retrieval)
+export interface PassageOptions {
+  size?: number; // Maximum characters per passage (0 keeps whole sections)
+  overlap?: number; // Characters repeated between passages of a long paragraph
+}
+
+export interface PostPassage {
+  heading: string | null; // Closest heading above the passage (null before the first heading)
+  anchor: string | null; // Id of that heading, to link to the section
+  depth: number; // Heading depth (0 before the first heading)
+  text: string;
+}
+
 export interface TocItem {
   title: string;
   depth: number;
@@ -107,6 +219,7 @@ export interface ProcessOptions {
   useAbsolutePaths?: boolean;
   includeMediaData?: boolean;
   preferredSize?: 'sm' | 'md' | 'lg';
+  responsiveImages?: boolean; // Render optimized images as <picture> with srcset (default: true)
   mediaOptions?: {
     domain?: string;
   };
@@ -128,6 +241,24 @@ export interface ProcessOptions {
   includeSlugTracking?: boolean; // Whether to include slug tracking information in the output
   slugConflictResolutionStrategy?: 'number' | 'hash'; // Strategy for resolving slug conflicts
 
+  // Incremental build options
+  previousFiles?: FileData[]; // Posts from the previous build, used to skip rendering unchanged files
+  renderPaths?: Set<string>; // Vault-relative paths that must be re-rendered (others reuse previousFiles when possible)
+
+  // Multi-locale options
+  locales?: LocaleConfig;
+
+  // Content collections (named folders with their own slug pattern and sort order)
+  collections?: CollectionsConfig;
+
+  // Reference fields resolved to target posts (frontmatter property -> options)
+  references?: ReferencesConfig;
+
+  // Scheduled publishing options (publishAt / unpublishAt frontmatter)
+  now?: Date; // Reference time for publish dates (defaults to the current time)
+  ignorePublishDates?: boolean; // Include embargoed and expired posts regardless of publish dates
+  publishSchedule?: PublishScheduleEntry[]; // Collector for upcoming publish/unpublish boundaries
+
   // File ignore options
   ignoreFiles?: string[]; // Array of file names to ignore during processing (defaults to ['CONTRIBUTING.md', 'README.md', 'readme.md', 'LICENSE.md'])
   
@@ -86,6 +86,10 @@ export interface BrokenLinkIssue extends ProcessingIssue {
     linkType: 'wiki' | 'markdown' | 'frontmatter';
     /** Suggested alternatives if available */
     suggestions?: string[];
+    /** Frontmatter property of a dangling reference */
+    property?: string;
+    /** Collection the reference had to resolve to */
+    collection?: string;
   };
 }
 
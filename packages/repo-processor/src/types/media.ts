@@ -30,6 +30,96 @@ export interface MediaFileData {
     hash?: string; // File hash
     // No exif data included
   };
+  placeholder?: ImagePlaceholder; // Low-quality placeholder and colors (images only)
+  av?: AvMediaData; // Playback metadata of videos and audio files (added by the build worker)
+  photo?: PhotoMetadata; // EXIF/IPTC data of photos
+}
+
+/**
+ * Which metadata to remove from published images
+ * - "gps": location only (default)
+ * - "all": all EXIF, IPTC and XMP data
+ * - "none": keep everything, including the location
+ */
+export type StripMetadataMode = "gps" | "all" | "none";
+
+/**
+ * Camera, date and description of a photo, from its EXIF and IPTC data
+ */
+export interface PhotoMetadata {
+  camera?: string; // Make and model, e.g. "Fujifilm X-T5"
+  make?: string;
+  model?: string;
+  lens?: string;
+  takenAt?: string; // ISO 8601, with the UTC offset when recorded
+  exposureTime?: string; // e.g. "1/250"
+  fNumber?: number;
+  iso?: number;
+  focalLength?: number; // Millimeters
+  title?: string;
+  caption?: string;
+  keywords?: string[];
+  creator?: string;
+  copyright?: string;
+  gps?: { latitude: number; longitude: number; altitude?: number }; // Only when metadata is not stripped
+}
+
+/**
+ * Placeholder data of an image, shown while the full image loads
+ */
+export interface ImagePlaceholder {
+  lqip: string; // Tiny blurred image as a base64 data URI
+  dominantColor: string; // Hex color, e.g. "#3a5f7d"
+  palette: string[]; // Main colors, most frequent first
+  transparent: boolean; // Has transparent pixels (placeholder styles are not applied)
+}
+
+/**
+ * Playback metadata of a video or audio file
+ */
+export interface AvMediaData {
+  kind: "video" | "audio";
+  duration?: number; // Seconds
+  width?: number; // Videos only
+  height?: number; // Videos only
+  videoCodec?: string;
+  audioCodec?: string;
+  bitrate?: number; // Bits per second
+  sampleRate?: number; // Hz
+  channels?: number;
+  poster?: AvMediaPoster; // Poster frame (videos only)
+  peaks?: number[]; // Waveform peaks between 0 and 1 (audio only)
+  transcript?: MediaTranscript;
+}
+
+/**
+ * Poster frame extracted from a video
+ */
+export interface AvMediaPoster {
+  width: number;
+  height: number;
+  outputPath: string;
+  publicPath: string;
+  absolutePublicPath?: string;
+}
+
+/**
+ * Speech-to-text transcript of a video or audio file
+ */
+export interface MediaTranscript {
+  text: string;
+  model: string; // Speech-to-text model, e.g. "Xenova/whisper-tiny.en"
+  language?: string;
+  segments: MediaTranscriptSegment[];
+}
+
+/**
+ * Timestamped part of a transcript
+ */
+export interface MediaTranscriptSegment {
+  start: number; // Seconds
+  end: number; // Seconds
+  text: string;
 }
 
 /**
@@ -47,6 +137,7 @@ export interface ProcessMediaOptions {
   useMediaHash?: boolean; // Option to use file hash for storing media files
   useMediaHashSharding?: boolean; // Option to shard hashed media files by first 2 characters
   skipHashes?: string[]; // List of file hashes to skip processing
+  stripMetadata?: StripMetadataMode; // Metadata removed from published images (default: "gps")
   debug?: number;
   issueCollector?: any; // Optional issue collector for tracking processing issues
 }
@@ -72,3 +163,24 @@ export interface ProcessMediaResult {
   /** Maps original paths to best URLs */
   pathUrlMap: Record<string, string>;
 }
+
+/**
+ * Source of a <picture> element (one image format across size variants)
+ */
+export interface ResponsiveImageSource {
+  type: string; // MIME type, e.g. "image/avif"
+  srcset: string;
+}
+
+/**
+ * Responsive image data of a media file, for <img srcset> and <picture> markup
+ */
+export interface ResponsiveImage {
+  src: string; // Preferred size in the fallback format
+  width?: number;
+  height?: number;
+  srcset: string; // Fallback format across sizes
+  sizes: string;
+  type: string; // MIME type of the fallback format
+  sources: ResponsiveImageSource[]; // Modern formats, best first
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "node:fs";
+import path from "node:path";
+import { processFolder } from "../src/process/processFolder";
+
+// Create a temporary test directory
+const testDir = path.join(__dirname, "temp-incremental-test");
+
+describe("Incremental rendering", () => {
+  beforeAll(() => {
+    if (!fs.existsSync(testDir)) {
+      fs.mkdirSync(testDir, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      path.join(testDir, "first.md"),
+      `---\ntitle: First\n---\n\n# First\n\nLinks to [[second]].`
+    );
+    fs.writeFileSync(
+      path.join(testDir, "second.md"),
+      `---\ntitle: Second\n---\n\n# Second\n\nPlain content.`
+    );
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it("reuses previous HTML for files outside renderPaths", async () => {
+    const previous = await processFolder(testDir, { processAllFiles: true, debug: 0 });
+    const previousFiles = previous.map((file) =>
+      file.originalFilePath === "first.md" ? { ...file, html: "<p>cached</p>" } : file
+    );
+
+    const result = await processFolder(testDir, {
+      processAllFiles: true,
+      debug: 0,
+      previousFiles,
+      renderPaths: new Set(["second.md"]),
+    });
+
+    const first = result.find((file) => file.originalFilePath === "first.md")!;
+    const second = result.find((file) => file.originalFilePath === "second.md")!;
+
+    expect(first.html).toBe("<p>cached</p>");
+    expect(second.html).toContain("Plain content.");
+  });
+
+  it("re-renders files listed in renderPaths", async () => {
+    const previous = await processFolder(testDir, { processAllFiles: true, debug: 0 });
+    const previousFiles = previous.map((file) => ({ ...file, html: "<p>cached</p>" }));
+
+    const result = await processFolder(testDir, {
+      processAllFiles: true,
+      debug: 0,
+      previousFiles,
+      renderPaths: new Set(["first.md"]),
+    });
+
+    const first = result.find((file) => file.originalFilePath === "first.md")!;
+    expect(first.html).not.toBe("<p>cached</p>");
+    expect(first.html).toContain("First");
+  });
+
+  it("renders everything when renderPaths is not provided", async () => {
+    const previous = await processFolder(testDir, { processAllFiles: true, debug: 0 });
+    const previousFiles = previous.map((file) => ({ ...file, html: "<p>cached</p>" }));
+
+    const result = await processFolder(testDir, {
+      processAllFiles: true,
+      debug: 0,
+      previousFiles,
+    });
+
+    expect(result.every((file) => file.html !== "<p>cached</p>")).toBe(true);
+  });
+});
@@ -69,6 +69,23 @@ async function handleRequest(request, env, ctx) {
       return new Response('No asset specified', { status: 400 })
     }
 
+    // Preview aliases (projects/{id}/_preview/{alias}/...) resolve to the revision they point to
+    const preview = await resolvePreviewAlias(objectKey, ASSETS_BUCKET)
+    if (preview) {
+      if (!preview.rev) {
+        return new Response(`Preview not found: ${pathname} [Repo.md  static server]`, {
+          status: 404,
+          headers: {
+            'Cache-Control': 'no-store',
+            'Access-Control-Allow-Origin': '*',
+            Vary: 'Origin',
+          },
+        })
+      }
+      objectKey = preview.objectKey
+      url.pathname = '/' + objectKey
+    }
+
     // Check cache first
     // Create a clean URL string without query parameters
     const cleanUrlString = createCacheKey(url)
@@ -81,7 +98,7 @@ async function handleRequest(request, env, ctx) {
     let response = await cache.match(cacheKey)
     if (response) {
       console.log(`Cache hit for: ${objectKey}`)
-      return response
+      return preview ? withPreviewHeaders(response, preview) : response
     }
 
     console.log(`Cache miss for: ${objectKey}, fetching from R2...`)
@@ -143,7 +160,7 @@ async function handleRequest(request, env, ctx) {
     ctx.waitUntil(cache.put(cacheKey, response.clone()))
 
     // Return the response
-    return response
+    return preview ? withPreviewHeaders(response, preview) : response
   } catch (error) {
     // Log the error
     console.error(`Error serving asset: ${error.message}`)
@@ -160,6 +177,44 @@ async function handleRequest(request, env, ctx) {
   }
 }
 
+/**
+ * Resolve a preview alias path to the revision it currently points to
+ * Pointers are written by the API at projects/{id}/_previews/{alias}.json as { rev, commitSha, updatedAt }
+ * @param {string} objectKey - Requested object key
+ * @param {R2Bucket} bucket - The R2 bucket
+ * @returns {Promise<Object|null>} Null when the path is not a preview alias, otherwise { alias, rev, objectKey }
+ */
+async function resolvePreviewAlias(objectKey, bucket) {
+  const match = objectKey.match(/^projects\/([^/]+)\/_preview\/([a-z0-9-]+)\/(.+)$/)
+  if (!match) {
+    return null
+  }
+
+  const [, projectId, alias, rest] = match
+  const pointer = await bucket.get(`projects/${projectId}/_previews/${alias}.json`)
+  if (pointer === null) {
+    return { alias, rev: null }
+  }
+
+  const { rev } = await pointer.json()
+  return { alias, rev, objectKey: `projects/${projectId}/${rev}/${rest}` }
+}
+
+/**
+ * Previews move to a new revision on every push: never let clients cache the alias for long
+ * @param {Response} response - Response for the resolved revision object
+ * @param {Object} preview - Resolved preview alias
+ * @returns {Response} Response with short-lived cache headers
+ */
+function withPreviewHeaders(response, preview) {
+  const headers = new Headers(response.headers)
+  headers.set('Cache-Control', 'public, max-age=60')
+  headers.set('CDN-Cache-Control', 'no-store')
+  headers.set('X-Repo-Preview', preview.alias)
+  headers.set('X-Repo-Revision', preview.rev)
+  return new Response(response.body, { status: response.status, headers })
+}
+
 /**
  * Helper function to determine content type based on file extension
  */